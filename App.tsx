@@ -5,6 +5,7 @@ import { AuthProvider } from './contexts/AuthContext';
 import { useAuth } from './hooks/useAuth';
 import useDesktopBridge from './hooks/useDesktopBridge';
 import useWebRecoveryWatchdog from './hooks/useWebRecoveryWatchdog';
+import { hasRole } from './utils/roles';
 import ProtectedRoute from './components/ProtectedRoute';
 import DesktopEvents from './components/DesktopEvents';
 import AutoUpdatePrompt from './components/AutoUpdatePrompt';
@@ -19,9 +20,13 @@ import InvitePage from './pages/InvitePage';
 
 // Inner component to handle loading state logic using the hook
 const AppContent = () => {
-  const { loading, user } = useAuth();
+  const { loading, user, userData } = useAuth();
 
-  useDesktopBridge({ uid: user?.uid });
+  useDesktopBridge({
+    uid: user?.uid,
+    teamId: userData?.teamId || userData?.teamIds?.[0] || null,
+    isAdmin: hasRole(userData, 'admin')
+  });
   useWebRecoveryWatchdog();
 
   // Block the entire UI until Auth check is complete
@@ -46,7 +51,7 @@ const AppContent = () => {
           <Route path="/landing" element={<LandingPage />} />
           <Route path="/signup" element={<SignupPage />} />
           <Route path="/reset-password" element={<ResetPasswordPage />} />
-          <Route path="/invite/:teamId" element={<InvitePage />} />
+          <Route path="/invite/:token" element={<InvitePage />} />
           <Route
             path="/dashboard"
             element={
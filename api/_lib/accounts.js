@@ -0,0 +1,91 @@
+import admin from 'firebase-admin';
+
+const createForceLogoutRequestId = () => `flr_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
+/** Mirrors functions' writeAuditEntry for server-side actions that have no signed-in actor. */
+export const writeSystemAuditEntry = async (db, orgId, action, target, details = {}, actorName = 'System') => {
+  try {
+    await db.collection('auditLogs').add({
+      orgId,
+      action,
+      actorUid: null,
+      actorName,
+      source: 'functions',
+      targetUid: target?.uid || null,
+      targetName: target?.name || null,
+      details,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error(`[audit] failed to record ${action}`, error);
+  }
+};
+
+/**
+ * Disables sign-in, revokes refresh tokens and sends the same targeted desktopCommands.forceLogout
+ * the admin panel uses, so a running desktop app signs out and clocks the agent out.
+ */
+export const deactivateAccount = async ({ auth, firestore: db }, uid, { reason } = {}) => {
+  await auth.updateUser(uid, { disabled: true });
+  await auth.revokeRefreshTokens(uid);
+
+  const userRef = db.collection('users').doc(uid);
+  const userSnap = await userRef.get();
+  const targetDesktopSessionId = userSnap.get('activeDesktopSessionId') || null;
+  const forceLogoutRequestId = createForceLogoutRequestId();
+  const { FieldValue } = admin.firestore;
+
+  await userRef.set({
+    disabled: true,
+    disabledAt: FieldValue.serverTimestamp(),
+    disabledReason: reason || null,
+    isLoggedIn: false,
+    activeDesktopSessionId: FieldValue.delete(),
+    activeDesktopDeviceId: FieldValue.delete(),
+    activeDesktopMachineName: FieldValue.delete(),
+    activeDesktopSessionStartedAt: FieldValue.delete(),
+    sessionClearedAt: FieldValue.serverTimestamp(),
+  }, { merge: true });
+  await db.collection('agentStatus').doc(uid).set({
+    forceLogoutRequestId,
+    forceLogoutRequestedAt: FieldValue.serverTimestamp(),
+    forceLogoutRequestedBy: reason || 'deactivation',
+  }, { merge: true });
+  await db.collection('desktopCommands').doc(uid).set({
+    forceLogout: true,
+    timestamp: FieldValue.serverTimestamp(),
+    ...(targetDesktopSessionId ? { targetDesktopSessionId } : {}),
+  }, { merge: true });
+
+  return { forceLogoutRequestId, targetDesktopSessionId };
+};
+
+export const reactivateAccount = async ({ auth, firestore: db }, uid) => {
+  await auth.updateUser(uid, { disabled: false });
+  await db.collection('users').doc(uid).set({
+    disabled: false,
+    disabledAt: null,
+    disabledReason: null,
+    reactivatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+};
+
+/**
+ * The first active legal hold covering the user's recordings: one naming them, or an all-agents
+ * hold that does not end before their profile was created. Same check as purgeUserData in
+ * functions; the creation day is taken one day early so every organization timezone is covered.
+ */
+export const findCoveringLegalHold = async (db, orgId, uid, user) => {
+  const snap = await db.collection('recordingLegalHolds')
+    .where('orgId', '==', orgId)
+    .where('releasedAt', '==', null)
+    .get();
+  const createdAt = typeof user?.createdAt?.toDate === 'function' ? user.createdAt.toDate() : null;
+  const firstDay = createdAt ? new Date(createdAt.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10) : null;
+  const hold = snap.docs.find((doc) => {
+    const data = doc.data();
+    if (data.uid) return data.uid === uid;
+    return !data.endDate || !firstDay || data.endDate >= firstDay;
+  });
+  return hold ? { id: hold.id, ...hold.data() } : null;
+};
@@ -1,4 +1,6 @@
 import admin from 'firebase-admin';
+import { HttpError } from './http.js';
+import { orgOf } from './org.js';
 
 const APP_NAME = process.env.FIREBASE_ADMIN_APP_NAME || 'dropbox-session-api';
 
@@ -32,35 +34,68 @@ const parseServiceAccount = () => {
   }
 };
 
+export const usingEmulators = () => Boolean(
+  process.env.FIRESTORE_EMULATOR_HOST && process.env.FIREBASE_AUTH_EMULATOR_HOST
+);
+
 export const getFirebaseServices = () => {
   if (firebaseApp && firestore && auth) {
     return { firestore, auth };
   }
 
-  const serviceAccount = parseServiceAccount();
   const existingApp = admin.apps.find((appInstance) => appInstance?.name === APP_NAME);
 
-  firebaseApp = existingApp || admin.initializeApp({
-    credential: admin.credential.cert({
-      projectId: serviceAccount.projectId || serviceAccount.project_id,
-      clientEmail: serviceAccount.clientEmail || serviceAccount.client_email,
-      privateKey: serviceAccount.privateKey || serviceAccount.private_key,
-    }),
-  }, APP_NAME);
+  if (existingApp) {
+    firebaseApp = existingApp;
+  } else if (usingEmulators() && !process.env.FIREBASE_SERVICE_ACCOUNT_JSON) {
+    // The Auth and Firestore emulators accept any project id and need no credentials.
+    firebaseApp = admin.initializeApp({
+      projectId: process.env.GCLOUD_PROJECT || process.env.FIREBASE_PROJECT_ID || 'demo-emulator',
+    }, APP_NAME);
+  } else {
+    const serviceAccount = parseServiceAccount();
+    firebaseApp = admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: serviceAccount.projectId || serviceAccount.project_id,
+        clientEmail: serviceAccount.clientEmail || serviceAccount.client_email,
+        privateKey: serviceAccount.privateKey || serviceAccount.private_key,
+      }),
+    }, APP_NAME);
+  }
 
   firestore = admin.firestore(firebaseApp);
   auth = admin.auth(firebaseApp);
   return { firestore, auth };
 };
 
+/** Resolves the caller's organization and name, or rejects anyone who is not an admin. */
+/**
+ * Verifies a caller's ID token, checking revocation too: deactivation disables the account and
+ * revokes its refresh tokens, and tokens issued before that must stop working immediately.
+ */
+export const verifyCallerToken = async (token) => {
+  const { auth } = getFirebaseServices();
+  try {
+    return await auth.verifyIdToken(token, true);
+  } catch (error) {
+    if (error?.code === 'auth/id-token-revoked') throw new HttpError(401, 'id-token-revoked');
+    if (error?.code === 'auth/user-disabled') throw new HttpError(401, 'user-disabled');
+    throw error;
+  }
+};
+
 export const ensureAdminUser = async (uid) => {
   const { firestore: db } = getFirebaseServices();
   const userSnap = await db.collection('users').doc(uid).get();
   if (!userSnap.exists) {
-    throw new Error('User profile not found');
+    throw new HttpError(403, 'User profile not found');
   }
   const data = userSnap.data();
+  if (data?.disabled === true) {
+    throw new HttpError(403, 'User account is deactivated');
+  }
   if (data?.role !== 'admin') {
-    throw new Error('Admin privileges required');
+    throw new HttpError(403, 'Admin privileges required');
   }
+  return { orgId: orgOf(data), displayName: data.displayName || data.email || uid };
 };
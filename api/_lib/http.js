@@ -0,0 +1,14 @@
+// Handlers throw HttpError for anything the caller should see as a status code and message.
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const parseBearerToken = (header) => {
+  if (!header) return null;
+  const value = Array.isArray(header) ? header[0] : header;
+  const match = value.match(/^Bearer (.*)$/i);
+  return match ? match[1] : null;
+};
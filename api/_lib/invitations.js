@@ -0,0 +1,24 @@
+import crypto from 'node:crypto';
+
+export const INVITATIONS_COLLECTION = 'invitations';
+
+// Invitation documents are keyed by the SHA-256 of the link token, so the plaintext token only
+// ever exists in the link itself.
+export const hashInviteToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const isInviteTokenShaped = (token) => typeof token === 'string' && /^[A-Za-z0-9_-]{32,128}$/.test(token);
+
+/** Returns why an invitation can no longer be redeemed, or null while it is still usable. */
+export const invitationProblem = (data, now = Date.now()) => {
+  if (!data) return 'invalid_or_expired';
+  if (data.revokedAt) return 'revoked';
+  const expiresAt = data.expiresAt?.toDate ? data.expiresAt.toDate().getTime() : 0;
+  if (!expiresAt || expiresAt <= now) return 'expired';
+  if ((data.uses || 0) >= (data.maxUses || 1)) return 'used_up';
+  return null;
+};
+
+export const readInviteToken = (raw) => {
+  const token = Array.isArray(raw) ? raw[0] : raw;
+  return isInviteTokenShaped(token) ? token : null;
+};
@@ -0,0 +1,7 @@
+// Documents written before organizations existed carry no orgId and belong to the default one,
+// which keeps the historical adminSettings/global document.
+export const DEFAULT_ORG_ID = 'default';
+
+export const orgOf = (data) => (typeof data?.orgId === 'string' && data.orgId ? data.orgId : DEFAULT_ORG_ID);
+
+export const adminSettingsDocId = (orgId) => (orgId === DEFAULT_ORG_ID ? 'global' : orgId);
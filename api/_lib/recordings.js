@@ -0,0 +1,228 @@
+import crypto from 'node:crypto';
+import { google } from 'googleapis';
+
+// Desktop uploads name segments `recording-<screen>-<ms>.webm`, where <ms> is when the segment
+// was finalized, and file them under the agent's display name (falling back to the uid).
+// Segments encrypted for the organization carry an extra `.enc` suffix.
+export const recordingFolderNames = (uid, user) => Array.from(new Set(
+  [user?.displayName, uid].filter(Boolean).map((name) => String(name).replace(/[\\/:*?"<>|]/g, '-').trim()),
+)).filter((name) => name && name !== '.' && name !== '..');
+
+export const segmentEndMs = (name) => {
+  const match = String(name).match(/(\d{13})\.webm(?:\.enc)?$/i);
+  return match ? Number(match[1]) : null;
+};
+
+/** Same grouping as the receiver's extractScreenId, so every target reports the same screen ids. */
+export const screenIdOf = (name) => {
+  const base = String(name)
+    .replace(/\.webm(?:\.enc)?$/i, '')
+    .replace(/-\d{13}$/i, '')
+    .replace(/^.*recording-?/i, '');
+  const match = base.match(/(?:screen|display|monitor)[-_]?(\d+)/i);
+  if (match) return `screen${match[1]}`;
+  if (/(screen|display|monitor)/i.test(base)) return 'screen0';
+  return 'default';
+};
+
+const toSegment = (target, name, extra) => {
+  const endMs = segmentEndMs(name);
+  if (!endMs) return null;
+  return { target, name, endMs, screenId: screenIdOf(name), encrypted: /\.enc$/i.test(name), ...extra };
+};
+
+// --- Signed media links (Drive playback goes through api/recording-media) ---
+
+const MEDIA_LINK_TTL_MS = 60 * 60 * 1000;
+
+const mediaSecret = () => process.env.RECORDING_PLAYBACK_SECRET || '';
+
+const hmac = (payload) => crypto.createHmac('sha256', mediaSecret()).update(payload).digest('base64url');
+
+export const signMediaToken = (claims) => {
+  if (!mediaSecret()) return null;
+  const payload = Buffer.from(JSON.stringify({ ...claims, exp: Date.now() + MEDIA_LINK_TTL_MS })).toString('base64url');
+  return `${payload}.${hmac(payload)}`;
+};
+
+export const verifyMediaToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature || !mediaSecret()) return null;
+  const expected = Buffer.from(hmac(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() ? claims : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+// --- Dropbox ---
+
+const dropboxAccessToken = async (settings) => {
+  if (settings.dropboxRefreshToken && settings.dropboxAppKey && settings.dropboxAppSecret) {
+    const response = await fetch('https://api.dropboxapi.com/oauth2/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: settings.dropboxRefreshToken,
+        client_id: settings.dropboxAppKey,
+        client_secret: settings.dropboxAppSecret,
+      }),
+    });
+    const json = await response.json().catch(() => ({}));
+    if (response.ok && json.access_token) return json.access_token;
+    console.error('Dropbox token refresh failed', json);
+  }
+  return settings.dropboxAccessToken || settings.dropboxToken || null;
+};
+
+const dropboxRpc = async (token, endpoint, body) => {
+  const response = await fetch(`https://api.dropboxapi.com/2/${endpoint}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    if (text.includes('not_found')) return null;
+    throw new Error(`dropbox-${endpoint}-failed: ${response.status}`);
+  }
+  return JSON.parse(text);
+};
+
+/** Lists `/recordings/<agent>/<date>` and hands out Dropbox temporary links (valid for four hours). */
+export const listDropboxSegments = async (settings, folders, date) => {
+  const token = await dropboxAccessToken(settings);
+  if (!token) return { segments: [], skipped: 'dropbox-not-connected' };
+
+  const entries = [];
+  for (const folder of folders) {
+    let page = await dropboxRpc(token, 'files/list_folder', { path: `/recordings/${folder}/${date}`, limit: 2000 });
+    while (page) {
+      entries.push(...page.entries.filter((e) => e['.tag'] === 'file' && segmentEndMs(e.name)));
+      page = page.has_more ? await dropboxRpc(token, 'files/list_folder/continue', { cursor: page.cursor }) : null;
+    }
+  }
+
+  const segments = [];
+  for (let i = 0; i < entries.length; i += 8) {
+    const links = await Promise.all(entries.slice(i, i + 8).map((entry) => (
+      dropboxRpc(token, 'files/get_temporary_link', { path: entry.path_lower }).catch(() => null)
+    )));
+    entries.slice(i, i + 8).forEach((entry, index) => {
+      const segment = toSegment('dropbox', entry.name, { id: entry.id, size: entry.size, url: links[index]?.link || null });
+      if (segment) segments.push(segment);
+    });
+  }
+  return { segments };
+};
+
+// --- Google Drive ---
+
+export const googleDriveAuth = async (settings) => {
+  const raw = settings.googleServiceAccountJson;
+  if (!raw) return null;
+  const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  const jwt = new google.auth.JWT({
+    email: parsed.client_email,
+    key: parsed.private_key,
+    scopes: ['https://www.googleapis.com/auth/drive.readonly'],
+  });
+  await jwt.authorize();
+  return jwt;
+};
+
+/** Drive keeps segments flat as `<agent>-<date>-<time>-recording-...webm`, optionally inside one folder. */
+export const listDriveSegments = async (settings, folders, date, { orgId }) => {
+  const auth = await googleDriveAuth(settings);
+  if (!auth) return { segments: [], skipped: 'google-not-configured' };
+  const drive = google.drive({ version: 'v3', auth });
+  const parent = String(settings.googleDriveFolderId || '').trim();
+
+  const segments = [];
+  for (const folder of folders) {
+    const prefix = `${folder}-${date}-`.replace(/'/g, "\\'");
+    let pageToken;
+    do {
+      const { data } = await drive.files.list({
+        q: [`name contains '${prefix}'`, 'trashed = false', parent ? `'${parent}' in parents` : null].filter(Boolean).join(' and '),
+        fields: 'nextPageToken, files(id, name, size)',
+        pageSize: 1000,
+        pageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+      });
+      (data.files || [])
+        .filter((file) => file.name.startsWith(`${folder}-${date}-`) && segmentEndMs(file.name))
+        .forEach((file) => {
+          const token = signMediaToken({ orgId, fileId: file.id });
+          const segment = toSegment('googleDrive', file.name, {
+            id: file.id,
+            size: Number(file.size) || null,
+            url: token ? `/api/recording-media?token=${token}` : null,
+          });
+          if (segment) segments.push(segment);
+        });
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+  }
+  return { segments, ...(mediaSecret() ? {} : { skipped: 'playback-secret-missing' }) };
+};
+
+// --- HTTP receiver ---
+
+export const receiverBaseUrl = (settings) => {
+  if (!settings.httpUploadUrl) return null;
+  const parsed = new URL(settings.httpUploadUrl);
+  parsed.pathname = parsed.pathname.replace(/\/upload\/?$/i, '').replace(/\/$/, '');
+  parsed.search = '';
+  parsed.hash = '';
+  return parsed.toString().replace(/\/$/, '');
+};
+
+// Same scheme as the receiver's signFilePath: HMAC-SHA256 of "<relative path>:<expires>" keyed
+// with the receiver token, so links are minted here without a round trip per file.
+export const signReceiverFileUrl = (base, token, relativePath) => {
+  const encodedPath = relativePath.split('/').map(encodeURIComponent).join('/');
+  const url = new URL(`${base}/files/${encodedPath}`);
+  if (token) {
+    const expires = Math.floor((Date.now() + MEDIA_LINK_TTL_MS) / 1000);
+    url.searchParams.set('expires', String(expires));
+    url.searchParams.set('sig', crypto.createHmac('sha256', token).update(`${relativePath}:${expires}`).digest('hex'));
+  }
+  return url.toString();
+};
+
+/** Lists `/files/<agent>/<date>` on the receiver and signs a direct, range-capable link per segment. */
+export const listReceiverSegments = async (settings, folders, date) => {
+  const base = receiverBaseUrl(settings);
+  if (!base) return { segments: [], skipped: 'receiver-not-configured' };
+  const token = settings.httpUploadToken || '';
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+  const segments = [];
+  for (const folder of folders) {
+    const response = await fetch(`${base}/files/${encodeURIComponent(folder)}/${encodeURIComponent(date)}`, { headers });
+    if (response.status === 404) continue;
+    if (!response.ok) throw new Error(`receiver-list-failed: ${response.status}`);
+    const json = await response.json();
+    (json.entries || [])
+      .filter((entry) => entry.type === 'file' && !entry.name.startsWith('merged-'))
+      .forEach((entry) => {
+        const relativePath = `${folder}/${date}/${entry.name}`;
+        // A receiver holding the organization key decrypts on the fly and serves plain WebM.
+        const segment = toSegment('http', entry.name, {
+          id: relativePath,
+          size: entry.size ?? null,
+          url: signReceiverFileUrl(base, token, relativePath),
+          ...(entry.decryptable ? { encrypted: false } : {}),
+        });
+        if (segment) segments.push(segment);
+      });
+  }
+  return { segments };
+};
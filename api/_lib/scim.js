@@ -0,0 +1,248 @@
+import crypto from 'node:crypto';
+
+export const SCIM_TOKENS_COLLECTION = 'scimTokens';
+
+export const SCHEMAS = {
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  list: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patch: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  serviceProviderConfig: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  resourceType: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+};
+
+// Roles are exposed as groups next to the organization's teams. As with invitations and CSV
+// import, directory sync never grants admin.
+export const ROLE_GROUP_PREFIX = 'role-';
+export const SCIM_ROLES = ['agent', 'manager'];
+
+export const roleGroupId = (role) => `${ROLE_GROUP_PREFIX}${role}`;
+
+export const roleFromGroupId = (id) => {
+  if (!id.startsWith(ROLE_GROUP_PREFIX)) return null;
+  const role = id.slice(ROLE_GROUP_PREFIX.length);
+  return SCIM_ROLES.includes(role) ? role : null;
+};
+
+export class ScimError extends Error {
+  constructor(status, detail, scimType) {
+    super(detail);
+    this.status = status;
+    this.scimType = scimType;
+  }
+}
+
+export const sendScim = (res, status, body) => {
+  res.setHeader('Content-Type', 'application/scim+json');
+  if (body === undefined) {
+    res.status(status).end();
+    return;
+  }
+  res.status(status).send(JSON.stringify(body));
+};
+
+export const sendScimError = (res, error) => {
+  sendScim(res, error.status, {
+    schemas: [SCHEMAS.error],
+    status: String(error.status),
+    ...(error.scimType ? { scimType: error.scimType } : {}),
+    detail: error.message,
+  });
+};
+
+export const hashScimToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : undefined);
+
+const meta = (resourceType, location, data) => ({
+  resourceType,
+  location,
+  ...(toIso(data.createdAt) ? { created: toIso(data.createdAt) } : {}),
+  ...(toIso(data.updatedAt || data.createdAt) ? { lastModified: toIso(data.updatedAt || data.createdAt) } : {}),
+});
+
+export const userTeamIds = (data) => (Array.isArray(data.teamIds) ? data.teamIds : (data.teamId ? [data.teamId] : []));
+
+export const userRoles = (data) => {
+  const roles = new Set(Array.isArray(data.roles) ? data.roles : []);
+  if (data.role) roles.add(data.role);
+  return Array.from(roles);
+};
+
+/** `teamNames` maps team id to name for the read-only `groups` attribute. */
+export const toScimUser = (uid, data, baseUrl, teamNames = {}) => ({
+  schemas: [SCHEMAS.user],
+  id: uid,
+  ...(data.scimExternalId ? { externalId: data.scimExternalId } : {}),
+  userName: data.email,
+  displayName: data.displayName || data.email,
+  name: { formatted: data.displayName || data.email },
+  emails: [{ value: data.email, type: 'work', primary: true }],
+  active: data.disabled !== true,
+  roles: userRoles(data).map((role) => ({ value: role, primary: role === data.role })),
+  groups: [
+    ...userTeamIds(data).map((teamId) => ({ value: teamId, display: teamNames[teamId] || teamId, $ref: `${baseUrl}/Groups/${teamId}` })),
+    ...userRoles(data).filter((r) => SCIM_ROLES.includes(r)).map((role) => ({ value: roleGroupId(role), display: role, $ref: `${baseUrl}/Groups/${roleGroupId(role)}` })),
+  ],
+  meta: meta('User', `${baseUrl}/Users/${uid}`, data),
+});
+
+export const toScimGroup = (id, displayName, members, baseUrl, data = {}) => ({
+  schemas: [SCHEMAS.group],
+  id,
+  displayName,
+  members: members.map((m) => ({ value: m.uid, display: m.displayName || m.email, $ref: `${baseUrl}/Users/${m.uid}` })),
+  meta: meta('Group', `${baseUrl}/Groups/${id}`, data),
+});
+
+export const listResponse = (resources, startIndex, totalResults) => ({
+  schemas: [SCHEMAS.list],
+  totalResults,
+  startIndex,
+  itemsPerPage: resources.length,
+  Resources: resources,
+});
+
+/** SCIM pagination is 1-based; `count` is capped so a directory sync cannot ask for everything at once. */
+export const readPaging = (query) => {
+  const startIndex = Math.max(1, Number.parseInt(query?.startIndex, 10) || 1);
+  const count = Math.min(200, Math.max(0, Number.parseInt(query?.count, 10) || 100));
+  return { startIndex, count };
+};
+
+/**
+ * Only the `attr eq "value"` filters identity providers send while matching accounts are
+ * supported; anything else is rejected as invalidFilter rather than silently ignored.
+ */
+export const parseFilter = (filter, allowed) => {
+  if (!filter) return null;
+  const match = String(filter).match(/^\s*([A-Za-z.]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i);
+  if (!match || !allowed.includes(match[1])) {
+    throw new ScimError(400, `Unsupported filter: ${filter}`, 'invalidFilter');
+  }
+  return { attribute: match[1], value: match[2].replace(/\\(.)/g, '$1') };
+};
+
+const primaryEmail = (emails) => {
+  if (!Array.isArray(emails) || !emails.length) return undefined;
+  return (emails.find((e) => e?.primary) || emails[0])?.value;
+};
+
+const scimBoolean = (value) => (typeof value === 'string' ? value.toLowerCase() === 'true' : Boolean(value));
+
+/** Fields of a POST/PUT User body that the users document keeps. */
+export const readUserResource = (body) => {
+  const email = String(body?.userName || primaryEmail(body?.emails) || '').trim().toLowerCase();
+  const name = body?.name || {};
+  const displayName = String(body?.displayName || name.formatted || [name.givenName, name.familyName].filter(Boolean).join(' ') || '').trim();
+  const roles = Array.isArray(body?.roles)
+    ? body.roles.map((r) => (typeof r === 'string' ? r : r?.value)).filter((r) => SCIM_ROLES.includes(r))
+    : null;
+  return {
+    email,
+    displayName: displayName || email.split('@')[0],
+    active: body?.active === undefined ? true : scimBoolean(body.active),
+    externalId: body?.externalId ? String(body.externalId) : null,
+    roles,
+  };
+};
+
+/**
+ * Folds a User PatchOp into `{ displayName, email, active, externalId, roles }` changes. Both the
+ * path form (`{ op, path: 'active', value: false }`) and the path-less form Azure AD sends
+ * (`{ op: 'replace', value: { active: false } }`) are accepted.
+ */
+export const readUserPatch = (body, currentRoles) => {
+  if (!Array.isArray(body?.Operations)) throw new ScimError(400, 'PatchOp requires Operations', 'invalidSyntax');
+  const changes = {};
+  let roles = [...currentRoles];
+
+  const apply = (op, path, value) => {
+    const key = String(path || '').replace(/^urn:ietf:params:scim:schemas:core:2\.0:User:/, '');
+    if (key === 'active') changes.active = op === 'remove' ? false : scimBoolean(value);
+    else if (key === 'displayName' || key === 'name.formatted') changes.displayName = String(value || '').trim();
+    else if (key === 'userName' || key === 'emails' || key.startsWith('emails[')) {
+      const email = typeof value === 'string' ? value : primaryEmail(value);
+      if (email) changes.email = String(email).trim().toLowerCase();
+    } else if (key === 'externalId') changes.externalId = op === 'remove' ? null : String(value);
+    else if (key === 'roles') {
+      const values = (Array.isArray(value) ? value : [value]).map((r) => (typeof r === 'string' ? r : r?.value)).filter(Boolean);
+      if (op === 'remove') roles = value === undefined ? [] : roles.filter((r) => !values.includes(r));
+      else if (op === 'add') roles = Array.from(new Set([...roles, ...values]));
+      else roles = values;
+      changes.roles = roles;
+    } else if (key === 'name.givenName' || key === 'name.familyName' || key === 'name') {
+      // Display names are managed as a whole; name parts alone are accepted and ignored.
+    } else {
+      throw new ScimError(400, `Unsupported patch path: ${path}`, 'invalidPath');
+    }
+  };
+
+  body.Operations.forEach((operation) => {
+    const op = String(operation?.op || '').toLowerCase();
+    if (!['add', 'replace', 'remove'].includes(op)) throw new ScimError(400, `Unsupported op: ${operation?.op}`, 'invalidSyntax');
+    if (operation.path) {
+      apply(op, operation.path, operation.value);
+    } else if (operation.value && typeof operation.value === 'object') {
+      Object.entries(operation.value).forEach(([path, value]) => apply(op, path, value));
+    } else {
+      throw new ScimError(400, 'Operation without path needs an object value', 'invalidSyntax');
+    }
+  });
+
+  if (changes.roles) changes.roles = changes.roles.filter((r) => SCIM_ROLES.includes(r));
+  return changes;
+};
+
+/**
+ * Folds a Group PatchOp into membership changes. Member removal accepts both
+ * `path: 'members[value eq "uid"]'` and `path: 'members'` with a value list.
+ */
+export const readGroupPatch = (body) => {
+  if (!Array.isArray(body?.Operations)) throw new ScimError(400, 'PatchOp requires Operations', 'invalidSyntax');
+  const result = { add: [], remove: [], replace: null, displayName: undefined };
+  const memberIds = (value) => (Array.isArray(value) ? value : [value]).map((m) => (typeof m === 'string' ? m : m?.value)).filter(Boolean);
+
+  body.Operations.forEach((operation) => {
+    const op = String(operation?.op || '').toLowerCase();
+    const path = String(operation?.path || '');
+    const filtered = path.match(/^members\[value eq "([^"]+)"\]$/i);
+    if (filtered && op === 'remove') {
+      result.remove.push(filtered[1]);
+    } else if (path === 'members' || (!path && operation.value?.members)) {
+      const ids = memberIds(path ? operation.value : operation.value.members);
+      if (op === 'add') result.add.push(...ids);
+      else if (op === 'remove') result.remove.push(...ids);
+      else if (op === 'replace') result.replace = ids;
+      else throw new ScimError(400, `Unsupported op: ${operation?.op}`, 'invalidSyntax');
+    } else if (path === 'displayName' || (!path && operation.value?.displayName)) {
+      result.displayName = String(path ? operation.value : operation.value.displayName).trim();
+    } else if (path === 'externalId' || (!path && operation.value?.externalId)) {
+      // Group externalIds are not stored.
+    } else {
+      throw new ScimError(400, `Unsupported patch path: ${path || '(none)'}`, 'invalidPath');
+    }
+  });
+  return result;
+};
+
+export const serviceProviderConfig = (baseUrl) => ({
+  schemas: [SCHEMAS.serviceProviderConfig],
+  patch: { supported: true },
+  bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+  filter: { supported: true, maxResults: 200 },
+  changePassword: { supported: false },
+  sort: { supported: false },
+  etag: { supported: false },
+  authenticationSchemes: [{
+    type: 'oauthbearertoken',
+    name: 'Bearer token',
+    description: 'Per-organization token created with scripts/create-scim-token.js',
+  }],
+});
+
+export const resourceTypes = (baseUrl) => [
+  { schemas: [SCHEMAS.resourceType], id: 'User', name: 'User', endpoint: '/Users', schema: SCHEMAS.user, meta: { resourceType: 'ResourceType', location: `${baseUrl}/ResourceTypes/User` } },
+  { schemas: [SCHEMAS.resourceType], id: 'Group', name: 'Group', endpoint: '/Groups', schema: SCHEMAS.group, meta: { resourceType: 'ResourceType', location: `${baseUrl}/ResourceTypes/Group` } },
+];
@@ -0,0 +1,50 @@
+import crypto from 'node:crypto';
+import dns from 'node:dns/promises';
+
+export const SSO_CONFIGS_COLLECTION = 'ssoConfigs';
+export const SSO_TYPES = ['oidc', 'saml'];
+
+// As with invitations, CSV import and SCIM, claims from an identity provider never grant admin.
+export const SSO_ROLES = ['agent', 'manager'];
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Identity Platform provider ids are derived from the organization so the sign-in blocking
+ * function (functions/src/index.ts) can check a provider really belongs to the config naming it.
+ */
+export const ssoProviderIdFor = (type, orgId) => `${type}.org-${crypto.createHash('sha256').update(orgId).digest('hex').slice(0, 12)}`;
+
+export const emailDomainOf = (email) => String(email || '').trim().toLowerCase().split('@')[1] || '';
+
+/** Lower-cased, de-duplicated domains; returns null when any entry is not a domain name. */
+export const normalizeDomains = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+  const domains = Array.from(new Set(list.map((d) => String(d).trim().toLowerCase().replace(/^@/, '')).filter(Boolean)));
+  return domains.every((d) => DOMAIN_PATTERN.test(d)) ? domains : null;
+};
+
+// An organization proves it controls an email domain with a TXT record on the domain itself.
+const DOMAIN_TXT_PREFIX = 'tracker-sso-verification';
+const MISSING_RECORD_CODES = ['ENODATA', 'ENOTFOUND', 'ESERVFAIL', 'ETIMEOUT', 'EREFUSED'];
+
+export const createDomainVerificationToken = () => crypto.randomBytes(16).toString('hex');
+
+export const domainVerificationRecord = (token) => `${DOMAIN_TXT_PREFIX}=${token}`;
+
+/** True when one of the domain's TXT records carries the token; failed lookups count as missing. */
+export const hasDomainVerificationRecord = async (domain, token) => {
+  try {
+    const records = await dns.resolveTxt(domain);
+    return records.some((chunks) => chunks.join('').trim() === domainVerificationRecord(token));
+  } catch (error) {
+    if (MISSING_RECORD_CODES.includes(error?.code)) return false;
+    throw error;
+  }
+};
+
+/** The redirect URI admins register with their IdP: Firebase Auth's handler on the auth domain. */
+export const ssoCallbackUrl = () => {
+  const domain = (process.env.FIREBASE_AUTH_DOMAIN || process.env.VITE_FIREBASE_AUTH_DOMAIN || '').trim();
+  return domain ? `https://${domain}/__/auth/handler` : null;
+};
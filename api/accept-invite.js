@@ -0,0 +1,144 @@
+import admin from 'firebase-admin';
+import { writeSystemAuditEntry } from './_lib/accounts.js';
+import { getFirebaseServices } from './_lib/firebaseAdmin.js';
+import { HttpError } from './_lib/http.js';
+import { INVITATIONS_COLLECTION, hashInviteToken, invitationProblem, readInviteToken } from './_lib/invitations.js';
+import { orgOf } from './_lib/org.js';
+
+const allowCors = (res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+};
+
+// Invitations never grant admin: each organization's admins are created through sign-up.
+const INVITABLE_ROLES = ['manager', 'agent'];
+
+const AUTH_ERRORS = {
+  'auth/email-already-exists': [409, 'email-already-in-use'],
+  'auth/invalid-email': [400, 'invalid-email'],
+  'auth/invalid-password': [400, 'weak-password'],
+};
+
+const readPayload = (req) => {
+  const payload = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  const token = readInviteToken(payload?.token);
+  const email = typeof payload?.email === 'string' ? payload.email.trim() : '';
+  const password = typeof payload?.password === 'string' ? payload.password : '';
+  const displayName = typeof payload?.displayName === 'string' ? payload.displayName.trim() : '';
+  if (!token) throw new HttpError(400, 'missing-token');
+  if (!email || !displayName) throw new HttpError(400, 'missing-fields');
+  if (password.length < 6) throw new HttpError(400, 'weak-password');
+  return { token, email, password, displayName };
+};
+
+const assertRedeemable = (snap, email) => {
+  if (!snap.exists) throw new HttpError(404, 'invalid-or-expired');
+  const data = snap.data();
+  const problem = invitationProblem(data);
+  if (problem) throw new HttpError(410, problem.replace(/_/g, '-'));
+  if (data.email && data.email.toLowerCase() !== email.toLowerCase()) {
+    throw new HttpError(403, 'email-mismatch');
+  }
+  return data;
+};
+
+/**
+ * Creates the invitee's account and profile from a single invitation use. The use is counted in
+ * the same transaction that writes the profile, so concurrent sign-ups cannot exceed maxUses; the
+ * auth account is removed again when that transaction rejects.
+ */
+export default async function handler(req, res) {
+  allowCors(res);
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'method-not-allowed' });
+    return;
+  }
+
+  let firebase;
+  try {
+    firebase = getFirebaseServices();
+  } catch (error) {
+    res.status(500).json({ error: 'firebase-initialization-failed', details: error.message });
+    return;
+  }
+
+  let createdUid = null;
+  try {
+    const { token, email, password, displayName } = readPayload(req);
+    const db = firebase.firestore;
+    const inviteRef = db.collection(INVITATIONS_COLLECTION).doc(hashInviteToken(token));
+    assertRedeemable(await inviteRef.get(), email);
+
+    try {
+      const record = await firebase.auth.createUser({ email, password, displayName });
+      createdUid = record.uid;
+    } catch (error) {
+      const mapped = AUTH_ERRORS[error?.code];
+      if (mapped) throw new HttpError(mapped[0], mapped[1]);
+      throw error;
+    }
+
+    const accepted = await db.runTransaction(async (tx) => {
+      const invite = assertRedeemable(await tx.get(inviteRef), email);
+      const orgId = orgOf(invite);
+      const roles = (Array.isArray(invite.roles) ? invite.roles : []).filter((r) => INVITABLE_ROLES.includes(r));
+      if (!roles.length) roles.push('agent');
+      // Teams that were deleted or belong to another organization are dropped rather than joined.
+      const teamSnaps = await Promise.all((Array.isArray(invite.teamIds) ? invite.teamIds : [])
+        .map((teamId) => tx.get(db.collection('teams').doc(teamId))));
+      const teamIds = teamSnaps.filter((t) => t.exists && orgOf(t.data()) === orgId).map((t) => t.id);
+      const now = admin.firestore.FieldValue.serverTimestamp();
+
+      tx.set(db.collection('users').doc(createdUid), {
+        displayName,
+        email,
+        createdAt: now,
+        role: roles.includes('manager') ? 'manager' : 'agent',
+        roles,
+        teamId: teamIds[0] || null,
+        teamIds,
+        orgId,
+        invitationId: inviteRef.id,
+      });
+      tx.update(inviteRef, {
+        uses: admin.firestore.FieldValue.increment(1),
+        acceptedBy: admin.firestore.FieldValue.arrayUnion(createdUid),
+        lastAcceptedAt: now,
+      });
+      return { orgId, roles, teamIds };
+    });
+
+    await writeSystemAuditEntry(
+      db,
+      accepted.orgId,
+      'invite.accepted',
+      { uid: createdUid, name: displayName },
+      { invitationId: inviteRef.id, roles: accepted.roles, teamIds: accepted.teamIds },
+      displayName,
+    );
+
+    res.status(201).json({ uid: createdUid });
+  } catch (error) {
+    if (createdUid) {
+      await firebase.auth.deleteUser(createdUid).catch((cleanupError) => {
+        console.error('accept-invite cleanup failed', cleanupError);
+      });
+    }
+    if (error instanceof HttpError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+    if (error instanceof SyntaxError) {
+      res.status(400).json({ error: 'invalid-json' });
+      return;
+    }
+    console.error('accept-invite error', error);
+    res.status(500).json({ error: 'internal-error' });
+  }
+}
@@ -1,7 +1,8 @@
 import crypto from 'node:crypto';
 import admin from 'firebase-admin';
-import { getFirebaseServices } from './_lib/firebaseAdmin.js';
+import { ensureAdminUser, getFirebaseServices, verifyCallerToken } from './_lib/firebaseAdmin.js';
 import { DROPBOX_SESSIONS_COLLECTION, inferExternalBaseUrl } from './_lib/dropbox.js';
+import { HttpError, parseBearerToken } from './_lib/http.js';
 
 const allowCors = (res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -9,31 +10,6 @@ const allowCors = (res) => {
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
 };
 
-class HttpError extends Error {
-  constructor(status, message) {
-    super(message);
-    this.status = status;
-  }
-}
-
-const parseBearerToken = (header) => {
-  if (!header) return null;
-  const value = Array.isArray(header) ? header[0] : header;
-  const match = value.match(/^Bearer (.*)$/i);
-  return match ? match[1] : null;
-};
-
-const ensureAdminUser = async (uid, db) => {
-  const userSnap = await db.collection('users').doc(uid).get();
-  if (!userSnap.exists) {
-    throw new HttpError(403, 'User profile not found');
-  }
-  const data = userSnap.data();
-  if (data?.role !== 'admin') {
-    throw new HttpError(403, 'Admin privileges required');
-  }
-};
-
 export default async function handler(req, res) {
   allowCors(res);
   if (req.method === 'OPTIONS') {
@@ -61,8 +37,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    const decoded = await firebase.auth.verifyIdToken(token);
-    await ensureAdminUser(decoded.uid, firebase.firestore);
+    const decoded = await verifyCallerToken(token);
+    const { orgId } = await ensureAdminUser(decoded.uid);
 
     const payload = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
     const { appKey, appSecret } = payload || {};
@@ -75,6 +51,7 @@ export default async function handler(req, res) {
 
     await sessionRef.set({
       uid: decoded.uid,
+      orgId,
       appKey,
       appSecret,
       stateSecret,
@@ -1,6 +1,7 @@
 import admin from 'firebase-admin';
 import { getFirebaseServices } from './_lib/firebaseAdmin.js';
 import { DROPBOX_SESSIONS_COLLECTION, isSessionRecent, buildCallbackUrl } from './_lib/dropbox.js';
+import { adminSettingsDocId, orgOf } from './_lib/org.js';
 
 const sendHtml = (res, content, status = 200) => {
   res.status(status)
@@ -81,7 +82,8 @@ export default async function handler(req, res) {
     const expiresInSeconds = json.expires_in || 4 * 60 * 60;
     const expiryIso = new Date(Date.now() + expiresInSeconds * 1000).toISOString();
 
-    await firestore.collection('adminSettings').doc('global').set({
+    // Tokens land in the settings of the organization whose admin started the session.
+    await firestore.collection('adminSettings').doc(adminSettingsDocId(orgOf(session))).set({
       dropboxRefreshToken: json.refresh_token,
       dropboxAccessToken: json.access_token,
       dropboxTokenExpiry: expiryIso,
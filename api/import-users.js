@@ -0,0 +1,163 @@
+import crypto from 'node:crypto';
+import admin from 'firebase-admin';
+import { ensureAdminUser, getFirebaseServices, verifyCallerToken } from './_lib/firebaseAdmin.js';
+import { HttpError, parseBearerToken } from './_lib/http.js';
+
+const allowCors = (res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+};
+
+const IMPORTABLE_ROLES = ['agent', 'manager'];
+const MAX_IMPORT_ROWS = 500;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const emailIsTaken = async (auth, email) => {
+  try {
+    await auth.getUserByEmail(email);
+    return true;
+  } catch (error) {
+    if (error?.code === 'auth/user-not-found') return false;
+    throw error;
+  }
+};
+
+/** Re-checks a row from the browser's preview; the client-side parse is never trusted. */
+const validateRow = async (row, { auth, orgTeamIds, seen }) => {
+  const email = typeof row?.email === 'string' ? row.email.trim().toLowerCase() : '';
+  const displayName = typeof row?.displayName === 'string' ? row.displayName.trim() : '';
+  const roles = Array.isArray(row?.roles) ? Array.from(new Set(row.roles)) : [];
+  const teamIds = Array.isArray(row?.teamIds) ? Array.from(new Set(row.teamIds)) : [];
+
+  if (!EMAIL_PATTERN.test(email)) return { email, error: 'invalid-email' };
+  if (seen.has(email)) return { email, error: 'duplicate-email' };
+  seen.add(email);
+  if (!displayName) return { email, error: 'missing-display-name' };
+  if (!roles.length || roles.some((r) => !IMPORTABLE_ROLES.includes(r))) return { email, error: 'invalid-role' };
+  if (teamIds.some((id) => !orgTeamIds.has(id))) return { email, error: 'unknown-team' };
+  if (await emailIsTaken(auth, email)) return { email, error: 'email-already-in-use' };
+  return { email, displayName, roles, teamIds, error: null };
+};
+
+/**
+ * Provisions users from a CSV import. With `dryRun` every row is validated and nothing is written.
+ * Accounts are created without a usable password; the dashboard then sends each new user a
+ * password-setup email. Rows fail independently and the response reports each one.
+ */
+export default async function handler(req, res) {
+  allowCors(res);
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'method-not-allowed' });
+    return;
+  }
+
+  let firebase;
+  try {
+    firebase = getFirebaseServices();
+  } catch (error) {
+    res.status(500).json({ error: 'firebase-initialization-failed', details: error.message });
+    return;
+  }
+
+  const token = parseBearerToken(req.headers.authorization);
+  if (!token) {
+    res.status(401).json({ error: 'missing-authorization' });
+    return;
+  }
+
+  try {
+    const decoded = await verifyCallerToken(token);
+    const db = firebase.firestore;
+    const actor = await ensureAdminUser(decoded.uid);
+
+    const payload = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    const rows = Array.isArray(payload?.rows) ? payload.rows : null;
+    const dryRun = payload?.dryRun !== false;
+    if (!rows || !rows.length) throw new HttpError(400, 'missing-rows');
+    if (rows.length > MAX_IMPORT_ROWS) throw new HttpError(400, 'too-many-rows');
+
+    const teamsSnap = await db.collection('teams').where('orgId', '==', actor.orgId).get();
+    const orgTeamIds = new Set(teamsSnap.docs.map((d) => d.id));
+    const seen = new Set();
+    const results = [];
+
+    for (const row of rows) {
+      const checked = await validateRow(row, { auth: firebase.auth, orgTeamIds, seen });
+      if (checked.error) {
+        results.push({ email: checked.email, status: 'error', error: checked.error });
+        continue;
+      }
+      if (dryRun) {
+        results.push({ email: checked.email, status: 'ready' });
+        continue;
+      }
+
+      let uid = null;
+      try {
+        // A random password keeps the account unusable until the setup link is followed.
+        const record = await firebase.auth.createUser({
+          email: checked.email,
+          displayName: checked.displayName,
+          password: crypto.randomBytes(24).toString('base64url'),
+        });
+        uid = record.uid;
+        await db.collection('users').doc(uid).set({
+          displayName: checked.displayName,
+          email: checked.email,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          role: checked.roles.includes('manager') ? 'manager' : 'agent',
+          roles: checked.roles,
+          teamId: checked.teamIds[0] || null,
+          teamIds: checked.teamIds,
+          orgId: actor.orgId,
+          importedBy: decoded.uid,
+        });
+        results.push({ email: checked.email, status: 'created', uid });
+      } catch (error) {
+        console.error('import-users row failed', checked.email, error);
+        if (uid) {
+          await firebase.auth.deleteUser(uid).catch(() => {});
+        }
+        results.push({ email: checked.email, status: 'error', error: error?.code === 'auth/email-already-exists' ? 'email-already-in-use' : 'create-failed' });
+      }
+    }
+
+    const created = results.filter((r) => r.status === 'created');
+    if (created.length) {
+      await db.collection('auditLogs').add({
+        orgId: actor.orgId,
+        action: 'user.imported',
+        actorUid: decoded.uid,
+        actorName: actor.displayName,
+        source: 'web',
+        targetUid: null,
+        targetName: null,
+        details: { created: created.length, failed: results.length - created.length, emails: created.map((r) => r.email) },
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    res.status(200).json({ dryRun, results });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+    if (error instanceof SyntaxError) {
+      res.status(400).json({ error: 'invalid-json' });
+      return;
+    }
+    if (error?.name === 'JsonWebTokenError') {
+      res.status(401).json({ error: 'invalid-id-token' });
+      return;
+    }
+    console.error('import-users error', error);
+    res.status(500).json({ error: 'internal-error' });
+  }
+}
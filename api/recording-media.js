@@ -0,0 +1,91 @@
+import { getFirebaseServices } from './_lib/firebaseAdmin.js';
+import { adminSettingsDocId } from './_lib/org.js';
+import { googleDriveAuth, verifyMediaToken } from './_lib/recordings.js';
+
+// Serverless responses are size-limited, so open-ended and large ranges are answered in chunks;
+// the video element keeps requesting the next range as it plays or seeks.
+const MAX_CHUNK_BYTES = 4 * 1024 * 1024;
+
+const parseRange = (header, size) => {
+  const match = String(header || 'bytes=0-').match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (!match[1] && !match[2])) return null;
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start > end || start >= size) return null;
+  return { start, end: Math.min(end, start + MAX_CHUNK_BYTES - 1) };
+};
+
+/**
+ * Streams a Google Drive recording for the dashboard player. Access is granted by the signed,
+ * hour-long token that api/recording-playback puts in each segment URL, because a video element
+ * cannot send an Authorization header.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.status(405).json({ error: 'method-not-allowed' });
+    return;
+  }
+
+  const claims = verifyMediaToken(req.query?.token);
+  if (!claims?.fileId || !claims?.orgId) {
+    res.status(403).json({ error: 'invalid-or-expired-link' });
+    return;
+  }
+
+  try {
+    const { firestore: db } = getFirebaseServices();
+    const settingsSnap = await db.collection('adminSettings').doc(adminSettingsDocId(claims.orgId)).get();
+    const auth = await googleDriveAuth(settingsSnap.data() || {});
+    if (!auth) {
+      res.status(404).json({ error: 'google-not-configured' });
+      return;
+    }
+    const { token: accessToken } = await auth.getAccessToken();
+    const fileUrl = `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(claims.fileId)}`;
+
+    const metaResponse = await fetch(`${fileUrl}?fields=size,mimeType&supportsAllDrives=true`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+    if (!metaResponse.ok) {
+      res.status(metaResponse.status === 404 ? 404 : 502).json({ error: 'drive-file-unavailable' });
+      return;
+    }
+    const meta = await metaResponse.json();
+    const size = Number(meta.size) || 0;
+    const range = parseRange(req.headers.range, size);
+    if (!range) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      res.status(416).end();
+      return;
+    }
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', meta.mimeType || 'video/webm');
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', String(range.end - range.start + 1));
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    if (req.method === 'HEAD') {
+      res.status(206).end();
+      return;
+    }
+
+    const mediaResponse = await fetch(`${fileUrl}?alt=media&supportsAllDrives=true`, {
+      headers: { Authorization: `Bearer ${accessToken}`, Range: `bytes=${range.start}-${range.end}` },
+    });
+    if (!mediaResponse.ok) {
+      res.status(502).json({ error: 'drive-download-failed' });
+      return;
+    }
+    res.status(206).send(Buffer.from(await mediaResponse.arrayBuffer()));
+  } catch (error) {
+    console.error('recording-media error', error);
+    res.status(500).json({ error: 'internal-error' });
+  }
+}
@@ -0,0 +1,132 @@
+import { getFirebaseServices, verifyCallerToken } from './_lib/firebaseAdmin.js';
+import { HttpError, parseBearerToken } from './_lib/http.js';
+import { adminSettingsDocId, orgOf } from './_lib/org.js';
+import {
+  listDriveSegments,
+  listDropboxSegments,
+  listReceiverSegments,
+  recordingFolderNames,
+} from './_lib/recordings.js';
+
+const allowCors = (res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// When one segment reached several targets, the first playable copy in this order is kept.
+const TARGET_ORDER = ['http', 'dropbox', 'googleDrive'];
+
+const teamIdsOf = (data) => (Array.isArray(data?.teamIds) ? data.teamIds : (data?.teamId ? [data.teamId] : []));
+
+const rolesOf = (data) => new Set([...(Array.isArray(data?.roles) ? data.roles : []), data?.role]);
+
+/** Mirrors the recordingLogs rule: org admins, or managers and view_recordings holders sharing a team. */
+const ensureCanViewRecordings = (decoded, caller, target) => {
+  if (orgOf(caller) !== orgOf(target)) throw new HttpError(404, 'user-not-found');
+  if (rolesOf(caller).has('admin')) return;
+  const perms = Array.isArray(decoded.perms) ? decoded.perms : [];
+  const allowed = rolesOf(caller).has('manager') || perms.includes('view_recordings');
+  const sharesTeam = teamIdsOf(target).some((id) => teamIdsOf(caller).includes(id));
+  if (!allowed || !sharesTeam) throw new HttpError(403, 'recordings-not-allowed');
+};
+
+const mergeSegments = (lists) => {
+  const byKey = new Map();
+  lists.flat().forEach((segment) => {
+    const key = `${segment.screenId}-${segment.endMs}`;
+    const current = byKey.get(key);
+    const better = !current
+      || (!current.url && segment.url)
+      || (Boolean(current.url) === Boolean(segment.url) && TARGET_ORDER.indexOf(segment.target) < TARGET_ORDER.indexOf(current.target));
+    if (better) byKey.set(key, segment);
+  });
+  return Array.from(byKey.values()).sort((a, b) => a.endMs - b.endMs);
+};
+
+/**
+ * Lists an agent's recording segments for one day across Dropbox, Google Drive and the HTTP
+ * receiver, with a short-lived playback URL for each. `sources` reports per target whether it
+ * was skipped or failed, so the dashboard can explain gaps.
+ */
+export default async function handler(req, res) {
+  allowCors(res);
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return;
+  }
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'method-not-allowed' });
+    return;
+  }
+
+  let firebase;
+  try {
+    firebase = getFirebaseServices();
+  } catch (error) {
+    res.status(500).json({ error: 'firebase-initialization-failed', details: error.message });
+    return;
+  }
+
+  const token = parseBearerToken(req.headers.authorization);
+  if (!token) {
+    res.status(401).json({ error: 'missing-authorization' });
+    return;
+  }
+
+  try {
+    const decoded = await verifyCallerToken(token);
+    const db = firebase.firestore;
+    const uid = String(req.query?.uid || '').trim();
+    const date = String(req.query?.date || '').trim();
+    if (!uid) throw new HttpError(400, 'missing-uid');
+    if (!DATE_PATTERN.test(date)) throw new HttpError(400, 'invalid-date');
+
+    const [callerSnap, targetSnap] = await Promise.all([
+      db.collection('users').doc(decoded.uid).get(),
+      db.collection('users').doc(uid).get(),
+    ]);
+    if (!callerSnap.exists) throw new HttpError(403, 'User profile not found');
+    if (!targetSnap.exists) throw new HttpError(404, 'user-not-found');
+    const target = targetSnap.data();
+    ensureCanViewRecordings(decoded, callerSnap.data(), target);
+
+    const orgId = orgOf(target);
+    const settingsSnap = await db.collection('adminSettings').doc(adminSettingsDocId(orgId)).get();
+    const settings = settingsSnap.data() || {};
+    const folders = recordingFolderNames(uid, target);
+
+    const listers = {
+      dropbox: () => listDropboxSegments(settings, folders, date),
+      googleDrive: () => listDriveSegments(settings, folders, date, { orgId }),
+      http: () => listReceiverSegments(settings, folders, date),
+    };
+    const sources = {};
+    const lists = [];
+    for (const [name, list] of Object.entries(listers)) {
+      try {
+        const result = await list();
+        lists.push(result.segments);
+        sources[name] = { count: result.segments.length, ...(result.skipped ? { skipped: result.skipped } : {}) };
+      } catch (error) {
+        console.error(`recording-playback ${name} listing failed`, error);
+        sources[name] = { count: 0, error: 'listing-failed' };
+      }
+    }
+
+    res.status(200).json({ uid, date, segments: mergeSegments(lists), sources });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+    if (error?.name === 'JsonWebTokenError') {
+      res.status(401).json({ error: 'invalid-id-token' });
+      return;
+    }
+    console.error('recording-playback error', error);
+    res.status(500).json({ error: 'internal-error' });
+  }
+}
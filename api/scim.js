@@ -0,0 +1,476 @@
+import crypto from 'node:crypto';
+import admin from 'firebase-admin';
+import { getFirebaseServices } from './_lib/firebaseAdmin.js';
+import { parseBearerToken } from './_lib/http.js';
+import { inferExternalBaseUrl } from './_lib/dropbox.js';
+import { orgOf } from './_lib/org.js';
+import { deactivateAccount, reactivateAccount, writeSystemAuditEntry } from './_lib/accounts.js';
+import {
+  SCIM_ROLES,
+  SCIM_TOKENS_COLLECTION,
+  ScimError,
+  hashScimToken,
+  listResponse,
+  parseFilter,
+  readGroupPatch,
+  readPaging,
+  readUserPatch,
+  readUserResource,
+  resourceTypes,
+  roleFromGroupId,
+  roleGroupId,
+  sendScim,
+  sendScimError,
+  serviceProviderConfig,
+  toScimGroup,
+  toScimUser,
+  userRoles,
+  userTeamIds,
+} from './_lib/scim.js';
+
+// Served at /scim/v2/* through the rewrite in vercel.json.
+
+const decodePathSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new ScimError(400, `Malformed path segment ${segment}`, 'invalidValue');
+  }
+};
+
+const readPath = (req) => {
+  const raw = req.query?.path;
+  const joined = Array.isArray(raw) ? raw.join('/') : raw;
+  const path = joined || String(req.url || '').split('?')[0].replace(/^\/(?:api\/scim|scim\/v2)\/?/, '');
+  return path.split('/').filter(Boolean).map(decodePathSegment);
+};
+
+const readBody = (req) => {
+  if (!req.body) return {};
+  if (typeof req.body === 'string') {
+    try {
+      return JSON.parse(req.body);
+    } catch (error) {
+      throw new ScimError(400, 'Request body is not valid JSON', 'invalidSyntax');
+    }
+  }
+  return req.body;
+};
+
+/** Each organization's directory authenticates with its own bearer token, stored only as a hash. */
+const authenticate = async (req, db) => {
+  const token = parseBearerToken(req.headers.authorization);
+  if (!token) throw new ScimError(401, 'Missing bearer token');
+  const ref = db.collection(SCIM_TOKENS_COLLECTION).doc(hashScimToken(token));
+  const snap = await ref.get();
+  if (!snap.exists || snap.get('revokedAt')) throw new ScimError(401, 'Invalid bearer token');
+  ref.update({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() }).catch(() => {});
+  return { orgId: orgOf(snap.data()), actorName: `SCIM (${snap.get('label') || 'directory'})` };
+};
+
+const primaryRoleOf = (roles) => (roles.includes('admin') ? 'admin' : roles.includes('manager') ? 'manager' : 'agent');
+
+/** Admin is never granted or removed by directory sync, and every user keeps at least one role. */
+const mergeRoles = (currentRoles, scimRoles) => {
+  const next = new Set(scimRoles.filter((r) => SCIM_ROLES.includes(r)));
+  if (currentRoles.includes('admin')) next.add('admin');
+  if (!next.size) next.add('agent');
+  return Array.from(next);
+};
+
+const loadOrgUsers = async (db, orgId) => {
+  const snap = await db.collection('users').where('orgId', '==', orgId).get();
+  return snap.docs.filter((d) => !d.get('scimDeleted')).map((d) => ({ uid: d.id, ...d.data() }));
+};
+
+const loadOrgTeams = async (db, orgId) => {
+  const snap = await db.collection('teams').where('orgId', '==', orgId).get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+};
+
+const loadOrgUser = async (db, orgId, uid) => {
+  const snap = await db.collection('users').doc(uid).get();
+  if (!snap.exists || orgOf(snap.data()) !== orgId || snap.get('scimDeleted')) {
+    throw new ScimError(404, `User ${uid} not found`);
+  }
+  return { uid, ...snap.data() };
+};
+
+const isAdminUser = (user) => userRoles(user).includes('admin');
+
+// Admins are managed in the dashboard only: a directory token that could rename or disable them
+// could take over the organization (email change, then password reset).
+const loadMutableOrgUser = async (db, orgId, uid) => {
+  const user = await loadOrgUser(db, orgId, uid);
+  if (isAdminUser(user)) throw new ScimError(403, `User ${uid} is an administrator and cannot be changed through SCIM`);
+  return user;
+};
+
+const teamNameMap = (teams) => Object.fromEntries(teams.map((t) => [t.id, t.name || t.id]));
+
+const paginate = (items, { startIndex, count }) => items.slice(startIndex - 1, startIndex - 1 + count);
+
+// --- Users ---
+
+const listUsers = async (ctx) => {
+  const filter = parseFilter(ctx.req.query?.filter, ['userName', 'externalId', 'emails.value', 'emails']);
+  const [users, teams] = await Promise.all([loadOrgUsers(ctx.db, ctx.orgId), loadOrgTeams(ctx.db, ctx.orgId)]);
+  const matches = users
+    .filter((u) => {
+      if (!filter) return true;
+      if (filter.attribute === 'externalId') return u.scimExternalId === filter.value;
+      return String(u.email || '').toLowerCase() === filter.value.toLowerCase();
+    })
+    .sort((a, b) => a.uid.localeCompare(b.uid));
+  const paging = readPaging(ctx.req.query);
+  const names = teamNameMap(teams);
+  return [200, listResponse(paginate(matches, paging).map((u) => toScimUser(u.uid, u, ctx.baseUrl, names)), paging.startIndex, matches.length)];
+};
+
+const renderUser = async (ctx, uid) => {
+  const [user, teams] = await Promise.all([loadOrgUser(ctx.db, ctx.orgId, uid), loadOrgTeams(ctx.db, ctx.orgId)]);
+  return toScimUser(uid, user, ctx.baseUrl, teamNameMap(teams));
+};
+
+/**
+ * An IdP that re-provisions a user it deleted earlier gets the kept profile back (re-linked and
+ * reactivated) instead of a uniqueness error. Returns null when the email belongs to anyone else.
+ */
+const relinkDeletedUser = async (ctx, resource) => {
+  let record;
+  try {
+    record = await ctx.firebase.auth.getUserByEmail(resource.email);
+  } catch (error) {
+    if (error?.code === 'auth/user-not-found') return null;
+    throw error;
+  }
+  const snap = await ctx.db.collection('users').doc(record.uid).get();
+  if (!snap.exists || orgOf(snap.data()) !== ctx.orgId || snap.get('scimDeleted') !== true) return null;
+  const user = { uid: record.uid, ...snap.data() };
+  if (isAdminUser(user)) return null;
+
+  await ctx.db.collection('users').doc(user.uid).set({
+    scimDeleted: false,
+    scimDeletedAt: null,
+  }, { merge: true });
+  await applyUserChanges(ctx, user, {
+    displayName: resource.displayName,
+    externalId: resource.externalId,
+    active: resource.active,
+    ...(resource.roles ? { roles: resource.roles } : {}),
+  });
+  await writeSystemAuditEntry(ctx.db, ctx.orgId, 'user.provisioned', { uid: user.uid, name: resource.displayName }, { email: resource.email, relinked: true }, ctx.actorName);
+  return user.uid;
+};
+
+const createUser = async (ctx) => {
+  const resource = readUserResource(readBody(ctx.req));
+  if (!resource.email) throw new ScimError(400, 'userName is required', 'invalidValue');
+
+  let record;
+  try {
+    // SCIM accounts sign in through the directory; the random password only keeps the account closed.
+    record = await ctx.firebase.auth.createUser({
+      email: resource.email,
+      displayName: resource.displayName,
+      password: crypto.randomBytes(24).toString('base64url'),
+      disabled: !resource.active,
+    });
+  } catch (error) {
+    if (error?.code === 'auth/email-already-exists') {
+      const relinkedUid = await relinkDeletedUser(ctx, resource);
+      if (relinkedUid) return [201, await renderUser(ctx, relinkedUid)];
+      throw new ScimError(409, `${resource.email} already exists`, 'uniqueness');
+    }
+    if (error?.code === 'auth/invalid-email') throw new ScimError(400, 'userName must be an email address', 'invalidValue');
+    throw error;
+  }
+
+  const roles = mergeRoles([], resource.roles || []);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  await ctx.db.collection('users').doc(record.uid).set({
+    displayName: resource.displayName,
+    email: resource.email,
+    createdAt: now,
+    updatedAt: now,
+    role: primaryRoleOf(roles),
+    roles,
+    teamId: null,
+    teamIds: [],
+    orgId: ctx.orgId,
+    scimExternalId: resource.externalId,
+    provisionedBy: 'scim',
+    disabled: !resource.active,
+  });
+  await writeSystemAuditEntry(ctx.db, ctx.orgId, 'user.provisioned', { uid: record.uid, name: resource.displayName }, { email: resource.email, roles }, ctx.actorName);
+  return [201, await renderUser(ctx, record.uid)];
+};
+
+const applyUserChanges = async (ctx, user, changes) => {
+  const { auth } = ctx.firebase;
+  const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  const authUpdate = {};
+
+  if (changes.email && changes.email !== user.email) {
+    authUpdate.email = changes.email;
+    update.email = changes.email;
+  }
+  if (changes.displayName && changes.displayName !== user.displayName) {
+    authUpdate.displayName = changes.displayName;
+    update.displayName = changes.displayName;
+  }
+  if (changes.externalId !== undefined) update.scimExternalId = changes.externalId;
+  if (changes.roles) {
+    const roles = mergeRoles(userRoles(user), changes.roles);
+    if ([...roles].sort().join() !== [...userRoles(user)].sort().join()) {
+      update.roles = roles;
+      update.role = primaryRoleOf(roles);
+    }
+  }
+
+  if (Object.keys(authUpdate).length) {
+    try {
+      await auth.updateUser(user.uid, authUpdate);
+    } catch (error) {
+      if (error?.code === 'auth/email-already-exists') throw new ScimError(409, `${changes.email} already exists`, 'uniqueness');
+      throw error;
+    }
+  }
+  await ctx.db.collection('users').doc(user.uid).set(update, { merge: true });
+
+  const target = { uid: user.uid, name: update.displayName || user.displayName || user.email };
+  if (update.roles) {
+    await writeSystemAuditEntry(ctx.db, ctx.orgId, 'user.role_changed', target, { from: userRoles(user), to: update.roles }, ctx.actorName);
+  }
+  if (changes.active === false && user.disabled !== true) {
+    const result = await deactivateAccount(ctx.firebase, user.uid, { reason: 'scim' });
+    await writeSystemAuditEntry(ctx.db, ctx.orgId, 'user.deactivated', target, { via: 'scim', ...result }, ctx.actorName);
+  } else if (changes.active === true && user.disabled === true) {
+    await reactivateAccount(ctx.firebase, user.uid);
+    await writeSystemAuditEntry(ctx.db, ctx.orgId, 'user.reactivated', target, { via: 'scim' }, ctx.actorName);
+  }
+};
+
+const replaceUser = async (ctx, uid) => {
+  const user = await loadMutableOrgUser(ctx.db, ctx.orgId, uid);
+  const resource = readUserResource(readBody(ctx.req));
+  await applyUserChanges(ctx, user, {
+    email: resource.email || undefined,
+    displayName: resource.displayName,
+    externalId: resource.externalId,
+    active: resource.active,
+    ...(resource.roles ? { roles: resource.roles } : {}),
+  });
+  return [200, await renderUser(ctx, uid)];
+};
+
+const patchUser = async (ctx, uid) => {
+  const user = await loadMutableOrgUser(ctx.db, ctx.orgId, uid);
+  await applyUserChanges(ctx, user, readUserPatch(readBody(ctx.req), userRoles(user)));
+  return [200, await renderUser(ctx, uid)];
+};
+
+/** Deprovisioning keeps the profile and its history; the account is disabled and hidden from SCIM. */
+const deleteUser = async (ctx, uid) => {
+  const user = await loadMutableOrgUser(ctx.db, ctx.orgId, uid);
+  const result = user.disabled === true ? {} : await deactivateAccount(ctx.firebase, uid, { reason: 'scim' });
+  await ctx.db.collection('users').doc(uid).set({
+    scimDeleted: true,
+    scimDeletedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+  await writeSystemAuditEntry(ctx.db, ctx.orgId, 'user.deactivated', { uid, name: user.displayName || user.email }, { via: 'scim', deprovisioned: true, ...result }, ctx.actorName);
+  return [204];
+};
+
+// --- Groups (teams and roles) ---
+
+const groupsFor = (teams, users, baseUrl) => [
+  ...teams.map((team) => toScimGroup(team.id, team.name || team.id, users.filter((u) => userTeamIds(u).includes(team.id)), baseUrl, team)),
+  ...SCIM_ROLES.map((role) => toScimGroup(roleGroupId(role), role, users.filter((u) => userRoles(u).includes(role)), baseUrl)),
+];
+
+const listGroups = async (ctx) => {
+  const filter = parseFilter(ctx.req.query?.filter, ['displayName', 'id']);
+  const [users, teams] = await Promise.all([loadOrgUsers(ctx.db, ctx.orgId), loadOrgTeams(ctx.db, ctx.orgId)]);
+  const matches = groupsFor(teams, users, ctx.baseUrl).filter((g) => !filter || g[filter.attribute] === filter.value);
+  const paging = readPaging(ctx.req.query);
+  // Membership can be large; `excludedAttributes=members` is how clients ask to leave it out.
+  const withoutMembers = String(ctx.req.query?.excludedAttributes || '').split(',').includes('members');
+  const page = paginate(matches, paging).map((g) => (withoutMembers ? { ...g, members: undefined } : g));
+  return [200, listResponse(page, paging.startIndex, matches.length)];
+};
+
+const loadGroup = async (ctx, id) => {
+  const [users, teams] = await Promise.all([loadOrgUsers(ctx.db, ctx.orgId), loadOrgTeams(ctx.db, ctx.orgId)]);
+  const role = roleFromGroupId(id);
+  const team = role ? null : teams.find((t) => t.id === id);
+  if (!role && !team) throw new ScimError(404, `Group ${id} not found`);
+  return { users, role, team };
+};
+
+const renderGroup = async (ctx, id) => {
+  const { users, team } = await loadGroup(ctx, id);
+  const group = groupsFor(team ? [team] : [], users, ctx.baseUrl).find((g) => g.id === id);
+  if (!group) throw new ScimError(404, `Group ${id} not found`);
+  return group;
+};
+
+/**
+ * Applies a membership change to a team or role group, writing only the users whose membership
+ * changes. Admins keep their memberships whatever the directory sends.
+ */
+const updateMembers = async (ctx, { users, role, team }, { add = [], remove = [], replace = null }) => {
+  const byUid = new Map(users.map((u) => [u.uid, u]));
+  const unknown = [...add, ...remove, ...(replace || [])].filter((uid) => !byUid.has(uid));
+  if (unknown.length) throw new ScimError(400, `Unknown members: ${unknown.join(', ')}`, 'invalidValue');
+
+  const isMember = (u) => (role ? userRoles(u).includes(role) : userTeamIds(u).includes(team.id));
+  const target = new Set(replace || users.filter(isMember).map((u) => u.uid));
+  add.forEach((uid) => target.add(uid));
+  remove.forEach((uid) => target.delete(uid));
+
+  const added = [];
+  const removed = [];
+  let batch = ctx.db.batch();
+  let writes = 0;
+  for (const user of users) {
+    if (isAdminUser(user)) continue;
+    const shouldBe = target.has(user.uid);
+    if (shouldBe === isMember(user)) continue;
+    (shouldBe ? added : removed).push(user.uid);
+    const ref = ctx.db.collection('users').doc(user.uid);
+    if (role) {
+      const current = userRoles(user);
+      const roles = mergeRoles(current, shouldBe ? [...current, role] : current.filter((r) => r !== role));
+      batch.update(ref, { roles, role: primaryRoleOf(roles), updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    } else {
+      const current = userTeamIds(user);
+      const teamIds = shouldBe ? [...current, team.id] : current.filter((id) => id !== team.id);
+      batch.update(ref, { teamIds, teamId: teamIds[0] || null, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+    writes += 1;
+    if (writes === 400) {
+      await batch.commit();
+      batch = ctx.db.batch();
+      writes = 0;
+    }
+  }
+  if (writes) await batch.commit();
+
+  if (added.length || removed.length) {
+    await writeSystemAuditEntry(
+      ctx.db,
+      ctx.orgId,
+      role ? 'user.role_changed' : 'user.teams_changed',
+      { uid: null, name: role || team.name },
+      { groupId: role ? roleGroupId(role) : team.id, added, removed },
+      ctx.actorName
+    );
+  }
+};
+
+const renameTeam = async (ctx, team, displayName) => {
+  if (!displayName || displayName === team.name) return;
+  await ctx.db.collection('teams').doc(team.id).update({ name: displayName });
+};
+
+const createGroup = async (ctx) => {
+  const body = readBody(ctx.req);
+  const displayName = String(body?.displayName || '').trim();
+  if (!displayName) throw new ScimError(400, 'displayName is required', 'invalidValue');
+  const teams = await loadOrgTeams(ctx.db, ctx.orgId);
+  if (SCIM_ROLES.includes(displayName) || teams.some((t) => (t.name || '').toLowerCase() === displayName.toLowerCase())) {
+    throw new ScimError(409, `Group ${displayName} already exists`, 'uniqueness');
+  }
+  const ref = await ctx.db.collection('teams').add({
+    name: displayName,
+    ownerId: 'scim',
+    orgId: ctx.orgId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    settings: { showLiveTeamStatus: true },
+  });
+  const members = Array.isArray(body?.members) ? body.members.map((m) => m?.value).filter(Boolean) : [];
+  if (members.length) await updateMembers(ctx, await loadGroup(ctx, ref.id), { add: members });
+  return [201, await renderGroup(ctx, ref.id)];
+};
+
+const replaceGroup = async (ctx, id) => {
+  const body = readBody(ctx.req);
+  const group = await loadGroup(ctx, id);
+  if (group.team) await renameTeam(ctx, group.team, String(body?.displayName || '').trim());
+  const members = Array.isArray(body?.members) ? body.members.map((m) => m?.value).filter(Boolean) : [];
+  await updateMembers(ctx, group, { replace: members });
+  return [200, await renderGroup(ctx, id)];
+};
+
+const patchGroup = async (ctx, id) => {
+  const changes = readGroupPatch(readBody(ctx.req));
+  const group = await loadGroup(ctx, id);
+  if (changes.displayName !== undefined) {
+    if (group.role) throw new ScimError(400, 'Role groups cannot be renamed', 'mutability');
+    await renameTeam(ctx, group.team, changes.displayName);
+  }
+  await updateMembers(ctx, group, changes);
+  return [200, await renderGroup(ctx, id)];
+};
+
+const deleteGroup = async (ctx, id) => {
+  const group = await loadGroup(ctx, id);
+  if (group.role) throw new ScimError(400, 'Role groups cannot be deleted', 'mutability');
+  await updateMembers(ctx, group, { replace: [] });
+  await ctx.db.collection('teams').doc(id).delete();
+  return [204];
+};
+
+const ROUTES = {
+  Users: {
+    collection: { GET: listUsers, POST: createUser },
+    item: { GET: async (ctx, id) => [200, await renderUser(ctx, id)], PUT: replaceUser, PATCH: patchUser, DELETE: deleteUser },
+  },
+  Groups: {
+    collection: { GET: listGroups, POST: createGroup },
+    item: { GET: async (ctx, id) => [200, await renderGroup(ctx, id)], PUT: replaceGroup, PATCH: patchGroup, DELETE: deleteGroup },
+  },
+};
+
+export default async function handler(req, res) {
+  let firebase;
+  try {
+    firebase = getFirebaseServices();
+  } catch (error) {
+    sendScimError(res, new ScimError(500, 'Firebase initialization failed'));
+    return;
+  }
+
+  try {
+    const [resource, id, ...rest] = readPath(req);
+    const baseUrl = `${inferExternalBaseUrl(req)}/scim/v2`;
+    const { orgId, actorName } = await authenticate(req, firebase.firestore);
+
+    if (resource === 'ServiceProviderConfig' && req.method === 'GET') {
+      sendScim(res, 200, serviceProviderConfig(baseUrl));
+      return;
+    }
+    if (resource === 'ResourceTypes' && req.method === 'GET') {
+      const types = resourceTypes(baseUrl);
+      sendScim(res, 200, listResponse(types, 1, types.length));
+      return;
+    }
+
+    const routes = ROUTES[resource];
+    if (!routes || rest.length) throw new ScimError(404, `Unknown endpoint /${[resource, id, ...rest].filter(Boolean).join('/')}`);
+    const routeHandler = (id ? routes.item : routes.collection)[req.method];
+    if (!routeHandler) throw new ScimError(405, `${req.method} is not supported here`);
+
+    const ctx = { req, firebase, db: firebase.firestore, orgId, actorName, baseUrl };
+    const [status, body] = await routeHandler(ctx, id);
+    sendScim(res, status, body);
+  } catch (error) {
+    if (error instanceof ScimError) {
+      sendScimError(res, error);
+      return;
+    }
+    console.error('scim error', error);
+    sendScimError(res, new ScimError(500, 'Internal error'));
+  }
+}
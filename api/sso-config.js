@@ -0,0 +1,278 @@
+import admin from 'firebase-admin';
+import { ensureAdminUser, getFirebaseServices, verifyCallerToken } from './_lib/firebaseAdmin.js';
+import { HttpError, parseBearerToken } from './_lib/http.js';
+import {
+  SSO_CONFIGS_COLLECTION,
+  SSO_ROLES,
+  SSO_TYPES,
+  createDomainVerificationToken,
+  hasDomainVerificationRecord,
+  normalizeDomains,
+  ssoCallbackUrl,
+  ssoProviderIdFor,
+} from './_lib/sso.js';
+
+const allowCors = (res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+};
+
+const MAX_MAPPINGS = 100;
+const MAX_DOMAINS = 30;
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const readMappings = (value, key, isValid) => {
+  const list = Array.isArray(value) ? value : [];
+  if (list.length > MAX_MAPPINGS) throw new HttpError(400, 'too-many-mappings');
+  return list
+    .map((m) => ({ value: text(m?.value), [key]: text(m?.[key]) }))
+    .filter((m) => m.value || m[key])
+    .map((m) => {
+      if (!m.value || !isValid(m[key])) throw new HttpError(400, 'invalid-mapping');
+      return m;
+    });
+};
+
+const getProvider = async (auth, providerId) => {
+  try {
+    return await auth.getProviderConfig(providerId);
+  } catch (error) {
+    if (error?.code === 'auth/configuration-not-found') return null;
+    throw error;
+  }
+};
+
+/**
+ * Builds the Identity Platform provider settings. Secrets go to Identity Platform only; on
+ * updates a blank secret or certificate keeps the one already registered.
+ */
+const buildProviderConfig = (payload, { providerId, existing, displayName, enabled }) => {
+  if (payload.type === 'oidc') {
+    const issuer = text(payload.oidc?.issuer);
+    const clientId = text(payload.oidc?.clientId);
+    const clientSecret = text(payload.oidc?.clientSecret);
+    if (!/^https:\/\//.test(issuer) || !clientId) throw new HttpError(400, 'invalid-oidc-settings');
+    return {
+      stored: { issuer, clientId },
+      provider: {
+        displayName,
+        enabled,
+        issuer,
+        clientId,
+        ...(clientSecret ? { clientSecret, responseType: { code: true, idToken: false } } : {}),
+        ...(!clientSecret && !existing ? { responseType: { idToken: true, code: false } } : {}),
+      },
+    };
+  }
+
+  const callbackURL = ssoCallbackUrl();
+  if (!callbackURL) throw new HttpError(500, 'missing-auth-domain');
+  const idpEntityId = text(payload.saml?.idpEntityId);
+  const ssoURL = text(payload.saml?.ssoUrl);
+  const certificate = text(payload.saml?.certificate);
+  const rpEntityId = text(payload.saml?.rpEntityId) || providerId;
+  if (!idpEntityId || !/^https:\/\//.test(ssoURL) || (!certificate && !existing)) {
+    throw new HttpError(400, 'invalid-saml-settings');
+  }
+  if (certificate && !certificate.includes('BEGIN CERTIFICATE')) throw new HttpError(400, 'invalid-saml-certificate');
+  return {
+    stored: { idpEntityId, ssoUrl: ssoURL, rpEntityId },
+    provider: {
+      displayName,
+      enabled,
+      idpEntityId,
+      ssoURL,
+      rpEntityId,
+      callbackURL,
+      ...(certificate ? { x509Certificates: [certificate] } : {}),
+    },
+  };
+};
+
+// Domains keep their token while they stay listed, so a published TXT record survives later saves.
+const verificationTokensFor = (domains, previous) => Object.fromEntries(domains.map((domain) => [
+  domain,
+  previous?.domainVerifications?.[domain] || createDomainVerificationToken(),
+]));
+
+/**
+ * Marks one of the organization's listed email domains as verified once its TXT record is
+ * published. Only verified domains are routed by sso-discover and reserved for the organization.
+ */
+const verifyDomain = async (db, decoded, actor, payload) => {
+  const domain = normalizeDomains([payload?.domain])?.[0];
+  if (!domain) throw new HttpError(400, 'invalid-email-domain');
+
+  const configRef = db.collection(SSO_CONFIGS_COLLECTION).doc(actor.orgId);
+  const token = (await configRef.get()).data()?.domainVerifications?.[domain];
+  if (!token) throw new HttpError(404, 'sso-domain-not-listed');
+  if (!(await hasDomainVerificationRecord(domain, token))) throw new HttpError(409, 'sso-domain-record-missing');
+
+  await db.runTransaction(async (tx) => {
+    const claimed = await tx.get(db.collection(SSO_CONFIGS_COLLECTION).where('verifiedDomains', 'array-contains', domain));
+    if (claimed.docs.some((d) => d.id !== actor.orgId)) throw new HttpError(409, 'sso-domain-claimed');
+    const current = (await tx.get(configRef)).data();
+    if (current?.domainVerifications?.[domain] !== token) throw new HttpError(404, 'sso-domain-not-listed');
+    tx.update(configRef, {
+      verifiedDomains: admin.firestore.FieldValue.arrayUnion(domain),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: decoded.uid,
+    });
+  });
+
+  await db.collection('auditLogs').add({
+    orgId: actor.orgId,
+    action: 'sso.domain_verified',
+    actorUid: decoded.uid,
+    actorName: actor.displayName,
+    source: 'web',
+    targetUid: null,
+    targetName: null,
+    details: { domain },
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return domain;
+};
+
+/**
+ * Saves an organization's single sign-on settings: registers or updates the OIDC/SAML provider
+ * in Identity Platform and stores the claim mappings, without secrets, in ssoConfigs/{orgId}.
+ */
+export default async function handler(req, res) {
+  allowCors(res);
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'method-not-allowed' });
+    return;
+  }
+
+  let firebase;
+  try {
+    firebase = getFirebaseServices();
+  } catch (error) {
+    res.status(500).json({ error: 'firebase-initialization-failed', details: error.message });
+    return;
+  }
+
+  const token = parseBearerToken(req.headers.authorization);
+  if (!token) {
+    res.status(401).json({ error: 'missing-authorization' });
+    return;
+  }
+
+  try {
+    const decoded = await verifyCallerToken(token);
+    const db = firebase.firestore;
+    const actor = await ensureAdminUser(decoded.uid);
+
+    const payload = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    if (payload?.action === 'verify-domain') {
+      const domain = await verifyDomain(db, decoded, actor, payload);
+      res.status(200).json({ domain });
+      return;
+    }
+    if (!SSO_TYPES.includes(payload?.type)) throw new HttpError(400, 'invalid-sso-type');
+
+    const displayName = text(payload.displayName) || 'Single sign-on';
+    const enabled = payload.enabled === true;
+    const enforced = enabled && payload.enforced === true;
+    const emailDomains = normalizeDomains(payload.emailDomains);
+    if (!emailDomains) throw new HttpError(400, 'invalid-email-domain');
+    if (emailDomains.length > MAX_DOMAINS) throw new HttpError(400, 'too-many-domains');
+    if (enabled && !emailDomains.length) throw new HttpError(400, 'missing-email-domain');
+
+    const defaultRole = SSO_ROLES.includes(payload.defaultRole) ? payload.defaultRole : 'agent';
+    const teamsSnap = await db.collection('teams').where('orgId', '==', actor.orgId).get();
+    const orgTeamIds = new Set(teamsSnap.docs.map((d) => d.id));
+    const roleMappings = readMappings(payload.roleMappings, 'role', (role) => SSO_ROLES.includes(role));
+    const teamMappings = readMappings(payload.teamMappings, 'teamId', (teamId) => orgTeamIds.has(teamId));
+
+    // Discovery routes a verified email domain to exactly one organization. Listing a domain is
+    // only a pending claim until its TXT record is verified.
+    if (emailDomains.length) {
+      const claimed = await db.collection(SSO_CONFIGS_COLLECTION).where('verifiedDomains', 'array-contains-any', emailDomains).get();
+      if (claimed.docs.some((d) => d.id !== actor.orgId)) throw new HttpError(409, 'sso-domain-claimed');
+    }
+
+    const configRef = db.collection(SSO_CONFIGS_COLLECTION).doc(actor.orgId);
+    const previous = (await configRef.get()).data() || null;
+    const providerId = ssoProviderIdFor(payload.type, actor.orgId);
+    const existing = await getProvider(firebase.auth, providerId);
+    const { stored, provider } = buildProviderConfig(payload, { providerId, existing, displayName, enabled });
+
+    if (existing) {
+      await firebase.auth.updateProviderConfig(providerId, provider);
+    } else {
+      await firebase.auth.createProviderConfig({ providerId, ...provider });
+    }
+    if (previous?.providerId && previous.providerId !== providerId) {
+      await firebase.auth.updateProviderConfig(previous.providerId, { enabled: false }).catch((error) => {
+        console.error('sso-config failed to disable previous provider', previous.providerId, error);
+      });
+    }
+
+    const config = {
+      orgId: actor.orgId,
+      type: payload.type,
+      providerId,
+      displayName,
+      enabled,
+      enforced,
+      jitProvisioning: payload.jitProvisioning === true,
+      syncOnSignIn: payload.syncOnSignIn === true,
+      emailDomains,
+      domainVerifications: verificationTokensFor(emailDomains, previous),
+      verifiedDomains: (previous?.verifiedDomains || []).filter((domain) => emailDomains.includes(domain)),
+      defaultRole,
+      roleClaim: text(payload.roleClaim),
+      roleMappings,
+      teamClaim: text(payload.teamClaim),
+      teamMappings,
+      provider: stored,
+    };
+    await configRef.set({
+      ...config,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: decoded.uid,
+    });
+
+    await db.collection('auditLogs').add({
+      orgId: actor.orgId,
+      action: 'sso.updated',
+      actorUid: decoded.uid,
+      actorName: actor.displayName,
+      source: 'web',
+      targetUid: null,
+      targetName: null,
+      details: { type: config.type, providerId, enabled, enforced, jitProvisioning: config.jitProvisioning, emailDomains },
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    res.status(200).json({ config, callbackUrl: ssoCallbackUrl() });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+    if (error instanceof SyntaxError) {
+      res.status(400).json({ error: 'invalid-json' });
+      return;
+    }
+    if (error?.name === 'JsonWebTokenError') {
+      res.status(401).json({ error: 'invalid-id-token' });
+      return;
+    }
+    if (typeof error?.code === 'string' && error.code.startsWith('auth/invalid')) {
+      res.status(400).json({ error: 'invalid-provider-settings', details: error.message });
+      return;
+    }
+    console.error('sso-config error', error);
+    res.status(500).json({ error: 'internal-error' });
+  }
+}
@@ -0,0 +1,54 @@
+import { getFirebaseServices } from './_lib/firebaseAdmin.js';
+import { SSO_CONFIGS_COLLECTION, emailDomainOf } from './_lib/sso.js';
+
+const withCors = (res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+};
+
+/**
+ * Finds the single sign-on provider for an email's domain so the login page can start the right
+ * OIDC/SAML flow. Only domains the organization verified through DNS are routed, and only what
+ * the browser needs to start the flow is returned.
+ */
+export default async function handler(req, res) {
+  withCors(res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'method_not_allowed' });
+  }
+
+  try {
+    const domain = emailDomainOf(req.query?.email);
+    if (!domain) {
+      return res.status(400).json({ error: 'missing_email' });
+    }
+
+    const { firestore } = getFirebaseServices();
+    const snap = await firestore.collection(SSO_CONFIGS_COLLECTION)
+      .where('verifiedDomains', 'array-contains', domain)
+      .where('enabled', '==', true)
+      .limit(1)
+      .get();
+
+    if (snap.empty) {
+      return res.status(404).json({ error: 'sso_not_configured' });
+    }
+
+    const config = snap.docs[0].data();
+    return res.status(200).json({
+      providerId: config.providerId,
+      type: config.type,
+      displayName: config.displayName || 'Single sign-on',
+      enforced: config.enforced === true,
+    });
+  } catch (error) {
+    console.error('sso-discover error', error);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+}
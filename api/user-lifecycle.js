@@ -0,0 +1,130 @@
+import admin from 'firebase-admin';
+import { ensureAdminUser, getFirebaseServices, verifyCallerToken } from './_lib/firebaseAdmin.js';
+import { HttpError, parseBearerToken } from './_lib/http.js';
+import { orgOf } from './_lib/org.js';
+import { deactivateAccount, findCoveringLegalHold, reactivateAccount } from './_lib/accounts.js';
+
+const allowCors = (res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+};
+
+const ACTIONS = ['deactivate', 'reactivate', 'purge'];
+const PURGE_JOBS_COLLECTION = 'userPurgeJobs';
+
+const loadTarget = async (db, actor, actorUid, uid) => {
+  if (uid === actorUid) throw new HttpError(400, 'cannot-target-self');
+  const snap = await db.collection('users').doc(uid).get();
+  if (!snap.exists || orgOf(snap.data()) !== actor.orgId) throw new HttpError(404, 'user-not-found');
+  const data = snap.data();
+  const roles = new Set([...(Array.isArray(data.roles) ? data.roles : []), data.role]);
+  if (roles.has('admin')) throw new HttpError(403, 'cannot-target-admin');
+  return data;
+};
+
+/**
+ * Account lifecycle for admins. Deactivation disables sign-in and signs the desktop app out but
+ * keeps the profile and its history for reports. Reactivation restores sign-in. A purge queues
+ * `userPurgeJobs/{uid}` for the `purgeUserData` function. It only accepts deactivated accounts,
+ * so a hard delete always takes two deliberate steps, and none under an active legal hold.
+ */
+export default async function handler(req, res) {
+  allowCors(res);
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'method-not-allowed' });
+    return;
+  }
+
+  let firebase;
+  try {
+    firebase = getFirebaseServices();
+  } catch (error) {
+    res.status(500).json({ error: 'firebase-initialization-failed', details: error.message });
+    return;
+  }
+
+  const token = parseBearerToken(req.headers.authorization);
+  if (!token) {
+    res.status(401).json({ error: 'missing-authorization' });
+    return;
+  }
+
+  try {
+    const decoded = await verifyCallerToken(token);
+    const db = firebase.firestore;
+    const actor = await ensureAdminUser(decoded.uid);
+
+    const payload = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    const action = payload?.action;
+    const uid = typeof payload?.uid === 'string' ? payload.uid.trim() : '';
+    if (!ACTIONS.includes(action)) throw new HttpError(400, 'invalid-action');
+    if (!uid) throw new HttpError(400, 'missing-uid');
+
+    const user = await loadTarget(db, actor, decoded.uid, uid);
+    const target = { uid, name: user.displayName || user.email || uid };
+    let auditAction;
+    let details = {};
+
+    if (action === 'deactivate') {
+      if (user.disabled === true) throw new HttpError(409, 'already-deactivated');
+      const reason = typeof payload.reason === 'string' ? payload.reason.trim().slice(0, 200) : '';
+      details = { ...(await deactivateAccount(firebase, uid, { reason: reason || null })), reason: reason || null };
+      auditAction = 'user.deactivated';
+    } else if (action === 'reactivate') {
+      if (user.disabled !== true) throw new HttpError(409, 'not-deactivated');
+      if (user.scimDeleted === true) throw new HttpError(409, 'managed-by-directory');
+      await reactivateAccount(firebase, uid);
+      auditAction = 'user.reactivated';
+    } else {
+      if (user.disabled !== true) throw new HttpError(409, 'not-deactivated');
+      if (await findCoveringLegalHold(db, actor.orgId, uid, user)) throw new HttpError(409, 'user-under-legal-hold');
+      const jobRef = db.collection(PURGE_JOBS_COLLECTION).doc(uid);
+      const existing = await jobRef.get();
+      if (existing.exists && existing.get('status') !== 'failed') throw new HttpError(409, 'purge-in-progress');
+      // The purge runs on document creation, so a failed job is replaced to retry it.
+      if (existing.exists) await jobRef.delete();
+      await jobRef.create({
+        uid,
+        orgId: actor.orgId,
+        status: 'pending',
+        requestedBy: decoded.uid,
+        requestedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      auditAction = 'user.purge_requested';
+    }
+
+    await db.collection('auditLogs').add({
+      orgId: actor.orgId,
+      action: auditAction,
+      actorUid: decoded.uid,
+      actorName: actor.displayName,
+      source: 'web',
+      targetUid: target.uid,
+      targetName: target.name,
+      details,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    res.status(200).json({ ok: true, action, uid });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+    if (error instanceof SyntaxError) {
+      res.status(400).json({ error: 'invalid-json' });
+      return;
+    }
+    if (error?.name === 'JsonWebTokenError') {
+      res.status(401).json({ error: 'invalid-id-token' });
+      return;
+    }
+    console.error('user-lifecycle error', error);
+    res.status(500).json({ error: 'internal-error' });
+  }
+}
@@ -1,4 +1,6 @@
 import { getFirebaseServices } from './_lib/firebaseAdmin.js';
+import { INVITATIONS_COLLECTION, hashInviteToken, invitationProblem, readInviteToken } from './_lib/invitations.js';
+import { orgOf } from './_lib/org.js';
 
 const withCors = (res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -18,26 +20,39 @@ export default async function handler(req, res) {
   }
 
   try {
-    const teamIdRaw = req.query?.teamId;
-    const teamId = Array.isArray(teamIdRaw) ? teamIdRaw[0] : teamIdRaw;
-
-    if (!teamId || typeof teamId !== 'string') {
-      return res.status(400).json({ valid: false, error: 'missing_teamId' });
+    const token = readInviteToken(req.query?.token);
+    if (!token) {
+      return res.status(400).json({ valid: false, error: 'missing_token' });
     }
 
     const { firestore } = getFirebaseServices();
-    const snap = await firestore.collection('teams').doc(teamId).get();
+    const snap = await firestore.collection(INVITATIONS_COLLECTION).doc(hashInviteToken(token)).get();
 
     if (!snap.exists) {
       return res.status(404).json({ valid: false, error: 'invalid_or_expired' });
     }
 
     const data = snap.data() || {};
+    const problem = invitationProblem(data);
+    if (problem) {
+      return res.status(410).json({ valid: false, error: problem });
+    }
+
+    // Only names are returned; the page needs them to tell the invitee what they are joining.
+    const teamIds = Array.isArray(data.teamIds) ? data.teamIds : [];
+    const [orgSnap, ...teamSnaps] = await Promise.all([
+      firestore.collection('organizations').doc(orgOf(data)).get(),
+      ...teamIds.map((teamId) => firestore.collection('teams').doc(teamId).get())
+    ]);
+
     return res.status(200).json({
       valid: true,
-      team: {
-        id: snap.id,
-        name: data.name || ''
+      invitation: {
+        organizationName: orgSnap.exists ? orgSnap.get('name') || '' : '',
+        teams: teamSnaps.filter((t) => t.exists && orgOf(t.data()) === orgOf(data)).map((t) => ({ id: t.id, name: t.get('name') || '' })),
+        roles: Array.isArray(data.roles) ? data.roles : ['agent'],
+        email: data.email || null,
+        expiresAt: data.expiresAt.toDate().toISOString()
       }
     });
   } catch (error) {
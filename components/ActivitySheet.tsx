@@ -387,10 +387,11 @@ export function transformFirestoreWorklog(docData: any): Array<{
     return segments;
 }
 
-import React from 'react';
+import React, { useState } from 'react';
 import { DateTime } from 'luxon';
 import { Timestamp } from 'firebase/firestore';
 import type { WorkLog } from '../types';
+import WorklogRevisionHistory from './WorklogRevisionHistory';
 
 interface Props {
     workLog: WorkLog;
@@ -440,6 +441,8 @@ const formatDuration = (seconds: number): string => {
 
 // Usage: Instead of passing workLog.activities/breaks, use transformFirestoreWorklog(workLog)
 const ActivitySheet: React.FC<{ workLog: any, timezone?: string }> = ({ workLog, timezone }) => {
+    const [showRevisions, setShowRevisions] = useState(false);
+    const revisionLogId = !Array.isArray(workLog) && typeof workLog?.id === 'string' ? workLog.id : null;
     // If workLog is already in the expected format, skip transform
     // Filter out 0-duration Working entries (these can occur during screen_lock → idle transitions)
     const timeline = (Array.isArray(workLog) ? workLog : transformFirestoreWorklog(workLog))
@@ -530,6 +533,22 @@ const ActivitySheet: React.FC<{ workLog: any, timezone?: string }> = ({ workLog,
                     ))}
                 </tbody>
             </table>
+            {revisionLogId && (
+                <div className="mt-4">
+                    <button
+                        type="button"
+                        onClick={() => setShowRevisions((prev) => !prev)}
+                        className="text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                    >
+                        {showRevisions ? 'Hide Revision History' : 'Show Revision History'}
+                    </button>
+                    {showRevisions && (
+                        <div className="mt-3">
+                            <WorklogRevisionHistory logId={revisionLogId} timezone={timezone} />
+                        </div>
+                    )}
+                </div>
+            )}
         </div>
     );
 };
@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { DateTime } from 'luxon';
+import { getWorkLogsForDateRange, getScheduleForRange, getTeamById, streamMemberSettings } from '../services/db';
+import { getHolidaysInRange } from '../services/holidays';
+import { computeAdherence, summarizeTeamAdherence, ADHERENCE_STATES } from '../utils/adherence';
+import type { AdherenceAgentSummary, AdherenceState } from '../utils/adherence';
+import { BREAK_VIOLATION_LABELS } from '../utils/breakPolicy';
+import type { AdminSettingsType, UserData } from '../types';
+
+interface Props {
+    teamId: string;
+    users: UserData[];
+}
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const STATE_LABELS: Record<AdherenceState, string> = {
+    working: 'Working',
+    break: 'Break',
+    idle: 'Idle',
+    absent: 'Absent'
+};
+
+const STATE_STYLES: Record<AdherenceState, string> = {
+    working: 'bg-green-500',
+    break: 'bg-amber-400',
+    idle: 'bg-orange-600',
+    absent: 'bg-red-500'
+};
+
+const percentStyle = (value: number) => (
+    value >= 90 ? 'text-green-600 dark:text-green-400' : value >= 75 ? 'text-amber-600 dark:text-amber-400' : 'text-red-600 dark:text-red-400'
+);
+
+const formatHours = (seconds: number) => (seconds / 3600).toFixed(2);
+
+const AdherenceReport: React.FC<Props> = ({ teamId, users }) => {
+    const [settings, setSettings] = useState<AdminSettingsType | null>(null);
+    const timezone = settings?.organizationTimezone || DEFAULT_TIMEZONE;
+    const today = DateTime.now().setZone(timezone).toISODate() as string;
+    const [startDate, setStartDate] = useState(DateTime.now().minus({ days: 6 }).toISODate() as string);
+    const [endDate, setEndDate] = useState(today);
+    const [intervalMinutes, setIntervalMinutes] = useState(30);
+    const [summaries, setSummaries] = useState<AdherenceAgentSummary[] | null>(null);
+    const [selectedUserId, setSelectedUserId] = useState<string | null>(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        const unsubscribe = streamMemberSettings(setSettings);
+        return () => unsubscribe?.();
+    }, []);
+
+    useEffect(() => {
+        setSummaries(null);
+        setSelectedUserId(null);
+    }, [teamId, startDate, endDate, intervalMinutes]);
+
+    const userNames = useMemo(() => new Map(users.map((u) => [u.uid, u.displayName])), [users]);
+
+    const handleRun = async () => {
+        const start = DateTime.fromISO(startDate, { zone: timezone }).startOf('day');
+        const end = DateTime.fromISO(endDate, { zone: timezone }).endOf('day');
+        if (!start.isValid || !end.isValid || start > end) {
+            setError("Start date cannot be after end date.");
+            return;
+        }
+        setLoading(true);
+        setError(null);
+        try {
+            // Overnight shifts on the last day can run into the next morning.
+            const [logs, schedule, holidays, teamDoc] = await Promise.all([
+                getWorkLogsForDateRange(teamId, start.toJSDate(), end.plus({ days: 1 }).toJSDate()),
+                getScheduleForRange(teamId, startDate, endDate),
+                getHolidaysInRange(startDate, endDate),
+                getTeamById(teamId)
+            ]);
+            setSummaries(computeAdherence(logs, schedule, {
+                timezone,
+                periodStart: startDate,
+                periodEnd: endDate,
+                intervalMinutes,
+                breakAllowanceMinutes: settings?.manualBreakTimeoutMinutes,
+                breakPolicy: teamDoc?.settings?.breakPolicy,
+                holidayDates: holidays.map((h) => h.date)
+            }, userNames));
+        } catch (err) {
+            console.error(err);
+            setError("Failed to compute adherence.");
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const team = summaries ? summarizeTeamAdherence(summaries) : null;
+    const selected = summaries?.find((s) => s.userId === selectedUserId) || null;
+
+    return (
+        <div className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Schedule Adherence</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+                Adherence is the share of scheduled time spent working. Conformance compares all time worked on the shift date with scheduled time. Breaks longer than the team break policy limit (or the manual break timeout) count as late returns, and breaks that break the policy are flagged.
+            </p>
+            {error && <p className="text-sm text-red-500 mb-4">{error}</p>}
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <div>
+                    <label htmlFor="adherence-start" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Start Date</label>
+                    <input
+                        type="date"
+                        id="adherence-start"
+                        value={startDate}
+                        max={today}
+                        onChange={(e) => setStartDate(e.target.value)}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg block p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="adherence-end" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">End Date</label>
+                    <input
+                        type="date"
+                        id="adherence-end"
+                        value={endDate}
+                        max={today}
+                        onChange={(e) => setEndDate(e.target.value)}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg block p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="adherence-interval" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Interval</label>
+                    <select
+                        id="adherence-interval"
+                        value={intervalMinutes}
+                        onChange={(e) => setIntervalMinutes(Number(e.target.value))}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg block p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    >
+                        <option value={15}>15 minutes</option>
+                        <option value={30}>30 minutes</option>
+                        <option value={60}>60 minutes</option>
+                    </select>
+                </div>
+                <button
+                    onClick={handleRun}
+                    disabled={loading}
+                    className="text-white bg-blue-600 hover:bg-blue-700 font-medium rounded-lg text-sm px-5 py-2.5 disabled:opacity-50"
+                >
+                    {loading ? 'Calculating...' : 'Calculate'}
+                </button>
+            </div>
+
+            {team && (
+                <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4 text-sm">
+                    <div className="p-3 rounded-lg bg-white dark:bg-gray-800">
+                        <div className="text-xs text-gray-500 dark:text-gray-400">Team adherence</div>
+                        <div className={`text-xl font-semibold ${percentStyle(team.adherencePercent)}`}>{team.adherencePercent}%</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-white dark:bg-gray-800">
+                        <div className="text-xs text-gray-500 dark:text-gray-400">Team conformance</div>
+                        <div className={`text-xl font-semibold ${percentStyle(team.conformancePercent)}`}>{team.conformancePercent}%</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-white dark:bg-gray-800">
+                        <div className="text-xs text-gray-500 dark:text-gray-400">Late starts</div>
+                        <div className="text-xl font-semibold text-gray-900 dark:text-white">{team.lateStartMinutes} min</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-white dark:bg-gray-800">
+                        <div className="text-xs text-gray-500 dark:text-gray-400">Early leaves</div>
+                        <div className="text-xl font-semibold text-gray-900 dark:text-white">{team.earlyLeaveMinutes} min</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-white dark:bg-gray-800">
+                        <div className="text-xs text-gray-500 dark:text-gray-400">Late returns</div>
+                        <div className="text-xl font-semibold text-gray-900 dark:text-white">{team.lateReturnMinutes} min</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-white dark:bg-gray-800">
+                        <div className="text-xs text-gray-500 dark:text-gray-400">Break violations</div>
+                        <div className={`text-xl font-semibold ${team.breakViolations > 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white'}`}>{team.breakViolations}</div>
+                    </div>
+                </div>
+            )}
+
+            {summaries && (
+                summaries.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No scheduled shifts in this range.</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm text-left text-gray-600 dark:text-gray-300">
+                            <thead className="text-xs uppercase bg-gray-200 dark:bg-gray-700">
+                                <tr>
+                                    <th className="px-3 py-2">Agent</th>
+                                    <th className="px-3 py-2">Shifts</th>
+                                    <th className="px-3 py-2">Scheduled (h)</th>
+                                    <th className="px-3 py-2">Worked (h)</th>
+                                    <th className="px-3 py-2">Adherence</th>
+                                    <th className="px-3 py-2">Conformance</th>
+                                    <th className="px-3 py-2">Late Start (min)</th>
+                                    <th className="px-3 py-2">Early Leave (min)</th>
+                                    <th className="px-3 py-2">Late Return (min)</th>
+                                    <th className="px-3 py-2">Break Violations</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {summaries.map((s) => (
+                                    <tr
+                                        key={s.userId}
+                                        onClick={() => setSelectedUserId(s.userId === selectedUserId ? null : s.userId)}
+                                        className={`border-b dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800 ${s.userId === selectedUserId ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}
+                                    >
+                                        <td className="px-3 py-2 font-medium text-gray-900 dark:text-white">{s.userDisplayName}</td>
+                                        <td className="px-3 py-2">{s.shifts}</td>
+                                        <td className="px-3 py-2">{formatHours(s.scheduledSeconds)}</td>
+                                        <td className="px-3 py-2">{formatHours(s.workedSeconds)}</td>
+                                        <td className={`px-3 py-2 font-semibold ${percentStyle(s.adherencePercent)}`}>{s.adherencePercent}%</td>
+                                        <td className={`px-3 py-2 font-semibold ${percentStyle(s.conformancePercent)}`}>{s.conformancePercent}%</td>
+                                        <td className="px-3 py-2">{s.lateStartMinutes}</td>
+                                        <td className="px-3 py-2">{s.earlyLeaveMinutes}</td>
+                                        <td className="px-3 py-2">{s.lateReturnMinutes}</td>
+                                        <td className={`px-3 py-2 ${s.breakViolations > 0 ? 'font-semibold text-red-600 dark:text-red-400' : ''}`}>{s.breakViolations}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )
+            )}
+
+            {selected && (
+                <div className="mt-4 p-3 rounded-lg bg-white dark:bg-gray-800">
+                    <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                        <h4 className="text-sm font-semibold text-gray-900 dark:text-white">{selected.userDisplayName} · by shift</h4>
+                        <div className="flex flex-wrap gap-3 text-xs text-gray-600 dark:text-gray-300">
+                            {ADHERENCE_STATES.map((state) => (
+                                <span key={state} className="flex items-center gap-1">
+                                    <span className={`inline-block w-3 h-3 rounded-sm ${STATE_STYLES[state]}`} /> {STATE_LABELS[state]}
+                                </span>
+                            ))}
+                        </div>
+                    </div>
+                    <ul className="space-y-3">
+                        {selected.days.map((day) => (
+                            <li key={day.date} className="text-xs text-gray-600 dark:text-gray-300">
+                                <div className="flex flex-wrap gap-x-4 gap-y-1 mb-1">
+                                    <span className="font-medium text-gray-900 dark:text-white">{day.date}</span>
+                                    <span className="font-mono">{day.scheduledStart}–{day.scheduledEnd}</span>
+                                    <span className={percentStyle(day.adherencePercent)}>Adherence {day.adherencePercent}%</span>
+                                    <span className={percentStyle(day.conformancePercent)}>Conformance {day.conformancePercent}%</span>
+                                    {day.lateStartMinutes > 0 && <span>Late start {day.lateStartMinutes} min</span>}
+                                    {day.earlyLeaveMinutes > 0 && <span>Early leave {day.earlyLeaveMinutes} min</span>}
+                                    {day.lateReturnMinutes > 0 && <span>Late return {day.lateReturnMinutes} min</span>}
+                                </div>
+                                {day.breakViolations.length > 0 && (
+                                    <ul className="mb-1 text-red-600 dark:text-red-400">
+                                        {day.breakViolations.map((v, index) => (
+                                            <li key={`${v.startTime}-${v.kind}-${index}`}>
+                                                {DateTime.fromMillis(v.startTime).setZone(timezone).toFormat('HH:mm')} · {BREAK_VIOLATION_LABELS[v.kind]}: {v.message}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                                <div className="flex h-4 rounded overflow-hidden">
+                                    {day.intervals.map((interval) => {
+                                        const label = DateTime.fromMillis(interval.start).setZone(timezone).toFormat('HH:mm');
+                                        const detail = ADHERENCE_STATES
+                                            .filter((state) => interval.seconds[state] > 0)
+                                            .map((state) => `${STATE_LABELS[state]} ${Math.round(interval.seconds[state] / 60)}m`)
+                                            .join(', ');
+                                        return (
+                                            <div
+                                                key={interval.start}
+                                                title={`${label} · ${interval.adherencePercent}% · ${detail}`}
+                                                className={`flex-1 border-r border-white/40 dark:border-gray-900/40 ${STATE_STYLES[interval.state]}`}
+                                            />
+                                        );
+                                    })}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AdherenceReport;
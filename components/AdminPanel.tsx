@@ -2,19 +2,32 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { createTeam, streamTeamsForAdmin, streamRecentAppAlerts } from '../services/db';
-import type { Team, AppAlert } from '../types';
+import { streamOrganization } from '../services/organizations';
+import { DEFAULT_ORG_ID } from '../services/orgContext';
+import type { Team, AppAlert, Organization } from '../types';
 import Spinner from './Spinner';
 import UserManagementTable from './UserManagementTable';
 import LiveMonitoringDashboard from './LiveMonitoringDashboard';
 import TeamStatusView from './TeamStatusView';
 import SchedulingPanel from './SchedulingPanel';
+import HolidayCalendar from './HolidayCalendar';
+import BreakPolicyEditor from './BreakPolicyEditor';
 import ReportsPanel from './ReportsPanel';
 import AdminSettings from './AdminSettings';
+import SettingsOverridesPanel from './SettingsOverridesPanel';
+import AuditLogViewer from './AuditLogViewer';
+import RecordingPlayback from './RecordingPlayback';
+import RecordingEncryptionSettings from './RecordingEncryptionSettings';
+import RecordingRetentionSettings from './RecordingRetentionSettings';
+import InvitationManager from './InvitationManager';
+import SsoSettings from './SsoSettings';
+import RoleManager from './RoleManager';
 import AppTrackingReport from './AppTrackingReport';
 import AppAlertToast from './AppAlertToast';
 
 const AdminPanel: React.FC = () => {
-    const { user } = useAuth();
+    const { user, userData } = useAuth();
+    const [organization, setOrganization] = useState<Organization | null>(null);
     const [teams, setTeams] = useState<Team[]>([]);
     const [newTeamName, setNewTeamName] = useState('');
     const [loading, setLoading] = useState(true);
@@ -22,10 +35,13 @@ const AdminPanel: React.FC = () => {
     const [activeTab, setActiveTab] = useState('users');
     const [selectedTeamIdForSchedule, setSelectedTeamIdForSchedule] = useState('');
     const [selectedTeamIdForReports, setSelectedTeamIdForReports] = useState('');
+    const [breakPolicyTeamId, setBreakPolicyTeamId] = useState<string | null>(null);
     const [alertQueue, setAlertQueue] = useState<AppAlert[]>([]);
     const sessionStart = useRef(Date.now());
     const dismissAlert = useCallback((id: string) => setAlertQueue(q => q.filter(a => a.id !== id)), []);
 
+    useEffect(() => streamOrganization(userData?.orgId || DEFAULT_ORG_ID, setOrganization), [userData?.orgId]);
+
     // Subscribe to real-time red flag alerts
     useEffect(() => {
         const unsub = streamRecentAppAlerts((alerts) => {
@@ -77,16 +93,6 @@ const AdminPanel: React.FC = () => {
         }
     };
 
-    const handleCopyToClipboard = (teamId: string) => {
-        const inviteLink = `${window.location.origin}${window.location.pathname}#/invite/${teamId}`;
-        navigator.clipboard.writeText(inviteLink).then(() => {
-            alert('Invite link copied to clipboard!');
-        }, (err) => {
-            console.error('Could not copy text: ', err);
-            alert('Failed to copy link.');
-        });
-    };
-
     const TabButton = ({ tabName, title }: { tabName: string, title: string }) => (
         <button
             onClick={() => setActiveTab(tabName)}
@@ -99,7 +105,10 @@ const AdminPanel: React.FC = () => {
     return (
         <div>
             <AppAlertToast alerts={alertQueue} onDismiss={dismissAlert} />
-            <h2 className="text-2xl font-semibold text-gray-800 dark:text-gray-200 mb-4">Admin Controls</h2>
+            <h2 className="text-2xl font-semibold text-gray-800 dark:text-gray-200 mb-4">
+                Admin Controls
+                {organization?.name && <span className="ml-2 text-base font-normal text-gray-500 dark:text-gray-400">{organization.name}</span>}
+            </h2>
 
             <TeamStatusView canControlRecording={true} />
 
@@ -107,11 +116,20 @@ const AdminPanel: React.FC = () => {
                 <nav className="flex flex-wrap gap-2" aria-label="Tabs">
                     <TabButton tabName="users" title="User Management" />
                     <TabButton tabName="teams" title="Team Management" />
+                    <TabButton tabName="invites" title="Invitations" />
+                    <TabButton tabName="roles" title="Roles & Permissions" />
+                    <TabButton tabName="sso" title="Single Sign-On" />
                     <TabButton tabName="scheduling" title="Scheduling" />
+                    <TabButton tabName="holidays" title="Holidays" />
                     <TabButton tabName="reports" title="Reports" />
                     <TabButton tabName="appSettings" title="Application Settings" />
+                    <TabButton tabName="overrides" title="Settings Overrides" />
                     <TabButton tabName="monitoring" title="Detailed Monitoring" />
+                    <TabButton tabName="playback" title="Recording Playback" />
+                    <TabButton tabName="encryption" title="Recording Encryption" />
+                    <TabButton tabName="retention" title="Recording Retention" />
                     <TabButton tabName="appTracking" title="App Tracking" />
+                    <TabButton tabName="audit" title="Audit Log" />
                 </nav>
             </div>
 
@@ -120,6 +138,12 @@ const AdminPanel: React.FC = () => {
             <div id="tab-content">
                 {activeTab === 'monitoring' && <LiveMonitoringDashboard />}
 
+                {activeTab === 'playback' && <RecordingPlayback />}
+
+                {activeTab === 'encryption' && <RecordingEncryptionSettings />}
+
+                {activeTab === 'retention' && <RecordingRetentionSettings />}
+
                 {activeTab === 'users' && <UserManagementTable />}
 
                 {activeTab === 'teams' && (
@@ -146,11 +170,21 @@ const AdminPanel: React.FC = () => {
                             {loading ? <Spinner /> : (
                                 <div className="space-y-3">
                                     {teams.length > 0 ? teams.map(team => (
-                                        <div key={team.id} className="p-4 bg-white dark:bg-gray-800/50 rounded-lg shadow-sm border dark:border-gray-700 flex flex-col sm:flex-row justify-between sm:items-center gap-3">
-                                            <p className="font-semibold text-gray-800 dark:text-gray-200">{team.name}</p>
-                                            <button onClick={() => handleCopyToClipboard(team.id)} className="text-sm font-medium text-blue-600 hover:underline dark:text-blue-500 whitespace-nowrap">
-                                                Copy Invite Link
-                                            </button>
+                                        <div key={team.id} className="space-y-2">
+                                            <div className="p-4 bg-white dark:bg-gray-800/50 rounded-lg shadow-sm border dark:border-gray-700 flex flex-col sm:flex-row justify-between sm:items-center gap-3">
+                                                <p className="font-semibold text-gray-800 dark:text-gray-200">{team.name}</p>
+                                                <div className="flex gap-4">
+                                                    <button onClick={() => setBreakPolicyTeamId(breakPolicyTeamId === team.id ? null : team.id)} className="text-sm font-medium text-blue-600 hover:underline dark:text-blue-500 whitespace-nowrap">
+                                                        Break Policy
+                                                    </button>
+                                                    <button onClick={() => setActiveTab('invites')} className="text-sm font-medium text-blue-600 hover:underline dark:text-blue-500 whitespace-nowrap">
+                                                        Invite Members
+                                                    </button>
+                                                </div>
+                                            </div>
+                                            {breakPolicyTeamId === team.id && (
+                                                <BreakPolicyEditor key={team.id} team={team} onClose={() => setBreakPolicyTeamId(null)} />
+                                            )}
                                         </div>
                                     )) : (
                                         <p className="text-gray-500 dark:text-gray-400">No teams found yet.</p>
@@ -161,6 +195,12 @@ const AdminPanel: React.FC = () => {
                     </div>
                 )}
 
+                {activeTab === 'invites' && <InvitationManager teams={teams} />}
+
+                {activeTab === 'roles' && <RoleManager />}
+
+                {activeTab === 'sso' && <SsoSettings teams={teams} />}
+
                 {activeTab === 'scheduling' && (
                     <div>
                         {teams.length > 0 ? (
@@ -186,6 +226,8 @@ const AdminPanel: React.FC = () => {
                     </div>
                 )}
 
+                {activeTab === 'holidays' && <HolidayCalendar />}
+
                 {activeTab === 'reports' && (
                     <div>
                         {teams.length > 0 ? (
@@ -213,8 +255,12 @@ const AdminPanel: React.FC = () => {
 
                 {activeTab === 'appSettings' && <AdminSettings />}
 
+                {activeTab === 'overrides' && <SettingsOverridesPanel teams={teams} />}
+
                 {activeTab === 'appTracking' && <AppTrackingReport />}
 
+                {activeTab === 'audit' && <AuditLogViewer />}
+
             </div>
         </div>
     );
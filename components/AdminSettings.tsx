@@ -1,8 +1,12 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
 import { streamGlobalAdminSettings, updateGlobalAdminSettings } from '../services/db';
-import type { AdminSettingsType } from '../types';
+import type { AdminSettingsType, BreakReason, LeavePolicy, PayrollRules } from '../types';
+import { resolvePayrollRules } from '../utils/payroll';
+import { LEAVE_TYPE_LABELS, resolveLeavePolicy } from '../utils/leave';
+import { resolveBreakReasons, toBreakReasonCode } from '../utils/breakReasons';
 import Spinner from './Spinner';
+import AdminSettingsHistory from './AdminSettingsHistory';
 import { useAuth } from '../hooks/useAuth';
 
 const resolveDropboxSessionEndpoint = () => {
@@ -121,6 +125,8 @@ const AdminSettings: React.FC = () => {
     const [showDropboxChecklist, setShowDropboxChecklist] = useState(false);
     const [showGoogleSheetsChecklist, setShowGoogleSheetsChecklist] = useState(false);
     const [desktopDebugMachinesText, setDesktopDebugMachinesText] = useState('');
+    const [newBreakReasonLabel, setNewBreakReasonLabel] = useState('');
+    const [breakReasonError, setBreakReasonError] = useState<string | null>(null);
     const dropboxSessionEndpoint = useMemo(() => resolveDropboxSessionEndpoint(), []);
     const dropboxCallbackHint = useMemo(() => {
         if (typeof window !== 'undefined' && window.location) {
@@ -170,6 +176,47 @@ const AdminSettings: React.FC = () => {
         setSettings((prev: AdminSettingsType) => ({ ...prev, [name]: finalValue }));
     };
 
+    const payrollRules = resolvePayrollRules(settings.payrollRules);
+
+    const updatePayrollRule = <K extends keyof PayrollRules>(key: K, value: PayrollRules[K]) => {
+        setSettings((prev: AdminSettingsType) => ({
+            ...prev,
+            payrollRules: { ...resolvePayrollRules(prev.payrollRules), [key]: value }
+        }));
+    };
+
+    const leavePolicy = resolveLeavePolicy(settings.leavePolicy);
+
+    const updateLeaveAllowance = (key: keyof LeavePolicy, value: number) => {
+        setSettings((prev: AdminSettingsType) => ({
+            ...prev,
+            leavePolicy: { ...resolveLeavePolicy(prev.leavePolicy), [key]: value }
+        }));
+    };
+
+    const breakReasons = resolveBreakReasons(settings.breakReasons);
+
+    const setBreakReasons = (next: BreakReason[]) => {
+        setSettings((prev: AdminSettingsType) => ({ ...prev, breakReasons: next }));
+    };
+
+    // Codes are fixed when a reason is added so renaming a label keeps past breaks grouped under it.
+    const addBreakReason = () => {
+        const label = newBreakReasonLabel.trim();
+        const code = toBreakReasonCode(label);
+        if (!code) {
+            setBreakReasonError('Enter a reason name.');
+            return;
+        }
+        if (breakReasons.some((r) => r.code === code)) {
+            setBreakReasonError(`"${label}" already exists.`);
+            return;
+        }
+        setBreakReasons([...breakReasons, { code, label }]);
+        setNewBreakReasonLabel('');
+        setBreakReasonError(null);
+    };
+
     const handleSave = async (e: React.FormEvent) => {
         e.preventDefault();
         setSaving(true);
@@ -179,11 +226,19 @@ const AdminSettings: React.FC = () => {
             const normalizedDesktopDebugMachines = parseDesktopDebugMachines(desktopDebugMachinesText);
             const payload: AdminSettingsType = {
                 ...settings,
-                desktopDebugMachines: normalizedDesktopDebugMachines
+                desktopDebugMachines: normalizedDesktopDebugMachines,
+                payrollRules: resolvePayrollRules(settings.payrollRules),
+                leavePolicy: resolveLeavePolicy(settings.leavePolicy),
+                breakReasons: breakReasons
+                    .map((r) => ({ code: r.code, label: r.label.trim() || r.code }))
             };
-            await updateGlobalAdminSettings(payload);
+            if (!currentUser) throw new Error('not-signed-in');
+            const version = await updateGlobalAdminSettings(payload, {
+                uid: currentUser.uid,
+                displayName: currentUser.displayName || currentUser.email
+            });
             setSettings(payload);
-            setSuccess('Settings saved successfully!');
+            setSuccess(version ? `Settings saved as version ${version}.` : 'No changes to save.');
             setTimeout(() => setSuccess(null), 3000);
         } catch (err) {
             setError('Failed to save settings. Please try again.');
@@ -322,6 +377,21 @@ const AdminSettings: React.FC = () => {
                     />
                 </FormField>
 
+                <FormField
+                    label="Recording Retention Days"
+                    description="Delete recordings from Dropbox, Google Drive and the HTTP receiver once they are older than N days (for example 30, 90 or 365). Set to 0 to keep them forever. Teams can override this under Settings Overrides; legal holds are managed under Recording Retention."
+                >
+                    <input
+                        type="number"
+                        name="recordingRetentionDays"
+                        min={0}
+                        max={3650}
+                        value={settings.recordingRetentionDays ?? 0}
+                        onChange={handleInputChange}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full max-w-xs p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
+                    />
+                </FormField>
+
                 <FormField
                     label="Desktop Debug Machines"
                     description="Enable desktop debug/devtools only for selected machine names (comma or new line separated)."
@@ -879,6 +949,180 @@ const AdminSettings: React.FC = () => {
                     </div>
                 </FormField>
 
+                <SectionHeading
+                    title="Payroll Rules"
+                    description="Used by the payroll export in Reports. Times are evaluated in the organization timezone."
+                />
+
+                <FormField label="Daily Overtime After (hours)" description="Hours worked on a single shift date beyond this count as overtime. Set to 0 to disable.">
+                    <input
+                        type="number"
+                        min="0"
+                        step="0.25"
+                        value={payrollRules.dailyOvertimeThresholdHours}
+                        onChange={(e) => updatePayrollRule('dailyOvertimeThresholdHours', parseFloat(e.target.value) || 0)}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full max-w-xs p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
+                    />
+                </FormField>
+
+                <FormField label="Weekly Overtime After (hours)" description="Straight-time hours in a Monday–Sunday week beyond this count as overtime. Set to 0 to disable.">
+                    <input
+                        type="number"
+                        min="0"
+                        step="0.25"
+                        value={payrollRules.weeklyOvertimeThresholdHours}
+                        onChange={(e) => updatePayrollRule('weeklyOvertimeThresholdHours', parseFloat(e.target.value) || 0)}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full max-w-xs p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
+                    />
+                </FormField>
+
+                <FormField label="Overtime Multiplier" description="Pay multiplier applied to daily and weekly overtime hours.">
+                    <input
+                        type="number"
+                        min="1"
+                        step="0.05"
+                        value={payrollRules.overtimeMultiplier}
+                        onChange={(e) => updatePayrollRule('overtimeMultiplier', parseFloat(e.target.value) || 1)}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full max-w-xs p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
+                    />
+                </FormField>
+
+                <FormField label="Night Differential" description="Apply a multiplier to hours worked inside the night window.">
+                    <ToggleSwitch
+                        id="payrollNightDifferentialEnabled"
+                        checked={payrollRules.nightDifferentialEnabled}
+                        onChange={(e) => updatePayrollRule('nightDifferentialEnabled', e.target.checked)}
+                    />
+                </FormField>
+
+                {payrollRules.nightDifferentialEnabled && (
+                    <FormField label="Night Window & Multiplier" description="The window may wrap past midnight (e.g. 22:00 → 06:00).">
+                        <div className="flex flex-wrap items-center gap-3">
+                            <input
+                                type="time"
+                                value={payrollRules.nightStart}
+                                onChange={(e) => updatePayrollRule('nightStart', e.target.value)}
+                                className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                            />
+                            <span className="text-gray-500 dark:text-gray-400">to</span>
+                            <input
+                                type="time"
+                                value={payrollRules.nightEnd}
+                                onChange={(e) => updatePayrollRule('nightEnd', e.target.value)}
+                                className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                            />
+                            <input
+                                type="number"
+                                min="1"
+                                step="0.05"
+                                value={payrollRules.nightMultiplier}
+                                onChange={(e) => updatePayrollRule('nightMultiplier', parseFloat(e.target.value) || 1)}
+                                className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg p-2.5 w-24 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                            />
+                        </div>
+                    </FormField>
+                )}
+
+                <FormField label="Holiday Multiplier" description="Pay multiplier for hours worked on dates in the holiday calendar.">
+                    <input
+                        type="number"
+                        min="1"
+                        step="0.05"
+                        value={payrollRules.holidayMultiplier}
+                        onChange={(e) => updatePayrollRule('holidayMultiplier', parseFloat(e.target.value) || 1)}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full max-w-xs p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
+                    />
+                </FormField>
+
+                <FormField label="Punch Rounding" description="Round clock-in and clock-out times to the nearest N minutes before calculating pay. Set to 0 to disable.">
+                    <div className="flex flex-wrap items-center gap-3">
+                        <input
+                            type="number"
+                            min="0"
+                            max="60"
+                            value={payrollRules.roundingMinutes}
+                            onChange={(e) => updatePayrollRule('roundingMinutes', parseInt(e.target.value, 10) || 0)}
+                            className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg p-2.5 w-24 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                        />
+                        <select
+                            value={payrollRules.roundingMode}
+                            onChange={(e) => updatePayrollRule('roundingMode', e.target.value as PayrollRules['roundingMode'])}
+                            className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                        >
+                            <option value="nearest">Nearest</option>
+                            <option value="up">Always up</option>
+                            <option value="down">Always down</option>
+                        </select>
+                    </div>
+                </FormField>
+
+                <SectionHeading
+                    title="Leave Policy"
+                    description="Yearly allowance per agent. Allowances accrue in equal monthly steps from January; unpaid leave is unlimited."
+                />
+
+                {(Object.keys(leavePolicy) as Array<keyof LeavePolicy>).map((key) => (
+                    <FormField key={key} label={`${LEAVE_TYPE_LABELS[key]} Leave`} description="Days granted per calendar year.">
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            value={leavePolicy[key]}
+                            onChange={(e) => updateLeaveAllowance(key, Math.max(0, parseFloat(e.target.value) || 0))}
+                            className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full max-w-xs p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
+                        />
+                    </FormField>
+                ))}
+
+                <SectionHeading
+                    title="Break Reasons"
+                    description="Agents pick one of these when starting a break from the web app or the desktop tray. Reports show break time per reason. Remove every reason to stop asking."
+                />
+
+                <FormField label="Reasons" description="Renaming a reason keeps its history; removing it leaves past breaks under the old code.">
+                    <div className="space-y-2 max-w-md">
+                        {breakReasons.map((reason) => (
+                            <div key={reason.code} className="flex items-center gap-2">
+                                <input
+                                    type="text"
+                                    value={reason.label}
+                                    onChange={(e) => setBreakReasons(breakReasons.map((r) => (r.code === reason.code ? { ...r, label: e.target.value } : r)))}
+                                    className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg p-2.5 flex-1 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                />
+                                <span className="text-xs font-mono text-gray-400 w-24 truncate" title={reason.code}>{reason.code}</span>
+                                <button
+                                    type="button"
+                                    onClick={() => setBreakReasons(breakReasons.filter((r) => r.code !== reason.code))}
+                                    className="text-sm text-red-600 dark:text-red-400 hover:underline"
+                                >
+                                    Remove
+                                </button>
+                            </div>
+                        ))}
+                        {breakReasons.length === 0 && (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">No reasons — agents start breaks without picking one.</p>
+                        )}
+                        <div className="flex items-center gap-2">
+                            <input
+                                type="text"
+                                value={newBreakReasonLabel}
+                                placeholder="e.g. Team Huddle"
+                                onChange={(e) => { setNewBreakReasonLabel(e.target.value); setBreakReasonError(null); }}
+                                onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addBreakReason(); } }}
+                                className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg p-2.5 flex-1 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
+                            />
+                            <button
+                                type="button"
+                                onClick={addBreakReason}
+                                className="px-3 py-2 text-sm font-medium rounded-lg bg-white border border-gray-300 hover:bg-gray-100 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                            >
+                                Add Reason
+                            </button>
+                        </div>
+                        {breakReasonError && <p className="text-sm text-red-500">{breakReasonError}</p>}
+                    </div>
+                </FormField>
+
                 <div className="mt-8 flex items-center gap-4">
                     <button type="submit" disabled={saving} className="text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:outline-none focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center dark:bg-blue-600 dark:hover:bg-blue-700 dark:focus:ring-blue-800 disabled:opacity-50">
                         {saving ? 'Saving...' : 'Save Settings'}
@@ -886,6 +1130,8 @@ const AdminSettings: React.FC = () => {
                     {success && <p className="text-sm text-green-600 dark:text-green-400">{success}</p>}
                 </div>
             </form>
+
+            <AdminSettingsHistory />
         </div>
     );
 };
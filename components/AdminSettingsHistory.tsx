@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from 'react';
+import { rollbackAdminSettings, streamAdminSettingsHistory } from '../services/db';
+import { useAuth } from '../hooks/useAuth';
+import { formatChangeValue } from '../utils/settingsHistory';
+import { normalizeDate } from '../utils/worklogTotals';
+import type { AdminSettingsVersion } from '../types';
+
+const ROLLBACK_ERROR_MESSAGES: Record<string, string> = {
+    'version-not-found': 'That version no longer exists.',
+    'already-current': 'The current settings already match that version.'
+};
+
+const formatWhen = (value: any) => normalizeDate(value)?.toLocaleString() || 'Just now';
+
+const AdminSettingsHistory: React.FC = () => {
+    const { currentUser } = useAuth();
+    const [versions, setVersions] = useState<AdminSettingsVersion[]>([]);
+    const [expandedId, setExpandedId] = useState<string | null>(null);
+    const [rollingBackId, setRollingBackId] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [success, setSuccess] = useState<string | null>(null);
+
+    useEffect(() => streamAdminSettingsHistory(setVersions), []);
+
+    const latestVersion = versions[0]?.version ?? null;
+
+    const handleRollback = async (target: AdminSettingsVersion) => {
+        if (!currentUser) return;
+        if (!window.confirm(`Restore settings from version ${target.version}? This is saved as a new version and reaches desktops on their next settings sync.`)) return;
+        setRollingBackId(target.id);
+        setError(null);
+        setSuccess(null);
+        try {
+            const version = await rollbackAdminSettings(target.id, {
+                uid: currentUser.uid,
+                displayName: currentUser.displayName || currentUser.email
+            });
+            setSuccess(`Restored version ${target.version} as version ${version}.`);
+        } catch (err) {
+            console.error('[AdminSettingsHistory] rollback failed', err);
+            setError(ROLLBACK_ERROR_MESSAGES[(err as Error).message] || 'Failed to roll back settings.');
+        } finally {
+            setRollingBackId(null);
+        }
+    };
+
+    return (
+        <div className="mt-10">
+            <h4 className="text-base font-semibold text-gray-900 dark:text-white">Change History</h4>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1 mb-4">
+                Every save is kept as a version. Rolling back keeps the current Dropbox connection tokens.
+            </p>
+            {error && <p className="text-sm text-red-500 mb-3">{error}</p>}
+            {success && <p className="text-sm text-green-600 dark:text-green-400 mb-3">{success}</p>}
+
+            {versions.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No saved versions yet.</p>
+            ) : (
+                <div className="space-y-2">
+                    {versions.map((entry) => (
+                        <div key={entry.id} className="p-3 bg-white dark:bg-gray-800 rounded-lg border dark:border-gray-700">
+                            <div className="flex flex-wrap items-center justify-between gap-2">
+                                <div className="text-sm text-gray-800 dark:text-gray-200">
+                                    <span className="font-semibold">v{entry.version}</span>
+                                    {entry.version === latestVersion && (
+                                        <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">Current</span>
+                                    )}
+                                    <span className="ml-2 text-gray-500 dark:text-gray-400">
+                                        {entry.authorName} · {formatWhen(entry.createdAt)} · {entry.changes.length} change{entry.changes.length === 1 ? '' : 's'}
+                                        {entry.rollbackOf ? ` · rollback to v${entry.rollbackOf}` : ''}
+                                    </span>
+                                </div>
+                                <div className="flex gap-3">
+                                    <button
+                                        type="button"
+                                        onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                                        className="text-sm font-medium text-blue-600 hover:underline dark:text-blue-500"
+                                    >
+                                        {expandedId === entry.id ? 'Hide Changes' : 'Show Changes'}
+                                    </button>
+                                    {entry.version !== latestVersion && (
+                                        <button
+                                            type="button"
+                                            onClick={() => handleRollback(entry)}
+                                            disabled={rollingBackId !== null}
+                                            className="text-sm font-medium text-amber-600 hover:underline dark:text-amber-400 disabled:opacity-50"
+                                        >
+                                            {rollingBackId === entry.id ? 'Restoring...' : 'Roll Back'}
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                            {expandedId === entry.id && (
+                                <table className="mt-3 w-full text-xs text-left text-gray-600 dark:text-gray-300">
+                                    <thead className="uppercase bg-gray-100 dark:bg-gray-700">
+                                        <tr>
+                                            <th className="px-2 py-1">Field</th>
+                                            <th className="px-2 py-1">Before</th>
+                                            <th className="px-2 py-1">After</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {entry.changes.map((change) => (
+                                            <tr key={change.field} className="border-b dark:border-gray-700">
+                                                <td className="px-2 py-1 font-mono">{change.field}</td>
+                                                <td className="px-2 py-1 text-red-600 dark:text-red-400 break-all">{formatChangeValue(change.field, change.before)}</td>
+                                                <td className="px-2 py-1 text-green-700 dark:text-green-400 break-all">{formatChangeValue(change.field, change.after)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AdminSettingsHistory;
@@ -2,7 +2,7 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { useAgentLiveStream } from '../hooks/useAgentLiveStream';
-import { updateWorkLog, getTeamById, streamActiveWorkLog, updateAgentStatus, streamGlobalAdminSettings, performClockOut, performClockIn, isSessionStale, closeStaleSession } from '../services/db';
+import { updateWorkLog, getTeamById, streamActiveWorkLog, updateAgentStatus, performClockOut, performClockIn, isSessionStale, closeStaleSession } from '../services/db';
 import { serverTimestamp, increment, Timestamp, doc, onSnapshot, deleteField } from 'firebase/firestore';
 import { db } from '../services/firebase';
 import type { WorkLog, Team, AdminSettingsType, ActivityEntry } from '../types';
@@ -10,6 +10,13 @@ import Spinner from './Spinner';
 import ActivitySheet, { transformFirestoreWorklog } from './ActivitySheet';
 import AgentScheduleView from './AgentScheduleView';
 import TeamStatusView from './TeamStatusView';
+import TimesheetPanel from './TimesheetPanel';
+import WorklogCorrectionsPanel from './WorklogCorrectionsPanel';
+import LeaveRequestPanel from './LeaveRequestPanel';
+import ShiftSwapBoard from './ShiftSwapBoard';
+import { activeBreakPolicy, checkBreakStart, resolveShiftStartMs } from '../utils/breakPolicy';
+import { breakReasonLabel, resolveBreakReasons } from '../utils/breakReasons';
+import { streamEffectiveAdminSettings } from '../services/settingsOverrides';
 
 const formatDuration = (totalSeconds: number): string => {
     if (totalSeconds < 0) totalSeconds = 0;
@@ -68,6 +75,14 @@ const hasOpenBreak = (entries: any[] = [], causes?: Array<string>) => (
     entries.some((b: any) => b && !b.endTime && (!causes || causes.includes(b.cause)))
 );
 
+const BREAK_POLICY_ERROR_MESSAGES: Record<string, string> = {
+    'break-type-unknown': 'Choose a break type.',
+    'break-limit-reached': 'You have used all breaks allowed for this shift.',
+    'break-type-limit-reached': 'You have used all breaks of this type for this shift.',
+    'break-window-not-open': 'This break type is not allowed yet in your shift.',
+    'break-window-closed': 'The window for this break type has closed.'
+};
+
 const AgentPanel: React.FC = () => {
     const { userData } = useAuth();
     useAgentLiveStream();
@@ -84,6 +99,8 @@ const AgentPanel: React.FC = () => {
     const [adminSettings, setAdminSettings] = useState<AdminSettingsType | null>(null);
     const [activeTeamId, setActiveTeamId] = useState<string | null>(null);
     const [availableTeams, setAvailableTeams] = useState<Team[]>([]);
+    const [breakType, setBreakType] = useState('');
+    const [breakReason, setBreakReason] = useState('');
 
 
     const workLogRef = useRef<WorkLog | null>(null);
@@ -187,8 +204,11 @@ const AgentPanel: React.FC = () => {
         return () => unsubscribe();
     }, [userData, activeTeamId]);
 
-    // Global Settings
-    useEffect(() => streamGlobalAdminSettings(setAdminSettings), []);
+    // Effective settings: global, then the active team's and this agent's overrides
+    useEffect(() => streamEffectiveAdminSettings(
+        { uid: userData?.uid, teamId: activeTeamId },
+        (effective) => setAdminSettings(effective.settings)
+    ), [userData?.uid, activeTeamId]);
 
 
     // Local Timer Calculation
@@ -338,7 +358,7 @@ const AgentPanel: React.FC = () => {
             await performClockIn(userData.uid, activeTeamId, userData.displayName || 'Agent');
             await notifyDesktopStatus('working');
         } catch (e: any) {
-            setError('Clock in failed');
+            setError(e?.message === 'timesheet-locked' ? "Today's timesheet is approved and locked." : 'Clock in failed');
             console.error(e);
             reportDesktopError({ message: 'clock_in_failed', error: e?.message || String(e) });
         }
@@ -359,20 +379,43 @@ const AgentPanel: React.FC = () => {
         finally { setLoading(false); }
     };
 
-    const handleStartBreak = async () => {
+    const breakPolicy = activeBreakPolicy(availableTeams.find((t) => t.id === (workLog?.teamId || activeTeamId))?.settings?.breakPolicy);
+    const selectedBreakRule = breakPolicy?.rules.find((r) => r.id === breakType) || breakPolicy?.rules[0] || null;
+    const breakReasons = resolveBreakReasons(adminSettings?.breakReasons);
+    const selectedBreakReason = breakReasons.find((r) => r.code === breakReason) || breakReasons[0] || null;
+
+    // `reasonCode` comes from the desktop tray; the panel uses the selected reason.
+    const handleStartBreak = async (reasonCode?: string) => {
         if (!workLog || !userData) return;
+        const reason = (reasonCode && breakReasons.find((r) => r.code === reasonCode)) || selectedBreakReason;
+        if (breakPolicy) {
+            const shiftStartMs = resolveShiftStartMs(workLog, adminSettings?.organizationTimezone || 'Asia/Kolkata');
+            const violation = checkBreakStart(breakPolicy, selectedBreakRule?.id || '', workLog.breaks || [], shiftStartMs);
+            if (violation) {
+                setError(BREAK_POLICY_ERROR_MESSAGES[violation] || 'This break is not allowed by your team break policy.');
+                return;
+            }
+        }
         setLoading(true);
+        setError(null);
         try {
             const dur = (Date.now() - getMillis(workLog.lastEventTimestamp)) / 1000;
             const breakStartTs = Timestamp.now();
             let newBreaks = closeOpenBreaks([...(workLog.breaks || [])], breakStartTs);
-            newBreaks.push({ startTime: breakStartTs, endTime: null, cause: 'manual' });
+            newBreaks.push({
+                startTime: breakStartTs,
+                endTime: null,
+                cause: 'manual',
+                ...(selectedBreakRule ? { breakType: selectedBreakRule.id } : {}),
+                ...(reason ? { reason: reason.code } : {})
+            });
 
             const activities = transitionActivities(workLog.activities as SerializedActivity[] | undefined, breakStartTs, {
                 type: 'on_break',
                 cause: 'manual',
                 startTime: breakStartTs,
-                endTime: null
+                endTime: null,
+                ...(reason ? { reason: reason.code } : {})
             } as SerializedActivity);
 
             await updateWorkLog(workLog.id, {
@@ -382,7 +425,15 @@ const AgentPanel: React.FC = () => {
                 breaks: newBreaks,
                 activities
             });
-            await updateAgentStatus(userData.uid, 'break', { manualBreak: true, breakStartedAt: serverTimestamp() });
+            // The desktop reminder looks the break type's limit up in the team policy.
+            await updateAgentStatus(userData.uid, 'break', {
+                manualBreak: true,
+                breakStartedAt: serverTimestamp(),
+                breakType: selectedBreakRule ? selectedBreakRule.id : deleteField(),
+                breakLabel: selectedBreakRule ? selectedBreakRule.label : deleteField(),
+                breakReason: reason ? reason.code : deleteField(),
+                breakReasonLabel: reason ? breakReasonLabel(breakReasons, reason.code) : deleteField()
+            });
             await notifyDesktopStatus('manual_break');
         } catch (e) {
             setError('Failed to start break');
@@ -414,7 +465,15 @@ const AgentPanel: React.FC = () => {
                 breaks: newBreaks,
                 activities
             });
-            await updateAgentStatus(userData.uid, 'online', { manualBreak: false, breakStartedAt: deleteField() });
+            await updateAgentStatus(userData.uid, 'online', {
+                manualBreak: false,
+                breakStartedAt: deleteField(),
+                breakType: deleteField(),
+                breakLabel: deleteField(),
+                breakLimitMinutes: deleteField(),
+                breakReason: deleteField(),
+                breakReasonLabel: deleteField()
+            });
             await notifyDesktopStatus('working');
         } catch (e) {
             setError('Failed to end break');
@@ -435,6 +494,20 @@ const AgentPanel: React.FC = () => {
         };
     }, [handleEndBreak]);
 
+    const startBreakRef = useRef(handleStartBreak);
+    startBreakRef.current = handleStartBreak;
+
+    useEffect(() => {
+        if (!window.desktopAPI?.onDesktopRequestStartBreak) return;
+        const cleanup = window.desktopAPI.onDesktopRequestStartBreak((data) => {
+            if (workLogRef.current?.status !== 'working') return;
+            startBreakRef.current(data?.reason).catch((err) => console.error('[AgentPanel] desktop-request-start-break failed', err));
+        });
+        return () => {
+            if (typeof cleanup === 'function') cleanup();
+        };
+    }, []);
+
     if (loading && !workLog) return <Spinner />;
 
     return (
@@ -452,6 +525,10 @@ const AgentPanel: React.FC = () => {
                 <TabButton tabName="timeClock" title="Time Clock" activeTab={activeTab} setActiveTab={setActiveTab} />
                 <TabButton tabName="mySchedule" title="My Schedule" activeTab={activeTab} setActiveTab={setActiveTab} />
                 <TabButton tabName="activityLog" title="Activity Log" activeTab={activeTab} setActiveTab={setActiveTab} />
+                <TabButton tabName="timesheets" title="Timesheets" activeTab={activeTab} setActiveTab={setActiveTab} />
+                <TabButton tabName="corrections" title="Corrections" activeTab={activeTab} setActiveTab={setActiveTab} />
+                <TabButton tabName="leave" title="Leave" activeTab={activeTab} setActiveTab={setActiveTab} />
+                <TabButton tabName="swaps" title="Shift Swaps" activeTab={activeTab} setActiveTab={setActiveTab} />
             </nav></div>
 
             {activeTab === 'timeClock' && (
@@ -481,7 +558,31 @@ const AgentPanel: React.FC = () => {
                             <button onClick={handleClockIn} disabled={loading} className="w-full text-white bg-green-600 hover:bg-green-700 font-medium rounded-lg text-sm px-5 py-2.5">Clock In</button>
                         ) : workLog.status === 'working' ? (
                             <div className="flex gap-4">
-                                <button onClick={handleStartBreak} disabled={loading} className="w-full text-white bg-yellow-500 hover:bg-yellow-600 font-medium rounded-lg text-sm px-5 py-2.5">Start Break</button>
+                                {breakPolicy && (
+                                    <select
+                                        value={selectedBreakRule?.id || ''}
+                                        onChange={(e) => setBreakType(e.target.value)}
+                                        aria-label="Break type"
+                                        className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                    >
+                                        {breakPolicy.rules.map((rule) => (
+                                            <option key={rule.id} value={rule.id}>
+                                                {rule.label}{rule.maxMinutes > 0 ? ` (${rule.maxMinutes} min)` : ''}{rule.paid ? '' : ' · unpaid'}
+                                            </option>
+                                        ))}
+                                    </select>
+                                )}
+                                {breakReasons.length > 0 && (
+                                    <select
+                                        value={selectedBreakReason?.code || ''}
+                                        onChange={(e) => setBreakReason(e.target.value)}
+                                        aria-label="Break reason"
+                                        className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                    >
+                                        {breakReasons.map((reason) => <option key={reason.code} value={reason.code}>{reason.label}</option>)}
+                                    </select>
+                                )}
+                                <button onClick={() => handleStartBreak()} disabled={loading} className="w-full text-white bg-yellow-500 hover:bg-yellow-600 font-medium rounded-lg text-sm px-5 py-2.5">Start Break</button>
                                 <button onClick={handleClockOut} disabled={loading} className="w-full text-white bg-red-600 hover:bg-red-700 font-medium rounded-lg text-sm px-5 py-2.5">Clock Out</button>
                             </div>
                         ) : (
@@ -504,6 +605,29 @@ const AgentPanel: React.FC = () => {
             {activeTab === 'activityLog' && workLog && (
                 <ActivitySheet workLog={workLog} timezone={adminSettings?.organizationTimezone || undefined} />
             )}
+            {activeTab === 'timesheets' && userData && activeTeamId && (
+                <TimesheetPanel userId={userData.uid} displayName={userData.displayName || 'Agent'} teamId={activeTeamId} />
+            )}
+            {activeTab === 'corrections' && userData && (
+                <WorklogCorrectionsPanel userId={userData.uid} displayName={userData.displayName || 'Agent'} timezone={adminSettings?.organizationTimezone || undefined} />
+            )}
+            {activeTab === 'leave' && userData && activeTeamId && (
+                <LeaveRequestPanel
+                    userId={userData.uid}
+                    displayName={userData.displayName || 'Agent'}
+                    teamId={activeTeamId}
+                    timezone={adminSettings?.organizationTimezone || undefined}
+                    leavePolicy={adminSettings?.leavePolicy}
+                />
+            )}
+            {activeTab === 'swaps' && userData && activeTeamId && (
+                <ShiftSwapBoard
+                    userId={userData.uid}
+                    displayName={userData.displayName || 'Agent'}
+                    teamId={activeTeamId}
+                    timezone={adminSettings?.organizationTimezone || undefined}
+                />
+            )}
         </div>
     );
 };
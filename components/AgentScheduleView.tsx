@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { getScheduleForMonth, streamScheduleForMonth } from '../services/db';
-import type { Schedule } from '../types';
+import { streamHolidays } from '../services/holidays';
+import type { Schedule, Holiday } from '../types';
 import Spinner from './Spinner';
 
 interface Props {
@@ -12,6 +13,7 @@ const AgentScheduleView: React.FC<Props> = ({ userId, teamId }) => {
     const [schedule, setSchedule] = useState<Schedule | null>(null);
     const [currentDate, setCurrentDate] = useState(new Date());
     const [loading, setLoading] = useState(true);
+    const [holidays, setHolidays] = useState<Holiday[]>([]);
 
     const year = currentDate.getFullYear();
     const month = currentDate.getMonth();
@@ -45,6 +47,10 @@ const AgentScheduleView: React.FC<Props> = ({ userId, teamId }) => {
         };
     }, [fetchData, teamId, userId, year, month]);
 
+    useEffect(() => streamHolidays(setHolidays), []);
+
+    const holidayNames = useMemo(() => new Map(holidays.map((h) => [h.date, h.name])), [holidays]);
+
     const calendarGrid = useMemo(() => {
         const firstDayOfMonth = new Date(year, month, 1).getDay();
         const daysInMonth = new Date(year, month + 1, 0).getDate();
@@ -106,10 +112,12 @@ const AgentScheduleView: React.FC<Props> = ({ userId, teamId }) => {
                     const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
                     const shift = schedule?.shifts ? schedule.shifts[dateStr] : null;
                     const isToday = isCurrentMonth && day === today.getDate();
+                    const holidayName = holidayNames.get(dateStr);
 
                     return (
-                        <div key={day} className={`border rounded-lg p-2 flex flex-col min-h-[100px] ${isToday ? 'bg-blue-100 dark:bg-blue-900/50 border-blue-400' : 'bg-gray-50 dark:bg-gray-800/50 dark:border-gray-700'}`}>
+                        <div key={day} className={`border rounded-lg p-2 flex flex-col min-h-[100px] ${isToday ? 'bg-blue-100 dark:bg-blue-900/50 border-blue-400' : holidayName ? 'bg-emerald-50 dark:bg-emerald-900/20 border-emerald-300 dark:border-emerald-800' : 'bg-gray-50 dark:bg-gray-800/50 dark:border-gray-700'}`}>
                             <div className={`font-bold ${isToday ? 'text-blue-600 dark:text-blue-300' : 'text-gray-900 dark:text-white'}`}>{day}</div>
+                            {holidayName && <div className="text-[10px] font-medium text-emerald-700 dark:text-emerald-300 truncate" title={holidayName}>{holidayName}</div>}
                             <div className="mt-1 text-xs flex-grow flex items-center justify-center">
                                 {shift ? (
                                     shift === 'OFF' ? (
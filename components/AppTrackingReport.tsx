@@ -1,8 +1,9 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { collection, getDocs, doc, setDoc } from 'firebase/firestore';
+import { collection, getDocs, doc, query, setDoc } from 'firebase/firestore';
 import { db } from '../services/firebase';
-import { streamAppActivitySummaries, streamGlobalAdminSettings, streamWorkLogsForDate } from '../services/db';
+import { streamAppActivitySummaries, streamMemberSettings, streamWorkLogsForDate } from '../services/db';
+import { whereActiveOrg } from '../services/orgContext';
 import type { AppActivitySummary, AppCategory, AppCategoryRule, WorkLog } from '../types';
 import Spinner from './Spinner';
 
@@ -223,7 +224,7 @@ const AppTrackingReport: React.FC<Props> = ({ teamId }) => {
 
     // Fetch user display names once on mount
     useEffect(() => {
-        getDocs(collection(db, 'users')).then(snap => {
+        getDocs(query(collection(db, 'users'), whereActiveOrg())).then(snap => {
             const map: Record<string, string> = {};
             snap.docs.forEach(d => {
                 const data = d.data();
@@ -235,7 +236,7 @@ const AppTrackingReport: React.FC<Props> = ({ teamId }) => {
 
     // Stream admin settings to get current category rules
     useEffect(() => {
-        const unsub = streamGlobalAdminSettings((settings) => {
+        const unsub = streamMemberSettings((settings) => {
             setAdminRules(settings?.appCategoryRules ?? []);
         });
         return () => unsub();
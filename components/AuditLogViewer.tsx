@@ -0,0 +1,135 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { streamAuditLog } from '../services/audit';
+import { streamAllUsers } from '../services/db';
+import { AUDIT_ACTION_LABELS, AUDIT_CSV_HEADERS, auditEntryMatches, auditEntryToCsvRow, formatAuditDetails } from '../utils/audit';
+import { toCsv, downloadBlob } from '../utils/spreadsheet';
+import { normalizeDate } from '../utils/worklogTotals';
+import type { AuditAction, AuditLogEntry } from '../types';
+
+const RANGE_OPTIONS: Array<{ value: string; label: string; days: number | null }> = [
+    { value: '1', label: 'Last 24 hours', days: 1 },
+    { value: '7', label: 'Last 7 days', days: 7 },
+    { value: '30', label: 'Last 30 days', days: 30 },
+    { value: '90', label: 'Last 90 days', days: 90 },
+    { value: 'all', label: 'All time (latest 500)', days: null }
+];
+
+const selectClass = 'bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+const AuditLogViewer: React.FC = () => {
+    const [entries, setEntries] = useState<AuditLogEntry[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [range, setRange] = useState('7');
+    const [actionFilter, setActionFilter] = useState<'all' | AuditAction>('all');
+    const [sourceFilter, setSourceFilter] = useState<'all' | AuditLogEntry['source']>('all');
+    const [search, setSearch] = useState('');
+    const [userNames, setUserNames] = useState<Record<string, string>>({});
+
+    useEffect(() => {
+        setLoading(true);
+        const days = RANGE_OPTIONS.find((o) => o.value === range)?.days ?? null;
+        const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+        return streamAuditLog((next) => {
+            setEntries(next);
+            setLoading(false);
+        }, { since });
+    }, [range]);
+
+    // Entries written by services only carry the target uid; fill names in from the users list.
+    useEffect(() => streamAllUsers((users) => {
+        setUserNames(Object.fromEntries(users.map((u) => [u.uid, u.displayName || u.email || u.uid])));
+    }), []);
+
+    const filtered = useMemo(() => entries
+        .map((entry) => ({
+            ...entry,
+            targetName: entry.targetName || (entry.targetUid ? userNames[entry.targetUid] || null : null)
+        }))
+        .filter((entry) => actionFilter === 'all' || entry.action === actionFilter)
+        .filter((entry) => sourceFilter === 'all' || entry.source === sourceFilter)
+        .filter((entry) => auditEntryMatches(entry, search)), [entries, userNames, actionFilter, sourceFilter, search]);
+
+    const handleExport = () => {
+        const rows = filtered.map(auditEntryToCsvRow);
+        const stamp = new Date().toISOString().slice(0, 10);
+        downloadBlob(new Blob([toCsv(AUDIT_CSV_HEADERS, rows)], { type: 'text/csv;charset=utf-8' }), `audit_log_${stamp}.csv`);
+    };
+
+    return (
+        <div className="p-4 bg-white dark:bg-gray-800/50 rounded-lg shadow-sm border dark:border-gray-700">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <div>
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white">Audit Log</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">Privileged actions from the dashboard and scheduled jobs. Entries cannot be edited or deleted.</p>
+                </div>
+                <button
+                    onClick={handleExport}
+                    disabled={filtered.length === 0}
+                    className="px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                    Export CSV
+                </button>
+            </div>
+
+            <div className="flex flex-wrap gap-3 mb-4">
+                <select value={range} onChange={(e) => setRange(e.target.value)} className={selectClass} aria-label="Time range">
+                    {RANGE_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+                <select value={actionFilter} onChange={(e) => setActionFilter(e.target.value as 'all' | AuditAction)} className={selectClass} aria-label="Action">
+                    <option value="all">All actions</option>
+                    {(Object.keys(AUDIT_ACTION_LABELS) as AuditAction[]).map((action) => (
+                        <option key={action} value={action}>{AUDIT_ACTION_LABELS[action]}</option>
+                    ))}
+                </select>
+                <select value={sourceFilter} onChange={(e) => setSourceFilter(e.target.value as 'all' | AuditLogEntry['source'])} className={selectClass} aria-label="Source">
+                    <option value="all">All sources</option>
+                    <option value="web">Dashboard</option>
+                    <option value="functions">System</option>
+                </select>
+                <input
+                    type="search"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Search actor, target or details"
+                    className={`${selectClass} flex-1 min-w-[200px]`}
+                />
+            </div>
+
+            {loading ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Loading audit log…</p>
+            ) : filtered.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No entries match these filters.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left text-gray-600 dark:text-gray-300">
+                        <thead className="text-xs uppercase bg-gray-100 dark:bg-gray-700">
+                            <tr>
+                                <th className="px-3 py-2">Time</th>
+                                <th className="px-3 py-2">Action</th>
+                                <th className="px-3 py-2">Actor</th>
+                                <th className="px-3 py-2">Target</th>
+                                <th className="px-3 py-2">Details</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {filtered.map((entry) => (
+                                <tr key={entry.id} className="border-b dark:border-gray-700 align-top">
+                                    <td className="px-3 py-2 whitespace-nowrap font-mono text-xs">{normalizeDate(entry.createdAt)?.toLocaleString() || '—'}</td>
+                                    <td className="px-3 py-2 whitespace-nowrap">{AUDIT_ACTION_LABELS[entry.action] || entry.action}</td>
+                                    <td className="px-3 py-2 whitespace-nowrap">
+                                        {entry.actorName}
+                                        {entry.source === 'functions' && <span className="ml-1 text-xs text-gray-400">(system)</span>}
+                                    </td>
+                                    <td className="px-3 py-2 whitespace-nowrap">{entry.targetName || entry.targetUid || '—'}</td>
+                                    <td className="px-3 py-2 text-xs break-all">{formatAuditDetails(entry.details) || '—'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AuditLogViewer;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { updateTeamBreakPolicy } from '../services/db';
+import { createBreakPolicyRule, DEFAULT_BREAK_POLICY } from '../utils/breakPolicy';
+import type { BreakPolicy, BreakPolicyRule, Team } from '../types';
+
+interface Props {
+    team: Team;
+    onClose: () => void;
+}
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-xs dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+const parseOptionalMinutes = (value: string): number | null => {
+    if (value.trim() === '') return null;
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? null : parsed;
+};
+
+const validatePolicy = (policy: BreakPolicy): string | null => {
+    if (policy.enabled && policy.rules.length === 0) return 'Add at least one break type or turn the policy off.';
+    for (const rule of policy.rules) {
+        if (!rule.label.trim()) return 'Every break type needs a name.';
+        if (rule.maxMinutes < 0 || rule.maxPerShift < 0) return `Limits for "${rule.label}" cannot be negative.`;
+        if (rule.windowStartMinutes !== null && rule.windowEndMinutes !== null && rule.windowEndMinutes < rule.windowStartMinutes) {
+            return `The window for "${rule.label}" closes before it opens.`;
+        }
+    }
+    return null;
+};
+
+const BreakPolicyEditor: React.FC<Props> = ({ team, onClose }) => {
+    const [policy, setPolicy] = useState<BreakPolicy>(team.settings?.breakPolicy || DEFAULT_BREAK_POLICY);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [success, setSuccess] = useState<string | null>(null);
+
+    const updateRule = (id: string, changes: Partial<BreakPolicyRule>) => {
+        setSuccess(null);
+        setPolicy((prev) => ({ ...prev, rules: prev.rules.map((r) => (r.id === id ? { ...r, ...changes } : r)) }));
+    };
+
+    const handleSave = async () => {
+        const validation = validatePolicy(policy);
+        if (validation) {
+            setError(validation);
+            return;
+        }
+        setSaving(true);
+        setError(null);
+        try {
+            await updateTeamBreakPolicy(team.id, {
+                ...policy,
+                rules: policy.rules.map((r) => ({ ...r, label: r.label.trim() }))
+            });
+            setSuccess('Break policy saved.');
+        } catch (err) {
+            console.error('[BreakPolicyEditor] save failed', err);
+            setError('Failed to save break policy.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="p-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border dark:border-gray-700">
+            <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-semibold text-gray-900 dark:text-white">Break Policy · {team.name}</h4>
+                <button onClick={onClose} className="text-xs text-gray-500 hover:underline">Close</button>
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                Agents pick a break type when they start a break. Windows are minutes after the scheduled shift start (or clock-in when unscheduled). The desktop reminder uses each type's maximum length instead of the global manual break timeout. Leave limits at 0 or blank for none.
+            </p>
+            {error && <p className="text-sm text-red-500 mb-3">{error}</p>}
+            {success && <p className="text-sm text-green-600 dark:text-green-400 mb-3">{success}</p>}
+
+            <div className="flex flex-wrap items-center gap-4 mb-3 text-xs text-gray-700 dark:text-gray-300">
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={policy.enabled} onChange={(e) => { setSuccess(null); setPolicy((prev) => ({ ...prev, enabled: e.target.checked })); }} />
+                    Enforce break policy
+                </label>
+                <label className="flex items-center gap-2">
+                    Max breaks per shift
+                    <input
+                        type="number"
+                        min="0"
+                        value={policy.maxBreaksPerShift}
+                        onChange={(e) => { setSuccess(null); setPolicy((prev) => ({ ...prev, maxBreaksPerShift: parseInt(e.target.value, 10) || 0 })); }}
+                        className={`${inputClass} w-20`}
+                    />
+                </label>
+            </div>
+
+            <div className="overflow-x-auto mb-3">
+                <table className="w-full text-xs text-left text-gray-600 dark:text-gray-300">
+                    <thead className="uppercase bg-gray-100 dark:bg-gray-700">
+                        <tr>
+                            <th className="px-2 py-2">Break type</th>
+                            <th className="px-2 py-2">Max per shift</th>
+                            <th className="px-2 py-2">Max minutes</th>
+                            <th className="px-2 py-2">Window from (min)</th>
+                            <th className="px-2 py-2">Window to (min)</th>
+                            <th className="px-2 py-2">Paid</th>
+                            <th className="px-2 py-2" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {policy.rules.map((rule) => (
+                            <tr key={rule.id} className="border-b dark:border-gray-700">
+                                <td className="px-2 py-1">
+                                    <input type="text" value={rule.label} onChange={(e) => updateRule(rule.id, { label: e.target.value })} className={`${inputClass} w-32`} />
+                                </td>
+                                <td className="px-2 py-1">
+                                    <input type="number" min="0" value={rule.maxPerShift} onChange={(e) => updateRule(rule.id, { maxPerShift: parseInt(e.target.value, 10) || 0 })} className={`${inputClass} w-20`} />
+                                </td>
+                                <td className="px-2 py-1">
+                                    <input type="number" min="0" value={rule.maxMinutes} onChange={(e) => updateRule(rule.id, { maxMinutes: parseInt(e.target.value, 10) || 0 })} className={`${inputClass} w-20`} />
+                                </td>
+                                <td className="px-2 py-1">
+                                    <input type="number" min="0" value={rule.windowStartMinutes ?? ''} onChange={(e) => updateRule(rule.id, { windowStartMinutes: parseOptionalMinutes(e.target.value) })} className={`${inputClass} w-20`} />
+                                </td>
+                                <td className="px-2 py-1">
+                                    <input type="number" min="0" value={rule.windowEndMinutes ?? ''} onChange={(e) => updateRule(rule.id, { windowEndMinutes: parseOptionalMinutes(e.target.value) })} className={`${inputClass} w-20`} />
+                                </td>
+                                <td className="px-2 py-1">
+                                    <input type="checkbox" checked={rule.paid} onChange={(e) => updateRule(rule.id, { paid: e.target.checked })} />
+                                </td>
+                                <td className="px-2 py-1">
+                                    <button
+                                        onClick={() => { setSuccess(null); setPolicy((prev) => ({ ...prev, rules: prev.rules.filter((r) => r.id !== rule.id) })); }}
+                                        className="text-red-600 dark:text-red-400 hover:underline"
+                                    >
+                                        Remove
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {policy.rules.length === 0 && <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">No break types yet.</p>}
+            </div>
+
+            <div className="flex gap-2">
+                <button
+                    onClick={() => { setSuccess(null); setPolicy((prev) => ({ ...prev, rules: [...prev.rules, createBreakPolicyRule()] })); }}
+                    className="px-3 py-2 text-xs font-medium rounded-lg bg-white border border-gray-300 hover:bg-gray-100 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                >
+                    Add Break Type
+                </button>
+                <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="px-3 py-2 text-xs font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {saving ? 'Saving...' : 'Save Policy'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default BreakPolicyEditor;
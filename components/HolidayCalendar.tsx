@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { streamHolidays, addHoliday, removeHoliday, importHolidays } from '../services/holidays';
+import { readOrganizationTimezone } from '../services/db';
+import { parseIcsHolidays } from '../utils/ics';
+import type { Holiday } from '../types';
+
+const HOLIDAY_ERROR_MESSAGES: Record<string, string> = {
+    'invalid-holiday-date': 'Please pick a valid date.',
+    'holiday-name-required': 'Please enter a name for the holiday.',
+    'holiday-import-empty': 'No holidays were found in that calendar file.'
+};
+
+const HolidayCalendar: React.FC = () => {
+    const { userData } = useAuth();
+    const [holidays, setHolidays] = useState<Holiday[]>([]);
+    const [timezone, setTimezone] = useState('Asia/Kolkata');
+    const [newDate, setNewDate] = useState('');
+    const [newName, setNewName] = useState('');
+    const [yearFilter, setYearFilter] = useState(String(new Date().getFullYear()));
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [success, setSuccess] = useState<string | null>(null);
+
+    useEffect(() => {
+        readOrganizationTimezone().then(setTimezone);
+    }, []);
+
+    useEffect(() => streamHolidays(setHolidays), []);
+
+    const years = Array.from(new Set([yearFilter, ...holidays.map((h) => h.date.slice(0, 4))])).sort();
+    const visibleHolidays = holidays.filter((h) => h.date.startsWith(yearFilter));
+
+    const run = async (action: () => Promise<string | void>) => {
+        setBusy(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            const message = await action();
+            if (message) {
+                setSuccess(message);
+                setTimeout(() => setSuccess(null), 3000);
+            }
+        } catch (err) {
+            console.error('[HolidayCalendar] action failed', err);
+            setError(HOLIDAY_ERROR_MESSAGES[(err as Error).message] || 'Failed to update the holiday calendar.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleAdd = (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!userData) return;
+        run(async () => {
+            await addHoliday({ date: newDate, name: newName }, { uid: userData.uid, displayName: userData.displayName });
+            setNewDate('');
+            setNewName('');
+            return 'Holiday added.';
+        });
+    };
+
+    const handleRemove = (holiday: Holiday) => {
+        if (!window.confirm(`Remove ${holiday.name} (${holiday.date}) from the holiday calendar?`)) return;
+        run(async () => {
+            await removeHoliday(holiday.date);
+        });
+    };
+
+    const handleImport = (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !userData) return;
+        run(async () => {
+            const entries = parseIcsHolidays(await file.text(), timezone);
+            const count = await importHolidays(entries, { uid: userData.uid, displayName: userData.displayName });
+            return `Imported ${count} holiday${count === 1 ? '' : 's'} from ${file.name}.`;
+        });
+    };
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Holiday Calendar</h3>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Holidays apply to every team. They are highlighted on schedules, no late minutes are recorded for them, and hours worked on them use the payroll holiday multiplier.
+                </p>
+            </div>
+
+            {error && <p className="text-sm text-red-500 p-3 bg-red-100 dark:bg-red-900/50 rounded-md">{error}</p>}
+            {success && <p className="text-sm text-green-600 dark:text-green-400">{success}</p>}
+
+            <div className="flex flex-col lg:flex-row gap-6">
+                <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-3">
+                    <div>
+                        <label htmlFor="holiday-date" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Date</label>
+                        <input
+                            type="date"
+                            id="holiday-date"
+                            value={newDate}
+                            onChange={(e) => setNewDate(e.target.value)}
+                            required
+                            className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="holiday-name" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Name</label>
+                        <input
+                            type="text"
+                            id="holiday-name"
+                            value={newName}
+                            onChange={(e) => setNewName(e.target.value)}
+                            placeholder="e.g. Independence Day"
+                            required
+                            className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
+                        />
+                    </div>
+                    <button
+                        type="submit"
+                        disabled={busy}
+                        className="text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:outline-none focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center dark:bg-blue-600 dark:hover:bg-blue-700 dark:focus:ring-blue-800 disabled:opacity-50"
+                    >
+                        Add Holiday
+                    </button>
+                </form>
+
+                <div>
+                    <label htmlFor="holiday-ics" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Import from iCalendar (.ics)</label>
+                    <input
+                        type="file"
+                        id="holiday-ics"
+                        accept=".ics,text/calendar"
+                        onChange={handleImport}
+                        disabled={busy}
+                        className="block text-sm text-gray-900 dark:text-gray-300 file:mr-3 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-gray-200 dark:file:bg-gray-700 dark:file:text-white"
+                    />
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Dates are read in the organization timezone ({timezone}).</p>
+                </div>
+            </div>
+
+            <div>
+                <div className="flex items-center gap-3 mb-3">
+                    <label htmlFor="holiday-year" className="text-sm font-medium text-gray-900 dark:text-white">Year</label>
+                    <select
+                        id="holiday-year"
+                        value={yearFilter}
+                        onChange={(e) => setYearFilter(e.target.value)}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg block p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    >
+                        {years.map((year) => <option key={year} value={year}>{year}</option>)}
+                    </select>
+                </div>
+
+                {visibleHolidays.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">No holidays in {yearFilter}.</p>
+                ) : (
+                    <div className="overflow-x-auto relative sm:rounded-lg">
+                        <table className="w-full text-sm text-left text-gray-500 dark:text-gray-400">
+                            <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                                <tr>
+                                    <th className="py-3 px-4">Date</th>
+                                    <th className="py-3 px-4">Name</th>
+                                    <th className="py-3 px-4">Source</th>
+                                    <th className="py-3 px-4"></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visibleHolidays.map((holiday) => (
+                                    <tr key={holiday.id} className="bg-white border-b dark:bg-gray-800 dark:border-gray-700">
+                                        <td className="py-3 px-4 font-mono">{holiday.date}</td>
+                                        <td className="py-3 px-4 font-medium text-gray-900 dark:text-white">{holiday.name}</td>
+                                        <td className="py-3 px-4">{holiday.source === 'ics' ? 'Imported' : 'Manual'}</td>
+                                        <td className="py-3 px-4 text-right">
+                                            <button
+                                                onClick={() => handleRemove(holiday)}
+                                                disabled={busy}
+                                                className="text-xs font-medium text-red-600 hover:underline dark:text-red-400 disabled:opacity-50"
+                                            >
+                                                Remove
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default HolidayCalendar;
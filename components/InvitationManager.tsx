@@ -0,0 +1,210 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { createInvitation, revokeInvitation, streamInvitations } from '../services/invitations';
+import { INVITABLE_ROLES, INVITATION_STATUS_LABELS, INVITE_EXPIRY_OPTIONS, invitationStatus } from '../utils/invitations';
+import type { InvitationStatus } from '../utils/invitations';
+import { normalizeDate } from '../utils/worklogTotals';
+import type { Invitation, Role, Team } from '../types';
+
+interface Props {
+    teams: Team[];
+}
+
+const INVITATION_ERROR_MESSAGES: Record<string, string> = {
+    'missing-invite-role': 'Pick at least one role.',
+    'missing-invite-team': 'Pick at least one team.',
+    'invalid-max-uses': 'Max uses must be a whole number between 1 and 500.'
+};
+
+const STATUS_STYLES: Record<InvitationStatus, string> = {
+    active: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+    expired: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200',
+    used_up: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+    revoked: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+};
+
+const inputClass = 'bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+const InvitationManager: React.FC<Props> = ({ teams }) => {
+    const [invitations, setInvitations] = useState<Invitation[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [roles, setRoles] = useState<Role[]>(['agent']);
+    const [teamIds, setTeamIds] = useState<string[]>([]);
+    const [expiresInHours, setExpiresInHours] = useState(INVITE_EXPIRY_OPTIONS[1].hours);
+    const [maxUses, setMaxUses] = useState(1);
+    const [email, setEmail] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [newLink, setNewLink] = useState<string | null>(null);
+    const [showInactive, setShowInactive] = useState(false);
+
+    useEffect(() => streamInvitations((next) => {
+        setInvitations(next);
+        setLoading(false);
+    }), []);
+
+    const teamNames = useMemo(() => Object.fromEntries(teams.map((t) => [t.id, t.name])), [teams]);
+
+    const visible = useMemo(() => invitations.filter((inv) => showInactive || invitationStatus(inv) === 'active'), [invitations, showInactive]);
+
+    const toggle = <T,>(list: T[], value: T) => (list.includes(value) ? list.filter((v) => v !== value) : [...list, value]);
+
+    const handleCreate = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+        setNewLink(null);
+        try {
+            const { link } = await createInvitation({ roles, teamIds, expiresInHours, maxUses, email });
+            setNewLink(link);
+            setEmail('');
+        } catch (err) {
+            console.error('Failed to create invitation', err);
+            setError(INVITATION_ERROR_MESSAGES[(err as Error).message] || 'Failed to create invitation.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleCopy = (link: string) => {
+        navigator.clipboard.writeText(link).then(() => {
+            alert('Invite link copied to clipboard!');
+        }, (err) => {
+            console.error('Could not copy text: ', err);
+            alert('Failed to copy link.');
+        });
+    };
+
+    const handleRevoke = async (invitation: Invitation) => {
+        if (!window.confirm('Revoke this invitation? Anyone holding the link will no longer be able to sign up with it.')) return;
+        try {
+            await revokeInvitation(invitation);
+        } catch (err) {
+            console.error('Failed to revoke invitation', err);
+            setError('Failed to revoke invitation.');
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700">
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Create an Invitation</h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                    Links expire, stop working after their last use and can be revoked at any time. The link is shown once; revoke and re-create it if it is lost.
+                </p>
+                <form onSubmit={handleCreate} className="space-y-4">
+                    <div className="flex flex-wrap gap-6">
+                        <fieldset>
+                            <legend className="mb-1 text-sm font-medium text-gray-900 dark:text-white">Roles</legend>
+                            {INVITABLE_ROLES.map((role) => (
+                                <label key={role} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 capitalize">
+                                    <input type="checkbox" checked={roles.includes(role)} onChange={() => setRoles(toggle(roles, role))} />
+                                    {role}
+                                </label>
+                            ))}
+                        </fieldset>
+                        <fieldset>
+                            <legend className="mb-1 text-sm font-medium text-gray-900 dark:text-white">Teams</legend>
+                            {teams.length === 0 && <p className="text-sm text-gray-500 dark:text-gray-400">Create a team first.</p>}
+                            {teams.map((team) => (
+                                <label key={team.id} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                                    <input type="checkbox" checked={teamIds.includes(team.id)} onChange={() => setTeamIds(toggle(teamIds, team.id))} />
+                                    {team.name}
+                                </label>
+                            ))}
+                        </fieldset>
+                    </div>
+                    <div className="flex flex-wrap items-end gap-3">
+                        <label className="text-sm text-gray-900 dark:text-white">
+                            <span className="block mb-1 font-medium">Expires after</span>
+                            <select value={expiresInHours} onChange={(e) => setExpiresInHours(Number(e.target.value))} className={inputClass}>
+                                {INVITE_EXPIRY_OPTIONS.map((option) => <option key={option.hours} value={option.hours}>{option.label}</option>)}
+                            </select>
+                        </label>
+                        <label className="text-sm text-gray-900 dark:text-white">
+                            <span className="block mb-1 font-medium">Max uses</span>
+                            <input type="number" min={1} max={500} value={maxUses} onChange={(e) => setMaxUses(Number(e.target.value))} className={`${inputClass} w-24`} />
+                        </label>
+                        <label className="text-sm text-gray-900 dark:text-white flex-1 min-w-[200px]">
+                            <span className="block mb-1 font-medium">Restrict to email (optional)</span>
+                            <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="name@company.com" className={`${inputClass} w-full`} />
+                        </label>
+                        <button type="submit" disabled={saving} className="px-5 py-2.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                            {saving ? 'Creating...' : 'Create Invitation'}
+                        </button>
+                    </div>
+                </form>
+                {error && <p className="mt-3 text-sm text-red-500">{error}</p>}
+                {newLink && (
+                    <div className="mt-4 p-3 bg-white dark:bg-gray-900 rounded-md border dark:border-gray-700 flex flex-col sm:flex-row gap-2 sm:items-center">
+                        <code className="flex-1 text-xs break-all text-gray-800 dark:text-gray-200">{newLink}</code>
+                        <button onClick={() => handleCopy(newLink)} className="text-sm font-medium text-blue-600 hover:underline dark:text-blue-500 whitespace-nowrap">
+                            Copy Invite Link
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white">Invitations</h3>
+                    <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                        <input type="checkbox" checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />
+                        Show expired, used and revoked
+                    </label>
+                </div>
+                {loading ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">Loading invitations…</p>
+                ) : visible.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No invitations to show.</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm text-left text-gray-600 dark:text-gray-300">
+                            <thead className="text-xs uppercase bg-gray-100 dark:bg-gray-700">
+                                <tr>
+                                    <th className="px-3 py-2">Created</th>
+                                    <th className="px-3 py-2">Roles</th>
+                                    <th className="px-3 py-2">Teams</th>
+                                    <th className="px-3 py-2">Email</th>
+                                    <th className="px-3 py-2">Uses</th>
+                                    <th className="px-3 py-2">Expires</th>
+                                    <th className="px-3 py-2">Status</th>
+                                    <th className="px-3 py-2" />
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visible.map((inv) => {
+                                    const status = invitationStatus(inv);
+                                    return (
+                                        <tr key={inv.id} className="border-b dark:border-gray-700">
+                                            <td className="px-3 py-2 whitespace-nowrap">
+                                                {normalizeDate(inv.createdAt)?.toLocaleString() || '—'}
+                                                {inv.createdByName && <span className="block text-xs text-gray-400">by {inv.createdByName}</span>}
+                                            </td>
+                                            <td className="px-3 py-2 capitalize">{inv.roles.join(', ')}</td>
+                                            <td className="px-3 py-2">{inv.teamIds.map((id) => teamNames[id] || id).join(', ')}</td>
+                                            <td className="px-3 py-2">{inv.email || 'Anyone with the link'}</td>
+                                            <td className="px-3 py-2 whitespace-nowrap">{inv.uses || 0} / {inv.maxUses}</td>
+                                            <td className="px-3 py-2 whitespace-nowrap">{normalizeDate(inv.expiresAt)?.toLocaleString() || '—'}</td>
+                                            <td className="px-3 py-2">
+                                                <span className={`px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[status]}`}>{INVITATION_STATUS_LABELS[status]}</span>
+                                            </td>
+                                            <td className="px-3 py-2 text-right">
+                                                {status === 'active' && (
+                                                    <button onClick={() => handleRevoke(inv)} className="text-sm font-medium text-red-600 hover:underline dark:text-red-500">
+                                                        Revoke
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default InvitationManager;
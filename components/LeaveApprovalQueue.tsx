@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { DateTime } from 'luxon';
+import { useAuth } from '../hooks/useAuth';
+import { streamMemberSettings, streamUsersByTeam } from '../services/db';
+import { approveLeaveRequest, rejectLeaveRequest, streamLeaveBalancesForTeam, streamLeaveRequestsForTeam } from '../services/leave';
+import { LEAVE_TYPES, LEAVE_TYPE_LABELS, formatLeaveDays, resolveLeavePolicy, summarizeLeaveBalance } from '../utils/leave';
+import { hasRole } from '../utils/roles';
+import type { AdminSettingsType, LeaveBalance, LeaveRequest, UserData } from '../types';
+
+interface Props {
+    teamId: string;
+}
+
+const REVIEW_ERROR_MESSAGES: Record<string, string> = {
+    'leave-not-found': 'This request no longer exists.',
+    'leave-not-pending': 'This request has already been handled.',
+    'leave-self-review': 'You cannot review your own leave request.',
+    'leave-reject-comment-required': 'Please add a comment explaining the rejection.',
+    'leave-no-working-days': 'Every date in this request is a holiday or a rostered day off.',
+    'leave-insufficient-balance': 'The agent does not have enough leave balance for this request.'
+};
+
+const LeaveApprovalQueue: React.FC<Props> = ({ teamId }) => {
+    const { userData } = useAuth();
+    const [requests, setRequests] = useState<LeaveRequest[]>([]);
+    const [agents, setAgents] = useState<UserData[]>([]);
+    const [balances, setBalances] = useState<LeaveBalance[]>([]);
+    const [settings, setSettings] = useState<AdminSettingsType | null>(null);
+    const [comments, setComments] = useState<Record<string, string>>({});
+    const [busyId, setBusyId] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    const today = DateTime.now().setZone(settings?.organizationTimezone || 'Asia/Kolkata');
+    const year = today.year;
+    const policy = resolveLeavePolicy(settings?.leavePolicy);
+
+    useEffect(() => {
+        const unsubscribe = streamMemberSettings(setSettings);
+        return () => unsubscribe?.();
+    }, []);
+
+    useEffect(() => streamLeaveRequestsForTeam(teamId, setRequests), [teamId]);
+    useEffect(() => streamLeaveBalancesForTeam(teamId, year, setBalances), [teamId, year]);
+    useEffect(() => streamUsersByTeam(teamId, (users) => setAgents(users.filter((u) => hasRole(u, 'agent')))), [teamId]);
+
+    const balanceFor = (uid: string) => balances.find((b) => b.userId === uid) || null;
+
+    const handleReview = async (request: LeaveRequest, decision: 'approved' | 'rejected') => {
+        if (!userData) return;
+        const reviewer = { uid: userData.uid, displayName: userData.displayName };
+        const comment = comments[request.id] || '';
+        setBusyId(request.id);
+        setError(null);
+        try {
+            if (decision === 'approved') {
+                await approveLeaveRequest(request.id, reviewer, comment);
+            } else {
+                await rejectLeaveRequest(request.id, reviewer, comment);
+            }
+        } catch (err) {
+            console.error('[LeaveApprovalQueue] review failed', err);
+            setError(REVIEW_ERROR_MESSAGES[(err as Error).message] || 'Failed to update leave request.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Leave Requests</h3>
+
+                {error && <p className="text-sm text-red-500 mb-4 p-3 bg-red-100 dark:bg-red-900/50 rounded-md">{error}</p>}
+
+                {requests.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">No pending leave requests.</p>
+                ) : (
+                    <ul className="space-y-4">
+                        {requests.map((request) => {
+                            const available = summarizeLeaveBalance(policy, balanceFor(request.userId), year, today)
+                                .find((s) => s.type === request.type)?.available ?? 0;
+                            return (
+                                <li key={request.id} className="p-4 rounded-lg border dark:border-gray-700 bg-white dark:bg-gray-800">
+                                    <div className="flex flex-wrap justify-between gap-2 mb-2">
+                                        <span className="font-semibold text-gray-900 dark:text-white">{request.userDisplayName}</span>
+                                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                                            {LEAVE_TYPE_LABELS[request.type]} · {formatLeaveDays(available)} available
+                                        </span>
+                                    </div>
+                                    <p className="text-sm text-gray-700 dark:text-gray-200">
+                                        {request.startDate === request.endDate ? request.startDate : `${request.startDate} → ${request.endDate}`} · {formatLeaveDays(request.days)} day{request.days === 1 ? '' : 's'}
+                                    </p>
+                                    <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">Reason: {request.reason}</p>
+                                    <div className="flex flex-col sm:flex-row gap-2">
+                                        <input
+                                            type="text"
+                                            value={comments[request.id] || ''}
+                                            onChange={(e) => setComments((prev) => ({ ...prev, [request.id]: e.target.value }))}
+                                            placeholder="Comment (required to reject)"
+                                            className="flex-1 bg-gray-50 border border-gray-300 text-gray-900 text-xs rounded-lg block p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                        />
+                                        <button
+                                            onClick={() => handleReview(request, 'approved')}
+                                            disabled={busyId === request.id || request.userId === userData?.uid}
+                                            className="px-3 py-1 text-xs font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                                        >
+                                            Approve
+                                        </button>
+                                        <button
+                                            onClick={() => handleReview(request, 'rejected')}
+                                            disabled={busyId === request.id || request.userId === userData?.uid}
+                                            className="px-3 py-1 text-xs font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                                        >
+                                            Reject
+                                        </button>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+
+            <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Team Leave Balances ({year})</h3>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Available days (used in brackets). Allowances accrue monthly.</p>
+                {agents.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">No agents in this team.</p>
+                ) : (
+                    <div className="overflow-x-auto relative sm:rounded-lg">
+                        <table className="w-full text-sm text-left text-gray-500 dark:text-gray-400">
+                            <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                                <tr>
+                                    <th className="py-3 px-4">Agent</th>
+                                    {LEAVE_TYPES.map((type) => <th key={type} className="py-3 px-4">{LEAVE_TYPE_LABELS[type]}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {agents.map((agent) => (
+                                    <tr key={agent.uid} className="bg-white border-b dark:bg-gray-800 dark:border-gray-700">
+                                        <td className="py-3 px-4 font-medium text-gray-900 dark:text-white whitespace-nowrap">{agent.displayName}</td>
+                                        {summarizeLeaveBalance(policy, balanceFor(agent.uid), year, today).map((s) => (
+                                            <td key={s.type} className="py-3 px-4 font-mono">
+                                                {formatLeaveDays(s.available)} <span className="text-xs text-gray-400">({formatLeaveDays(s.used)})</span>
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default LeaveApprovalQueue;
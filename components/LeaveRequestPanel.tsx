@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { DateTime } from 'luxon';
+import { cancelLeaveRequest, streamLeaveBalance, streamLeaveRequestsForUser, submitLeaveRequest } from '../services/leave';
+import { LEAVE_TYPES, LEAVE_TYPE_LABELS, formatLeaveDays, resolveLeavePolicy, summarizeLeaveBalance } from '../utils/leave';
+import type { LeaveBalance, LeavePolicy, LeaveRequest, LeaveType } from '../types';
+
+interface Props {
+    userId: string;
+    displayName: string;
+    teamId: string;
+    timezone?: string;
+    leavePolicy?: LeavePolicy;
+}
+
+const SUBMIT_ERROR_MESSAGES: Record<string, string> = {
+    'leave-invalid-type': 'Please choose a leave type.',
+    'leave-invalid-dates': 'Please pick a valid start and end date.',
+    'leave-end-before-start': 'The end date cannot be before the start date.',
+    'leave-range-too-long': 'Leave requests are limited to 60 days. Split longer leave into separate requests.',
+    'leave-reason-required': 'Please add a reason for your leave.',
+    'leave-no-team': 'You need to be assigned to a team before requesting leave.',
+    'leave-overlap': 'You already have a pending or approved request that overlaps these dates.',
+    'leave-no-working-days': 'The selected dates are all holidays.',
+    'leave-insufficient-balance': 'You do not have enough leave balance for this request.'
+};
+
+export const LEAVE_STATUS_STYLES: Record<LeaveRequest['status'], string> = {
+    pending: 'bg-blue-100 text-blue-800 dark:bg-blue-900/50 dark:text-blue-200',
+    approved: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200',
+    rejected: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200',
+    cancelled: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200'
+};
+
+const LeaveRequestPanel: React.FC<Props> = ({ userId, displayName, teamId, timezone, leavePolicy }) => {
+    const today = DateTime.now().setZone(timezone || 'Asia/Kolkata');
+    const year = today.year;
+    const [requests, setRequests] = useState<LeaveRequest[]>([]);
+    const [balance, setBalance] = useState<LeaveBalance | null>(null);
+    const [type, setType] = useState<LeaveType>('annual');
+    const [startDate, setStartDate] = useState(today.toISODate() as string);
+    const [endDate, setEndDate] = useState(today.toISODate() as string);
+    const [reason, setReason] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [success, setSuccess] = useState<string | null>(null);
+
+    useEffect(() => streamLeaveRequestsForUser(userId, setRequests), [userId]);
+    useEffect(() => streamLeaveBalance(userId, year, setBalance), [userId, year]);
+
+    const summaries = summarizeLeaveBalance(resolveLeavePolicy(leavePolicy), balance, year, today);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            await submitLeaveRequest({ type, startDate, endDate, reason }, { uid: userId, displayName, teamId });
+            setReason('');
+            setSuccess('Leave request submitted for approval.');
+        } catch (err) {
+            console.error('[LeaveRequestPanel] submit failed', err);
+            setError(SUBMIT_ERROR_MESSAGES[(err as Error).message] || 'Failed to submit leave request.');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleCancel = async (request: LeaveRequest) => {
+        setError(null);
+        try {
+            await cancelLeaveRequest(request.id, { uid: userId, displayName });
+        } catch (err) {
+            console.error('[LeaveRequestPanel] cancel failed', err);
+            setError('Failed to cancel leave request.');
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-3">Leave Balance ({year})</h3>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {summaries.map((s) => (
+                        <div key={s.type} className="p-3 rounded-lg border dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50">
+                            <div className="text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400">{LEAVE_TYPE_LABELS[s.type]}</div>
+                            <div className="text-xl font-semibold text-gray-900 dark:text-white">{formatLeaveDays(s.available)}</div>
+                            <div className="text-xs text-gray-500 dark:text-gray-400">
+                                {s.type === 'unpaid' ? `${formatLeaveDays(s.used)} used` : `${formatLeaveDays(s.accrued)} accrued · ${formatLeaveDays(s.used)} used`}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-4 rounded-lg border dark:border-gray-700 bg-white dark:bg-gray-800 space-y-4">
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white">Request Leave</h3>
+                {error && <p className="text-sm text-red-500">{error}</p>}
+                {success && <p className="text-sm text-green-600 dark:text-green-400">{success}</p>}
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div>
+                        <label htmlFor="leave-type" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Type</label>
+                        <select
+                            id="leave-type"
+                            value={type}
+                            onChange={(e) => setType(e.target.value as LeaveType)}
+                            className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                        >
+                            {LEAVE_TYPES.map((t) => <option key={t} value={t}>{LEAVE_TYPE_LABELS[t]}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="leave-start" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">From</label>
+                        <input
+                            type="date"
+                            id="leave-start"
+                            value={startDate}
+                            onChange={(e) => setStartDate(e.target.value)}
+                            className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="leave-end" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">To</label>
+                        <input
+                            type="date"
+                            id="leave-end"
+                            value={endDate}
+                            min={startDate}
+                            onChange={(e) => setEndDate(e.target.value)}
+                            className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                        />
+                    </div>
+                </div>
+                <div>
+                    <label htmlFor="leave-reason" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Reason</label>
+                    <textarea
+                        id="leave-reason"
+                        rows={2}
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    />
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">Holidays and days you are rostered off are not deducted from your balance.</p>
+                <button
+                    type="submit"
+                    disabled={submitting}
+                    className="text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:outline-none focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center dark:bg-blue-600 dark:hover:bg-blue-700 dark:focus:ring-blue-800 disabled:opacity-50"
+                >
+                    {submitting ? 'Submitting...' : 'Submit Request'}
+                </button>
+            </form>
+
+            <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-3">My Leave Requests</h3>
+                {requests.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">No leave requests yet.</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {requests.map((request) => (
+                            <li key={request.id} className="p-3 rounded-lg border dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50 text-sm">
+                                <div className="flex flex-wrap justify-between items-center gap-2">
+                                    <span className="text-gray-900 dark:text-white font-medium">
+                                        {LEAVE_TYPE_LABELS[request.type]} · {request.startDate === request.endDate ? request.startDate : `${request.startDate} → ${request.endDate}`} · {formatLeaveDays(request.days)} day{request.days === 1 ? '' : 's'}
+                                    </span>
+                                    <div className="flex items-center gap-2">
+                                        <span className={`px-2 py-0.5 rounded text-xs font-semibold uppercase ${LEAVE_STATUS_STYLES[request.status]}`}>{request.status}</span>
+                                        {request.status === 'pending' && (
+                                            <button onClick={() => handleCancel(request)} className="text-xs text-red-600 dark:text-red-400 hover:underline">Cancel</button>
+                                        )}
+                                    </div>
+                                </div>
+                                <p className="mt-1 text-xs text-gray-600 dark:text-gray-300">{request.reason}</p>
+                                {request.reviewComment && (
+                                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                        {request.reviewerDisplayName || 'Reviewer'}: {request.reviewComment}
+                                    </p>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default LeaveRequestPanel;
@@ -1,16 +1,19 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
 import { Timestamp } from 'firebase/firestore';
-import { hasRole } from '../utils/roles';
+import { hasRole, isDeactivated } from '../utils/roles';
 import { DateTime } from 'luxon';
-import { streamTodayWorkLogs, streamWorkLogsForDate, isSessionStale, closeStaleSession, updateWorkLog, readOrganizationTimezone, forceLogoutAgent, requestDesktopReconnect, restartDesktopRecording, streamAllAgentStatuses, streamGlobalAdminSettings, streamUsersByTeam, streamScheduleForMonth, streamAllUsers, getScheduleForMonth } from '../services/db';
+import { streamTodayWorkLogs, streamWorkLogsForDate, isSessionStale, closeStaleSession, readOrganizationTimezone, forceLogoutAgent, requestDesktopReconnect, restartDesktopRecording, streamAllAgentStatuses, streamMemberSettings, streamUsersByTeam, streamScheduleForMonth, streamAllUsers, getScheduleForMonth } from '../services/db';
 import { streamAllPresence, isPresenceFresh, streamAllAppTracking } from '../services/presence';
 import type { AppTrackingMap } from '../services/presence';
 import { useAuth } from '../hooks/useAuth';
-import type { WorkLog, AdminSettingsType, UserData, MonthlySchedule } from '../types';
+import { updateWorkLogWithRevision } from '../services/worklogCorrections';
+import type { WorkLog, AdminSettingsType, UserData, MonthlySchedule, Permission } from '../types';
 import Spinner from './Spinner';
 import LiveStreamModal from './LiveStreamModal';
 import ActivitySheet, { transformFirestoreWorklog } from './ActivitySheet';
+import { breakReasonLabel, resolveBreakReasons } from '../utils/breakReasons';
+import { computeBreakSecondsByReason, deriveBreakCause } from '../utils/worklogTotals';
 
 interface Props {
     teamId?: string;
@@ -90,6 +93,7 @@ const calculateLateMinutes = (
 
 const deriveLateMinutesForLog = (log: WorkLog, timezone?: string): number | null => {
     if (!log?.scheduledStart) return null;
+    if (log.isHoliday) return 0;
     const startDate = toDateSafe(log.clockInTime ?? log.startTime);
     if (!startDate) return null;
     const late = calculateLateMinutes(
@@ -103,6 +107,7 @@ const deriveLateMinutesForLog = (log: WorkLog, timezone?: string): number | null
 };
 
 const EditTimeModal = ({ log, onClose, timezone }: { log: WorkLog, onClose: () => void, timezone: string }) => {
+    const { userData } = useAuth();
     const [startTime, setStartTime] = useState(toDatetimeLocal(log.clockInTime));
     const [endTime, setEndTime] = useState(toDatetimeLocal(log.clockOutTime));
     const [saving, setSaving] = useState(false);
@@ -206,7 +211,10 @@ const EditTimeModal = ({ log, onClose, timezone }: { log: WorkLog, onClose: () =
                 updates.status = 'working';
             }
 
-            await updateWorkLog(log.id, updates);
+            await updateWorkLogWithRevision(log.id, updates, {
+                uid: userData?.uid || 'unknown',
+                displayName: userData?.displayName || null
+            }, { source: 'manager_edit' });
             onClose();
         } catch (e) {
             console.error(e);
@@ -295,7 +303,7 @@ const TimeEntriesModal = ({ log, onClose, timezone }: { log: WorkLog; onClose: (
 };
 
 const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
-    const { userData } = useAuth();
+    const { userData, permissions } = useAuth();
     const [rawLogs, setRawLogs] = useState<WorkLog[]>([]);
     const [loading, setLoading] = useState(true);
     const [agentStatuses, setAgentStatuses] = useState<Record<string, any>>({});
@@ -344,7 +352,7 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
         return () => { mounted = false; };
     }, []);
 
-    useEffect(() => streamGlobalAdminSettings(setAdminSettings), []);
+    useEffect(() => streamMemberSettings(setAdminSettings), []);
 
     useEffect(() => {
         if (!teamId) {
@@ -377,7 +385,7 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
             return;
         }
         const unsubscribe = streamAllUsers((users) => {
-            setAllAgentUsers((users || []).filter((u) => hasRole(u, 'agent')));
+            setAllAgentUsers((users || []).filter((u) => hasRole(u, 'agent') && !isDeactivated(u)));
         });
         return () => unsubscribe();
     }, [teamId]);
@@ -469,6 +477,8 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
         return 'clocked_out';
     };
 
+    const breakReasons = useMemo(() => resolveBreakReasons(adminSettings?.breakReasons), [adminSettings?.breakReasons]);
+
     const agents = useMemo(() => {
         return rawLogs.map(log => {
             const desktopStatus = agentStatuses?.[log.userId];
@@ -520,6 +530,10 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
 
             // Status must come from worklogs only (single source of truth).
             const effectiveStatus: WorkLog['status'] = normalizeStatus(log.status);
+            const openManualBreak = (log.breaks || []).find((b) => b && !b.endTime && deriveBreakCause(b) === 'manual');
+            const currentBreakReason = effectiveStatus === 'on_break'
+                ? (openManualBreak?.reason || desktopStatus?.breakReason || null)
+                : null;
 
             return {
                 ...log,
@@ -528,6 +542,8 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
                 displayBreak: totalBreak,
                 manualBreakSeconds: manualSeconds,
                 idleBreakSeconds: idleSeconds,
+                breakSecondsByReason: computeBreakSecondsByReason(log),
+                currentBreakReason,
                 isZombie,
                 isOvernight,
                 lateMinutes,
@@ -681,13 +697,16 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
         return userData.teamId ? [userData.teamId] : [];
     }, [userData]);
 
-    const canRequestStreamForAgent = (log: WorkLog) => {
-        if (!log || log.status === 'clocked_out' || !userData) return false;
+    // Managers hold every team permission; custom roles grant them one at a time, always team-scoped.
+    const canOnTeam = (permission: Permission, log: WorkLog) => {
+        if (!userData) return false;
         if (hasRole(userData, 'admin')) return true;
-        if (hasRole(userData, 'manager') && log.teamId) {
-            return managerTeamIds.includes(log.teamId);
-        }
-        return false;
+        return permissions.includes(permission) && !!log.teamId && managerTeamIds.includes(log.teamId);
+    };
+
+    const canRequestStreamForAgent = (log: WorkLog) => {
+        if (!log || log.status === 'clocked_out') return false;
+        return canOnTeam('live_view', log);
     };
 
     const getPrimaryHttpUploadUrl = () => {
@@ -798,12 +817,8 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
     };
 
     const canForceLogoutAgent = (log: WorkLog) => {
-        if (!log?.userId || !userData) return false;
-        if (hasRole(userData, 'admin')) return true;
-        if (hasRole(userData, 'manager') && log.teamId) {
-            return managerTeamIds.includes(log.teamId);
-        }
-        return false;
+        if (!log?.userId) return false;
+        return canOnTeam('force_logout', log);
     };
 
     const getRestartRecorderBlockReason = (log: WorkLog): string | null => {
@@ -970,7 +985,11 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
                 return <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">Working</span>;
             case 'on_break':
             case 'break':
-                return <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">On Break</span>;
+                return (
+                    <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">
+                        On Break{agent.currentBreakReason ? ` · ${breakReasonLabel(breakReasons, agent.currentBreakReason)}` : ''}
+                    </span>
+                );
             case 'clocked_out':
                 return <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200">Offline</span>;
             default:
@@ -1163,6 +1182,13 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
                                             </td>
                                             <td className={`py-4 px-6 font-mono ${isOnManualBreak ? 'bg-yellow-100 dark:bg-yellow-900/40 text-yellow-700 dark:text-yellow-300 font-bold rounded' : 'text-gray-700 dark:text-gray-200'}`}>
                                                 {formatDuration(agent.manualBreakSeconds ?? agent.displayBreak)}
+                                                {Object.keys(agent.breakSecondsByReason || {}).length > 0 && (
+                                                    <div className="mt-1 space-y-0.5 text-[11px] font-normal text-gray-500 dark:text-gray-400">
+                                                        {Object.entries(agent.breakSecondsByReason as Record<string, number>).map(([code, seconds]) => (
+                                                            <div key={code || 'unspecified'}>{breakReasonLabel(breakReasons, code)}: {formatDuration(seconds)}</div>
+                                                        ))}
+                                                    </div>
+                                                )}
                                             </td>
                                             <td className={`py-4 px-6 font-mono ${isIdleOrAway ? 'bg-orange-100 dark:bg-orange-900/40 text-orange-700 dark:text-orange-300 font-bold rounded' : 'text-gray-600 dark:text-gray-300'}`}>
                                                 {formatDuration(agent.idleBreakSeconds ?? 0)}
@@ -1220,7 +1246,7 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
                                             Live
                                         </button>
                                     )}
-                                    {adminSettings?.httpUploadUrl && (
+                                    {adminSettings?.httpUploadUrl && canOnTeam('view_recordings', agent) && (
                                         <button
                                             onClick={() => handleMergeRecordings(agent)}
                                             disabled={mergePending === agent.userId}
@@ -1230,7 +1256,7 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
                                             Merge
                                         </button>
                                     )}
-                                    {adminSettings?.httpUploadUrl && (
+                                    {adminSettings?.httpUploadUrl && canOnTeam('view_recordings', agent) && (
                                         <button
                                             onClick={() => handleRepairRecordings(agent)}
                                             disabled={repairPending === agent.userId}
@@ -1240,7 +1266,7 @@ const LiveMonitoringDashboard: React.FC<Props> = ({ teamId }) => {
                                             Repair
                                         </button>
                                     )}
-                                    {(agent.isZombie || (agent.status !== 'clocked_out' && !isToday)) && (
+                                    {(agent.isZombie || (agent.status !== 'clocked_out' && !isToday)) && canForceLogoutAgent(agent) && (
                                         <button
                                             onClick={() => handleForceClose(agent)}
                                             className="font-medium text-red-600 dark:text-red-400 hover:underline"
@@ -7,13 +7,38 @@ import TeamStatusView from './TeamStatusView';
 import ReportsPanel from './ReportsPanel';
 import AppTrackingReport from './AppTrackingReport';
 import AppAlertToast from './AppAlertToast';
+import TimesheetApprovalQueue from './TimesheetApprovalQueue';
+import WorklogCorrectionQueue from './WorklogCorrectionQueue';
+import LeaveApprovalQueue from './LeaveApprovalQueue';
+import ShiftSwapApprovalQueue from './ShiftSwapApprovalQueue';
+import RecordingPlayback from './RecordingPlayback';
+import ProtectedRoute from './ProtectedRoute';
 import { getTeamById, streamRecentAppAlerts } from '../services/db';
-import type { Team, AppAlert } from '../types';
-
+import { hasRole } from '../utils/roles';
+import { hasAnyPermission } from '../utils/permissions';
+import type { Team, AppAlert, Permission } from '../types';
+
+const MONITORING_PERMISSIONS: Permission[] = ['live_view', 'force_logout', 'view_recordings'];
+
+// Tabs without permissions are manager-only; the rest are also open to custom roles granting one of them.
+const TEAM_TABS: { tabName: string; title: string; permissions?: Permission[] }[] = [
+    { tabName: 'scheduling', title: 'Team Schedule', permissions: ['edit_schedules'] },
+    { tabName: 'reports', title: 'Reports', permissions: ['export_reports'] },
+    { tabName: 'monitoring', title: 'Detailed Agent Monitoring', permissions: MONITORING_PERMISSIONS },
+    { tabName: 'playback', title: 'Recording Playback', permissions: ['view_recordings'] },
+    { tabName: 'appTracking', title: 'App Tracking' },
+    { tabName: 'timesheets', title: 'Timesheet Approvals' },
+    { tabName: 'corrections', title: 'Worklog Corrections' },
+    { tabName: 'leave', title: 'Leave Requests' },
+    { tabName: 'swaps', title: 'Shift Swaps' }
+];
 
 const ManagerPanel: React.FC = () => {
-    const { userData } = useAuth();
-    const [activeTab, setActiveTab] = useState('scheduling');
+    const { userData, permissions } = useAuth();
+    const isManager = hasRole(userData, 'manager');
+    const visibleTabs = TEAM_TABS.filter((tab) => (tab.permissions ? hasAnyPermission(permissions, tab.permissions) : isManager));
+    const [activeTab, setActiveTab] = useState(visibleTabs[0]?.tabName || 'scheduling');
+    const showLiveStatus = isManager || hasAnyPermission(permissions, ['live_view', 'force_logout']);
 
     // Logic for multiple teams
     const [availableTeams, setAvailableTeams] = useState<Team[]>([]);
@@ -25,7 +50,7 @@ const ManagerPanel: React.FC = () => {
 
     // Subscribe to red flag alerts from ALL of the manager's teams at once
     useEffect(() => {
-        if (!availableTeams.length) return;
+        if (!availableTeams.length || !isManager) return;
         const merge = (alerts: AppAlert[]) => {
             setAlertQueue(prev => {
                 const existingIds = new Set(prev.map(a => a.id));
@@ -39,7 +64,7 @@ const ManagerPanel: React.FC = () => {
             streamRecentAppAlerts(merge, team.id, sessionStart.current)
         );
         return () => unsubs.forEach(u => u());
-    }, [availableTeams]);
+    }, [availableTeams, isManager]);
 
     useEffect(() => {
         const fetchTeams = async () => {
@@ -87,24 +112,26 @@ const ManagerPanel: React.FC = () => {
     return (
         <div>
             <AppAlertToast alerts={alertQueue} onDismiss={dismissAlert} />
-            <h2 className="text-2xl font-semibold text-gray-800 dark:text-gray-200 mb-6">Manager Dashboard</h2>
+            <h2 className="text-2xl font-semibold text-gray-800 dark:text-gray-200 mb-6">{isManager ? 'Manager Dashboard' : 'Team Dashboard'}</h2>
 
             {/* Live Status Section - Shows ALL assigned teams */}
-            <div className="mb-8 space-y-6">
-                {availableTeams.map(team => (
-                    <div key={team.id} className="flex flex-col gap-2">
-                        <div className="flex items-center gap-2 px-1">
-                            <h3 className="text-lg font-bold text-gray-700 dark:text-gray-300">{team.name}</h3>
-                            <span className="text-xs font-normal text-gray-500 dark:text-gray-400 px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-800 border dark:border-gray-700">Live Status</span>
+            {showLiveStatus && (
+                <div className="mb-8 space-y-6">
+                    {availableTeams.map(team => (
+                        <div key={team.id} className="flex flex-col gap-2">
+                            <div className="flex items-center gap-2 px-1">
+                                <h3 className="text-lg font-bold text-gray-700 dark:text-gray-300">{team.name}</h3>
+                                <span className="text-xs font-normal text-gray-500 dark:text-gray-400 px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-800 border dark:border-gray-700">Live Status</span>
+                            </div>
+                            <TeamStatusView
+                                teamId={team.id}
+                                canControlRecording={isManager}
+                                isMinimizable={true}
+                            />
                         </div>
-                        <TeamStatusView
-                            teamId={team.id}
-                            canControlRecording={true}
-                            isMinimizable={true}
-                        />
-                    </div>
-                ))}
-            </div>
+                    ))}
+                </div>
+            )}
 
             <div className="border-t border-gray-300 dark:border-gray-600 my-8"></div>
 
@@ -135,20 +162,42 @@ const ManagerPanel: React.FC = () => {
 
             <div className="mb-6 border-b border-gray-200 dark:border-gray-700">
                 <nav className="flex flex-wrap gap-2" aria-label="Tabs">
-                    <TabButton tabName="scheduling" title="Team Schedule" />
-                    <TabButton tabName="reports" title="Reports" />
-                    <TabButton tabName="monitoring" title="Detailed Agent Monitoring" />
-                    <TabButton tabName="appTracking" title="App Tracking" />
+                    {visibleTabs.map((tab) => <TabButton key={tab.tabName} tabName={tab.tabName} title={tab.title} />)}
                 </nav>
             </div>
 
             <div id="tab-content">
                 {currentTeamId ? (
                     <>
-                        {activeTab === 'monitoring' && <LiveMonitoringDashboard teamId={currentTeamId} />}
-                        {activeTab === 'scheduling' && <SchedulingPanel teamId={currentTeamId} />}
-                        {activeTab === 'reports' && <ReportsPanel teamId={currentTeamId} />}
-                        {activeTab === 'appTracking' && <AppTrackingReport teamId={currentTeamId} />}
+                        {activeTab === 'monitoring' && (
+                            <ProtectedRoute permissions={MONITORING_PERMISSIONS}>
+                                <LiveMonitoringDashboard teamId={currentTeamId} />
+                            </ProtectedRoute>
+                        )}
+                        {activeTab === 'playback' && (
+                            <ProtectedRoute permissions={['view_recordings']}>
+                                <RecordingPlayback teamId={currentTeamId} />
+                            </ProtectedRoute>
+                        )}
+                        {activeTab === 'scheduling' && (
+                            <ProtectedRoute permissions={['edit_schedules']}>
+                                <SchedulingPanel teamId={currentTeamId} />
+                            </ProtectedRoute>
+                        )}
+                        {activeTab === 'reports' && (
+                            <ProtectedRoute permissions={['export_reports']}>
+                                <ReportsPanel teamId={currentTeamId} />
+                            </ProtectedRoute>
+                        )}
+                        {isManager && (
+                            <>
+                                {activeTab === 'appTracking' && <AppTrackingReport teamId={currentTeamId} />}
+                                {activeTab === 'timesheets' && <TimesheetApprovalQueue teamId={currentTeamId} />}
+                                {activeTab === 'corrections' && <WorklogCorrectionQueue teamId={currentTeamId} />}
+                                {activeTab === 'leave' && <LeaveApprovalQueue teamId={currentTeamId} />}
+                                {activeTab === 'swaps' && <ShiftSwapApprovalQueue teamId={currentTeamId} />}
+                            </>
+                        )}
                     </>
                 ) : (
                     <p className="text-gray-500">Please select a team to manage.</p>
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { DateTime } from 'luxon';
+import { getWorkLogsForDateRange, getScheduleForRange, getTeamById, streamMemberSettings } from '../services/db';
+import { getHolidaysInRange } from '../services/holidays';
+import { computePayroll, toPayrollExportRows, PAYROLL_EXPORT_HEADERS } from '../utils/payroll';
+import type { PayrollAgentSummary } from '../utils/payroll';
+import { toCsv, toXlsx, downloadBlob } from '../utils/spreadsheet';
+import type { AdminSettingsType } from '../types';
+
+interface Props {
+    teamId: string;
+}
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const formatHours = (seconds: number) => (seconds / 3600).toFixed(2);
+
+const PayrollExportPanel: React.FC<Props> = ({ teamId }) => {
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+    const [settings, setSettings] = useState<AdminSettingsType | null>(null);
+    const [summaries, setSummaries] = useState<PayrollAgentSummary[] | null>(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        const unsubscribe = streamMemberSettings((next) => {
+            setSettings(next);
+            // The range defaults to today in the organization's timezone once it is known.
+            const today = DateTime.now().setZone(next?.organizationTimezone || DEFAULT_TIMEZONE).toISODate() as string;
+            setStartDate((current) => current || today);
+            setEndDate((current) => current || today);
+        });
+        return () => unsubscribe?.();
+    }, []);
+
+    useEffect(() => {
+        setSummaries(null);
+    }, [teamId, startDate, endDate]);
+
+    const timezone = settings?.organizationTimezone || DEFAULT_TIMEZONE;
+
+    const buildSummaries = async (): Promise<PayrollAgentSummary[] | null> => {
+        if (!startDate || !endDate) {
+            setError("Please select both a start and end date.");
+            return null;
+        }
+        const start = DateTime.fromISO(startDate, { zone: timezone }).startOf('day');
+        const end = DateTime.fromISO(endDate, { zone: timezone }).endOf('day');
+        if (!start.isValid || !end.isValid || start > end) {
+            setError("Start date cannot be after end date.");
+            return null;
+        }
+
+        setLoading(true);
+        setError(null);
+        try {
+            const [logs, schedule, holidays, team] = await Promise.all([
+                getWorkLogsForDateRange(teamId, start.toJSDate(), end.toJSDate()),
+                getScheduleForRange(teamId, startDate, endDate),
+                getHolidaysInRange(startDate, endDate),
+                getTeamById(teamId)
+            ]);
+            const holidayDates = holidays.map((h) => h.date);
+            const result = computePayroll(logs, schedule, settings?.payrollRules, timezone, startDate, endDate, holidayDates, team?.settings?.breakPolicy);
+            setSummaries(result);
+            return result;
+        } catch (err) {
+            console.error(err);
+            setError("Failed to generate payroll export.");
+            return null;
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleExport = async (format: 'csv' | 'xlsx') => {
+        const result = summaries || await buildSummaries();
+        if (!result) return;
+        const rows = toPayrollExportRows(result);
+        const filename = `payroll_${startDate}_to_${endDate}.${format}`;
+        if (format === 'csv') {
+            downloadBlob(new Blob([toCsv(PAYROLL_EXPORT_HEADERS, rows)], { type: 'text/csv;charset=utf-8' }), filename);
+        } else {
+            downloadBlob(toXlsx('Payroll', PAYROLL_EXPORT_HEADERS, rows), filename);
+        }
+    };
+
+    const hasOpenSessions = summaries?.some((s) => s.openSessions > 0);
+
+    return (
+        <div className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Payroll Export</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+                Applies the overtime, night differential, holiday, and rounding rules from Admin Settings. Holiday pay uses dates from the holiday calendar, and paid break types from the team break policy stay on the clock. Align the range with your pay weeks so weekly overtime is complete.
+            </p>
+            {error && <p className="text-sm text-red-500 mb-4">{error}</p>}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4 max-w-lg">
+                <div>
+                    <label htmlFor="payroll-start-date" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Period Start</label>
+                    <input
+                        type="date"
+                        id="payroll-start-date"
+                        value={startDate}
+                        onChange={(e) => setStartDate(e.target.value)}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="payroll-end-date" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Period End</label>
+                    <input
+                        type="date"
+                        id="payroll-end-date"
+                        value={endDate}
+                        onChange={(e) => setEndDate(e.target.value)}
+                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
+                    />
+                </div>
+            </div>
+            <div className="flex flex-wrap gap-3 mb-4">
+                <button
+                    onClick={buildSummaries}
+                    disabled={loading}
+                    className="text-gray-900 bg-white border border-gray-300 hover:bg-gray-100 font-medium rounded-lg text-sm px-5 py-2.5 dark:bg-gray-700 dark:text-white dark:border-gray-600 dark:hover:bg-gray-600 disabled:opacity-50"
+                >
+                    {loading ? 'Calculating...' : 'Preview'}
+                </button>
+                <button
+                    onClick={() => handleExport('csv')}
+                    disabled={loading}
+                    className="text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:outline-none focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center dark:bg-blue-600 dark:hover:bg-blue-700 dark:focus:ring-blue-800 disabled:opacity-50"
+                >
+                    Download CSV
+                </button>
+                <button
+                    onClick={() => handleExport('xlsx')}
+                    disabled={loading}
+                    className="text-white bg-green-600 hover:bg-green-700 focus:ring-4 focus:outline-none focus:ring-green-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center disabled:opacity-50"
+                >
+                    Download XLSX
+                </button>
+            </div>
+
+            {hasOpenSessions && (
+                <p className="text-xs text-yellow-700 dark:text-yellow-300 mb-3">Some sessions in this range are still open and are excluded from the totals.</p>
+            )}
+
+            {summaries && (
+                summaries.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">No worklogs in this period.</p>
+                ) : (
+                    <div className="overflow-x-auto relative sm:rounded-lg">
+                        <table className="w-full text-sm text-left text-gray-500 dark:text-gray-400">
+                            <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                                <tr>
+                                    <th className="py-3 px-4">Agent</th>
+                                    <th className="py-3 px-4">Days</th>
+                                    <th className="py-3 px-4">Scheduled</th>
+                                    <th className="py-3 px-4">Worked</th>
+                                    <th className="py-3 px-4">Regular</th>
+                                    <th className="py-3 px-4">Daily OT</th>
+                                    <th className="py-3 px-4">Weekly OT</th>
+                                    <th className="py-3 px-4">Night</th>
+                                    <th className="py-3 px-4">Holiday</th>
+                                    <th className="py-3 px-4">Payable</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {summaries.map((s) => (
+                                    <tr key={s.userId} className="bg-white border-b dark:bg-gray-800 dark:border-gray-700">
+                                        <td className="py-3 px-4 font-medium text-gray-900 dark:text-white whitespace-nowrap">{s.userDisplayName}</td>
+                                        <td className="py-3 px-4">{s.daysWorked}</td>
+                                        <td className="py-3 px-4 font-mono">{formatHours(s.scheduledSeconds)}</td>
+                                        <td className="py-3 px-4 font-mono">{formatHours(s.totalWorkSeconds)}</td>
+                                        <td className="py-3 px-4 font-mono">{formatHours(s.regularSeconds)}</td>
+                                        <td className="py-3 px-4 font-mono">{formatHours(s.dailyOvertimeSeconds)}</td>
+                                        <td className="py-3 px-4 font-mono">{formatHours(s.weeklyOvertimeSeconds)}</td>
+                                        <td className="py-3 px-4 font-mono">{formatHours(s.nightSeconds)}</td>
+                                        <td className="py-3 px-4 font-mono">{formatHours(s.holidaySeconds)}</td>
+                                        <td className="py-3 px-4 font-mono font-semibold">{formatHours(s.payableSeconds)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )
+            )}
+        </div>
+    );
+};
+
+export default PayrollExportPanel;
@@ -1,15 +1,18 @@
-
 import React, { ReactElement } from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
+import { hasAnyPermission } from '../utils/permissions';
+import type { Permission } from '../types';
 import Spinner from './Spinner';
 
 interface ProtectedRouteProps {
   children: ReactElement;
+  /** Any one of these is enough. Also used to guard individual dashboard panels. */
+  permissions?: Permission[];
 }
 
-const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ children }) => {
-  const { user, loading } = useAuth();
+const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ children, permissions: required }) => {
+  const { user, permissions, loading } = useAuth();
 
   if (loading) {
     return (
@@ -23,6 +26,10 @@ const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ children }) => {
     return <Navigate to="/login" />;
   }
 
+  if (required?.length && !hasAnyPermission(permissions, required)) {
+    return <p className="p-4 text-sm text-red-500">You do not have permission to view this.</p>;
+  }
+
   return children;
 };
 
@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import { streamGlobalAdminSettings } from '../services/db';
+import { disableRecordingEncryption, exportRecordingPrivateKey, rotateRecordingKey, streamRecordingKeys } from '../services/recordingKeys';
+import { downloadBlob } from '../utils/spreadsheet';
+import { normalizeDate } from '../utils/worklogTotals';
+import type { RecordingKey } from '../types';
+
+const ENCRYPTION_ERROR_MESSAGES: Record<string, string> = {
+    'passphrase-too-short': 'Use a passphrase of at least 12 characters.',
+    'passphrase-mismatch': 'The passphrases do not match.',
+    'wrong-passphrase': 'That passphrase does not open this key.'
+};
+
+const inputClass = 'bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+const RecordingEncryptionSettings: React.FC = () => {
+    const [keys, setKeys] = useState<RecordingKey[]>([]);
+    const [activeKeyId, setActiveKeyId] = useState<string | null>(null);
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmPassphrase, setConfirmPassphrase] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [message, setMessage] = useState<string | null>(null);
+
+    useEffect(() => streamRecordingKeys(setKeys), []);
+    useEffect(() => streamGlobalAdminSettings((settings) => setActiveKeyId(settings?.recordingEncryptionKeyId || null)), []);
+
+    const run = async (action: () => Promise<string | void>) => {
+        setBusy(true);
+        setError(null);
+        setMessage(null);
+        try {
+            const result = await action();
+            if (result) setMessage(result);
+        } catch (err) {
+            console.error('Recording encryption action failed', err);
+            setError(ENCRYPTION_ERROR_MESSAGES[(err as Error).message] || 'The action failed. Please try again.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRotate = (e: React.FormEvent) => {
+        e.preventDefault();
+        if (activeKeyId && !window.confirm('Rotate the recording key? Desktops switch to the new key with their next segment. Existing recordings keep their old key.')) return;
+        run(async () => {
+            if (passphrase !== confirmPassphrase) throw new Error('passphrase-mismatch');
+            const keyId = await rotateRecordingKey(passphrase, keys);
+            setPassphrase('');
+            setConfirmPassphrase('');
+            return `Recordings are now encrypted with key ${keyId}.`;
+        });
+    };
+
+    const handleDisable = () => {
+        if (!window.confirm('Stop encrypting new recordings? Segments recorded from now on are uploaded unencrypted.')) return;
+        run(async () => {
+            await disableRecordingEncryption(keys);
+            return 'New recordings are no longer encrypted.';
+        });
+    };
+
+    const handleExport = (key: RecordingKey) => run(async () => {
+        const pem = await exportRecordingPrivateKey(key, passphrase);
+        downloadBlob(new Blob([pem], { type: 'application/x-pem-file' }), `${key.id}.pem`);
+        return `Exported ${key.id}.pem. Keep it on the receiver only.`;
+    });
+
+    return (
+        <div className="space-y-6">
+            <form onSubmit={handleRotate} className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700 space-y-4">
+                <div>
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Recording Encryption</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Desktops encrypt every segment with the organization's public key before it is uploaded, so Dropbox, Google Drive and the HTTP receiver only store ciphertext.
+                        Reviewers unlock recordings in Recording Playback with the passphrase; it is never sent to the server. A lost passphrase cannot be recovered.
+                    </p>
+                    <p className="mt-2 text-sm font-medium text-gray-900 dark:text-white">
+                        {activeKeyId ? <>Encryption is on with key <code className="text-xs">{activeKeyId}</code>.</> : 'Encryption is off.'}
+                    </p>
+                </div>
+                <div className="flex flex-wrap items-end gap-3">
+                    <label className="text-sm text-gray-900 dark:text-white">
+                        <span className="block mb-1 font-medium">Passphrase</span>
+                        <input type="password" autoComplete="new-password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} className={inputClass} />
+                    </label>
+                    <label className="text-sm text-gray-900 dark:text-white">
+                        <span className="block mb-1 font-medium">Confirm passphrase</span>
+                        <input type="password" autoComplete="new-password" value={confirmPassphrase} onChange={(e) => setConfirmPassphrase(e.target.value)} className={inputClass} />
+                    </label>
+                    <button type="submit" disabled={busy || !passphrase} className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                        {activeKeyId ? 'Rotate Key' : 'Enable Encryption'}
+                    </button>
+                    {activeKeyId && (
+                        <button type="button" onClick={handleDisable} disabled={busy} className="px-4 py-2 text-sm font-medium text-red-600 border border-red-300 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/30 disabled:opacity-50">
+                            Disable Encryption
+                        </button>
+                    )}
+                </div>
+                {error && <p className="text-sm text-red-500">{error}</p>}
+                {message && <p className="text-sm text-green-600 dark:text-green-400">{message}</p>}
+            </form>
+
+            <div className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700 space-y-3">
+                <div>
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Keys</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Retired keys are kept so older recordings stay readable. To let the HTTP receiver play encrypted recordings, enter a key's passphrase above and export it into the receiver's RECORDING_RECEIVER_KEYS_PATH folder.
+                    </p>
+                </div>
+                {keys.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No keys yet.</p>
+                ) : (
+                    <table className="w-full text-sm text-left text-gray-600 dark:text-gray-300">
+                        <thead className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                            <tr>
+                                <th className="px-3 py-2">Key</th>
+                                <th className="px-3 py-2">Created</th>
+                                <th className="px-3 py-2">Status</th>
+                                <th className="px-3 py-2" />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {keys.map((key) => (
+                                <tr key={key.id} className="border-t dark:border-gray-700">
+                                    <td className="px-3 py-2 font-mono text-xs">{key.id}</td>
+                                    <td className="px-3 py-2">{normalizeDate(key.createdAt)?.toLocaleString() || '—'}</td>
+                                    <td className="px-3 py-2 capitalize">{key.status}</td>
+                                    <td className="px-3 py-2 text-right">
+                                        <button type="button" onClick={() => handleExport(key)} disabled={busy || !passphrase} className="font-medium text-blue-600 hover:underline dark:text-blue-500 disabled:opacity-50">
+                                            Export for receiver
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default RecordingEncryptionSettings;
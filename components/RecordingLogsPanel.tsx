@@ -292,6 +292,11 @@ const RecordingLogsPanel: React.FC<RecordingLogsPanelProps> = ({ teamId }) => {
                                         </td>
                                         <td className="px-4 py-3 whitespace-nowrap">
                                             {getStatusBadge(log.status)}
+                                            {log.expired && (
+                                                <span className="ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300" title="Deleted by the retention policy">
+                                                    Expired
+                                                </span>
+                                            )}
                                             {log.error && log.status !== 'success' && (
                                                 <div
                                                     className={`text-xs text-red-500 mt-1 cursor-pointer hover:text-red-600 transition-colors ${expandedErrorIds.has(log.id) ? 'whitespace-normal' : 'max-w-[150px] truncate'}`}
@@ -336,7 +341,9 @@ const RecordingLogsPanel: React.FC<RecordingLogsPanelProps> = ({ teamId }) => {
                                             {formatDate(log.loggedAt)}
                                         </td>
                                         <td className="px-4 py-3 whitespace-nowrap">
-                                            {log.downloadUrl && log.status === 'success' ? (
+                                            {log.expired ? (
+                                                <span className="text-xs text-gray-500 dark:text-gray-400">Deleted by retention policy</span>
+                                            ) : log.downloadUrl && log.status === 'success' ? (
                                                 <a
                                                     href={log.downloadUrl.startsWith('dropbox:') ? undefined : log.downloadUrl}
                                                     target="_blank"
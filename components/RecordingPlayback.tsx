@@ -0,0 +1,474 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { getAppActivityForDateRange, getUsersByTeam, getWorkLogsForUserInRange, streamAllUsers, streamMemberSettings } from '../services/db';
+import { fetchRecordingDay } from '../services/recordingPlayback';
+import { fetchDecryptedSegment, streamRecordingKeys, unlockRecordingKeys } from '../services/recordingKeys';
+import { hasRole, isDeactivated } from '../utils/roles';
+import {
+    buildActivitySpans,
+    buildAppSpans,
+    findSegmentAt,
+    layoutSegments,
+    matchesAppSearch,
+    segmentKey
+} from '../utils/playbackTimeline';
+import type { ActivitySpan, ActivitySpanKind, AppSpan } from '../utils/playbackTimeline';
+import type { AppCategory, RecordingKey, RecordingPlaybackDay, RecordingTarget, UserData } from '../types';
+import Spinner from './Spinner';
+
+interface Props {
+    /** Restricts the agent list to one team (manager view); admins see the whole organization. */
+    teamId?: string;
+}
+
+const PLAYBACK_ERROR_MESSAGES: Record<string, string> = {
+    'recordings-not-allowed': "You do not have permission to view this agent's recordings.",
+    'user-not-found': 'Agent not found.',
+    'invalid-date': 'Pick a valid date.'
+};
+
+const TARGET_LABELS: Record<RecordingTarget, string> = {
+    dropbox: 'Dropbox',
+    googleDrive: 'Google Drive',
+    http: 'HTTP receiver'
+};
+
+const SOURCE_NOTES: Record<string, string> = {
+    'dropbox-not-connected': 'not connected',
+    'google-not-configured': 'not configured',
+    'receiver-not-configured': 'not configured',
+    'playback-secret-missing': 'RECORDING_PLAYBACK_SECRET is not set',
+    'listing-failed': 'could not be listed'
+};
+
+const SPAN_COLORS: Record<ActivitySpanKind, string> = {
+    working: 'bg-green-500',
+    break: 'bg-amber-400',
+    idle: 'bg-gray-400'
+};
+
+const APP_MARKER_COLORS: Partial<Record<AppCategory, string>> = {
+    social: 'bg-pink-500',
+    entertainment: 'bg-red-500'
+};
+
+const DEFAULT_SEGMENT_MINUTES = 5;
+
+const todayIso = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const formatClock = (ms: number) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+const RecordingPlayback: React.FC<Props> = ({ teamId }) => {
+    const [agents, setAgents] = useState<UserData[]>([]);
+    const [uid, setUid] = useState('');
+    const [date, setDate] = useState(todayIso());
+    const [day, setDay] = useState<RecordingPlaybackDay | null>(null);
+    const [activitySpans, setActivitySpans] = useState<ActivitySpan[]>([]);
+    const [appSpans, setAppSpans] = useState<AppSpan[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [screenId, setScreenId] = useState('');
+    const [segmentMinutes, setSegmentMinutes] = useState(DEFAULT_SEGMENT_MINUTES);
+    const [measuredMs, setMeasuredMs] = useState<Record<string, number>>({});
+    const [currentKey, setCurrentKey] = useState<string | null>(null);
+    const [currentMs, setCurrentMs] = useState<number | null>(null);
+    const [notice, setNotice] = useState<string | null>(null);
+    const [search, setSearch] = useState('');
+    const [recordingKeys, setRecordingKeys] = useState<RecordingKey[]>([]);
+    const [decryptedUrl, setDecryptedUrl] = useState<{ key: string; url: string } | null>(null);
+    const [decrypting, setDecrypting] = useState(false);
+    const [locked, setLocked] = useState(false);
+    const [unlockPassphrase, setUnlockPassphrase] = useState('');
+    const [unlockError, setUnlockError] = useState<string | null>(null);
+    const [decryptAttempt, setDecryptAttempt] = useState(0);
+    const videoRef = useRef<HTMLVideoElement | null>(null);
+    const pendingOffsetMs = useRef<number | null>(null);
+
+    useEffect(() => streamRecordingKeys(setRecordingKeys), []);
+
+    useEffect(() => streamMemberSettings((settings) => {
+        setSegmentMinutes(Number(settings?.recordingSegmentMinutes) || DEFAULT_SEGMENT_MINUTES);
+    }), []);
+
+    // Deactivated agents stay listed: their recordings are history until a hard delete.
+    useEffect(() => {
+        const keepAgents = (users: UserData[]) => setAgents(
+            users.filter((u) => hasRole(u, 'agent')).sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''))
+        );
+        if (!teamId) return streamAllUsers(keepAgents);
+        let cancelled = false;
+        getUsersByTeam(teamId).then((users) => {
+            if (!cancelled) keepAgents(users);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [teamId]);
+
+    useEffect(() => {
+        setDay(null);
+        setActivitySpans([]);
+        setAppSpans([]);
+        setCurrentKey(null);
+        setCurrentMs(null);
+        setMeasuredMs({});
+        setDecryptedUrl(null);
+        setLocked(false);
+        setNotice(null);
+        setError(null);
+        if (!uid || !date) return;
+
+        let cancelled = false;
+        setLoading(true);
+        Promise.all([
+            fetchRecordingDay(uid, date),
+            getWorkLogsForUserInRange(uid, new Date(`${date}T00:00:00`), new Date(`${date}T23:59:59.999`)),
+            getAppActivityForDateRange(uid, date, date)
+        ]).then(([recordingDay, worklogs, summaries]) => {
+            if (cancelled) return;
+            setDay(recordingDay);
+            setActivitySpans(buildActivitySpans(worklogs));
+            setAppSpans(buildAppSpans(summaries));
+            setScreenId(recordingDay.segments[0]?.screenId || '');
+        }).catch((err) => {
+            if (cancelled) return;
+            console.error('Failed to load recording playback', err);
+            setError(PLAYBACK_ERROR_MESSAGES[(err as Error).message] || 'Failed to load recordings for this day.');
+        }).finally(() => {
+            if (!cancelled) setLoading(false);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [uid, date]);
+
+    const screens = useMemo(() => Array.from(new Set((day?.segments || []).map((s) => s.screenId))), [day]);
+
+    const timed = useMemo(() => layoutSegments(
+        (day?.segments || []).filter((s) => s.screenId === screenId),
+        segmentMinutes * 60 * 1000,
+        measuredMs
+    ), [day, screenId, segmentMinutes, measuredMs]);
+
+    const currentSegment = timed.find((s) => segmentKey(s) === currentKey) || null;
+
+    // Encrypted segments are downloaded and decrypted here; only the segment on screen is kept in memory.
+    useEffect(() => {
+        if (!currentSegment?.encrypted || !currentSegment.url) return;
+        const key = segmentKey(currentSegment);
+        if (decryptedUrl?.key === key) return;
+        let cancelled = false;
+        setDecrypting(true);
+        fetchDecryptedSegment(currentSegment.url).then((blob) => {
+            if (cancelled) return;
+            setLocked(false);
+            setDecryptedUrl({ key, url: URL.createObjectURL(blob) });
+        }).catch((err) => {
+            if (cancelled) return;
+            if ((err as Error).message === 'recording-locked') {
+                setLocked(true);
+            } else {
+                console.error('Failed to decrypt recording', err);
+                setNotice('This recording could not be downloaded or decrypted.');
+            }
+        }).finally(() => {
+            if (!cancelled) setDecrypting(false);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [currentSegment?.url, currentSegment?.encrypted, currentKey, decryptAttempt]);
+
+    useEffect(() => () => {
+        if (decryptedUrl) URL.revokeObjectURL(decryptedUrl.url);
+    }, [decryptedUrl]);
+
+    const currentSrc = currentSegment?.encrypted
+        ? (decryptedUrl?.key === currentKey ? decryptedUrl.url : null)
+        : currentSegment?.url || null;
+
+    const handleUnlock = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setUnlockError(null);
+        try {
+            const unlocked = await unlockRecordingKeys(recordingKeys, unlockPassphrase);
+            if (!unlocked) {
+                setUnlockError('That passphrase does not open any recording key.');
+                return;
+            }
+            setUnlockPassphrase('');
+            setLocked(false);
+            setDecryptAttempt((n) => n + 1);
+        } catch (err) {
+            console.error('Failed to unlock recording keys', err);
+            setUnlockError('Could not unlock the recording keys.');
+        }
+    };
+
+    const range = useMemo(() => {
+        const starts = [...timed.map((s) => s.startMs), ...activitySpans.map((s) => s.startMs), ...appSpans.map((s) => s.startMs)];
+        const ends = [...timed.map((s) => s.endMs), ...activitySpans.map((s) => s.endMs), ...appSpans.map((s) => s.endMs)];
+        if (!starts.length) return null;
+        const start = Math.min(...starts);
+        const end = Math.max(...ends);
+        return end > start ? { start, end } : null;
+    }, [timed, activitySpans, appSpans]);
+
+    const pct = (ms: number) => (range ? ((ms - range.start) / (range.end - range.start)) * 100 : 0);
+
+    const filteredApps = useMemo(() => appSpans.filter((entry) => matchesAppSearch(entry, search)), [appSpans, search]);
+
+    const seek = (ms: number) => {
+        const segment = findSegmentAt(timed, ms);
+        if (!segment) {
+            setNotice('No playable recording at or after this time.');
+            return;
+        }
+        setNotice(ms < segment.startMs ? 'Nothing was recorded at that time; jumped to the next recording.' : null);
+        const offsetMs = Math.max(0, ms - segment.startMs);
+        setCurrentMs(segment.startMs + offsetMs);
+        if (segmentKey(segment) === currentKey && videoRef.current) {
+            videoRef.current.currentTime = offsetMs / 1000;
+            videoRef.current.play().catch(() => {});
+            return;
+        }
+        pendingOffsetMs.current = offsetMs;
+        setCurrentKey(segmentKey(segment));
+    };
+
+    const handleTimelineClick = (e: React.MouseEvent<HTMLDivElement>) => {
+        if (!range) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        seek(range.start + ratio * (range.end - range.start));
+    };
+
+    const handleLoadedMetadata = () => {
+        const video = videoRef.current;
+        if (!video || !currentSegment) return;
+        const key = segmentKey(currentSegment);
+        // MediaRecorder output often reports an infinite duration until it is remuxed.
+        if (Number.isFinite(video.duration) && video.duration > 0 && measuredMs[key] !== video.duration * 1000) {
+            setMeasuredMs((prev) => ({ ...prev, [key]: video.duration * 1000 }));
+        }
+        if (pendingOffsetMs.current !== null) {
+            video.currentTime = pendingOffsetMs.current / 1000;
+            pendingOffsetMs.current = null;
+        }
+        video.play().catch(() => {});
+    };
+
+    const handleTimeUpdate = () => {
+        if (videoRef.current && currentSegment) {
+            setCurrentMs(currentSegment.startMs + videoRef.current.currentTime * 1000);
+        }
+    };
+
+    const handleEnded = () => {
+        if (!currentSegment) return;
+        const next = timed.find((s) => s.url && s.endMs > currentSegment.endMs);
+        if (!next) return;
+        pendingOffsetMs.current = 0;
+        setCurrentKey(segmentKey(next));
+    };
+
+    const hourTicks = useMemo(() => {
+        if (!range) return [];
+        const ticks: number[] = [];
+        const first = new Date(range.start);
+        first.setMinutes(0, 0, 0);
+        for (let t = first.getTime() + 3600000; t < range.end; t += 3600000) ticks.push(t);
+        return ticks;
+    }, [range]);
+
+    const selectedAgent = agents.find((a) => a.uid === uid);
+    const inputClass = 'bg-white border border-gray-300 text-gray-900 text-sm rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-end gap-3">
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                    <span className="block mb-1 font-medium">Agent</span>
+                    <select value={uid} onChange={(e) => setUid(e.target.value)} className={inputClass}>
+                        <option value="">Select an agent</option>
+                        {agents.map((agent) => (
+                            <option key={agent.uid} value={agent.uid}>
+                                {agent.displayName || agent.email}{isDeactivated(agent) ? ' (deactivated)' : ''}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                    <span className="block mb-1 font-medium">Date</span>
+                    <input type="date" value={date} max={todayIso()} onChange={(e) => setDate(e.target.value)} className={inputClass} />
+                </label>
+                {screens.length > 1 && (
+                    <label className="text-sm text-gray-700 dark:text-gray-300">
+                        <span className="block mb-1 font-medium">Screen</span>
+                        <select
+                            value={screenId}
+                            onChange={(e) => {
+                                setScreenId(e.target.value);
+                                setCurrentKey(null);
+                            }}
+                            className={inputClass}
+                        >
+                            {screens.map((id) => <option key={id} value={id}>{id}</option>)}
+                        </select>
+                    </label>
+                )}
+            </div>
+
+            {day && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {(Object.keys(TARGET_LABELS) as RecordingTarget[]).map((target) => {
+                        const source = day.sources[target];
+                        if (!source) return null;
+                        const note = SOURCE_NOTES[source.error || source.skipped || ''];
+                        return `${TARGET_LABELS[target]}: ${source.count} segment${source.count === 1 ? '' : 's'}${note ? ` (${note})` : ''}`;
+                    }).filter(Boolean).join(' · ')}
+                </p>
+            )}
+
+            {error && <p className="text-sm text-red-500">{error}</p>}
+            {loading && <div className="flex justify-center p-6"><Spinner /></div>}
+
+            {!loading && uid && day && (
+                <>
+                    <div className="rounded-lg bg-black aspect-video max-h-[60vh] flex items-center justify-center overflow-hidden">
+                        {currentSrc ? (
+                            <video
+                                ref={videoRef}
+                                src={currentSrc}
+                                controls
+                                className="w-full h-full"
+                                onLoadedMetadata={handleLoadedMetadata}
+                                onTimeUpdate={handleTimeUpdate}
+                                onEnded={handleEnded}
+                            />
+                        ) : locked ? (
+                            <form onSubmit={handleUnlock} className="flex flex-col items-center gap-2 px-4 text-center">
+                                <p className="text-sm text-gray-300">This recording is encrypted. Enter the recording passphrase to watch it.</p>
+                                <div className="flex gap-2">
+                                    <input
+                                        type="password"
+                                        autoComplete="off"
+                                        value={unlockPassphrase}
+                                        onChange={(e) => setUnlockPassphrase(e.target.value)}
+                                        className={inputClass}
+                                    />
+                                    <button type="submit" disabled={!unlockPassphrase} className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                                        Unlock
+                                    </button>
+                                </div>
+                                {unlockError && <p className="text-sm text-red-400">{unlockError}</p>}
+                            </form>
+                        ) : decrypting ? (
+                            <p className="text-sm text-gray-400 px-4 text-center">Decrypting recording…</p>
+                        ) : (
+                            <p className="text-sm text-gray-400 px-4 text-center">
+                                {timed.some((s) => s.url)
+                                    ? 'Click the timeline or an app entry to start playback.'
+                                    : `No playable recordings for ${selectedAgent?.displayName || 'this agent'} on ${date}.`}
+                            </p>
+                        )}
+                    </div>
+                    <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400">
+                        <span>{currentMs !== null ? `Playing ${formatClock(currentMs)}${currentSegment ? ` · ${TARGET_LABELS[currentSegment.target]}` : ''}` : ''}</span>
+                        {notice && <span className="text-amber-600 dark:text-amber-400">{notice}</span>}
+                    </div>
+
+                    {range && (
+                        <div className="space-y-1">
+                            <div className="relative select-none">
+                                {[
+                                    { label: 'Recording', content: timed.map((s) => (
+                                        <div
+                                            key={segmentKey(s)}
+                                            className={`absolute inset-y-0 ${s.url ? 'bg-blue-500' : 'bg-blue-200 dark:bg-blue-900'}`}
+                                            style={{ left: `${pct(s.startMs)}%`, width: `${Math.max(0.2, pct(s.endMs) - pct(s.startMs))}%` }}
+                                        />
+                                    )) },
+                                    { label: 'Activity', content: activitySpans.map((span, i) => (
+                                        <div
+                                            key={i}
+                                            title={`${span.label} ${formatClock(span.startMs)}–${formatClock(span.endMs)}`}
+                                            className={`absolute inset-y-0 ${SPAN_COLORS[span.kind]}`}
+                                            style={{ left: `${pct(span.startMs)}%`, width: `${Math.max(0.2, pct(span.endMs) - pct(span.startMs))}%` }}
+                                        />
+                                    )) },
+                                    { label: 'Apps', content: filteredApps.map((entry, i) => (
+                                        <div
+                                            key={i}
+                                            title={`${formatClock(entry.startMs)} ${entry.app}: ${entry.title}`}
+                                            className={`absolute inset-y-0 ${APP_MARKER_COLORS[entry.category] || 'bg-indigo-400'}`}
+                                            style={{ left: `${pct(entry.startMs)}%`, width: `${Math.max(0.15, pct(entry.endMs) - pct(entry.startMs))}%` }}
+                                        />
+                                    )) }
+                                ].map((lane) => (
+                                    <div key={lane.label} className="flex items-center gap-2 mb-1">
+                                        <span className="w-20 shrink-0 text-xs text-gray-500 dark:text-gray-400">{lane.label}</span>
+                                        <div
+                                            className="relative h-4 flex-1 rounded bg-gray-100 dark:bg-gray-800 overflow-hidden cursor-pointer"
+                                            onClick={handleTimelineClick}
+                                            title="Click to jump to this time"
+                                        >
+                                            {lane.content}
+                                        </div>
+                                    </div>
+                                ))}
+                                <div className="absolute inset-y-0 left-[5.5rem] right-0 pointer-events-none">
+                                    {hourTicks.map((t) => (
+                                        <div key={t} className="absolute inset-y-0 border-l border-gray-300/60 dark:border-gray-600/60" style={{ left: `${pct(t)}%` }} />
+                                    ))}
+                                    {currentMs !== null && (
+                                        <div className="absolute inset-y-0 w-0.5 bg-red-600" style={{ left: `${pct(currentMs)}%` }} />
+                                    )}
+                                </div>
+                            </div>
+                            <div className="flex justify-between pl-[5.5rem] text-xs text-gray-500 dark:text-gray-400">
+                                <span>{formatClock(range.start)}</span>
+                                <span>{formatClock(range.end)}</span>
+                            </div>
+                        </div>
+                    )}
+
+                    <div>
+                        <input
+                            type="search"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            placeholder="Find an app, window title or URL, e.g. YouTube"
+                            className={`${inputClass} w-full mb-2`}
+                        />
+                        <div className="max-h-72 overflow-y-auto border rounded-lg dark:border-gray-700">
+                            <table className="w-full text-sm text-left text-gray-600 dark:text-gray-300">
+                                <tbody>
+                                    {filteredApps.map((entry, i) => (
+                                        <tr
+                                            key={i}
+                                            onClick={() => seek(entry.startMs)}
+                                            className="border-b dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700"
+                                        >
+                                            <td className="px-3 py-1.5 whitespace-nowrap">{formatClock(entry.startMs)}</td>
+                                            <td className="px-3 py-1.5 font-medium">{entry.app}</td>
+                                            <td className="px-3 py-1.5 truncate max-w-md" title={entry.url || entry.title}>{entry.title}</td>
+                                            <td className="px-3 py-1.5 text-xs capitalize">{entry.category}</td>
+                                        </tr>
+                                    ))}
+                                    {filteredApps.length === 0 && (
+                                        <tr><td className="px-3 py-4 text-gray-500 dark:text-gray-400">No app activity {search ? 'matches this search' : 'for this day'}.</td></tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default RecordingPlayback;
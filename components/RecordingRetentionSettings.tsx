@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import { streamAllUsers, streamGlobalAdminSettings } from '../services/db';
+import { placeLegalHold, releaseLegalHold, streamLegalHolds } from '../services/recordingRetention';
+import { hasRole } from '../utils/roles';
+import { normalizeDate } from '../utils/worklogTotals';
+import type { RecordingLegalHold, UserData } from '../types';
+
+const HOLD_ERROR_MESSAGES: Record<string, string> = {
+    'missing-reason': 'Enter a reason for the hold.',
+    'missing-scope': 'Pick an agent, a date range, or both.',
+    'invalid-date': 'Dates must be valid calendar days.',
+    'invalid-range': 'The start date must be on or before the end date.'
+};
+
+const inputClass = 'bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+const describeDates = (hold: RecordingLegalHold) => {
+    if (hold.startDate && hold.endDate) return `${hold.startDate} – ${hold.endDate}`;
+    if (hold.startDate) return `From ${hold.startDate}`;
+    if (hold.endDate) return `Until ${hold.endDate}`;
+    return 'All dates';
+};
+
+const RecordingRetentionSettings: React.FC = () => {
+    const [retentionDays, setRetentionDays] = useState(0);
+    const [agents, setAgents] = useState<UserData[]>([]);
+    const [holds, setHolds] = useState<RecordingLegalHold[]>([]);
+    const [uid, setUid] = useState('');
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+    const [reason, setReason] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => streamGlobalAdminSettings((settings) => setRetentionDays(Number(settings?.recordingRetentionDays) || 0)), []);
+    useEffect(() => streamLegalHolds(setHolds), []);
+    // Deactivated agents stay listed: their recordings are still subject to retention.
+    useEffect(() => streamAllUsers((users) => setAgents(
+        users.filter((u) => hasRole(u, 'agent')).sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''))
+    )), []);
+
+    const handlePlace = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setBusy(true);
+        setError(null);
+        try {
+            const agent = agents.find((a) => a.uid === uid);
+            await placeLegalHold({
+                uid: agent?.uid || null,
+                userName: agent ? (agent.displayName || agent.email || agent.uid) : null,
+                startDate: startDate || null,
+                endDate: endDate || null,
+                reason
+            });
+            setUid('');
+            setStartDate('');
+            setEndDate('');
+            setReason('');
+        } catch (err) {
+            console.error('Failed to place legal hold', err);
+            setError(HOLD_ERROR_MESSAGES[(err as Error).message] || 'Failed to place the hold. Please try again.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRelease = async (hold: RecordingLegalHold) => {
+        if (!window.confirm('Release this hold? Recordings it protected are deleted on the next retention run if they are past their retention period.')) return;
+        setBusy(true);
+        setError(null);
+        try {
+            await releaseLegalHold(hold);
+        } catch (err) {
+            console.error('Failed to release legal hold', err);
+            setError('Failed to release the hold. Please try again.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700">
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Recording Retention</h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                    A nightly job deletes recordings older than their retention period from Dropbox, Google Drive and the HTTP receiver, and marks their recording logs as expired.
+                    Set the default under Application Settings and per-team or per-agent periods under Settings Overrides.
+                </p>
+                <p className="mt-2 text-sm font-medium text-gray-900 dark:text-white">
+                    {retentionDays > 0 ? `By default, recordings are kept for ${retentionDays} days.` : 'By default, recordings are kept forever.'}
+                </p>
+            </div>
+
+            <form onSubmit={handlePlace} className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700 space-y-4">
+                <div>
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Legal Holds</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Recordings covered by an active hold are never purged, and agents they cover cannot be deleted permanently. Leave the agent empty to hold every agent's recordings in the date range, or leave the dates empty to hold all of one agent's recordings.
+                    </p>
+                </div>
+                <div className="flex flex-wrap items-end gap-3">
+                    <label className="text-sm text-gray-900 dark:text-white">
+                        <span className="block mb-1 font-medium">Agent</span>
+                        <select value={uid} onChange={(e) => setUid(e.target.value)} className={inputClass}>
+                            <option value="">All agents</option>
+                            {agents.map((agent) => (
+                                <option key={agent.uid} value={agent.uid}>{agent.displayName || agent.email || agent.uid}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="text-sm text-gray-900 dark:text-white">
+                        <span className="block mb-1 font-medium">From</span>
+                        <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className={inputClass} />
+                    </label>
+                    <label className="text-sm text-gray-900 dark:text-white">
+                        <span className="block mb-1 font-medium">Until</span>
+                        <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className={inputClass} />
+                    </label>
+                    <label className="text-sm text-gray-900 dark:text-white flex-1 min-w-[12rem]">
+                        <span className="block mb-1 font-medium">Reason</span>
+                        <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} placeholder="e.g. Case 2026-114" className={`${inputClass} w-full`} />
+                    </label>
+                    <button type="submit" disabled={busy} className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                        Place Hold
+                    </button>
+                </div>
+                {error && <p className="text-sm text-red-500">{error}</p>}
+
+                {holds.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No legal holds.</p>
+                ) : (
+                    <table className="w-full text-sm text-left text-gray-600 dark:text-gray-300">
+                        <thead className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                            <tr>
+                                <th className="px-3 py-2">Agent</th>
+                                <th className="px-3 py-2">Dates</th>
+                                <th className="px-3 py-2">Reason</th>
+                                <th className="px-3 py-2">Placed</th>
+                                <th className="px-3 py-2">Status</th>
+                                <th className="px-3 py-2" />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {holds.map((hold) => (
+                                <tr key={hold.id} className="border-t dark:border-gray-700">
+                                    <td className="px-3 py-2">{hold.userName || (hold.uid ? hold.uid : 'All agents')}</td>
+                                    <td className="px-3 py-2">{describeDates(hold)}</td>
+                                    <td className="px-3 py-2">{hold.reason}</td>
+                                    <td className="px-3 py-2">
+                                        {normalizeDate(hold.createdAt)?.toLocaleDateString() || '—'}
+                                        {hold.createdByName ? ` by ${hold.createdByName}` : ''}
+                                    </td>
+                                    <td className="px-3 py-2">
+                                        {hold.releasedAt ? `Released ${normalizeDate(hold.releasedAt)?.toLocaleDateString() || ''}` : 'Active'}
+                                    </td>
+                                    <td className="px-3 py-2 text-right">
+                                        {!hold.releasedAt && (
+                                            <button type="button" onClick={() => handleRelease(hold)} disabled={busy} className="font-medium text-red-600 hover:underline dark:text-red-500 disabled:opacity-50">
+                                                Release
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </form>
+        </div>
+    );
+};
+
+export default RecordingRetentionSettings;
@@ -1,7 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { getWorkLogsForDateRange, getUsersByTeam, streamGlobalAdminSettings } from '../services/db';
+import { getWorkLogsForDateRange, getTeamById, getUsersByTeam, streamMemberSettings } from '../services/db';
 import { hasRole } from '../utils/roles';
-import type { WorkLog, UserData } from '../types';
+import type { WorkLog, UserData, BreakReason } from '../types';
+import PayrollExportPanel from './PayrollExportPanel';
+import { activeBreakPolicy, findBreakViolations } from '../utils/breakPolicy';
+import AdherenceReport from './AdherenceReport';
+import { breakReasonLabel, resolveBreakReasons, UNSPECIFIED_BREAK_REASON_LABEL } from '../utils/breakReasons';
+import { computeBreakSecondsByReason } from '../utils/worklogTotals';
 
 interface Props {
     teamId: string;
@@ -99,6 +104,7 @@ const ReportsPanel: React.FC<Props> = ({ teamId }) => {
     const [users, setUsers] = useState<UserData[]>([]);
     const [selectedUserIds, setSelectedUserIds] = useState<Set<string>>(new Set()); // empty => all users
     const [organizationTimezone, setOrganizationTimezone] = useState<string | null>(null);
+    const [breakReasons, setBreakReasons] = useState<BreakReason[]>(() => resolveBreakReasons());
 
     useEffect(() => {
         const fetchUsers = async () => {
@@ -121,8 +127,9 @@ const ReportsPanel: React.FC<Props> = ({ teamId }) => {
     }, [teamId]);
 
     useEffect(() => {
-        const unsubscribe = streamGlobalAdminSettings((settings) => {
+        const unsubscribe = streamMemberSettings((settings) => {
             setOrganizationTimezone(settings?.organizationTimezone || null);
+            setBreakReasons(resolveBreakReasons(settings?.breakReasons));
         });
         return () => unsubscribe?.();
     }, []);
@@ -148,7 +155,12 @@ const ReportsPanel: React.FC<Props> = ({ teamId }) => {
         setError(null);
 
         try {
-            let logs = await getWorkLogsForDateRange(teamId, start, end);
+            const [rangeLogs, team] = await Promise.all([
+                getWorkLogsForDateRange(teamId, start, end),
+                getTeamById(teamId)
+            ]);
+            let logs = rangeLogs;
+            const breakPolicy = activeBreakPolicy(team?.settings?.breakPolicy);
 
             // Filter if specific users are selected
             if (selectedUserIds.size > 0) {
@@ -165,8 +177,20 @@ const ReportsPanel: React.FC<Props> = ({ teamId }) => {
                 return a.userDisplayName.localeCompare(b.userDisplayName);
             });
 
+            // One column per configured reason, plus any retired codes still present in the range.
+            const reasonSeconds = new Map(logs.map((log) => [log.id, computeBreakSecondsByReason(log)]));
+            const reasonCodes = breakReasons.map((r) => r.code);
+            reasonSeconds.forEach((totals) => {
+                Object.keys(totals).forEach((code) => {
+                    if (code && !reasonCodes.includes(code)) reasonCodes.push(code);
+                });
+            });
+            const reasonHeaders = [...reasonCodes.map((code) => breakReasonLabel(breakReasons, code)), UNSPECIFIED_BREAK_REASON_LABEL]
+                .map((label) => `"Break: ${label.replace(/"/g, '""')}"`)
+                .join(',');
+
             // Generate CSV
-            let csvContent = "data:text/csv;charset=utf-8,Date,User Name,Clock In Time,Clock Out Time,Late Login (HH:MM),Total Work Time,Manual Break Time,Idle Break Time,Total Break Time\n";
+            let csvContent = `data:text/csv;charset=utf-8,Date,User Name,Clock In Time,Clock Out Time,Late Login (HH:MM),Total Work Time,Manual Break Time,Idle Break Time,Total Break Time,${reasonHeaders},Break Policy Violations\n`;
             logs.forEach((log: WorkLog) => {
                 const logDate = formatLocalDate(log.date, organizationTimezone);
                 const clockIn = formatTimeOfDay(log.clockInTime, organizationTimezone);
@@ -191,7 +215,12 @@ const ReportsPanel: React.FC<Props> = ({ teamId }) => {
                 const breakTime = formatDuration(totalBreakSeconds);
                 const safeClockIn = clockIn ? `"${clockIn}"` : '""';
                 const safeClockOut = clockOut ? `"${clockOut}"` : '""';
-                csvContent += `${logDate},"${log.userDisplayName}",${safeClockIn},${safeClockOut},${lateLogin},${workTime},${manualBreak},${idleBreak},${breakTime}\n`;
+                const violations = breakPolicy
+                    ? findBreakViolations(log, breakPolicy, organizationTimezone || 'Asia/Kolkata').map((v) => v.message).join('; ')
+                    : '';
+                const totalsByReason = reasonSeconds.get(log.id) || {};
+                const reasonBreaks = [...reasonCodes, ''].map((code) => formatDuration(totalsByReason[code] || 0)).join(',');
+                csvContent += `${logDate},"${log.userDisplayName}",${safeClockIn},${safeClockOut},${lateLogin},${workTime},${manualBreak},${idleBreak},${breakTime},${reasonBreaks},"${violations.replace(/"/g, '""')}"\n`;
             });
 
             // Trigger download
@@ -244,70 +273,74 @@ const ReportsPanel: React.FC<Props> = ({ teamId }) => {
     };
 
     return (
-        <div className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700 max-w-lg">
-            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Generate Work Log Report</h3>
-            {error && <p className="text-sm text-red-500 mb-4">{error}</p>}
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
-                <div>
-                    <label htmlFor="start-date" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Start Date</label>
-                    <input
-                        type="date"
-                        id="start-date"
-                        value={startDate}
-                        onChange={(e) => setStartDate(e.target.value)}
-                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
-                    />
-                </div>
-                <div>
-                    <label htmlFor="end-date" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">End Date</label>
-                    <input
-                        type="date"
-                        id="end-date"
-                        value={endDate}
-                        onChange={(e) => setEndDate(e.target.value)}
-                        className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
-                    />
-                </div>
-            </div>
-            <div className="mb-4">
-                <label className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Select Users</label>
-                <div className="bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg p-2.5 max-h-52 overflow-y-auto">
-                    <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-white mb-2 pb-2 border-b border-gray-200 dark:border-gray-600">
+        <div className="space-y-6">
+            <div className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700 max-w-lg">
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Generate Work Log Report</h3>
+                {error && <p className="text-sm text-red-500 mb-4">{error}</p>}
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+                    <div>
+                        <label htmlFor="start-date" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Start Date</label>
                         <input
-                            type="checkbox"
-                            checked={areAllUsersSelected}
-                            onChange={toggleAllUsers}
-                            className="w-4 h-4"
+                            type="date"
+                            id="start-date"
+                            value={startDate}
+                            onChange={(e) => setStartDate(e.target.value)}
+                            className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
                         />
-                        <span>All Users</span>
-                    </label>
-                    <div className="space-y-1">
-                        {users.map((user) => (
-                            <label key={user.uid} className="flex items-center gap-2 text-sm text-gray-900 dark:text-white">
-                                <input
-                                    type="checkbox"
-                                    checked={selectedUserIds.has(user.uid)}
-                                    onChange={() => toggleUser(user.uid)}
-                                    className="w-4 h-4"
-                                />
-                                <span>{user.displayName}</span>
-                            </label>
-                        ))}
                     </div>
+                    <div>
+                        <label htmlFor="end-date" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">End Date</label>
+                        <input
+                            type="date"
+                            id="end-date"
+                            value={endDate}
+                            onChange={(e) => setEndDate(e.target.value)}
+                            className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
+                        />
+                    </div>
+                </div>
+                <div className="mb-4">
+                    <label className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Select Users</label>
+                    <div className="bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg p-2.5 max-h-52 overflow-y-auto">
+                        <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-white mb-2 pb-2 border-b border-gray-200 dark:border-gray-600">
+                            <input
+                                type="checkbox"
+                                checked={areAllUsersSelected}
+                                onChange={toggleAllUsers}
+                                className="w-4 h-4"
+                            />
+                            <span>All Users</span>
+                        </label>
+                        <div className="space-y-1">
+                            {users.map((user) => (
+                                <label key={user.uid} className="flex items-center gap-2 text-sm text-gray-900 dark:text-white">
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedUserIds.has(user.uid)}
+                                        onChange={() => toggleUser(user.uid)}
+                                        className="w-4 h-4"
+                                    />
+                                    <span>{user.displayName}</span>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        {selectedUserIds.size === 0
+                            ? 'No user selected means all users.'
+                            : `${selectedUserIds.size} user(s) selected.`}
+                    </p>
                 </div>
-                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
-                    {selectedUserIds.size === 0
-                        ? 'No user selected means all users.'
-                        : `${selectedUserIds.size} user(s) selected.`}
-                </p>
+                <button
+                    onClick={handleDownload}
+                    disabled={loading}
+                    className="text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:outline-none focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center dark:bg-blue-600 dark:hover:bg-blue-700 dark:focus:ring-blue-800 disabled:opacity-50"
+                >
+                    {loading ? 'Generating...' : 'Download CSV'}
+                </button>
             </div>
-            <button
-                onClick={handleDownload}
-                disabled={loading}
-                className="text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:outline-none focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center dark:bg-blue-600 dark:hover:bg-blue-700 dark:focus:ring-blue-800 disabled:opacity-50"
-            >
-                {loading ? 'Generating...' : 'Download CSV'}
-            </button>
+            <AdherenceReport teamId={teamId} users={users} />
+            <PayrollExportPanel teamId={teamId} />
         </div>
     );
 };
@@ -0,0 +1,168 @@
+import React, { useEffect, useState } from 'react';
+import { createCustomRole, deleteCustomRole, streamCustomRoles, updateCustomRole } from '../services/customRoles';
+import { BUILTIN_ROLE_PERMISSIONS, PERMISSION_LABELS, PERMISSIONS } from '../utils/permissions';
+import type { CustomRole, Permission } from '../types';
+
+const ROLE_ERROR_MESSAGES: Record<string, string> = {
+    'missing-role-name': 'Give the role a name.',
+    'missing-role-permission': 'Pick at least one permission.'
+};
+
+const inputClass = 'bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+const RoleManager: React.FC = () => {
+    const [roles, setRoles] = useState<CustomRole[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [editing, setEditing] = useState<CustomRole | null>(null);
+    const [name, setName] = useState('');
+    const [description, setDescription] = useState('');
+    const [permissions, setPermissions] = useState<Permission[]>([]);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => streamCustomRoles((next) => {
+        setRoles(next);
+        setLoading(false);
+    }), []);
+
+    const resetForm = () => {
+        setEditing(null);
+        setName('');
+        setDescription('');
+        setPermissions([]);
+        setError(null);
+    };
+
+    const startEdit = (role: CustomRole) => {
+        setEditing(role);
+        setName(role.name);
+        setDescription(role.description || '');
+        setPermissions(role.permissions);
+        setError(null);
+    };
+
+    const togglePermission = (permission: Permission) => {
+        setPermissions((prev) => (prev.includes(permission) ? prev.filter((p) => p !== permission) : [...prev, permission]));
+    };
+
+    const handleSave = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+        try {
+            if (editing) await updateCustomRole(editing, { name, description, permissions });
+            else await createCustomRole({ name, description, permissions });
+            resetForm();
+        } catch (err) {
+            console.error('Failed to save custom role', err);
+            setError(ROLE_ERROR_MESSAGES[(err as Error).message] || 'Failed to save role.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (role: CustomRole) => {
+        if (!window.confirm(`Delete the "${role.name}" role? Users holding it lose its permissions.`)) return;
+        try {
+            await deleteCustomRole(role);
+            if (editing?.id === role.id) resetForm();
+        } catch (err) {
+            console.error('Failed to delete custom role', err);
+            setError('Failed to delete role.');
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700">
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">{editing ? `Edit "${editing.name}"` : 'Create a Custom Role'}</h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                    Custom roles add permissions on top of a user's built-in role and apply to the teams the user belongs to. Assign them from User Management → Manage Roles. Changes reach a signed-in user the next time they load the dashboard.
+                </p>
+                <form onSubmit={handleSave} className="space-y-4">
+                    <div className="flex flex-wrap gap-3">
+                        <label className="text-sm text-gray-900 dark:text-white">
+                            <span className="block mb-1 font-medium">Name</span>
+                            <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Team Lead" className={inputClass} />
+                        </label>
+                        <label className="text-sm text-gray-900 dark:text-white flex-1 min-w-[240px]">
+                            <span className="block mb-1 font-medium">Description (optional)</span>
+                            <input value={description} onChange={(e) => setDescription(e.target.value)} className={`${inputClass} w-full`} />
+                        </label>
+                    </div>
+                    <fieldset className="grid gap-2 sm:grid-cols-2">
+                        <legend className="mb-1 text-sm font-medium text-gray-900 dark:text-white">Permissions</legend>
+                        {PERMISSIONS.map((permission) => (
+                            <label key={permission} className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+                                <input type="checkbox" className="mt-1" checked={permissions.includes(permission)} onChange={() => togglePermission(permission)} />
+                                <span>
+                                    <span className="font-medium">{PERMISSION_LABELS[permission].label}</span>
+                                    <span className="block text-xs text-gray-500 dark:text-gray-400">{PERMISSION_LABELS[permission].description}</span>
+                                </span>
+                            </label>
+                        ))}
+                    </fieldset>
+                    <div className="flex gap-3">
+                        <button type="submit" disabled={saving} className="px-5 py-2.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                            {saving ? 'Saving...' : editing ? 'Save Role' : 'Create Role'}
+                        </button>
+                        {editing && (
+                            <button type="button" onClick={resetForm} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600">
+                                Cancel
+                            </button>
+                        )}
+                    </div>
+                </form>
+                {error && <p className="mt-3 text-sm text-red-500">{error}</p>}
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-gray-600 dark:text-gray-300">
+                    <thead className="text-xs uppercase bg-gray-100 dark:bg-gray-700">
+                        <tr>
+                            <th className="px-3 py-2">Role</th>
+                            <th className="px-3 py-2">Permissions</th>
+                            <th className="px-3 py-2" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {(['manager', 'agent'] as const).map((builtIn) => (
+                            <tr key={builtIn} className="border-b dark:border-gray-700">
+                                <td className="px-3 py-2 capitalize">
+                                    {builtIn}
+                                    <span className="block text-xs text-gray-400">Built-in</span>
+                                </td>
+                                <td className="px-3 py-2">
+                                    {BUILTIN_ROLE_PERMISSIONS[builtIn].map((p) => PERMISSION_LABELS[p].label).join(', ') || 'None'}
+                                    {builtIn === 'manager' && <span className="block text-xs text-gray-400">Plus approvals and app tracking for their teams</span>}
+                                </td>
+                                <td className="px-3 py-2" />
+                            </tr>
+                        ))}
+                        {loading ? (
+                            <tr><td colSpan={3} className="px-3 py-4 text-gray-500 dark:text-gray-400">Loading roles…</td></tr>
+                        ) : roles.map((role) => (
+                            <tr key={role.id} className="border-b dark:border-gray-700">
+                                <td className="px-3 py-2">
+                                    {role.name}
+                                    {role.description && <span className="block text-xs text-gray-400">{role.description}</span>}
+                                </td>
+                                <td className="px-3 py-2">{role.permissions.map((p) => PERMISSION_LABELS[p]?.label || p).join(', ')}</td>
+                                <td className="px-3 py-2 text-right whitespace-nowrap">
+                                    <button onClick={() => startEdit(role)} className="mr-3 text-sm font-medium text-blue-600 hover:underline dark:text-blue-500">
+                                        Edit
+                                    </button>
+                                    <button onClick={() => handleDelete(role)} className="text-sm font-medium text-red-600 hover:underline dark:text-red-500">
+                                        Delete
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default RoleManager;
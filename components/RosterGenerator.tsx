@@ -0,0 +1,250 @@
+import React, { useState, useMemo } from 'react';
+import { generateRotation, monthDates, previewRoster } from '../utils/rosterGenerator';
+import type { RosterConflictKind, RosterPreview } from '../utils/rosterGenerator';
+import type { MonthlySchedule, ShiftTemplate, UserData } from '../types';
+
+interface Props {
+    year: number;
+    month: number; // 1-12
+    users: UserData[];
+    schedule: MonthlySchedule;
+    holidays: Set<string>;
+    templates: ShiftTemplate[];
+    onApply: (merged: MonthlySchedule) => Promise<void>;
+    onClose: () => void;
+}
+
+const CONFLICT_LABELS: Record<RosterConflictKind, string> = {
+    leave: 'On leave',
+    overwrite: 'Existing entry',
+    holiday: 'Holiday',
+    'short-rest': 'Short rest'
+};
+
+const CONFLICT_STYLES: Record<RosterConflictKind, string> = {
+    leave: 'bg-purple-100 dark:bg-purple-900/40',
+    overwrite: 'bg-amber-100 dark:bg-amber-900/40',
+    holiday: 'bg-emerald-100 dark:bg-emerald-900/40',
+    'short-rest': 'bg-red-100 dark:bg-red-900/40'
+};
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-xs dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+const RosterGenerator: React.FC<Props> = ({ year, month, users, schedule, holidays, templates, onApply, onClose }) => {
+    const dates = useMemo(() => monthDates(year, month), [year, month]);
+    const [rotation, setRotation] = useState<string[]>(templates.length ? [templates[0].id] : []);
+    const [onDays, setOnDays] = useState(5);
+    const [offDays, setOffDays] = useState(2);
+    const [anchorDate, setAnchorDate] = useState(dates[0]);
+    const [staggerDays, setStaggerDays] = useState(0);
+    const [minRestHours, setMinRestHours] = useState(11);
+    const [overwrite, setOverwrite] = useState(false);
+    const [agentIds, setAgentIds] = useState<string[]>(users.map((u) => u.uid));
+    const [preview, setPreview] = useState<RosterPreview | null>(null);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const templatesById = useMemo(() => new Map(templates.map((t) => [t.id, t])), [templates]);
+
+    const resetPreview = () => setPreview(null);
+
+    const toggleAgent = (uid: string) => {
+        resetPreview();
+        setAgentIds((prev) => (prev.includes(uid) ? prev.filter((id) => id !== uid) : [...prev, uid]));
+    };
+
+    const handlePreview = () => {
+        setError(null);
+        const rotationTemplates = rotation.map((id) => templatesById.get(id)).filter((t): t is ShiftTemplate => Boolean(t));
+        if (!rotationTemplates.length) {
+            setError('Add at least one shift template to the rotation.');
+            return;
+        }
+        if (onDays < 1 || offDays < 0) {
+            setError('Working days must be at least 1 and days off cannot be negative.');
+            return;
+        }
+        const orderedAgents = users.map((u) => u.uid).filter((uid) => agentIds.includes(uid));
+        if (!orderedAgents.length) {
+            setError('Select at least one agent.');
+            return;
+        }
+        const proposed = generateRotation({
+            year,
+            month,
+            agentIds: orderedAgents,
+            templates: rotationTemplates,
+            onDays,
+            offDays,
+            anchorDate,
+            staggerDays
+        });
+        setPreview(previewRoster(schedule, proposed, { holidays, minRestHours, overwrite }));
+    };
+
+    const handleApply = async () => {
+        if (!preview) return;
+        setSaving(true);
+        setError(null);
+        try {
+            await onApply(preview.merged);
+            onClose();
+        } catch (err) {
+            console.error('[RosterGenerator] apply failed', err);
+            setError('Failed to save the generated roster.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const conflictMap = useMemo(() => {
+        const map = new Map<string, RosterConflictKind>();
+        preview?.conflicts.forEach((c) => {
+            const key = `${c.userId}_${c.date}`;
+            if (!map.has(key) || c.kind === 'short-rest') map.set(key, c.kind);
+        });
+        return map;
+    }, [preview]);
+
+    const conflictCounts = useMemo(() => (preview?.conflicts || []).reduce((acc, c) => {
+        acc[c.kind] = (acc[c.kind] || 0) + 1;
+        return acc;
+    }, {} as Partial<Record<RosterConflictKind, number>>), [preview]);
+
+    const userNames = useMemo(() => new Map(users.map((u) => [u.uid, u.displayName])), [users]);
+
+    return (
+        <div className="p-4 mb-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border dark:border-gray-700">
+            <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-semibold text-gray-900 dark:text-white">Generate Rotation</h4>
+                <button onClick={onClose} className="text-xs text-gray-500 hover:underline">Close</button>
+            </div>
+            {error && <p className="text-sm text-red-500 mb-3">{error}</p>}
+
+            {templates.length === 0 ? (
+                <p className="text-xs text-gray-500 dark:text-gray-400">Create a shift template first.</p>
+            ) : (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3 text-xs mb-3">
+                        <div>
+                            <label htmlFor="rotation-on" className="block mb-1 font-medium text-gray-700 dark:text-gray-300">Days on</label>
+                            <input id="rotation-on" type="number" min="1" value={onDays} onChange={(e) => { resetPreview(); setOnDays(parseInt(e.target.value, 10) || 0); }} className={`${inputClass} w-full`} />
+                        </div>
+                        <div>
+                            <label htmlFor="rotation-off" className="block mb-1 font-medium text-gray-700 dark:text-gray-300">Days off</label>
+                            <input id="rotation-off" type="number" min="0" value={offDays} onChange={(e) => { resetPreview(); setOffDays(parseInt(e.target.value, 10) || 0); }} className={`${inputClass} w-full`} />
+                        </div>
+                        <div>
+                            <label htmlFor="rotation-anchor" className="block mb-1 font-medium text-gray-700 dark:text-gray-300">Cycle starts</label>
+                            <input id="rotation-anchor" type="date" value={anchorDate} onChange={(e) => { resetPreview(); setAnchorDate(e.target.value); }} className={`${inputClass} w-full`} />
+                        </div>
+                        <div>
+                            <label htmlFor="rotation-stagger" className="block mb-1 font-medium text-gray-700 dark:text-gray-300">Stagger agents (days)</label>
+                            <input id="rotation-stagger" type="number" min="0" value={staggerDays} onChange={(e) => { resetPreview(); setStaggerDays(parseInt(e.target.value, 10) || 0); }} className={`${inputClass} w-full`} />
+                        </div>
+                        <div>
+                            <label htmlFor="rotation-rest" className="block mb-1 font-medium text-gray-700 dark:text-gray-300">Minimum rest (hours)</label>
+                            <input id="rotation-rest" type="number" min="0" value={minRestHours} onChange={(e) => { resetPreview(); setMinRestHours(parseFloat(e.target.value) || 0); }} className={`${inputClass} w-full`} />
+                        </div>
+                        <label className="flex items-end gap-2 pb-2 text-gray-700 dark:text-gray-300">
+                            <input type="checkbox" checked={overwrite} onChange={(e) => { resetPreview(); setOverwrite(e.target.checked); }} />
+                            Overwrite existing cells
+                        </label>
+                    </div>
+
+                    <div className="mb-3 text-xs">
+                        <div className="font-medium text-gray-700 dark:text-gray-300 mb-1">Template rotation (advances every {onDays + offDays} days)</div>
+                        <div className="flex flex-wrap items-center gap-2">
+                            {rotation.map((id, index) => (
+                                <span key={`${id}-${index}`} className="flex items-center gap-1 px-2 py-1 rounded-full bg-white dark:bg-gray-800 border dark:border-gray-700">
+                                    {index + 1}. {templatesById.get(id)?.name || 'Deleted template'}
+                                    <button onClick={() => { resetPreview(); setRotation((prev) => prev.filter((_, i) => i !== index)); }} className="text-red-600 dark:text-red-400" aria-label="Remove from rotation">×</button>
+                                </span>
+                            ))}
+                            <select
+                                value=""
+                                onChange={(e) => { if (e.target.value) { resetPreview(); setRotation((prev) => [...prev, e.target.value]); } }}
+                                className={inputClass}
+                            >
+                                <option value="">Add template...</option>
+                                {templates.map((t) => <option key={t.id} value={t.id}>{t.name} ({t.startTime}–{t.endTime})</option>)}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div className="mb-3 text-xs">
+                        <div className="font-medium text-gray-700 dark:text-gray-300 mb-1">Agents</div>
+                        <div className="flex flex-wrap gap-3">
+                            {users.map((user) => (
+                                <label key={user.uid} className="flex items-center gap-1 text-gray-700 dark:text-gray-300">
+                                    <input type="checkbox" checked={agentIds.includes(user.uid)} onChange={() => toggleAgent(user.uid)} />
+                                    {user.displayName}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="flex gap-2 mb-3">
+                        <button onClick={handlePreview} className="px-3 py-2 text-xs font-medium rounded-lg bg-white border border-gray-300 hover:bg-gray-100 dark:bg-gray-700 dark:border-gray-600 dark:text-white">Preview</button>
+                        <button
+                            onClick={handleApply}
+                            disabled={!preview || saving || preview.changedCells === 0}
+                            className="px-3 py-2 text-xs font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {saving ? 'Saving...' : preview ? `Save ${preview.changedCells} change${preview.changedCells === 1 ? '' : 's'}` : 'Save'}
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {preview && (
+                <div className="space-y-3">
+                    <div className="flex flex-wrap gap-2 text-xs">
+                        {(Object.keys(CONFLICT_LABELS) as RosterConflictKind[]).map((kind) => (
+                            <span key={kind} className={`px-2 py-1 rounded ${CONFLICT_STYLES[kind]}`}>
+                                {CONFLICT_LABELS[kind]}: {conflictCounts[kind] || 0}
+                            </span>
+                        ))}
+                    </div>
+                    <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+                        <table className="text-[10px] text-gray-600 dark:text-gray-300 border-collapse">
+                            <thead className="bg-gray-100 dark:bg-gray-700">
+                                <tr>
+                                    <th className="py-1 px-2 text-left sticky left-0 bg-gray-100 dark:bg-gray-700">Agent</th>
+                                    {dates.map((date) => <th key={date} className="py-1 px-1 font-medium">{date.slice(8)}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {users.filter((u) => agentIds.includes(u.uid)).map((user) => (
+                                    <tr key={user.uid} className="bg-white dark:bg-gray-800">
+                                        <td className="py-1 px-2 whitespace-nowrap sticky left-0 bg-white dark:bg-gray-800">{user.displayName}</td>
+                                        {dates.map((date) => {
+                                            const value = preview.merged[user.uid]?.[date];
+                                            const kind = conflictMap.get(`${user.uid}_${date}`);
+                                            return (
+                                                <td key={date} className={`py-1 px-1 text-center font-mono border-l dark:border-gray-700 ${kind ? CONFLICT_STYLES[kind] : ''}`}>
+                                                    {value ? (typeof value === 'object' ? value.startTime : value) : '--'}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {preview.conflicts.length > 0 && (
+                        <ul className="max-h-48 overflow-y-auto text-xs text-gray-600 dark:text-gray-300 space-y-1">
+                            {preview.conflicts.map((c, index) => (
+                                <li key={`${c.userId}-${c.date}-${c.kind}-${index}`}>
+                                    <span className="font-medium">{userNames.get(c.userId) || c.userId}</span> · {c.date} · {CONFLICT_LABELS[c.kind]}: {c.message}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RosterGenerator;
@@ -1,9 +1,13 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { streamScheduleForMonth, updateScheduleForMonth, streamUsersByTeam, streamGlobalAdminSettings } from '../services/db';
-import type { MonthlySchedule, UserData, ShiftTime, ShiftEntry, AdminSettingsType } from '../types';
+import { streamScheduleForMonth, updateScheduleForMonth, streamUsersByTeam, streamMemberSettings } from '../services/db';
+import type { MonthlySchedule, UserData, ShiftTime, ShiftEntry, AdminSettingsType, Holiday, ShiftTemplate } from '../types';
+import { streamHolidays } from '../services/holidays';
+import { streamShiftTemplates } from '../services/shiftTemplates';
 import { hasRole } from '../utils/roles';
 import Spinner from './Spinner';
+import ShiftTemplatesManager from './ShiftTemplatesManager';
+import RosterGenerator from './RosterGenerator';
 
 interface Props {
   teamId: string;
@@ -16,6 +20,9 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
     const [loading, setLoading] = useState(true);
     const [adminSettings, setAdminSettings] = useState<AdminSettingsType | null>(null);
     const [statsDate, setStatsDate] = useState<Date>(new Date());
+    const [holidays, setHolidays] = useState<Holiday[]>([]);
+    const [templates, setTemplates] = useState<ShiftTemplate[]>([]);
+    const [toolPanel, setToolPanel] = useState<'templates' | 'generator' | null>(null);
     
     // Spreadsheet-like state
     const [selectedCells, setSelectedCells] = useState<Set<string>>(new Set());
@@ -39,12 +46,15 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
             return { day, dateLabel, dayLabel };
         });
     }, [daysArray, month, year]);
+    const holidayNames = useMemo(() => new Map(holidays.map((h) => [h.date, h.name])), [holidays]);
+    const dateKeyForDay = (day: number) => `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
 
     const userIndexMap = useMemo(() => new Map(users.map((user, index) => [user.uid, index])), [users]);
     const dayIndexMap = useMemo(() => new Map(daysArray.map((day, index) => [day, index])), [daysArray]);
     const statsDateStr = `${statsDate.getFullYear()}-${String(statsDate.getMonth() + 1).padStart(2, '0')}-${String(statsDate.getDate()).padStart(2, '0')}`;
     const statsDisplayDate = `${String(statsDate.getDate()).padStart(2, '0')}-${String(statsDate.getMonth() + 1).padStart(2, '0')}-${String(statsDate.getFullYear()).slice(-2)}`;
     const statsDayLabel = statsDate.toLocaleDateString('en-US', { weekday: 'short' });
+    const statsHolidayName = holidayNames.get(statsDateStr);
     const isViewingStatsMonth = year === statsDate.getFullYear() && month === statsDate.getMonth();
     const selectedRosterStats = useMemo(() => {
         if (!isViewingStatsMonth) return null;
@@ -113,7 +123,7 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
             setLoading(false);
         });
 
-        const unsubscribeSettings = streamGlobalAdminSettings(setAdminSettings);
+        const unsubscribeSettings = streamMemberSettings(setAdminSettings);
 
         return () => {
             unsubscribeUsers();
@@ -122,6 +132,9 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
         };
     }, [teamId, year, month]);
 
+    useEffect(() => streamHolidays(setHolidays), []);
+    useEffect(() => streamShiftTemplates(setTemplates), []);
+
     const handleBulkScheduleUpdate = async (updates: { userId: string, date: string, value: ShiftEntry | null }[]) => {
         const newSchedule = JSON.parse(JSON.stringify(schedule)); // Deep copy for mutation
         updates.forEach(({ userId, date, value }) => {
@@ -146,6 +159,13 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
         }
     };
 
+    const handleApplyGeneratedRoster = async (merged: MonthlySchedule) => {
+        setSchedule(merged);
+        await updateScheduleForMonth(teamId, year, month + 1, merged, {
+            timezone: adminSettings?.organizationTimezone
+        });
+    };
+
     const handleCellClick = (cellId: string, e: React.MouseEvent) => {
         setEditingCell(null); // Exit editing mode on any click
         const newSelected = new Set(selectedCells);
@@ -282,14 +302,18 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
                     <thead className="text-xs text-gray-700 uppercase bg-gray-100 dark:bg-gray-700 dark:text-gray-400">
                         <tr>
                             <th className="py-3 px-2 sticky left-0 bg-gray-100 dark:bg-gray-700 z-20 w-40 min-w-[160px]">Agent</th>
-                            {dayHeaders.map(({ day, dateLabel, dayLabel }) => (
-                                <th key={day} className="py-2 px-2 text-center w-28 min-w-[112px]">
-                                    <div className="leading-tight">
-                                        <div className="text-[11px] font-semibold">{dateLabel}</div>
-                                        <div className="text-[10px] font-medium normal-case opacity-80">{dayLabel}</div>
-                                    </div>
-                                </th>
-                            ))}
+                            {dayHeaders.map(({ day, dateLabel, dayLabel }) => {
+                                const holidayName = holidayNames.get(dateKeyForDay(day));
+                                return (
+                                    <th key={day} title={holidayName} className={`py-2 px-2 text-center w-28 min-w-[112px] ${holidayName ? 'bg-emerald-100 text-emerald-800 dark:bg-emerald-900/40 dark:text-emerald-200' : ''}`}>
+                                        <div className="leading-tight">
+                                            <div className="text-[11px] font-semibold">{dateLabel}</div>
+                                            <div className="text-[10px] font-medium normal-case opacity-80">{dayLabel}</div>
+                                            {holidayName && <div className="text-[10px] font-medium normal-case truncate">{holidayName}</div>}
+                                        </div>
+                                    </th>
+                                );
+                            })}
                         </tr>
                     </thead>
                     <tbody>
@@ -297,7 +321,8 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
                             <tr key={user.uid} className="bg-white dark:bg-gray-800">
                                 <td className="py-2 px-2 font-medium text-gray-900 dark:text-white sticky left-0 bg-white dark:bg-gray-800 z-10 border-b border-r dark:border-gray-700">{user.displayName}</td>
                                 {daysArray.map(day => {
-                                    const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+                                    const dateStr = dateKeyForDay(day);
+                                    const isHoliday = holidayNames.has(dateStr);
                                     const cellId = `${user.uid}_${dateStr}`;
                                     const value = schedule[user.uid]?.[dateStr];
                                     const isSelected = selectedCells.has(cellId);
@@ -307,7 +332,7 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
                                         <td key={dateStr}
                                             onClick={(e) => handleCellClick(cellId, e)}
                                             onDoubleClick={() => handleCellDoubleClick(cellId, value)}
-                                            className={`py-1 px-1 text-center border-b dark:border-gray-700 cursor-pointer relative ${isSelected ? 'bg-blue-100 dark:bg-blue-900/50' : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'}`}
+                                            className={`py-1 px-1 text-center border-b dark:border-gray-700 cursor-pointer relative ${isSelected ? 'bg-blue-100 dark:bg-blue-900/50' : isHoliday ? 'bg-emerald-50 dark:bg-emerald-900/20 hover:bg-emerald-100 dark:hover:bg-emerald-900/40' : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'}`}
                                         >
                                            <div className={`w-full h-full absolute inset-0 border-2 ${isSelected ? 'border-blue-500' : 'border-transparent'} pointer-events-none`}></div>
                                            {isEditing ? (
@@ -317,6 +342,19 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
                                                         <span>-</span>
                                                         <input type="time" value={editingValue.endTime} onChange={e => setEditingValue({...editingValue, endTime: e.target.value})} className="w-full p-1 text-xs border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600"/>
                                                     </div>
+                                                    {templates.length > 0 && (
+                                                        <select
+                                                            value=""
+                                                            onChange={e => {
+                                                                const template = templates.find(t => t.id === e.target.value);
+                                                                if (template) setEditingValue({ startTime: template.startTime, endTime: template.endTime });
+                                                            }}
+                                                            className="w-full mb-1 p-1 text-xs border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600"
+                                                        >
+                                                            <option value="">Use template...</option>
+                                                            {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                                                        </select>
+                                                    )}
                                                     <div className="flex gap-1 justify-end text-xs">
                                                         <button onClick={handleSetOff} className="px-2 py-1 rounded bg-gray-200 dark:bg-gray-600 hover:bg-gray-300">OFF</button>
                                                         <button onClick={handleSetLeave} className="px-2 py-1 rounded bg-purple-200 text-purple-800 dark:bg-purple-900 dark:text-purple-200 hover:bg-purple-300">Leave</button>
@@ -362,6 +400,7 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
                             <li><span className="font-semibold">Double-click</span> a cell to edit or create a custom shift.</li>
                             <li><span className="font-semibold">Click</span> to select a cell, <span className="font-semibold">Shift+Click</span> to select a range, and <span className="font-semibold">Ctrl/Cmd+Click</span> to select multiple cells.</li>
                             <li>Use <span className="font-semibold">Ctrl/Cmd+C</span> to copy, <span className="font-semibold">Ctrl/Cmd+V</span> to paste, and <span className="font-semibold">Delete</span> key to clear a schedule.</li>
+                            <li>Use <span className="font-semibold">Generate Rotation</span> to fill the month from shift templates; preview shows leave, holiday, overwrite and rest conflicts before saving.</li>
                         </ul>
                     </div>
                     <div className="w-full lg:w-[360px] rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 p-3">
@@ -378,6 +417,9 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
                                 className="w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 px-2 py-1 text-xs text-gray-900 dark:text-gray-100"
                             />
                             <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{statsDayLabel}, {statsDisplayDate}</p>
+                            {statsHolidayName && (
+                                <p className="text-xs font-medium text-emerald-700 dark:text-emerald-300 mt-1">Holiday: {statsHolidayName}</p>
+                            )}
                         </div>
                         {!isViewingStatsMonth || !selectedRosterStats ? (
                             <p className="text-xs text-gray-500 dark:text-gray-400">
@@ -428,6 +470,34 @@ const SchedulingPanel: React.FC<Props> = ({ teamId }) => {
                 </div>
             </div>
             {renderHeader()}
+            <div className="flex flex-wrap gap-2 mb-4">
+                <button
+                    onClick={() => setToolPanel(toolPanel === 'templates' ? null : 'templates')}
+                    className={`px-3 py-1 text-sm rounded ${toolPanel === 'templates' ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600'}`}
+                >
+                    Shift Templates
+                </button>
+                <button
+                    onClick={() => setToolPanel(toolPanel === 'generator' ? null : 'generator')}
+                    className={`px-3 py-1 text-sm rounded ${toolPanel === 'generator' ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600'}`}
+                >
+                    Generate Rotation
+                </button>
+            </div>
+            {toolPanel === 'templates' && <ShiftTemplatesManager templates={templates} />}
+            {toolPanel === 'generator' && (
+                <RosterGenerator
+                    key={`${teamId}-${year}-${month}`}
+                    year={year}
+                    month={month + 1}
+                    users={users}
+                    schedule={schedule}
+                    holidays={new Set(holidayNames.keys())}
+                    templates={templates}
+                    onApply={handleApplyGeneratedRoster}
+                    onClose={() => setToolPanel(null)}
+                />
+            )}
             {renderTable()}
         </div>
     );
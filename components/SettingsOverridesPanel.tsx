@@ -0,0 +1,263 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { streamUsersByTeam } from '../services/db';
+import { saveSettingsOverrides, streamEffectiveAdminSettings } from '../services/settingsOverrides';
+import type { SettingsLayers } from '../services/settingsOverrides';
+import { formatSettingValue, OVERRIDABLE_SETTINGS } from '../utils/settingsLayers';
+import type { EffectiveSettings, OverridableSetting } from '../utils/settingsLayers';
+import type { OverridableSettingKey, SettingsOverrideValues, SettingsSource, Team, UserData } from '../types';
+
+interface Props {
+    teams: Team[];
+}
+
+const SOURCE_STYLES: Record<SettingsSource, string> = {
+    global: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200',
+    team: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+    agent: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200'
+};
+
+const inputClass = 'p-1.5 border border-gray-300 rounded-md text-xs dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+const emptyValue = (setting: OverridableSetting): unknown => {
+    if (setting.kind === 'boolean') return false;
+    if (setting.kind === 'list') return [];
+    if (setting.kind === 'select') return setting.numeric ? Number(setting.options?.[0]) : setting.options?.[0];
+    return 0;
+};
+
+const toListText = (value: unknown) => JSON.stringify(Array.isArray(value) ? value : [], null, 2);
+
+const SettingsOverridesPanel: React.FC<Props> = ({ teams }) => {
+    const { userData } = useAuth();
+    const [teamId, setTeamId] = useState(teams[0]?.id || '');
+    const [agentId, setAgentId] = useState('');
+    const [members, setMembers] = useState<UserData[]>([]);
+    const [effective, setEffective] = useState<EffectiveSettings | null>(null);
+    const [layers, setLayers] = useState<SettingsLayers | null>(null);
+    const [draft, setDraft] = useState<SettingsOverrideValues>({});
+    const [listDrafts, setListDrafts] = useState<Partial<Record<OverridableSettingKey, string>>>({});
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [success, setSuccess] = useState<string | null>(null);
+
+    const scope = agentId ? 'agent' : 'team';
+    const targetId = agentId || teamId;
+
+    useEffect(() => {
+        if (!teamId && teams[0]) setTeamId(teams[0].id);
+    }, [teams, teamId]);
+
+    useEffect(() => {
+        setAgentId('');
+        if (!teamId) return;
+        return streamUsersByTeam(teamId, setMembers);
+    }, [teamId]);
+
+    useEffect(() => {
+        if (!teamId) return;
+        setEffective(null);
+        return streamEffectiveAdminSettings({ teamId, uid: agentId || null }, (next, nextLayers) => {
+            setEffective(next);
+            setLayers(nextLayers);
+        });
+    }, [teamId, agentId]);
+
+    // Reset the editor whenever the stored layer being edited changes.
+    const storedOverrides = scope === 'agent' ? layers?.agent : layers?.team;
+    useEffect(() => {
+        const values = storedOverrides || {};
+        setDraft(values);
+        const lists: Partial<Record<OverridableSettingKey, string>> = {};
+        OVERRIDABLE_SETTINGS.filter((s) => s.kind === 'list').forEach((s) => {
+            if (s.key in values) lists[s.key] = toListText(values[s.key]);
+        });
+        setListDrafts(lists);
+    }, [storedOverrides]);
+
+    // Value the edited layer would inherit if it had no override for `key`.
+    const inheritedValue = useCallback((key: OverridableSettingKey) => {
+        if (scope === 'agent' && layers?.team && key in layers.team) return layers.team[key];
+        return layers?.global?.[key];
+    }, [layers, scope]);
+
+    const toggleOverride = (setting: OverridableSetting, enabled: boolean) => {
+        setSuccess(null);
+        setDraft((prev) => {
+            const next = { ...prev } as Record<string, unknown>;
+            if (enabled) next[setting.key] = inheritedValue(setting.key) ?? emptyValue(setting);
+            else delete next[setting.key];
+            return next as SettingsOverrideValues;
+        });
+        if (setting.kind === 'list') {
+            setListDrafts((prev) => {
+                const next = { ...prev };
+                if (enabled) next[setting.key] = toListText(inheritedValue(setting.key));
+                else delete next[setting.key];
+                return next;
+            });
+        }
+    };
+
+    const setValue = (key: OverridableSettingKey, value: unknown) => {
+        setSuccess(null);
+        setDraft((prev) => ({ ...prev, [key]: value }));
+    };
+
+    const handleSave = async (values: SettingsOverrideValues) => {
+        if (!userData || !targetId) return;
+        const payload = { ...values } as Record<string, unknown>;
+        for (const [key, text] of Object.entries(listDrafts)) {
+            if (!(key in payload)) continue;
+            try {
+                const parsed = JSON.parse(text || '[]');
+                if (!Array.isArray(parsed)) throw new Error('not-a-list');
+                payload[key] = parsed;
+            } catch {
+                const label = OVERRIDABLE_SETTINGS.find((s) => s.key === key)?.label || key;
+                setError(`${label} must be a JSON list.`);
+                return;
+            }
+        }
+        setSaving(true);
+        setError(null);
+        try {
+            await saveSettingsOverrides(scope, targetId, payload as SettingsOverrideValues, userData);
+            setSuccess(Object.keys(payload).length ? 'Overrides saved.' : 'Overrides cleared.');
+        } catch (err) {
+            console.error('[SettingsOverridesPanel] save failed', err);
+            setError('Failed to save overrides.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const renderEditor = (setting: OverridableSetting) => {
+        const value = (draft as Record<string, unknown>)[setting.key];
+        if (setting.kind === 'boolean') {
+            return <input type="checkbox" checked={value === true} onChange={(e) => setValue(setting.key, e.target.checked)} />;
+        }
+        if (setting.kind === 'select') {
+            return (
+                <select
+                    value={value === undefined || value === null ? '' : String(value)}
+                    onChange={(e) => setValue(setting.key, setting.numeric ? Number(e.target.value) : e.target.value)}
+                    className={inputClass}
+                >
+                    {(setting.options || []).map((option) => <option key={option} value={option}>{option}</option>)}
+                </select>
+            );
+        }
+        if (setting.kind === 'list') {
+            return (
+                <textarea
+                    rows={3}
+                    value={listDrafts[setting.key] ?? '[]'}
+                    onChange={(e) => { setSuccess(null); setListDrafts((prev) => ({ ...prev, [setting.key]: e.target.value })); }}
+                    className={`${inputClass} w-64 font-mono`}
+                />
+            );
+        }
+        return (
+            <input
+                type="number"
+                min="0"
+                value={typeof value === 'number' ? value : ''}
+                onChange={(e) => setValue(setting.key, parseFloat(e.target.value) || 0)}
+                className={`${inputClass} w-24`}
+            />
+        );
+    };
+
+    if (teams.length === 0) {
+        return <p className="text-gray-500 dark:text-gray-400">Please create a team first to manage overrides.</p>;
+    }
+
+    const targetName = agentId
+        ? (members.find((m) => m.uid === agentId)?.displayName || agentId)
+        : (teams.find((t) => t.id === teamId)?.name || teamId);
+
+    return (
+        <div className="p-4 bg-white dark:bg-gray-800/50 rounded-lg shadow-sm border dark:border-gray-700">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Settings Overrides</h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                Settings resolve global → team → agent. Pick a team to edit its overrides, or an agent on that team to edit theirs. Unchecked rows inherit.
+            </p>
+
+            <div className="flex flex-wrap gap-3 mb-4">
+                <select value={teamId} onChange={(e) => setTeamId(e.target.value)} className={`${inputClass} text-sm`}>
+                    {teams.map((team) => <option key={team.id} value={team.id}>{team.name}</option>)}
+                </select>
+                <select value={agentId} onChange={(e) => setAgentId(e.target.value)} className={`${inputClass} text-sm`}>
+                    <option value="">Team overrides</option>
+                    {members.map((member) => <option key={member.uid} value={member.uid}>{member.displayName || member.email}</option>)}
+                </select>
+            </div>
+
+            {error && <p className="text-sm text-red-500 mb-3">{error}</p>}
+            {success && <p className="text-sm text-green-600 dark:text-green-400 mb-3">{success}</p>}
+
+            {!effective ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Loading settings…</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-xs text-left text-gray-600 dark:text-gray-300">
+                        <thead className="uppercase bg-gray-100 dark:bg-gray-700">
+                            <tr>
+                                <th className="px-2 py-2">Setting</th>
+                                <th className="px-2 py-2">Global</th>
+                                <th className="px-2 py-2">Team</th>
+                                {agentId && <th className="px-2 py-2">Agent</th>}
+                                <th className="px-2 py-2">Effective</th>
+                                <th className="px-2 py-2">Override for {targetName}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {OVERRIDABLE_SETTINGS.map((setting) => {
+                                const source = effective.sources[setting.key];
+                                const overridden = setting.key in draft;
+                                return (
+                                    <tr key={setting.key} className="border-b dark:border-gray-700 align-top">
+                                        <td className="px-2 py-2 font-medium text-gray-800 dark:text-gray-200">{setting.label}</td>
+                                        <td className="px-2 py-2">{formatSettingValue(layers?.global?.[setting.key])}</td>
+                                        <td className="px-2 py-2">{formatSettingValue(layers?.team?.[setting.key])}</td>
+                                        {agentId && <td className="px-2 py-2">{formatSettingValue(layers?.agent?.[setting.key])}</td>}
+                                        <td className="px-2 py-2 whitespace-nowrap">
+                                            {formatSettingValue(effective.settings[setting.key])}
+                                            <span className={`ml-2 px-2 inline-flex text-[10px] leading-5 font-semibold rounded-full ${SOURCE_STYLES[source]}`}>{source}</span>
+                                        </td>
+                                        <td className="px-2 py-2">
+                                            <div className="flex items-start gap-2">
+                                                <input type="checkbox" checked={overridden} onChange={(e) => toggleOverride(setting, e.target.checked)} aria-label={`Override ${setting.label}`} />
+                                                {overridden && renderEditor(setting)}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div className="flex gap-2 mt-4">
+                <button
+                    onClick={() => handleSave(draft)}
+                    disabled={saving || !effective}
+                    className="px-3 py-2 text-xs font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {saving ? 'Saving...' : 'Save Overrides'}
+                </button>
+                <button
+                    onClick={() => handleSave({})}
+                    disabled={saving || !storedOverrides}
+                    className="px-3 py-2 text-xs font-medium rounded-lg bg-white border border-gray-300 hover:bg-gray-100 disabled:opacity-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                >
+                    Clear All Overrides
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default SettingsOverridesPanel;
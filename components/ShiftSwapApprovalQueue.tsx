@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { approveShiftSwap, rejectShiftSwap, streamShiftSwapsForTeam } from '../services/shiftSwaps';
+import type { ShiftSwap } from '../types';
+import { describeSwap } from './ShiftSwapBoard';
+
+interface Props {
+    teamId: string;
+}
+
+const REVIEW_ERROR_MESSAGES: Record<string, string> = {
+    'swap-not-found': 'This swap no longer exists.',
+    'swap-not-claimed': 'This swap is no longer waiting for approval.',
+    'swap-self-review': 'You cannot approve a swap you are part of.',
+    'swap-reject-comment-required': 'Please add a comment explaining the rejection.',
+    'swap-stale': 'The roster changed since this swap was claimed. Reject it and ask the agents to post it again.'
+};
+
+const ShiftSwapApprovalQueue: React.FC<Props> = ({ teamId }) => {
+    const { userData } = useAuth();
+    const [swaps, setSwaps] = useState<ShiftSwap[]>([]);
+    const [comments, setComments] = useState<Record<string, string>>({});
+    const [busyId, setBusyId] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => streamShiftSwapsForTeam(teamId, setSwaps, ['claimed']), [teamId]);
+
+    const handleReview = async (swap: ShiftSwap, decision: 'approved' | 'rejected') => {
+        if (!userData) return;
+        const reviewer = { uid: userData.uid, displayName: userData.displayName };
+        const comment = comments[swap.id] || '';
+        setBusyId(swap.id);
+        setError(null);
+        try {
+            if (decision === 'approved') {
+                await approveShiftSwap(swap.id, reviewer, comment);
+            } else {
+                await rejectShiftSwap(swap.id, reviewer, comment);
+            }
+        } catch (err) {
+            console.error('[ShiftSwapApprovalQueue] review failed', err);
+            setError(REVIEW_ERROR_MESSAGES[(err as Error).message] || 'Failed to update shift swap.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Shift Swap Requests</h3>
+
+            {error && <p className="text-sm text-red-500 mb-4 p-3 bg-red-100 dark:bg-red-900/50 rounded-md">{error}</p>}
+
+            {swaps.length === 0 ? (
+                <p className="text-gray-500 dark:text-gray-400">No claimed swaps waiting for approval.</p>
+            ) : (
+                <ul className="space-y-4">
+                    {swaps.map((swap) => (
+                        <li key={swap.id} className="p-4 rounded-lg border dark:border-gray-700 bg-white dark:bg-gray-800">
+                            <div className="flex flex-wrap justify-between gap-2 mb-2">
+                                <span className="font-semibold text-gray-900 dark:text-white">
+                                    {swap.offeredByName} → {swap.claimedByName}
+                                </span>
+                                <span className="text-xs text-gray-500 dark:text-gray-400">{swap.kind === 'swap' ? 'Swap' : 'Give away'}</span>
+                            </div>
+                            <p className="text-sm text-gray-700 dark:text-gray-200 font-mono">{describeSwap(swap)}</p>
+                            {swap.note && <p className="text-sm text-gray-600 dark:text-gray-300 mt-1">Note: {swap.note}</p>}
+                            <div className="flex flex-col sm:flex-row gap-2 mt-3">
+                                <input
+                                    type="text"
+                                    value={comments[swap.id] || ''}
+                                    onChange={(e) => setComments((prev) => ({ ...prev, [swap.id]: e.target.value }))}
+                                    placeholder="Comment (required to reject)"
+                                    className="flex-1 bg-gray-50 border border-gray-300 text-gray-900 text-xs rounded-lg block p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                />
+                                <button
+                                    onClick={() => handleReview(swap, 'approved')}
+                                    disabled={busyId === swap.id}
+                                    className="px-3 py-1 text-xs font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                                >
+                                    Approve
+                                </button>
+                                <button
+                                    onClick={() => handleReview(swap, 'rejected')}
+                                    disabled={busyId === swap.id}
+                                    className="px-3 py-1 text-xs font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                                >
+                                    Reject
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default ShiftSwapApprovalQueue;
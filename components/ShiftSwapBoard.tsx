@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { DateTime } from 'luxon';
+import { streamScheduleForMonth } from '../services/db';
+import { cancelShiftSwap, claimShiftSwap, offerShift, releaseShiftSwapClaim, streamShiftSwapsForTeam } from '../services/shiftSwaps';
+import type { MonthlySchedule, ShiftSwap, ShiftSwapKind } from '../types';
+
+interface Props {
+    userId: string;
+    displayName: string;
+    teamId: string;
+    timezone?: string;
+}
+
+const SWAP_ERROR_MESSAGES: Record<string, string> = {
+    'swap-no-team': 'You need to be assigned to a team to trade shifts.',
+    'swap-date-not-upcoming': 'Only upcoming shifts can be offered.',
+    'swap-no-shift': 'You are not rostered on that date.',
+    'swap-already-offered': 'That shift is already on the board.',
+    'swap-not-found': 'This offer no longer exists.',
+    'swap-not-open': 'This offer has already been claimed.',
+    'swap-own-offer': 'You cannot claim your own shift.',
+    'swap-wrong-team': 'This offer is for a different team.',
+    'swap-claimant-unavailable': 'You are already rostered (or on leave) that day.',
+    'swap-return-date-required': 'Pick one of your shifts to give in return.',
+    'swap-return-no-shift': 'You are not rostered on the return date.',
+    'swap-offerer-unavailable': 'Your teammate is not free on the return date.',
+    'swap-not-claimant': 'You have not claimed this offer.',
+    'swap-not-owner': 'Only the agent who offered the shift can cancel it.',
+    'swap-not-pending': 'This offer has already been resolved.'
+};
+
+export const SWAP_STATUS_STYLES: Record<ShiftSwap['status'], string> = {
+    open: 'bg-blue-100 text-blue-800 dark:bg-blue-900/50 dark:text-blue-200',
+    claimed: 'bg-amber-100 text-amber-800 dark:bg-amber-900/50 dark:text-amber-200',
+    approved: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200',
+    rejected: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200',
+    cancelled: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200'
+};
+
+export const describeSwap = (swap: ShiftSwap) => {
+    const offered = `${swap.date} ${swap.shift.startTime}–${swap.shift.endTime}`;
+    if (swap.kind === 'swap' && swap.returnDate && swap.returnShift) {
+        return `${offered} ⇄ ${swap.returnDate} ${swap.returnShift.startTime}–${swap.returnShift.endTime}`;
+    }
+    return offered;
+};
+
+const ShiftSwapBoard: React.FC<Props> = ({ userId, displayName, teamId, timezone }) => {
+    const today = DateTime.now().setZone(timezone || 'Asia/Kolkata');
+    const todayStr = today.toISODate() as string;
+    const nextMonth = today.plus({ months: 1 });
+    const [currentSchedule, setCurrentSchedule] = useState<MonthlySchedule>({});
+    const [nextSchedule, setNextSchedule] = useState<MonthlySchedule>({});
+    const [swaps, setSwaps] = useState<ShiftSwap[]>([]);
+    const [offerDate, setOfferDate] = useState('');
+    const [offerKind, setOfferKind] = useState<ShiftSwapKind>('giveaway');
+    const [note, setNote] = useState('');
+    const [returnDates, setReturnDates] = useState<Record<string, string>>({});
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [success, setSuccess] = useState<string | null>(null);
+
+    useEffect(() => streamScheduleForMonth(teamId, today.year, today.month, setCurrentSchedule), [teamId, today.year, today.month]);
+    useEffect(() => streamScheduleForMonth(teamId, nextMonth.year, nextMonth.month, setNextSchedule), [teamId, nextMonth.year, nextMonth.month]);
+    useEffect(() => streamShiftSwapsForTeam(teamId, setSwaps, ['open', 'claimed', 'approved', 'rejected', 'cancelled']), [teamId]);
+
+    const mySchedule = useMemo(() => ({ ...(currentSchedule[userId] || {}), ...(nextSchedule[userId] || {}) }), [currentSchedule, nextSchedule, userId]);
+    const myUpcomingShifts = useMemo(() => Object.entries(mySchedule)
+        .filter(([date, entry]) => date > todayStr && typeof entry === 'object')
+        .sort(([a], [b]) => a.localeCompare(b)), [mySchedule, todayStr]);
+
+    const activeOffers = swaps.filter((s) => s.date > todayStr && (s.status === 'open' || s.status === 'claimed'));
+    const boardOffers = activeOffers.filter((s) => s.offeredBy !== userId);
+    const myActivity = swaps
+        .filter((s) => s.offeredBy === userId || s.claimedBy === userId)
+        .sort((a, b) => b.date.localeCompare(a.date));
+
+    const run = async (action: () => Promise<void>, message?: string) => {
+        setBusy(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            await action();
+            if (message) setSuccess(message);
+        } catch (err) {
+            console.error('[ShiftSwapBoard] action failed', err);
+            setError(SWAP_ERROR_MESSAGES[(err as Error).message] || 'Failed to update the shift swap.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const actor = { uid: userId, displayName, teamId };
+
+    const handleOffer = (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!offerDate) return;
+        run(async () => {
+            await offerShift(actor, offerDate, offerKind, note);
+            setOfferDate('');
+            setNote('');
+        }, 'Shift posted to the swap board.');
+    };
+
+    // Dates the claimant could give back: their own shifts on days the offerer is free.
+    const returnOptionsFor = (swap: ShiftSwap) => myUpcomingShifts.filter(([date]) => {
+        if (date === swap.date) return false;
+        const offererEntry = (date.slice(0, 7) === today.toFormat('yyyy-MM') ? currentSchedule : nextSchedule)[swap.offeredBy]?.[date];
+        return !offererEntry || offererEntry === 'OFF';
+    });
+
+    return (
+        <div className="space-y-6">
+            {error && <p className="text-sm text-red-500">{error}</p>}
+            {success && <p className="text-sm text-green-600 dark:text-green-400">{success}</p>}
+
+            <form onSubmit={handleOffer} className="p-4 rounded-lg border dark:border-gray-700 bg-white dark:bg-gray-800 space-y-3">
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white">Offer a Shift</h3>
+                {myUpcomingShifts.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">You have no upcoming shifts this month or next.</p>
+                ) : (
+                    <div className="flex flex-wrap items-end gap-3 text-sm">
+                        <div>
+                            <label htmlFor="swap-offer-date" className="block mb-1 font-medium text-gray-900 dark:text-white">Shift</label>
+                            <select
+                                id="swap-offer-date"
+                                value={offerDate}
+                                onChange={(e) => setOfferDate(e.target.value)}
+                                className="bg-gray-50 border border-gray-300 text-gray-900 rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                            >
+                                <option value="">Select a shift...</option>
+                                {myUpcomingShifts.map(([date, entry]) => (
+                                    <option key={date} value={date}>
+                                        {date} {typeof entry === 'object' ? `${entry.startTime}–${entry.endTime}` : ''}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="swap-offer-kind" className="block mb-1 font-medium text-gray-900 dark:text-white">Type</label>
+                            <select
+                                id="swap-offer-kind"
+                                value={offerKind}
+                                onChange={(e) => setOfferKind(e.target.value as ShiftSwapKind)}
+                                className="bg-gray-50 border border-gray-300 text-gray-900 rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                            >
+                                <option value="giveaway">Give away</option>
+                                <option value="swap">Swap for one of theirs</option>
+                            </select>
+                        </div>
+                        <div className="flex-1 min-w-[180px]">
+                            <label htmlFor="swap-note" className="block mb-1 font-medium text-gray-900 dark:text-white">Note</label>
+                            <input
+                                id="swap-note"
+                                type="text"
+                                value={note}
+                                onChange={(e) => setNote(e.target.value)}
+                                placeholder="Optional"
+                                className="w-full bg-gray-50 border border-gray-300 text-gray-900 rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                            />
+                        </div>
+                        <button
+                            type="submit"
+                            disabled={busy || !offerDate}
+                            className="px-4 py-2 font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            Post Offer
+                        </button>
+                    </div>
+                )}
+            </form>
+
+            <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-3">Swap Board</h3>
+                {boardOffers.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">No shifts on offer from your teammates.</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {boardOffers.map((swap) => {
+                            const myEntry = mySchedule[swap.date];
+                            const available = !myEntry || myEntry === 'OFF';
+                            const returnOptions = swap.kind === 'swap' ? returnOptionsFor(swap) : [];
+                            return (
+                                <li key={swap.id} className="p-3 rounded-lg border dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50 text-sm">
+                                    <div className="flex flex-wrap justify-between items-center gap-2">
+                                        <span className="text-gray-900 dark:text-white">
+                                            <span className="font-medium">{swap.offeredByName}</span> · {describeSwap(swap)} · {swap.kind === 'swap' ? 'Swap' : 'Give away'}
+                                        </span>
+                                        <span className={`px-2 py-0.5 rounded text-xs font-semibold uppercase ${SWAP_STATUS_STYLES[swap.status]}`}>{swap.status}</span>
+                                    </div>
+                                    {swap.note && <p className="mt-1 text-xs text-gray-600 dark:text-gray-300">{swap.note}</p>}
+                                    {swap.status === 'open' && (
+                                        available ? (
+                                            <div className="mt-2 flex flex-wrap items-center gap-2">
+                                                {swap.kind === 'swap' && (
+                                                    <select
+                                                        value={returnDates[swap.id] || ''}
+                                                        onChange={(e) => setReturnDates((prev) => ({ ...prev, [swap.id]: e.target.value }))}
+                                                        className="bg-white border border-gray-300 text-gray-900 text-xs rounded-lg p-1.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                                    >
+                                                        <option value="">{returnOptions.length ? 'Give back...' : 'No eligible shifts to give back'}</option>
+                                                        {returnOptions.map(([date, entry]) => (
+                                                            <option key={date} value={date}>{date} {typeof entry === 'object' ? `${entry.startTime}–${entry.endTime}` : ''}</option>
+                                                        ))}
+                                                    </select>
+                                                )}
+                                                <button
+                                                    onClick={() => run(() => claimShiftSwap(swap.id, actor, returnDates[swap.id]), 'Claimed. A manager will review the swap.')}
+                                                    disabled={busy || (swap.kind === 'swap' && !returnDates[swap.id])}
+                                                    className="px-3 py-1 text-xs font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                                                >
+                                                    Claim
+                                                </button>
+                                            </div>
+                                        ) : (
+                                            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">You are rostered that day.</p>
+                                        )
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+
+            <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-3">My Offers & Claims</h3>
+                {myActivity.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">No swap activity yet.</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {myActivity.map((swap) => (
+                            <li key={swap.id} className="p-3 rounded-lg border dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50 text-sm">
+                                <div className="flex flex-wrap justify-between items-center gap-2">
+                                    <span className="text-gray-900 dark:text-white">
+                                        {swap.offeredBy === userId ? 'Offered' : `Claimed from ${swap.offeredByName}`} · {describeSwap(swap)}
+                                        {swap.offeredBy === userId && swap.claimedByName && ` · claimed by ${swap.claimedByName}`}
+                                    </span>
+                                    <div className="flex items-center gap-2">
+                                        <span className={`px-2 py-0.5 rounded text-xs font-semibold uppercase ${SWAP_STATUS_STYLES[swap.status]}`}>{swap.status}</span>
+                                        {swap.offeredBy === userId && (swap.status === 'open' || swap.status === 'claimed') && (
+                                            <button onClick={() => run(() => cancelShiftSwap(swap.id, actor))} disabled={busy} className="text-xs text-red-600 dark:text-red-400 hover:underline">Cancel</button>
+                                        )}
+                                        {swap.claimedBy === userId && swap.status === 'claimed' && (
+                                            <button onClick={() => run(() => releaseShiftSwapClaim(swap.id, actor))} disabled={busy} className="text-xs text-red-600 dark:text-red-400 hover:underline">Withdraw</button>
+                                        )}
+                                    </div>
+                                </div>
+                                {swap.reviewComment && (
+                                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{swap.reviewerDisplayName || 'Manager'}: {swap.reviewComment}</p>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ShiftSwapBoard;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { createShiftTemplate, deleteShiftTemplate } from '../services/shiftTemplates';
+import type { ShiftTemplate } from '../types';
+
+interface Props {
+    templates: ShiftTemplate[];
+}
+
+const TEMPLATE_ERROR_MESSAGES: Record<string, string> = {
+    'template-name-required': 'Please give the template a name.',
+    'template-invalid-times': 'Start and end must be valid, different times.',
+    'template-overnight-mismatch': 'Shifts that end before they start must be marked overnight, and only those.'
+};
+
+const ShiftTemplatesManager: React.FC<Props> = ({ templates }) => {
+    const { userData } = useAuth();
+    const [name, setName] = useState('');
+    const [startTime, setStartTime] = useState('09:00');
+    const [endTime, setEndTime] = useState('18:00');
+    const [isOvernight, setIsOvernight] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const handleCreate = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!userData) return;
+        setBusy(true);
+        setError(null);
+        try {
+            await createShiftTemplate({ name, startTime, endTime, isOvernight }, { uid: userData.uid, displayName: userData.displayName });
+            setName('');
+        } catch (err) {
+            console.error('[ShiftTemplatesManager] create failed', err);
+            setError(TEMPLATE_ERROR_MESSAGES[(err as Error).message] || 'Failed to save shift template.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleDelete = async (template: ShiftTemplate) => {
+        if (!window.confirm(`Delete the "${template.name}" template? Existing rosters are not changed.`)) return;
+        setError(null);
+        try {
+            await deleteShiftTemplate(template.id);
+        } catch (err) {
+            console.error('[ShiftTemplatesManager] delete failed', err);
+            setError('Failed to delete shift template.');
+        }
+    };
+
+    return (
+        <div className="p-4 mb-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border dark:border-gray-700">
+            <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Shift Templates</h4>
+            {error && <p className="text-sm text-red-500 mb-3">{error}</p>}
+
+            {templates.length === 0 ? (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">No templates yet.</p>
+            ) : (
+                <ul className="flex flex-wrap gap-2 mb-4">
+                    {templates.map((template) => (
+                        <li key={template.id} className="flex items-center gap-2 px-3 py-1 rounded-full bg-white dark:bg-gray-800 border dark:border-gray-700 text-xs">
+                            <span className="font-medium text-gray-900 dark:text-white">{template.name}</span>
+                            <span className="font-mono text-gray-600 dark:text-gray-300">{template.startTime}–{template.endTime}</span>
+                            {template.isOvernight && <span className="text-indigo-600 dark:text-indigo-300">overnight</span>}
+                            <button onClick={() => handleDelete(template)} className="text-red-600 dark:text-red-400 hover:underline" aria-label={`Delete ${template.name}`}>×</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-3 text-xs">
+                <div>
+                    <label htmlFor="template-name" className="block mb-1 font-medium text-gray-700 dark:text-gray-300">Name</label>
+                    <input
+                        id="template-name"
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Morning"
+                        className="p-2 border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="template-start" className="block mb-1 font-medium text-gray-700 dark:text-gray-300">Start</label>
+                    <input
+                        id="template-start"
+                        type="time"
+                        value={startTime}
+                        onChange={(e) => { setStartTime(e.target.value); setIsOvernight(endTime < e.target.value); }}
+                        className="p-2 border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="template-end" className="block mb-1 font-medium text-gray-700 dark:text-gray-300">End</label>
+                    <input
+                        id="template-end"
+                        type="time"
+                        value={endTime}
+                        onChange={(e) => { setEndTime(e.target.value); setIsOvernight(e.target.value < startTime); }}
+                        className="p-2 border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    />
+                </div>
+                <label className="flex items-center gap-2 pb-2 text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" checked={isOvernight} onChange={(e) => setIsOvernight(e.target.checked)} />
+                    Overnight
+                </label>
+                <button
+                    type="submit"
+                    disabled={busy}
+                    className="px-3 py-2 font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                    Add Template
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default ShiftTemplatesManager;
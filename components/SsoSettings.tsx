@@ -0,0 +1,330 @@
+import React, { useEffect, useState } from 'react';
+import { domainVerificationRecord, saveSsoConfig, ssoCallbackUrl, streamSsoConfig, verifySsoDomain } from '../services/sso';
+import type { SsoConfigInput } from '../services/sso';
+import type { Role, SsoConfig, Team } from '../types';
+
+interface Props {
+    teams: Team[];
+}
+
+const SSO_ROLES: Role[] = ['agent', 'manager'];
+
+const SSO_ERROR_MESSAGES: Record<string, string> = {
+    'invalid-sso-type': 'Choose OIDC or SAML.',
+    'invalid-email-domain': 'Email domains must look like "company.com".',
+    'missing-email-domain': 'Add at least one email domain before enabling SSO.',
+    'too-many-domains': 'Use at most 30 email domains.',
+    'sso-domain-claimed': 'One of these email domains is already verified by another organization.',
+    'sso-domain-not-listed': 'Save the domain before verifying it.',
+    'sso-domain-record-missing': 'The TXT record was not found. DNS changes can take a while to appear; try again later.',
+    'invalid-mapping': 'Every mapping needs a claim value and a role or team.',
+    'too-many-mappings': 'Use at most 100 mappings of each kind.',
+    'invalid-oidc-settings': 'OIDC needs an https issuer URL and a client ID.',
+    'invalid-saml-settings': 'SAML needs an IdP entity ID, an https SSO URL and a signing certificate.',
+    'invalid-saml-certificate': 'Paste the IdP signing certificate in PEM format.',
+    'invalid-provider-settings': 'The identity provider settings were rejected. Check the issuer, URLs and certificate.',
+    'missing-auth-domain': 'The server is missing FIREBASE_AUTH_DOMAIN.'
+};
+
+const EMPTY_FORM: SsoConfigInput = {
+    type: 'oidc',
+    displayName: '',
+    enabled: false,
+    enforced: false,
+    jitProvisioning: true,
+    syncOnSignIn: true,
+    emailDomains: [],
+    defaultRole: 'agent',
+    roleClaim: '',
+    roleMappings: [],
+    teamClaim: '',
+    teamMappings: [],
+    oidc: { issuer: '', clientId: '', clientSecret: '' },
+    saml: { idpEntityId: '', ssoUrl: '', certificate: '', rpEntityId: '' }
+};
+
+const formFromConfig = (config: SsoConfig): SsoConfigInput => ({
+    type: config.type,
+    displayName: config.displayName,
+    enabled: config.enabled,
+    enforced: config.enforced,
+    jitProvisioning: config.jitProvisioning,
+    syncOnSignIn: config.syncOnSignIn,
+    emailDomains: config.emailDomains || [],
+    defaultRole: config.defaultRole || 'agent',
+    roleClaim: config.roleClaim || '',
+    roleMappings: config.roleMappings || [],
+    teamClaim: config.teamClaim || '',
+    teamMappings: config.teamMappings || [],
+    oidc: { issuer: config.provider?.issuer || '', clientId: config.provider?.clientId || '', clientSecret: '' },
+    saml: { idpEntityId: config.provider?.idpEntityId || '', ssoUrl: config.provider?.ssoUrl || '', certificate: '', rpEntityId: config.provider?.rpEntityId || '' }
+});
+
+const inputClass = 'bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+const labelClass = 'text-sm text-gray-900 dark:text-white';
+
+const SsoSettings: React.FC<Props> = ({ teams }) => {
+    const [config, setConfig] = useState<SsoConfig | null>(null);
+    const [form, setForm] = useState<SsoConfigInput>(EMPTY_FORM);
+    const [domainsText, setDomainsText] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [saved, setSaved] = useState(false);
+    const [verifying, setVerifying] = useState<string | null>(null);
+
+    useEffect(() => streamSsoConfig((next) => {
+        setConfig(next);
+        setLoading(false);
+    }), []);
+
+    // Reset the form whenever a saved config arrives, including after our own save.
+    useEffect(() => {
+        if (!config) return;
+        setForm(formFromConfig(config));
+        setDomainsText(config.emailDomains.join(', '));
+    }, [config]);
+
+    const update = (changes: Partial<SsoConfigInput>) => {
+        setForm((prev) => ({ ...prev, ...changes }));
+        setSaved(false);
+    };
+
+    const handleSave = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (form.enforced && !window.confirm('Enforce SSO? Agents and managers will no longer be able to sign in with a password or Google. Admins keep password sign-in for emergencies.')) return;
+        setSaving(true);
+        setError(null);
+        try {
+            await saveSsoConfig({
+                ...form,
+                emailDomains: domainsText.split(/[\s,;]+/).filter(Boolean),
+                oidc: form.type === 'oidc' ? form.oidc : undefined,
+                saml: form.type === 'saml' ? form.saml : undefined
+            });
+            setSaved(true);
+        } catch (err) {
+            console.error('Failed to save SSO settings', err);
+            setError(SSO_ERROR_MESSAGES[(err as Error).message] || 'Failed to save SSO settings.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleVerify = async (domain: string) => {
+        setVerifying(domain);
+        setError(null);
+        try {
+            await verifySsoDomain(domain);
+        } catch (err) {
+            console.error('Failed to verify SSO domain', err);
+            setError(SSO_ERROR_MESSAGES[(err as Error).message] || 'Failed to verify the domain.');
+        } finally {
+            setVerifying(null);
+        }
+    };
+
+    if (loading) return <p className="text-sm text-gray-500 dark:text-gray-400">Loading SSO settings…</p>;
+
+    const callbackUrl = ssoCallbackUrl();
+    const typeLocked = !!config && config.type !== form.type;
+
+    return (
+        <form onSubmit={handleSave} className="space-y-6">
+            <div className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700 space-y-4">
+                <div>
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Identity Provider</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Users sign in with their work email on the login page and are sent to your IdP. The desktop app uses the same sign-in.
+                        {callbackUrl && <> Register <code className="text-xs">{callbackUrl}</code> as the redirect / ACS URL.</>}
+                    </p>
+                    {config && <p className="mt-1 text-xs text-gray-400">Provider ID: <code>{config.providerId}</code></p>}
+                </div>
+                <div className="flex flex-wrap items-end gap-3">
+                    <label className={labelClass}>
+                        <span className="block mb-1 font-medium">Protocol</span>
+                        <select value={form.type} onChange={(e) => update({ type: e.target.value as SsoConfigInput['type'] })} className={inputClass}>
+                            <option value="oidc">OpenID Connect</option>
+                            <option value="saml">SAML 2.0</option>
+                        </select>
+                    </label>
+                    <label className={`${labelClass} flex-1 min-w-[200px]`}>
+                        <span className="block mb-1 font-medium">Button label</span>
+                        <input value={form.displayName} onChange={(e) => update({ displayName: e.target.value })} placeholder="Okta" className={`${inputClass} w-full`} />
+                    </label>
+                    <label className={`${labelClass} flex-1 min-w-[200px]`}>
+                        <span className="block mb-1 font-medium">Email domains</span>
+                        <input value={domainsText} onChange={(e) => { setDomainsText(e.target.value); setSaved(false); }} placeholder="company.com, company.io" className={`${inputClass} w-full`} />
+                    </label>
+                </div>
+                {config && config.emailDomains.length > 0 && (
+                    <div className="space-y-2">
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            Single sign-on only works for a domain after you prove you own it: add the TXT record to the domain's DNS, then verify. Addresses outside the verified domains cannot sign in through your provider.
+                        </p>
+                        {config.emailDomains.map((domain) => {
+                            const token = config.domainVerifications?.[domain];
+                            const verified = (config.verifiedDomains || []).includes(domain);
+                            return (
+                                <div key={domain} className="flex flex-wrap items-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+                                    <span className="font-medium">{domain}</span>
+                                    {verified ? (
+                                        <span className="text-green-600 dark:text-green-400">Verified</span>
+                                    ) : (
+                                        <>
+                                            {token && <code className="text-xs break-all">{domainVerificationRecord(token)}</code>}
+                                            <button type="button" onClick={() => handleVerify(domain)} disabled={verifying !== null} className="font-medium text-blue-600 hover:underline dark:text-blue-500 disabled:opacity-50">
+                                                {verifying === domain ? 'Checking…' : 'Verify'}
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+                {typeLocked && (
+                    <p className="text-sm text-yellow-700 dark:text-yellow-300">Switching protocol registers a new provider and disables the current one when saved.</p>
+                )}
+
+                {form.type === 'oidc' ? (
+                    <div className="grid gap-3 md:grid-cols-3">
+                        <label className={labelClass}>
+                            <span className="block mb-1 font-medium">Issuer URL</span>
+                            <input value={form.oidc?.issuer || ''} onChange={(e) => update({ oidc: { ...form.oidc!, issuer: e.target.value } })} placeholder="https://login.company.com" className={`${inputClass} w-full`} />
+                        </label>
+                        <label className={labelClass}>
+                            <span className="block mb-1 font-medium">Client ID</span>
+                            <input value={form.oidc?.clientId || ''} onChange={(e) => update({ oidc: { ...form.oidc!, clientId: e.target.value } })} className={`${inputClass} w-full`} />
+                        </label>
+                        <label className={labelClass}>
+                            <span className="block mb-1 font-medium">Client secret</span>
+                            <input type="password" value={form.oidc?.clientSecret || ''} onChange={(e) => update({ oidc: { ...form.oidc!, clientSecret: e.target.value } })} placeholder={config && !typeLocked ? 'Unchanged' : 'Optional (code flow)'} className={`${inputClass} w-full`} />
+                        </label>
+                    </div>
+                ) : (
+                    <div className="grid gap-3 md:grid-cols-2">
+                        <label className={labelClass}>
+                            <span className="block mb-1 font-medium">IdP entity ID</span>
+                            <input value={form.saml?.idpEntityId || ''} onChange={(e) => update({ saml: { ...form.saml!, idpEntityId: e.target.value } })} className={`${inputClass} w-full`} />
+                        </label>
+                        <label className={labelClass}>
+                            <span className="block mb-1 font-medium">SSO URL</span>
+                            <input value={form.saml?.ssoUrl || ''} onChange={(e) => update({ saml: { ...form.saml!, ssoUrl: e.target.value } })} placeholder="https://idp.company.com/sso/saml" className={`${inputClass} w-full`} />
+                        </label>
+                        <label className={labelClass}>
+                            <span className="block mb-1 font-medium">SP entity ID (optional)</span>
+                            <input value={form.saml?.rpEntityId || ''} onChange={(e) => update({ saml: { ...form.saml!, rpEntityId: e.target.value } })} placeholder="Defaults to the provider ID" className={`${inputClass} w-full`} />
+                        </label>
+                        <label className={`${labelClass} md:col-span-2`}>
+                            <span className="block mb-1 font-medium">Signing certificate (PEM)</span>
+                            <textarea rows={4} value={form.saml?.certificate || ''} onChange={(e) => update({ saml: { ...form.saml!, certificate: e.target.value } })} placeholder={config && !typeLocked ? 'Unchanged' : '-----BEGIN CERTIFICATE-----'} className={`${inputClass} w-full font-mono text-xs`} />
+                        </label>
+                    </div>
+                )}
+            </div>
+
+            <div className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700 space-y-4">
+                <div>
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Provisioning and Claim Mapping</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Claim values (or SAML attribute values) are matched exactly. SSO never grants admin; existing admins keep their role.
+                    </p>
+                </div>
+                <div className="flex flex-wrap gap-6 text-sm text-gray-700 dark:text-gray-300">
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={form.jitProvisioning} onChange={(e) => update({ jitProvisioning: e.target.checked })} />
+                        Create accounts on first sign-in
+                    </label>
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={form.syncOnSignIn} onChange={(e) => update({ syncOnSignIn: e.target.checked })} />
+                        Update roles and teams on every sign-in
+                    </label>
+                    <label className="flex items-center gap-2">
+                        Default role
+                        <select value={form.defaultRole} onChange={(e) => update({ defaultRole: e.target.value as Role })} className={`${inputClass} capitalize`}>
+                            {SSO_ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+                        </select>
+                    </label>
+                </div>
+
+                <div className="grid gap-6 md:grid-cols-2">
+                    <fieldset className="space-y-2">
+                        <legend className="text-sm font-medium text-gray-900 dark:text-white">Role mappings</legend>
+                        <input value={form.roleClaim} onChange={(e) => update({ roleClaim: e.target.value })} placeholder="Claim name, e.g. groups" className={`${inputClass} w-full`} />
+                        {form.roleMappings.map((mapping, index) => (
+                            <div key={index} className="flex gap-2">
+                                <input
+                                    value={mapping.value}
+                                    onChange={(e) => update({ roleMappings: form.roleMappings.map((m, i) => (i === index ? { ...m, value: e.target.value } : m)) })}
+                                    placeholder="Claim value"
+                                    className={`${inputClass} flex-1`}
+                                />
+                                <select
+                                    value={mapping.role}
+                                    onChange={(e) => update({ roleMappings: form.roleMappings.map((m, i) => (i === index ? { ...m, role: e.target.value as Role } : m)) })}
+                                    className={`${inputClass} capitalize`}
+                                >
+                                    {SSO_ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+                                </select>
+                                <button type="button" onClick={() => update({ roleMappings: form.roleMappings.filter((_, i) => i !== index) })} className="text-sm font-medium text-red-600 hover:underline dark:text-red-500">
+                                    Remove
+                                </button>
+                            </div>
+                        ))}
+                        <button type="button" onClick={() => update({ roleMappings: [...form.roleMappings, { value: '', role: 'agent' }] })} className="text-sm font-medium text-blue-600 hover:underline dark:text-blue-500">
+                            Add role mapping
+                        </button>
+                    </fieldset>
+
+                    <fieldset className="space-y-2">
+                        <legend className="text-sm font-medium text-gray-900 dark:text-white">Team mappings</legend>
+                        <input value={form.teamClaim} onChange={(e) => update({ teamClaim: e.target.value })} placeholder="Claim name, e.g. department" className={`${inputClass} w-full`} />
+                        {form.teamMappings.map((mapping, index) => (
+                            <div key={index} className="flex gap-2">
+                                <input
+                                    value={mapping.value}
+                                    onChange={(e) => update({ teamMappings: form.teamMappings.map((m, i) => (i === index ? { ...m, value: e.target.value } : m)) })}
+                                    placeholder="Claim value"
+                                    className={`${inputClass} flex-1`}
+                                />
+                                <select
+                                    value={mapping.teamId}
+                                    onChange={(e) => update({ teamMappings: form.teamMappings.map((m, i) => (i === index ? { ...m, teamId: e.target.value } : m)) })}
+                                    className={inputClass}
+                                >
+                                    <option value="">Select team</option>
+                                    {teams.map((team) => <option key={team.id} value={team.id}>{team.name}</option>)}
+                                </select>
+                                <button type="button" onClick={() => update({ teamMappings: form.teamMappings.filter((_, i) => i !== index) })} className="text-sm font-medium text-red-600 hover:underline dark:text-red-500">
+                                    Remove
+                                </button>
+                            </div>
+                        ))}
+                        <button type="button" onClick={() => update({ teamMappings: [...form.teamMappings, { value: '', teamId: '' }] })} className="text-sm font-medium text-blue-600 hover:underline dark:text-blue-500">
+                            Add team mapping
+                        </button>
+                    </fieldset>
+                </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-6 text-sm text-gray-700 dark:text-gray-300">
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={form.enabled} onChange={(e) => update({ enabled: e.target.checked, enforced: e.target.checked && form.enforced })} />
+                    Enable SSO
+                </label>
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={form.enforced} disabled={!form.enabled} onChange={(e) => update({ enforced: e.target.checked })} />
+                    Require SSO for agents and managers
+                </label>
+                <button type="submit" disabled={saving} className="px-5 py-2.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                    {saving ? 'Saving...' : 'Save SSO Settings'}
+                </button>
+                {saved && <span className="text-green-600 dark:text-green-400">Saved.</span>}
+                {error && <span className="text-red-500">{error}</span>}
+            </div>
+        </form>
+    );
+};
+
+export default SsoSettings;
@@ -1,6 +1,6 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { streamTodayWorkLogs, streamAllAgentStatuses, streamGlobalAdminSettings, sendCommandToDesktop } from '../services/db';
+import { streamTodayWorkLogs, streamAllAgentStatuses, streamMemberSettings, sendCommandToDesktop } from '../services/db';
 import { streamAllPresence, isPresenceFresh } from '../services/presence';
 import type { WorkLog, AdminSettingsType } from '../types';
 import Spinner from './Spinner';
@@ -80,7 +80,7 @@ const TeamStatusView: React.FC<Props> = ({ teamId, currentUserId, isMinimizable
         });
 
         // Stream settings to check recording mode
-        const unsubscribeSettings = streamGlobalAdminSettings((settings) => {
+        const unsubscribeSettings = streamMemberSettings((settings) => {
             setAdminSettings(settings);
         });
 
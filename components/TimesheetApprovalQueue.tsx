@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { approveTimesheet, rejectTimesheet, streamTimesheetsForTeam } from '../services/timesheets';
+import type { Timesheet, TimesheetStatus } from '../types';
+import { formatDuration } from '../utils/worklogTotals';
+import { TimesheetStatusBadge } from './TimesheetPanel';
+
+interface Props {
+    teamId: string;
+}
+
+const REVIEW_ERROR_MESSAGES: Record<string, string> = {
+    'timesheet-not-found': 'This timesheet no longer exists.',
+    'timesheet-not-submitted': 'This timesheet is no longer awaiting review.',
+    'timesheet-self-review': 'You cannot review your own timesheet.',
+    'timesheet-reject-comment-required': 'Please add a comment explaining the rejection.'
+};
+
+const TimesheetApprovalQueue: React.FC<Props> = ({ teamId }) => {
+    const { userData } = useAuth();
+    const [statusFilter, setStatusFilter] = useState<TimesheetStatus>('submitted');
+    const [sheets, setSheets] = useState<Timesheet[]>([]);
+    const [comments, setComments] = useState<Record<string, string>>({});
+    const [busyId, setBusyId] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => streamTimesheetsForTeam(teamId, setSheets, statusFilter), [teamId, statusFilter]);
+
+    const handleReview = async (sheet: Timesheet, decision: 'approved' | 'rejected') => {
+        if (!userData) return;
+        const reviewer = { uid: userData.uid, displayName: userData.displayName };
+        const comment = comments[sheet.id] || '';
+        setBusyId(sheet.id);
+        setError(null);
+        try {
+            if (decision === 'approved') {
+                await approveTimesheet(sheet.id, reviewer, comment);
+            } else {
+                await rejectTimesheet(sheet.id, reviewer, comment);
+            }
+            setComments((prev) => {
+                const next = { ...prev };
+                delete next[sheet.id];
+                return next;
+            });
+        } catch (err) {
+            console.error('[TimesheetApprovalQueue] review failed', err);
+            setError(REVIEW_ERROR_MESSAGES[(err as Error).message] || 'Failed to update timesheet.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3 mb-4">
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white">Timesheet Approvals</h3>
+                <select
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value as TimesheetStatus)}
+                    className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                >
+                    <option value="submitted">Awaiting Review</option>
+                    <option value="approved">Approved</option>
+                    <option value="rejected">Rejected</option>
+                </select>
+            </div>
+
+            {error && <p className="text-sm text-red-500 mb-4 p-3 bg-red-100 dark:bg-red-900/50 rounded-md">{error}</p>}
+
+            {sheets.length === 0 ? (
+                <p className="text-gray-500 dark:text-gray-400">No timesheets in this queue.</p>
+            ) : (
+                <div className="overflow-x-auto relative shadow-md sm:rounded-lg">
+                    <table className="w-full text-sm text-left text-gray-500 dark:text-gray-400">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                            <tr>
+                                <th className="py-3 px-6">Agent</th>
+                                <th className="py-3 px-6">Period</th>
+                                <th className="py-3 px-6">Sessions</th>
+                                <th className="py-3 px-6">Work</th>
+                                <th className="py-3 px-6">Break</th>
+                                <th className="py-3 px-6">Status</th>
+                                <th className="py-3 px-6">{statusFilter === 'submitted' ? 'Review' : 'Comment'}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sheets.map((sheet) => (
+                                <tr key={sheet.id} className="bg-white border-b dark:bg-gray-800 dark:border-gray-700">
+                                    <td className="py-3 px-6 font-medium text-gray-900 dark:text-white whitespace-nowrap">{sheet.userDisplayName}</td>
+                                    <td className="py-3 px-6 whitespace-nowrap">
+                                        <span className="capitalize">{sheet.period}</span>: {sheet.periodStart}{sheet.periodEnd !== sheet.periodStart ? ` → ${sheet.periodEnd}` : ''}
+                                    </td>
+                                    <td className="py-3 px-6">{sheet.worklogIds.length}</td>
+                                    <td className="py-3 px-6 font-mono">{formatDuration(sheet.totalWorkSeconds)}</td>
+                                    <td className="py-3 px-6 font-mono">{formatDuration(sheet.totalBreakSeconds)}</td>
+                                    <td className="py-3 px-6"><TimesheetStatusBadge status={sheet.status} /></td>
+                                    <td className="py-3 px-6 min-w-[260px]">
+                                        {sheet.status === 'submitted' ? (
+                                            <div className="flex flex-col gap-2">
+                                                <input
+                                                    type="text"
+                                                    value={comments[sheet.id] || ''}
+                                                    onChange={(e) => setComments((prev) => ({ ...prev, [sheet.id]: e.target.value }))}
+                                                    placeholder="Comment (required to reject)"
+                                                    className="bg-gray-50 border border-gray-300 text-gray-900 text-xs rounded-lg block w-full p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                                />
+                                                <div className="flex gap-2">
+                                                    <button
+                                                        onClick={() => handleReview(sheet, 'approved')}
+                                                        disabled={busyId === sheet.id || sheet.userId === userData?.uid}
+                                                        className="px-3 py-1 text-xs font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                                                    >
+                                                        Approve
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleReview(sheet, 'rejected')}
+                                                        disabled={busyId === sheet.id || sheet.userId === userData?.uid}
+                                                        className="px-3 py-1 text-xs font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                                                    >
+                                                        Reject
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        ) : (
+                                            <span>
+                                                {sheet.reviewComment || <span className="text-gray-400">--</span>}
+                                                {sheet.reviewerDisplayName && (
+                                                    <span className="block text-xs text-gray-400">by {sheet.reviewerDisplayName}</span>
+                                                )}
+                                            </span>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TimesheetApprovalQueue;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { DateTime } from 'luxon';
+import { readOrganizationTimezone } from '../services/db';
+import { previewTimesheet, submitTimesheet, streamTimesheetsForUser } from '../services/timesheets';
+import { formatDuration } from '../utils/worklogTotals';
+import type { Timesheet, TimesheetPeriod, TimesheetStatus } from '../types';
+import Spinner from './Spinner';
+
+interface Props {
+    userId: string;
+    displayName: string;
+    teamId: string;
+}
+
+const STATUS_STYLES: Record<TimesheetStatus, string> = {
+    draft: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200',
+    submitted: 'bg-blue-100 text-blue-800 dark:bg-blue-900/50 dark:text-blue-200',
+    approved: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200',
+    rejected: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200'
+};
+
+export const TimesheetStatusBadge: React.FC<{ status: TimesheetStatus }> = ({ status }) => (
+    <span className={`px-2 py-0.5 rounded text-xs font-semibold uppercase ${STATUS_STYLES[status] || STATUS_STYLES.draft}`}>
+        {status}
+    </span>
+);
+
+const SUBMIT_ERROR_MESSAGES: Record<string, string> = {
+    'timesheet-already-approved': 'This period is already approved and locked.',
+    'timesheet-already-submitted': 'This period is already awaiting manager review.',
+    'timesheet-empty': 'There are no worklogs in this period to submit.',
+    'timesheet-has-active-session': 'Clock out before submitting a period that includes your current session.',
+    'invalid-period-date': 'Please pick a valid date.'
+};
+
+const TimesheetPanel: React.FC<Props> = ({ userId, displayName, teamId }) => {
+    const [period, setPeriod] = useState<TimesheetPeriod>('day');
+    const [anchorDate, setAnchorDate] = useState('');
+    const [preview, setPreview] = useState<Timesheet | null>(null);
+    const [previewLogCount, setPreviewLogCount] = useState(0);
+    const [history, setHistory] = useState<Timesheet[]>([]);
+    const [loadingPreview, setLoadingPreview] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [success, setSuccess] = useState<string | null>(null);
+
+    // Periods are cut in the organization's timezone, so "today" is too.
+    useEffect(() => {
+        let canceled = false;
+        readOrganizationTimezone().then((timezone) => {
+            if (canceled) return;
+            const today = DateTime.now().setZone(timezone).toISODate() as string;
+            setAnchorDate((current) => current || today);
+        });
+        return () => { canceled = true; };
+    }, []);
+
+    const loadPreview = useCallback(async () => {
+        if (!anchorDate) return;
+        setLoadingPreview(true);
+        setError(null);
+        try {
+            const { timesheet, logs } = await previewTimesheet({ uid: userId, displayName }, teamId, period, anchorDate);
+            setPreview(timesheet);
+            setPreviewLogCount(logs.length);
+        } catch (err) {
+            console.error('[TimesheetPanel] preview failed', err);
+            setPreview(null);
+            setError(SUBMIT_ERROR_MESSAGES[(err as Error).message] || 'Failed to load timesheet.');
+        } finally {
+            setLoadingPreview(false);
+        }
+    }, [userId, displayName, teamId, period, anchorDate]);
+
+    useEffect(() => {
+        loadPreview();
+    }, [loadPreview]);
+
+    useEffect(() => streamTimesheetsForUser(userId, (sheets) => {
+        setHistory(sheets.filter((s) => s.teamId === teamId));
+    }), [userId, teamId]);
+
+    const handleSubmit = async () => {
+        setSubmitting(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            await submitTimesheet({ uid: userId, displayName }, teamId, period, anchorDate);
+            setSuccess('Timesheet submitted for approval.');
+            await loadPreview();
+        } catch (err) {
+            console.error('[TimesheetPanel] submit failed', err);
+            setError(SUBMIT_ERROR_MESSAGES[(err as Error).message] || 'Failed to submit timesheet.');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const canSubmit = Boolean(preview && (preview.status === 'draft' || preview.status === 'rejected') && previewLogCount > 0);
+
+    return (
+        <div className="space-y-6">
+            <div className="p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700 max-w-xl">
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Submit Timesheet</h3>
+                {error && <p className="text-sm text-red-500 mb-4">{error}</p>}
+                {success && <p className="text-sm text-green-600 dark:text-green-400 mb-4">{success}</p>}
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+                    <div>
+                        <label htmlFor="timesheet-period" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Period</label>
+                        <select
+                            id="timesheet-period"
+                            value={period}
+                            onChange={(e) => setPeriod(e.target.value as TimesheetPeriod)}
+                            className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                        >
+                            <option value="day">Day</option>
+                            <option value="week">Week (Mon–Sun)</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="timesheet-date" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Date</label>
+                        <input
+                            type="date"
+                            id="timesheet-date"
+                            value={anchorDate}
+                            onChange={(e) => setAnchorDate(e.target.value)}
+                            className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                        />
+                    </div>
+                </div>
+
+                {loadingPreview ? (
+                    <div className="flex justify-center p-4"><Spinner /></div>
+                ) : preview && (
+                    <div className="mb-4 text-sm text-gray-700 dark:text-gray-300 space-y-1">
+                        <div className="flex items-center justify-between">
+                            <span>{preview.periodStart === preview.periodEnd ? preview.periodStart : `${preview.periodStart} → ${preview.periodEnd}`}</span>
+                            <TimesheetStatusBadge status={preview.status} />
+                        </div>
+                        <div>Sessions: <span className="font-semibold">{previewLogCount}</span></div>
+                        <div>Work: <span className="font-mono font-semibold">{formatDuration(preview.totalWorkSeconds)}</span></div>
+                        <div>Break: <span className="font-mono font-semibold">{formatDuration(preview.totalBreakSeconds)}</span></div>
+                        {preview.status === 'rejected' && preview.reviewComment && (
+                            <p className="mt-2 p-2 rounded bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">
+                                Rejected by {preview.reviewerDisplayName || 'manager'}: {preview.reviewComment}
+                            </p>
+                        )}
+                    </div>
+                )}
+
+                <button
+                    onClick={handleSubmit}
+                    disabled={!canSubmit || submitting || loadingPreview}
+                    className="text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:outline-none focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center dark:bg-blue-600 dark:hover:bg-blue-700 dark:focus:ring-blue-800 disabled:opacity-50"
+                >
+                    {submitting ? 'Submitting...' : preview?.status === 'rejected' ? 'Resubmit' : 'Submit for Approval'}
+                </button>
+            </div>
+
+            <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-3">My Timesheets</h3>
+                {history.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">No timesheets submitted yet.</p>
+                ) : (
+                    <div className="overflow-x-auto relative sm:rounded-lg">
+                        <table className="w-full text-sm text-left text-gray-500 dark:text-gray-400">
+                            <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                                <tr>
+                                    <th className="py-3 px-6">Period</th>
+                                    <th className="py-3 px-6">Work</th>
+                                    <th className="py-3 px-6">Break</th>
+                                    <th className="py-3 px-6">Status</th>
+                                    <th className="py-3 px-6">Reviewer Comment</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {history.map((sheet) => (
+                                    <tr key={sheet.id} className="bg-white border-b dark:bg-gray-800 dark:border-gray-700">
+                                        <td className="py-3 px-6 whitespace-nowrap">
+                                            <span className="capitalize">{sheet.period}</span>: {sheet.periodStart}{sheet.periodEnd !== sheet.periodStart ? ` → ${sheet.periodEnd}` : ''}
+                                        </td>
+                                        <td className="py-3 px-6 font-mono">{formatDuration(sheet.totalWorkSeconds)}</td>
+                                        <td className="py-3 px-6 font-mono">{formatDuration(sheet.totalBreakSeconds)}</td>
+                                        <td className="py-3 px-6"><TimesheetStatusBadge status={sheet.status} /></td>
+                                        <td className="py-3 px-6">{sheet.reviewComment || <span className="text-gray-400">--</span>}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TimesheetPanel;
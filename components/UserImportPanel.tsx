@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from 'react';
+import { importUsers } from '../services/userImport';
+import type { UserImportResult } from '../services/userImport';
+import { parseUserImportCsv, USER_IMPORT_TEMPLATE } from '../utils/userImport';
+import type { UserImportRow } from '../utils/userImport';
+import { downloadBlob } from '../utils/spreadsheet';
+import type { Team } from '../types';
+
+interface Props {
+    teams: Team[];
+    onClose: () => void;
+}
+
+const USER_IMPORT_ERROR_MESSAGES: Record<string, string> = {
+    'user-import-empty': 'That file has no rows.',
+    'user-import-missing-email-column': 'The file needs an "email" column. Download the template for the expected layout.',
+    'user-import-too-many-rows': 'Import at most 500 users per file.',
+    'invalid-email': 'Invalid email',
+    'duplicate-email': 'Duplicate email in file',
+    'missing-display-name': 'Missing display name',
+    'invalid-role': 'Role cannot be imported',
+    'unknown-team': 'Team is not in this organization',
+    'email-already-in-use': 'An account with this email already exists',
+    'create-failed': 'Account could not be created'
+};
+
+const describeError = (code?: string) => (code ? USER_IMPORT_ERROR_MESSAGES[code] || code : '');
+
+const UserImportPanel: React.FC<Props> = ({ teams, onClose }) => {
+    const [fileName, setFileName] = useState('');
+    const [rows, setRows] = useState<UserImportRow[]>([]);
+    const [results, setResults] = useState<Record<string, UserImportResult>>({});
+    const [ranDryRun, setRanDryRun] = useState(false);
+    const [imported, setImported] = useState(false);
+    const [busy, setBusy] = useState<'dryRun' | 'import' | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    const teamNames = useMemo(() => Object.fromEntries(teams.map((t) => [t.id, t.name])), [teams]);
+    const validRows = rows.filter((r) => r.errors.length === 0);
+    const readyCount = validRows.filter((r) => results[r.email]?.status === 'ready').length;
+
+    const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        setError(null);
+        setResults({});
+        setRanDryRun(false);
+        setImported(false);
+        try {
+            setRows(parseUserImportCsv(await file.text(), teams));
+            setFileName(file.name);
+        } catch (err) {
+            setRows([]);
+            setError(describeError((err as Error).message) || 'Could not read that file.');
+        }
+    };
+
+    const run = async (dryRun: boolean) => {
+        if (!validRows.length) return;
+        if (!dryRun && !window.confirm(`Create ${readyCount} account${readyCount === 1 ? '' : 's'} and email each a password-setup link?`)) return;
+        setBusy(dryRun ? 'dryRun' : 'import');
+        setError(null);
+        try {
+            // The real run only sends rows the dry run passed; the others keep their dry-run error.
+            const batch = dryRun ? validRows : validRows.filter((r) => results[r.email]?.status === 'ready');
+            const next = await importUsers(batch, dryRun);
+            setResults((prev) => ({ ...prev, ...Object.fromEntries(next.map((r) => [r.email, r])) }));
+            if (dryRun) setRanDryRun(true);
+            else setImported(true);
+        } catch (err) {
+            console.error('User import failed', err);
+            setError(describeError((err as Error).message) || 'User import failed.');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const statusCell = (row: UserImportRow) => {
+        if (row.errors.length) return <span className="text-red-500">{row.errors.join('; ')}</span>;
+        const result = results[row.email];
+        if (!result) return <span className="text-gray-400">Not checked</span>;
+        if (result.status === 'error') return <span className="text-red-500">{describeError(result.error)}</span>;
+        if (result.status === 'ready') return <span className="text-green-600 dark:text-green-400">Ready</span>;
+        return (
+            <span className="text-green-600 dark:text-green-400">
+                Created{result.setupEmailSent === false ? <span className="text-yellow-600"> (setup email failed; use password reset)</span> : ', setup email sent'}
+            </span>
+        );
+    };
+
+    return (
+        <div className="mb-4 p-4 bg-white dark:bg-gray-800/50 rounded-lg shadow-sm border dark:border-gray-700 space-y-4">
+            <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white">Import Users from CSV</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Columns: email, display name, role (agent and/or manager, separated by ";") and teams (names separated by ";"). Run a dry run first to check every row.
+                    </p>
+                </div>
+                <div className="flex gap-3">
+                    <button
+                        onClick={() => downloadBlob(new Blob([USER_IMPORT_TEMPLATE], { type: 'text/csv;charset=utf-8' }), 'user_import_template.csv')}
+                        className="text-sm font-medium text-blue-600 hover:underline dark:text-blue-500"
+                    >
+                        Download template
+                    </button>
+                    <button onClick={onClose} className="text-sm font-medium text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white">
+                        Close
+                    </button>
+                </div>
+            </div>
+
+            <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleFile}
+                disabled={!!busy}
+                className="block text-sm text-gray-900 dark:text-gray-300 file:mr-3 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-gray-200 dark:file:bg-gray-700 dark:file:text-white"
+            />
+
+            {error && <p className="text-sm text-red-500">{error}</p>}
+
+            {rows.length > 0 && (
+                <>
+                    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600 dark:text-gray-300">
+                        <span>{fileName}: {rows.length} rows, {rows.length - validRows.length} with errors</span>
+                        <button
+                            onClick={() => run(true)}
+                            disabled={!!busy || imported || !validRows.length}
+                            className="px-3 py-2 text-sm font-medium text-gray-900 bg-gray-200 rounded-lg hover:bg-gray-300 dark:bg-gray-700 dark:text-white dark:hover:bg-gray-600 disabled:opacity-50"
+                        >
+                            {busy === 'dryRun' ? 'Checking...' : 'Dry run'}
+                        </button>
+                        <button
+                            onClick={() => run(false)}
+                            disabled={!!busy || imported || !ranDryRun || readyCount === 0}
+                            className="px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {busy === 'import' ? 'Importing...' : `Import ${readyCount} user${readyCount === 1 ? '' : 's'}`}
+                        </button>
+                    </div>
+                    <div className="overflow-x-auto max-h-96">
+                        <table className="w-full text-sm text-left text-gray-600 dark:text-gray-300">
+                            <thead className="text-xs uppercase bg-gray-100 dark:bg-gray-700">
+                                <tr>
+                                    <th className="px-3 py-2">Row</th>
+                                    <th className="px-3 py-2">Email</th>
+                                    <th className="px-3 py-2">Name</th>
+                                    <th className="px-3 py-2">Roles</th>
+                                    <th className="px-3 py-2">Teams</th>
+                                    <th className="px-3 py-2">Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map((row) => (
+                                    <tr key={row.line} className="border-b dark:border-gray-700">
+                                        <td className="px-3 py-2 font-mono text-xs">{row.line}</td>
+                                        <td className="px-3 py-2">{row.email || '—'}</td>
+                                        <td className="px-3 py-2">{row.displayName}</td>
+                                        <td className="px-3 py-2 capitalize">{row.roles.join(', ')}</td>
+                                        <td className="px-3 py-2">{row.teamIds.map((id) => teamNames[id] || id).join(', ') || 'None'}</td>
+                                        <td className="px-3 py-2 text-xs">{statusCell(row)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default UserImportPanel;
@@ -1,10 +1,30 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { streamAllUsers, streamTeamsForAdmin, updateUser, deleteUserDocument } from '../services/db';
-import type { UserData, Team, Role } from '../types';
+import { streamAllUsers, streamTeamsForAdmin, updateUser } from '../services/db';
+import { streamCustomRoles } from '../services/customRoles';
+import { deactivateUser, reactivateUser, requestUserPurge, streamUserPurgeJobs } from '../services/userLifecycle';
+import type { UserData, Team, Role, CustomRole, UserPurgeJob } from '../types';
 import Spinner from './Spinner';
+import UserImportPanel from './UserImportPanel';
 import { useAuth } from '../hooks/useAuth';
-import { getDisplayRole, getPrimaryRole, getUserRoles, hasRole } from '../utils/roles';
+import { getDisplayRole, getPrimaryRole, getUserRoles, hasRole, isDeactivated } from '../utils/roles';
+
+const LIFECYCLE_ERROR_MESSAGES: Record<string, string> = {
+    'cannot-target-self': 'You cannot change your own account from this panel.',
+    'cannot-target-admin': 'Admin accounts cannot be deactivated or deleted from this panel.',
+    'already-deactivated': 'This user is already deactivated.',
+    'not-deactivated': 'Deactivate the user before deleting them permanently.',
+    'managed-by-directory': 'This user was deprovisioned by your directory (SCIM). Reactivate them there.',
+    'purge-in-progress': 'A permanent deletion is already in progress for this user.',
+    'user-under-legal-hold': "This user's recordings are under a legal hold. Release the hold before deleting them permanently."
+};
+
+const PURGE_STATUS_LABELS: Record<UserPurgeJob['status'], string> = {
+    pending: 'Deletion queued',
+    running: 'Deleting…',
+    completed: 'Deleted',
+    failed: 'Deletion failed'
+};
 
 type SortField = 'name' | 'role' | 'team';
 type SortDirection = 'asc' | 'desc';
@@ -21,6 +41,10 @@ const UserManagementTable: React.FC = () => {
     const [tempTeamIds, setTempTeamIds] = useState<Set<string>>(new Set());
     const [editingRolesUser, setEditingRolesUser] = useState<UserData | null>(null);
     const [tempRoles, setTempRoles] = useState<Set<Role>>(new Set());
+    const [customRoles, setCustomRoles] = useState<CustomRole[]>([]);
+    const [tempCustomRoleIds, setTempCustomRoleIds] = useState<Set<string>>(new Set());
+    const [purgeJobs, setPurgeJobs] = useState<Record<string, UserPurgeJob>>({});
+    const [busyUid, setBusyUid] = useState<string | null>(null);
 
     // Filter and Sort State
     const [filterTeam, setFilterTeam] = useState<string>('all');
@@ -28,6 +52,7 @@ const UserManagementTable: React.FC = () => {
     const [searchName, setSearchName] = useState<string>('');
     const [sortField, setSortField] = useState<SortField>('name');
     const [sortDirection, setSortDirection] = useState<SortDirection>('asc');
+    const [showImport, setShowImport] = useState(false);
 
     useEffect(() => {
         if (!adminUser) return;
@@ -45,9 +70,16 @@ const UserManagementTable: React.FC = () => {
             setLoading(false);
         });
 
+        const unsubscribeCustomRoles = streamCustomRoles(setCustomRoles);
+        const unsubscribePurgeJobs = streamUserPurgeJobs((jobs) => {
+            setPurgeJobs(Object.fromEntries(jobs.map((job) => [job.uid, job])));
+        });
+
         return () => {
             unsubscribeUsers();
             unsubscribeTeams();
+            unsubscribeCustomRoles();
+            unsubscribePurgeJobs();
         };
     }, [adminUser]);
 
@@ -82,9 +114,39 @@ const UserManagementTable: React.FC = () => {
 
     const openRolesModal = (user: UserData) => {
         setTempRoles(new Set(getUserRoles(user)));
+        setTempCustomRoleIds(new Set(user.customRoleIds || []));
         setEditingRolesUser(user);
     };
 
+    const toggleCustomRoleSelection = (roleId: string) => {
+        const newSet = new Set(tempCustomRoleIds);
+        if (newSet.has(roleId)) {
+            newSet.delete(roleId);
+        } else {
+            newSet.add(roleId);
+        }
+        setTempCustomRoleIds(newSet);
+    };
+
+    const handleCustomRoleChange = async (uid: string, customRoleIds: string[]) => {
+        const current = users.find((u) => u.uid === uid)?.customRoleIds || [];
+        if (current.length === customRoleIds.length && current.every((id) => customRoleIds.includes(id))) return true;
+        const originalUsers = [...users];
+        setUsers(users.map(u => u.uid === uid ? { ...u, customRoleIds } : u));
+        try {
+            await updateUser(uid, { customRoleIds });
+            return true;
+        } catch (err) {
+            setError(`Failed to update custom roles for user ${uid}.`);
+            setUsers(originalUsers);
+            return false;
+        }
+    };
+
+    const getCustomRoleNames = (user: UserData) => (
+        (user.customRoleIds || []).map((id) => customRoles.find((r) => r.id === id)?.name).filter(Boolean).join(', ')
+    );
+
     const toggleRoleSelection = (role: Role) => {
         const newSet = new Set(tempRoles);
         if (newSet.has(role)) {
@@ -97,33 +159,45 @@ const UserManagementTable: React.FC = () => {
 
     const saveRoleChanges = async () => {
         if (!editingRolesUser) return;
-        const success = await handleRoleChange(editingRolesUser.uid, Array.from(tempRoles));
+        const success = await handleRoleChange(editingRolesUser.uid, Array.from(tempRoles))
+            && await handleCustomRoleChange(editingRolesUser.uid, Array.from(tempCustomRoleIds));
         if (success) {
             setEditingRolesUser(null);
         }
     };
 
-    const handleDeleteUser = async (target: UserData) => {
-        if (!target?.uid) return;
-        if (target.uid === adminUser?.uid) {
-            setError('You cannot delete your own account from this panel.');
-            return;
-        }
-        if (hasRole(target, 'admin')) {
-            setError('Admin users cannot be deleted from this panel.');
-            return;
-        }
-        const confirmed = window.confirm(`Delete user "${target.displayName || target.email || target.uid}"? This removes the user profile from the dashboard.`);
-        if (!confirmed) return;
-
-        const originalUsers = [...users];
-        setUsers(users.filter((u) => u.uid !== target.uid));
+    const runLifecycleAction = async (target: UserData, action: () => Promise<void>) => {
+        setBusyUid(target.uid);
+        setError(null);
         try {
-            await deleteUserDocument(target.uid);
+            await action();
         } catch (err) {
-            setError(`Failed to delete user ${target.uid}.`);
-            setUsers(originalUsers);
+            console.error('User lifecycle action failed', err);
+            setError(LIFECYCLE_ERROR_MESSAGES[(err as Error).message] || `Failed to update ${target.displayName || target.email || target.uid}.`);
+        } finally {
+            setBusyUid(null);
+        }
+    };
+
+    const handleDeactivate = (target: UserData) => {
+        const reason = window.prompt(`Deactivate "${target.displayName || target.email}"? They are signed out everywhere and can no longer sign in. Their worklogs, recordings and reports are kept.\n\nReason (optional):`, '');
+        if (reason === null) return;
+        return runLifecycleAction(target, () => deactivateUser(target.uid, reason.trim()));
+    };
+
+    const handleReactivate = (target: UserData) => {
+        if (!window.confirm(`Reactivate "${target.displayName || target.email}"? They will be able to sign in again.`)) return;
+        return runLifecycleAction(target, () => reactivateUser(target.uid));
+    };
+
+    const handlePurge = (target: UserData) => {
+        const typed = window.prompt(`Permanently delete "${target.displayName || target.email}"? This erases their worklogs, timesheets, leave, app activity, schedule entries and recordings, and deletes the account. It cannot be undone.\n\nType the user's email to confirm:`, '');
+        if (typed === null) return;
+        if (typed.trim().toLowerCase() !== (target.email || '').toLowerCase()) {
+            setError('The email did not match; nothing was deleted.');
+            return;
         }
+        return runLifecycleAction(target, () => requestUserPurge(target.uid));
     };
 
     const getTeamNames = (user: UserData) => {
@@ -243,6 +317,8 @@ const UserManagementTable: React.FC = () => {
         <>
             {error && <p className="text-center text-red-500 dark:text-red-400 mb-4">{error}</p>}
 
+            {showImport && <UserImportPanel teams={teams} onClose={() => setShowImport(false)} />}
+
             {/* Filter Bar */}
             <div className="mb-4 p-4 bg-gray-100 dark:bg-gray-800/50 rounded-lg border dark:border-gray-700 flex flex-wrap gap-4 items-end">
                 <div className="flex-1 min-w-[200px]">
@@ -289,6 +365,14 @@ const UserManagementTable: React.FC = () => {
                         Clear Filters
                     </button>
                 )}
+                {!showImport && (
+                    <button
+                        onClick={() => setShowImport(true)}
+                        className="ml-auto px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+                    >
+                        Import CSV
+                    </button>
+                )}
             </div>
 
             <div className="mb-2 text-sm text-gray-500 dark:text-gray-400">
@@ -327,7 +411,19 @@ const UserManagementTable: React.FC = () => {
                     <tbody>
                         {filteredAndSortedUsers.map(user => (
                             <tr key={user.uid} className="bg-white border-b dark:bg-gray-800 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600">
-                                <td className="py-4 px-6 font-medium text-gray-900 whitespace-nowrap dark:text-white">{user.displayName || 'No Name'}</td>
+                                <td className="py-4 px-6 font-medium text-gray-900 whitespace-nowrap dark:text-white">
+                                    {user.displayName || 'No Name'}
+                                    {isDeactivated(user) && (
+                                        <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300" title={user.disabledReason || undefined}>
+                                            Deactivated
+                                        </span>
+                                    )}
+                                    {purgeJobs[user.uid] && (
+                                        <span className={`block text-xs ${purgeJobs[user.uid].status === 'failed' ? 'text-red-500' : 'text-amber-600 dark:text-amber-400'}`} title={purgeJobs[user.uid].error || undefined}>
+                                            {PURGE_STATUS_LABELS[purgeJobs[user.uid].status]}
+                                        </span>
+                                    )}
+                                </td>
                                 <td className="py-4 px-6">{user.email}</td>
                                 <td className="py-4 px-6 max-w-xs truncate" title={getTeamNames(user)}>
                                     {getTeamNames(user)}
@@ -336,6 +432,9 @@ const UserManagementTable: React.FC = () => {
                                     <span className="block text-sm text-gray-700 dark:text-gray-300">
                                         {getDisplayRole(user)}
                                     </span>
+                                    {getCustomRoleNames(user) && (
+                                        <span className="block text-xs text-gray-500 dark:text-gray-400">{getCustomRoleNames(user)}</span>
+                                    )}
                                 </td>
                                 <td className="py-4 px-6">
                                     <div className="flex flex-col gap-2">
@@ -351,14 +450,33 @@ const UserManagementTable: React.FC = () => {
                                         >
                                             Manage Teams
                                         </button>
-                                        {!hasRole(user, 'admin') && (
+                                        {!hasRole(user, 'admin') && user.uid !== adminUser?.uid && !isDeactivated(user) && (
                                             <button
-                                                onClick={() => handleDeleteUser(user)}
-                                                className="font-medium text-red-600 dark:text-red-400 hover:underline text-left"
+                                                onClick={() => handleDeactivate(user)}
+                                                disabled={busyUid === user.uid}
+                                                className="font-medium text-red-600 dark:text-red-400 hover:underline text-left disabled:opacity-50"
                                             >
-                                                Delete User
+                                                Deactivate
                                             </button>
                                         )}
+                                        {!hasRole(user, 'admin') && isDeactivated(user) && (
+                                            <>
+                                                <button
+                                                    onClick={() => handleReactivate(user)}
+                                                    disabled={busyUid === user.uid}
+                                                    className="font-medium text-green-600 dark:text-green-400 hover:underline text-left disabled:opacity-50"
+                                                >
+                                                    Reactivate
+                                                </button>
+                                                <button
+                                                    onClick={() => handlePurge(user)}
+                                                    disabled={busyUid === user.uid || ['pending', 'running'].includes(purgeJobs[user.uid]?.status || '')}
+                                                    className="font-medium text-red-700 dark:text-red-500 hover:underline text-left disabled:opacity-50"
+                                                >
+                                                    Delete Permanently
+                                                </button>
+                                            </>
+                                        )}
                                     </div>
                                 </td>
                             </tr>
@@ -446,6 +564,25 @@ const UserManagementTable: React.FC = () => {
                                 </div>
                             ))}
                         </div>
+                        {customRoles.length > 0 && (
+                            <div className="space-y-3 mb-6">
+                                <p className="text-sm font-medium text-gray-700 dark:text-gray-300">Custom roles</p>
+                                {customRoles.map((customRole) => (
+                                    <div key={customRole.id} className="flex items-center">
+                                        <input
+                                            id={`custom-role-${editingRolesUser.uid}-${customRole.id}`}
+                                            type="checkbox"
+                                            checked={tempCustomRoleIds.has(customRole.id)}
+                                            onChange={() => toggleCustomRoleSelection(customRole.id)}
+                                            className="w-4 h-4 text-indigo-600 bg-gray-100 border-gray-300 rounded focus:ring-indigo-500 dark:focus:ring-indigo-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600"
+                                        />
+                                        <label htmlFor={`custom-role-${editingRolesUser.uid}-${customRole.id}`} className="ml-2 text-sm font-medium text-gray-900 dark:text-gray-300">
+                                            {customRole.name}
+                                        </label>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
                         <div className="flex justify-end gap-3">
                             <button
                                 onClick={() => setEditingRolesUser(null)}
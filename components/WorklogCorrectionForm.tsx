@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { Timestamp } from 'firebase/firestore';
+import { submitWorklogCorrection } from '../services/worklogCorrections';
+import { normalizeDate } from '../utils/worklogTotals';
+import type { WorkLog, WorklogCorrectionFields } from '../types';
+
+interface Props {
+    log: WorkLog;
+    requester: { uid: string; displayName?: string | null };
+    onClose: () => void;
+    onSubmitted?: () => void;
+}
+
+type BreakDraft = { startTime: string; endTime: string; cause: 'manual' | 'idle' | 'away' };
+
+// Helper for datetime-local input
+const toDatetimeLocal = (value: any) => {
+    const d = normalizeDate(value);
+    if (!d) return '';
+    const pad = (n: number) => n.toString().padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+const fromDatetimeLocal = (value: string) => (value ? Timestamp.fromDate(new Date(value)) : null);
+
+const ERROR_MESSAGES: Record<string, string> = {
+    'correction-reason-required': 'Please explain why this correction is needed.',
+    'correction-requires-closed-session': 'Only completed sessions can be corrected. Clock out first.',
+    'correction-requires-clock-out': 'This session was never clocked out. Enter the time you stopped working.',
+    'correction-no-changes': 'Nothing was changed.',
+    'correction-invalid-range': 'Clock out must be after clock in.',
+    'correction-invalid-break': 'Each break needs a start and an end after it.',
+    'correction-break-out-of-range': 'Breaks must fall between clock in and clock out.',
+    'correction-break-overlap': 'Breaks cannot overlap each other.',
+    'timesheet-locked': 'This worklog belongs to an approved timesheet and can no longer be changed.'
+};
+
+const WorklogCorrectionForm: React.FC<Props> = ({ log, requester, onClose, onSubmitted }) => {
+    const initialBreaks: BreakDraft[] = (log.breaks || [])
+        .filter((b) => b && b.startTime)
+        .map((b) => ({
+            startTime: toDatetimeLocal(b.startTime),
+            endTime: toDatetimeLocal(b.endTime),
+            cause: b.cause === 'idle' || b.cause === 'away' ? b.cause : 'manual'
+        }));
+
+    const [clockIn, setClockIn] = useState(toDatetimeLocal(log.clockInTime));
+    const [clockOut, setClockOut] = useState(toDatetimeLocal(log.clockOutTime));
+    const [breaks, setBreaks] = useState<BreakDraft[]>(initialBreaks);
+    const [reason, setReason] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const updateBreak = (index: number, patch: Partial<BreakDraft>) => {
+        setBreaks((prev) => prev.map((entry, i) => (i === index ? { ...entry, ...patch } : entry)));
+    };
+
+    const handleSubmit = async () => {
+        const proposed: WorklogCorrectionFields = {};
+        if (clockIn !== toDatetimeLocal(log.clockInTime)) proposed.clockInTime = fromDatetimeLocal(clockIn);
+        if (clockOut !== toDatetimeLocal(log.clockOutTime)) proposed.clockOutTime = fromDatetimeLocal(clockOut);
+        if (JSON.stringify(breaks) !== JSON.stringify(initialBreaks)) {
+            proposed.breaks = breaks.map((entry) => ({
+                startTime: fromDatetimeLocal(entry.startTime),
+                endTime: fromDatetimeLocal(entry.endTime),
+                cause: entry.cause
+            }));
+        }
+
+        setSaving(true);
+        setError(null);
+        try {
+            await submitWorklogCorrection(log, proposed, reason, requester);
+            onSubmitted?.();
+            onClose();
+        } catch (err) {
+            console.error('[WorklogCorrectionForm] submit failed', err);
+            setError(ERROR_MESSAGES[(err as Error).message] || 'Failed to submit correction request.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = 'bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg block w-full p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4" aria-modal="true" role="dialog">
+            <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto border dark:border-gray-700">
+                <h3 className="text-lg font-bold text-gray-900 dark:text-white mb-4">Request Worklog Correction</h3>
+
+                {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+                    <div>
+                        <label className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Clock In</label>
+                        <input type="datetime-local" step="1" value={clockIn} onChange={(e) => setClockIn(e.target.value)} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Clock Out</label>
+                        <input type="datetime-local" step="1" value={clockOut} onChange={(e) => setClockOut(e.target.value)} className={inputClass} />
+                    </div>
+                </div>
+
+                <div className="mb-4">
+                    <div className="flex justify-between items-center mb-2">
+                        <span className="text-sm font-medium text-gray-900 dark:text-white">Breaks</span>
+                        <button
+                            type="button"
+                            onClick={() => setBreaks((prev) => [...prev, { startTime: clockIn, endTime: clockIn, cause: 'manual' }])}
+                            className="text-xs font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                        >
+                            + Add Break
+                        </button>
+                    </div>
+                    {breaks.length === 0 && <p className="text-xs text-gray-500 dark:text-gray-400">No breaks recorded.</p>}
+                    <div className="space-y-2">
+                        {breaks.map((entry, index) => (
+                            <div key={index} className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto_auto] gap-2 items-center">
+                                <input type="datetime-local" step="1" value={entry.startTime} onChange={(e) => updateBreak(index, { startTime: e.target.value })} className={inputClass} />
+                                <input type="datetime-local" step="1" value={entry.endTime} onChange={(e) => updateBreak(index, { endTime: e.target.value })} className={inputClass} />
+                                <select value={entry.cause} onChange={(e) => updateBreak(index, { cause: e.target.value as BreakDraft['cause'] })} className={inputClass}>
+                                    <option value="manual">Manual</option>
+                                    <option value="idle">Idle</option>
+                                    <option value="away">Away</option>
+                                </select>
+                                <button
+                                    type="button"
+                                    onClick={() => setBreaks((prev) => prev.filter((_, i) => i !== index))}
+                                    className="px-2 py-1 text-xs text-red-600 dark:text-red-400 hover:underline"
+                                >
+                                    Remove
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="mb-4">
+                    <label className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Reason</label>
+                    <textarea
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        rows={3}
+                        placeholder="e.g. Forgot to clock out at the end of my shift."
+                        className={inputClass}
+                    />
+                </div>
+
+                <div className="flex justify-end gap-3">
+                    <button onClick={onClose} className="px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200">Cancel</button>
+                    <button
+                        onClick={handleSubmit}
+                        disabled={saving}
+                        className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {saving ? 'Submitting...' : 'Submit Request'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default WorklogCorrectionForm;
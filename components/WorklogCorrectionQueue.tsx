@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { approveWorklogCorrection, rejectWorklogCorrection, streamCorrectionsForTeam } from '../services/worklogCorrections';
+import { readOrganizationTimezone } from '../services/db';
+import type { WorklogCorrectionRequest } from '../types';
+import { formatWorklogFieldValue, worklogFieldLabel } from './WorklogRevisionHistory';
+
+interface Props {
+    teamId: string;
+}
+
+const REVIEW_ERROR_MESSAGES: Record<string, string> = {
+    'correction-not-found': 'This request no longer exists.',
+    'correction-not-pending': 'This request has already been handled.',
+    'correction-self-review': 'You cannot review your own correction request.',
+    'correction-reject-comment-required': 'Please add a comment explaining the rejection.',
+    'correction-stale': 'The worklog changed after this request was filed. Ask the agent to submit a new request.',
+    'timesheet-locked': 'This worklog belongs to an approved timesheet and can no longer be changed.',
+    'worklog-not-found': 'The worklog for this request no longer exists.'
+};
+
+const WorklogCorrectionQueue: React.FC<Props> = ({ teamId }) => {
+    const { userData } = useAuth();
+    const [corrections, setCorrections] = useState<WorklogCorrectionRequest[]>([]);
+    const [comments, setComments] = useState<Record<string, string>>({});
+    const [busyId, setBusyId] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [timezone, setTimezone] = useState<string | undefined>(undefined);
+
+    useEffect(() => {
+        readOrganizationTimezone().then(setTimezone);
+    }, []);
+
+    useEffect(() => streamCorrectionsForTeam(teamId, setCorrections), [teamId]);
+
+    const handleReview = async (correction: WorklogCorrectionRequest, decision: 'approved' | 'rejected') => {
+        if (!userData) return;
+        const reviewer = { uid: userData.uid, displayName: userData.displayName };
+        const comment = comments[correction.id] || '';
+        setBusyId(correction.id);
+        setError(null);
+        try {
+            if (decision === 'approved') {
+                await approveWorklogCorrection(correction.id, reviewer, comment);
+            } else {
+                await rejectWorklogCorrection(correction.id, reviewer, comment);
+            }
+        } catch (err) {
+            console.error('[WorklogCorrectionQueue] review failed', err);
+            setError(REVIEW_ERROR_MESSAGES[(err as Error).message] || 'Failed to update correction request.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Worklog Correction Requests</h3>
+
+            {error && <p className="text-sm text-red-500 mb-4 p-3 bg-red-100 dark:bg-red-900/50 rounded-md">{error}</p>}
+
+            {corrections.length === 0 ? (
+                <p className="text-gray-500 dark:text-gray-400">No pending correction requests.</p>
+            ) : (
+                <ul className="space-y-4">
+                    {corrections.map((correction) => (
+                        <li key={correction.id} className="p-4 rounded-lg border dark:border-gray-700 bg-white dark:bg-gray-800">
+                            <div className="flex flex-wrap justify-between gap-2 mb-2">
+                                <span className="font-semibold text-gray-900 dark:text-white">{correction.userDisplayName}</span>
+                                <span className="text-xs text-gray-500 dark:text-gray-400">{formatWorklogFieldValue('clockInTime', correction.createdAt, timezone)}</span>
+                            </div>
+                            <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">Reason: {correction.reason}</p>
+                            <table className="w-full text-xs text-left text-gray-600 dark:text-gray-300 mb-3">
+                                <thead>
+                                    <tr className="uppercase text-gray-500 dark:text-gray-400">
+                                        <th className="py-1 pr-4">Field</th>
+                                        <th className="py-1 pr-4">Current</th>
+                                        <th className="py-1">Proposed</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {Object.keys(correction.proposed).map((field) => (
+                                        <tr key={field} className="align-top">
+                                            <td className="py-1 pr-4 font-medium">{worklogFieldLabel(field)}</td>
+                                            <td className="py-1 pr-4 whitespace-pre-line">{formatWorklogFieldValue(field, (correction.original as any)[field], timezone)}</td>
+                                            <td className="py-1 whitespace-pre-line text-blue-700 dark:text-blue-300">{formatWorklogFieldValue(field, (correction.proposed as any)[field], timezone)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <div className="flex flex-col sm:flex-row gap-2">
+                                <input
+                                    type="text"
+                                    value={comments[correction.id] || ''}
+                                    onChange={(e) => setComments((prev) => ({ ...prev, [correction.id]: e.target.value }))}
+                                    placeholder="Comment (required to reject)"
+                                    className="flex-1 bg-gray-50 border border-gray-300 text-gray-900 text-xs rounded-lg block p-2 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                />
+                                <button
+                                    onClick={() => handleReview(correction, 'approved')}
+                                    disabled={busyId === correction.id || correction.userId === userData?.uid}
+                                    className="px-3 py-1 text-xs font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                                >
+                                    Approve
+                                </button>
+                                <button
+                                    onClick={() => handleReview(correction, 'rejected')}
+                                    disabled={busyId === correction.id || correction.userId === userData?.uid}
+                                    className="px-3 py-1 text-xs font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                                >
+                                    Reject
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default WorklogCorrectionQueue;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getWorkLogsForUserInRange } from '../services/db';
+import { cancelWorklogCorrection, isCorrectableLog, streamCorrectionsForUser } from '../services/worklogCorrections';
+import { normalizeDate } from '../utils/worklogTotals';
+import type { WorkLog, WorklogCorrectionRequest } from '../types';
+import Spinner from './Spinner';
+import WorklogCorrectionForm from './WorklogCorrectionForm';
+import { formatWorklogFieldValue, worklogFieldLabel } from './WorklogRevisionHistory';
+
+interface Props {
+    userId: string;
+    displayName: string;
+    timezone?: string;
+}
+
+const LOOKBACK_DAYS = 14;
+
+const STATUS_STYLES: Record<WorklogCorrectionRequest['status'], string> = {
+    pending: 'bg-blue-100 text-blue-800 dark:bg-blue-900/50 dark:text-blue-200',
+    approved: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200',
+    rejected: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200',
+    cancelled: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200'
+};
+
+const WorklogCorrectionsPanel: React.FC<Props> = ({ userId, displayName, timezone }) => {
+    const [logs, setLogs] = useState<WorkLog[]>([]);
+    const [corrections, setCorrections] = useState<WorklogCorrectionRequest[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [editingLog, setEditingLog] = useState<WorkLog | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [success, setSuccess] = useState<string | null>(null);
+
+    const loadLogs = useCallback(async () => {
+        setLoading(true);
+        try {
+            const end = new Date();
+            const start = new Date(end.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+            const recent = await getWorkLogsForUserInRange(userId, start, end);
+            setLogs(recent
+                .filter(isCorrectableLog)
+                .sort((a, b) => (normalizeDate(b.clockInTime)?.getTime() || 0) - (normalizeDate(a.clockInTime)?.getTime() || 0)));
+        } catch (err) {
+            console.error('[WorklogCorrectionsPanel] failed to load worklogs', err);
+            setError('Failed to load recent worklogs.');
+        } finally {
+            setLoading(false);
+        }
+    }, [userId]);
+
+    useEffect(() => {
+        loadLogs();
+    }, [loadLogs]);
+
+    useEffect(() => streamCorrectionsForUser(userId, setCorrections), [userId]);
+
+    const pendingLogIds = new Set(corrections.filter((c) => c.status === 'pending').map((c) => c.worklogId));
+
+    const handleCancel = async (correction: WorklogCorrectionRequest) => {
+        setError(null);
+        try {
+            await cancelWorklogCorrection(correction.id, { uid: userId, displayName });
+        } catch (err) {
+            console.error('[WorklogCorrectionsPanel] cancel failed', err);
+            setError('Failed to cancel correction request.');
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {error && <p className="text-sm text-red-500">{error}</p>}
+            {success && <p className="text-sm text-green-600 dark:text-green-400">{success}</p>}
+
+            <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-3">Recent Sessions</h3>
+                {loading ? (
+                    <div className="flex justify-center p-4"><Spinner /></div>
+                ) : logs.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">No completed or stale sessions in the last {LOOKBACK_DAYS} days.</p>
+                ) : (
+                    <div className="overflow-x-auto relative sm:rounded-lg">
+                        <table className="w-full text-sm text-left text-gray-500 dark:text-gray-400">
+                            <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                                <tr>
+                                    <th className="py-3 px-6">Clock In</th>
+                                    <th className="py-3 px-6">Clock Out</th>
+                                    <th className="py-3 px-6">Breaks</th>
+                                    <th className="py-3 px-6"></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {logs.map((log) => (
+                                    <tr key={log.id} className="bg-white border-b dark:bg-gray-800 dark:border-gray-700">
+                                        <td className="py-3 px-6">{formatWorklogFieldValue('clockInTime', log.clockInTime, timezone)}</td>
+                                        <td className="py-3 px-6">{formatWorklogFieldValue('clockOutTime', log.clockOutTime, timezone)}</td>
+                                        <td className="py-3 px-6">{(log.breaks || []).length}</td>
+                                        <td className="py-3 px-6 text-right">
+                                            {log.timesheetStatus === 'approved' ? (
+                                                <span className="text-xs text-gray-400">Locked</span>
+                                            ) : pendingLogIds.has(log.id) ? (
+                                                <span className="text-xs text-blue-600 dark:text-blue-400">Pending review</span>
+                                            ) : (
+                                                <button
+                                                    onClick={() => { setSuccess(null); setEditingLog(log); }}
+                                                    className="px-3 py-1 text-xs font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+                                                >
+                                                    Request Correction
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-3">My Correction Requests</h3>
+                {corrections.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">No correction requests yet.</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {corrections.map((correction) => (
+                            <li key={correction.id} className="p-3 rounded-lg border dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50 text-sm">
+                                <div className="flex flex-wrap justify-between items-center gap-2">
+                                    <span className="text-gray-900 dark:text-white font-medium">{correction.reason}</span>
+                                    <div className="flex items-center gap-2">
+                                        <span className={`px-2 py-0.5 rounded text-xs font-semibold uppercase ${STATUS_STYLES[correction.status]}`}>{correction.status}</span>
+                                        {correction.status === 'pending' && (
+                                            <button onClick={() => handleCancel(correction)} className="text-xs text-red-600 dark:text-red-400 hover:underline">Cancel</button>
+                                        )}
+                                    </div>
+                                </div>
+                                <ul className="mt-2 space-y-1 text-xs text-gray-600 dark:text-gray-300">
+                                    {Object.keys(correction.proposed).map((field) => (
+                                        <li key={field} className="whitespace-pre-line">
+                                            <span className="font-medium">{worklogFieldLabel(field)}:</span>{' '}
+                                            {formatWorklogFieldValue(field, (correction.original as any)[field], timezone)} → {formatWorklogFieldValue(field, (correction.proposed as any)[field], timezone)}
+                                        </li>
+                                    ))}
+                                </ul>
+                                {correction.reviewComment && (
+                                    <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                                        {correction.reviewerDisplayName || 'Manager'}: {correction.reviewComment}
+                                    </p>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {editingLog && (
+                <WorklogCorrectionForm
+                    log={editingLog}
+                    requester={{ uid: userId, displayName }}
+                    onClose={() => setEditingLog(null)}
+                    onSubmitted={() => setSuccess('Correction request sent to your manager.')}
+                />
+            )}
+        </div>
+    );
+};
+
+export default WorklogCorrectionsPanel;
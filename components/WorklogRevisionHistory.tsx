@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { DateTime } from 'luxon';
+import { streamWorklogRevisions } from '../services/worklogCorrections';
+import { normalizeDate } from '../utils/worklogTotals';
+import type { WorklogRevision } from '../types';
+
+interface Props {
+    logId: string;
+    timezone?: string;
+}
+
+const FIELD_LABELS: Record<string, string> = {
+    clockInTime: 'Clock In',
+    clockOutTime: 'Clock Out',
+    breaks: 'Breaks',
+    status: 'Status',
+    totalWorkSeconds: 'Work Time',
+    totalBreakSeconds: 'Break Time',
+    lateMinutes: 'Late Minutes'
+};
+
+const SOURCE_LABELS: Record<string, string> = {
+    correction: 'Approved correction',
+    manager_edit: 'Manager edit'
+};
+
+const formatTimestamp = (value: any, timezone?: string): string => {
+    const date = normalizeDate(value);
+    if (!date) return '--';
+    const zone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return DateTime.fromJSDate(date).setZone(zone, { keepLocalTime: false }).toFormat('MM/dd hh:mm:ss a');
+};
+
+const formatSeconds = (value: any): string => {
+    const total = typeof value === 'number' ? Math.max(0, value) : 0;
+    const h = Math.floor(total / 3600).toString().padStart(2, '0');
+    const m = Math.floor((total % 3600) / 60).toString().padStart(2, '0');
+    return `${h}:${m}`;
+};
+
+/** Human-readable rendering for worklog fields shown in corrections and revisions. */
+export const formatWorklogFieldValue = (field: string, value: any, timezone?: string): string => {
+    if (value === null || value === undefined) return '--';
+    switch (field) {
+        case 'clockInTime':
+        case 'clockOutTime':
+            return formatTimestamp(value, timezone);
+        case 'totalWorkSeconds':
+        case 'totalBreakSeconds':
+            return formatSeconds(value);
+        case 'breaks':
+            if (!Array.isArray(value) || !value.length) return 'No breaks';
+            return value
+                .map((entry: any) => `${formatTimestamp(entry?.startTime, timezone)} → ${formatTimestamp(entry?.endTime, timezone)}${entry?.cause ? ` (${entry.cause})` : ''}`)
+                .join('\n');
+        default:
+            return String(value);
+    }
+};
+
+export const worklogFieldLabel = (field: string) => FIELD_LABELS[field] || field;
+
+const WorklogRevisionHistory: React.FC<Props> = ({ logId, timezone }) => {
+    const [revisions, setRevisions] = useState<WorklogRevision[] | null>(null);
+
+    useEffect(() => streamWorklogRevisions(logId, setRevisions), [logId]);
+
+    if (!revisions) {
+        return <p className="text-sm text-gray-500 dark:text-gray-400 py-2">Loading revision history...</p>;
+    }
+
+    if (revisions.length === 0) {
+        return <p className="text-sm text-gray-500 dark:text-gray-400 py-2">This worklog has not been corrected.</p>;
+    }
+
+    return (
+        <ul className="space-y-3">
+            {revisions.map((revision) => (
+                <li key={revision.id} className="p-3 rounded-lg border dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50">
+                    <div className="flex flex-wrap justify-between gap-2 text-sm">
+                        <span className="font-semibold text-gray-900 dark:text-white">
+                            {SOURCE_LABELS[revision.source] || revision.source}
+                            {revision.changedByDisplayName ? ` by ${revision.changedByDisplayName}` : ''}
+                        </span>
+                        <span className="text-gray-500 dark:text-gray-400">{formatTimestamp(revision.changedAt, timezone)}</span>
+                    </div>
+                    {revision.reason && <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Reason: {revision.reason}</p>}
+                    <table className="w-full mt-2 text-xs text-left text-gray-600 dark:text-gray-300">
+                        <thead>
+                            <tr className="uppercase text-gray-500 dark:text-gray-400">
+                                <th className="py-1 pr-4">Field</th>
+                                <th className="py-1 pr-4">Before</th>
+                                <th className="py-1">After</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.keys(revision.after || {}).map((field) => (
+                                <tr key={field} className="align-top">
+                                    <td className="py-1 pr-4 font-medium">{worklogFieldLabel(field)}</td>
+                                    <td className="py-1 pr-4 whitespace-pre-line text-red-700 dark:text-red-300">{formatWorklogFieldValue(field, revision.before?.[field], timezone)}</td>
+                                    <td className="py-1 whitespace-pre-line text-green-700 dark:text-green-300">{formatWorklogFieldValue(field, revision.after?.[field], timezone)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default WorklogRevisionHistory;
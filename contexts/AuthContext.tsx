@@ -3,7 +3,9 @@ import React, { createContext, useState, useEffect, ReactNode } from 'react';
 import { onAuthStateChanged, type User as FirebaseUser } from 'firebase/auth';
 import { auth } from '../services/firebase';
 import { createUserDocument, getUserDocument } from '../services/db';
-import type { Role, User, AuthContextType, UserData } from '../types';
+import { setActiveOrgId } from '../services/orgContext';
+import { getUserPermissions } from '../utils/permissions';
+import type { Role, User, AuthContextType, UserData, Permission } from '../types';
 
 export const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
@@ -24,6 +26,7 @@ const isNewUser = (user: FirebaseUser): boolean => {
 export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const [user, setUser] = useState<User | null>(null);
   const [userData, setUserData] = useState<UserData | null>(null);
+  const [permissions, setPermissions] = useState<Permission[]>([]);
   // Initialize loading to true so the app waits for Firebase before rendering
   const [loading, setLoading] = useState(true);
 
@@ -71,8 +74,9 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
               data = await fetchUserDataWithRetries();
           }
 
-          // Desktop integration (issueDesktopToken) requires a user profile document.
-          // Ensure a minimal user doc exists for accounts created outside the web signup flow.
+          // Desktop integration (issueDesktopToken) requires a user profile document. Accounts created
+          // outside the web signup flow get one only when their custom claims name an organization;
+          // anyone else has to join through an invitation, SSO or SCIM.
           if (!data) {
             try {
               const tokenResult = await currentUser.getIdTokenResult();
@@ -80,20 +84,43 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
               const role: Role = (claimedRole === 'admin' || claimedRole === 'manager' || claimedRole === 'agent')
                 ? claimedRole
                 : 'agent';
-              await createUserDocument(currentUser, { role });
-              data = await fetchUserDataWithRetries();
+              const claimedOrgId = (tokenResult?.claims as any)?.orgId;
+              if (typeof claimedOrgId === 'string' && claimedOrgId) {
+                await createUserDocument(currentUser, { role, orgId: claimedOrgId });
+                data = await fetchUserDataWithRetries();
+              }
             } catch (createError) {
               console.error("Failed to create missing user profile:", createError);
             }
           }
           
+          // Custom-role permissions come from the `perms` claim the security rules also check. The
+          // claims sync stamps permissionsVersion on the profile, so an older token is refreshed.
+          let claimedPermissions: unknown = [];
+          try {
+            let tokenResult = await currentUser.getIdTokenResult();
+            if (data?.permissionsVersion && tokenResult.claims.permsVersion !== data.permissionsVersion) {
+              tokenResult = await currentUser.getIdTokenResult(true);
+            }
+            claimedPermissions = tokenResult.claims.perms;
+          } catch (claimsError) {
+            console.error("Failed to read permission claims:", claimsError);
+          }
+
+          // Scope org-wide queries before any dashboard subscribes.
+          setActiveOrgId(data?.orgId);
           setUserData(data);
+          setPermissions(getUserPermissions(data, claimedPermissions));
         } catch (error) {
           console.error("Error fetching user profile:", error);
+          setActiveOrgId(null);
           setUserData(null);
+          setPermissions([]);
         }
       } else {
+        setActiveOrgId(null);
         setUserData(null);
+        setPermissions([]);
       }
       
       // Only set loading to false after all async operations are complete
@@ -107,7 +134,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     await auth.signOut();
   };
 
-  const value = { currentUser: user, user, userData, loading, logout };
+  const value = { currentUser: user, user, userData, permissions, loading, logout };
 
   return (
     <AuthContext.Provider value={value}>
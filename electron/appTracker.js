@@ -285,6 +285,7 @@ async function writeAppAlert(payload) {
             userId: uid,
             userDisplayName: ctx.getUserDisplayName ? ctx.getUserDisplayName() : uid,
             teamId: ctx.getUserTeamId ? ctx.getUserTeamId() : null,
+            orgId: ctx.getUserOrgId ? ctx.getUserOrgId() : 'default',
             timestamp: nowMs(),
             ...payload,
         });
@@ -637,6 +638,7 @@ async function flush() {
 
         const finalDoc = {
             userId: uid,
+            orgId: ctx.getUserOrgId ? ctx.getUserOrgId() : 'default',
             date,
             totalTrackedSeconds: mergedTotal,
             byCategory: mergedByCategory,
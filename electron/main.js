@@ -399,6 +399,7 @@ const RTDB_SERVER_TIMESTAMP = firebase.database.ServerValue.TIMESTAMP;
 const FieldValue = firebase.firestore.FieldValue;
 const Timestamp = firebase.firestore.Timestamp;
 const DEFAULT_ORGANIZATION_TIMEZONE = "Asia/Kolkata";
+const DEFAULT_ORG_ID = "default";
 
 // Initialize app tracker with context from main process
 appTracker.init({
@@ -419,6 +420,7 @@ appTracker.init({
   ensureAuth: ensureDesktopAuth,
   getUserDisplayName: () => cachedDisplayName || currentUid,
   getUserTeamId: () => cachedUserPrimaryTeamId || null,
+  getUserOrgId: () => cachedUserOrgId,
 });
 
 
@@ -698,6 +700,7 @@ async function processDeferredUploadQueue() {
   if (deferredUploadQueue.size === 0) return;
   deferredUploadInFlight = true;
   try {
+    await encryptPendingRecordings();
     for (const [fileName, entry] of Array.from(deferredUploadQueue.entries())) {
       const filePath = path.join(RECORDINGS_DIR, fileName);
       if (!fs.existsSync(filePath)) {
@@ -745,6 +748,137 @@ function startDeferredUploadWorker() {
 // Load persisted queue only after queue state/functions are initialized.
 loadDeferredUploadQueue();
 
+// ---------- RECORDING ENCRYPTION ----------
+// When admin settings carry an organization key (Recording Encryption in the admin panel), every
+// segment is sealed before any upload target sees it and is uploaded as <name>.webm.enc.
+// The file format is described in utils/recordingCrypto.ts; the receiver and the browser read it.
+const RECORDING_ENCRYPTION_MAGIC = Buffer.from('RECENC01');
+const RECORDING_ENCRYPTION_CHUNK_BYTES = 1024 * 1024;
+const ENCRYPTED_RECORDING_SUFFIX = '.enc';
+// Plain segments younger than this may still be being written by the save/finalize handlers.
+const ENCRYPTION_SETTLE_MS = 60 * 1000;
+
+function getRecordingEncryptionKey() {
+  const keyId = String(cachedAdminSettings?.recordingEncryptionKeyId || '').trim();
+  const publicKey = String(cachedAdminSettings?.recordingEncryptionPublicKey || '').trim();
+  return keyId && publicKey ? { keyId, publicKey } : null;
+}
+
+function isEncryptedRecordingName(fileName) {
+  return String(fileName || '').toLowerCase().endsWith(ENCRYPTED_RECORDING_SUFFIX);
+}
+
+// Upload functions refuse plain segments while a key is configured so nothing leaks unencrypted.
+function isPlainRecordingBlocked(filePath) {
+  return Boolean(getRecordingEncryptionKey()) && /\.webm$/i.test(String(filePath || ''));
+}
+
+async function encryptRecordingFile(sourcePath, targetPath, { keyId, publicKey }) {
+  const plainSize = (await fs.promises.stat(sourcePath)).size;
+  const fileKey = crypto.randomBytes(32);
+  const noncePrefix = crypto.randomBytes(8);
+  const wrappedKey = crypto.publicEncrypt({
+    key: publicKey,
+    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+    oaepHash: 'sha256'
+  }, fileKey);
+  const headerBytes = Buffer.from(JSON.stringify({
+    v: 1,
+    alg: 'RSA-OAEP-256+A256GCM',
+    keyId,
+    wrappedKey: wrappedKey.toString('base64'),
+    noncePrefix: noncePrefix.toString('base64'),
+    chunkSize: RECORDING_ENCRYPTION_CHUNK_BYTES,
+    plainSize
+  }));
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32BE(headerBytes.length, 0);
+
+  const partialPath = `${targetPath}.partial`;
+  const input = await fs.promises.open(sourcePath, 'r');
+  let output = null;
+  try {
+    output = await fs.promises.open(partialPath, 'w');
+    await output.write(Buffer.concat([RECORDING_ENCRYPTION_MAGIC, headerLength, headerBytes]));
+    const chunk = Buffer.alloc(RECORDING_ENCRYPTION_CHUNK_BYTES);
+    for (let index = 0, offset = 0; offset < plainSize; index++, offset += RECORDING_ENCRYPTION_CHUNK_BYTES) {
+      const length = Math.min(RECORDING_ENCRYPTION_CHUNK_BYTES, plainSize - offset);
+      const { bytesRead } = await input.read(chunk, 0, length, offset);
+      if (bytesRead !== length) throw new Error('recording-changed-during-encryption');
+      const iv = Buffer.alloc(12);
+      noncePrefix.copy(iv, 0);
+      iv.writeUInt32BE(index, 8);
+      const cipher = crypto.createCipheriv('aes-256-gcm', fileKey, iv);
+      cipher.setAAD(headerBytes);
+      await output.write(Buffer.concat([cipher.update(chunk.subarray(0, length)), cipher.final(), cipher.getAuthTag()]));
+    }
+    await output.sync();
+  } catch (err) {
+    if (output) await output.close().catch(() => { });
+    output = null;
+    await fs.promises.unlink(partialPath).catch(() => { });
+    throw err;
+  } finally {
+    await input.close().catch(() => { });
+    if (output) await output.close();
+  }
+  await fs.promises.rename(partialPath, targetPath);
+}
+
+// Replaces RECORDINGS_DIR/<fileName> with its encrypted copy and returns the new name. Manifest
+// owner details and any deferred-queue entry move with it; the file keeps its mtime because
+// upload paths are dated from it.
+async function encryptRecordingForUpload(fileName) {
+  const key = getRecordingEncryptionKey();
+  if (!key || isEncryptedRecordingName(fileName)) return fileName;
+  const encryptedName = `${fileName}${ENCRYPTED_RECORDING_SUFFIX}`;
+  const sourcePath = path.join(RECORDINGS_DIR, fileName);
+  const targetPath = path.join(RECORDINGS_DIR, encryptedName);
+  const sourceStat = await fs.promises.stat(sourcePath);
+  await encryptRecordingFile(sourcePath, targetPath, key);
+  await fs.promises.utimes(targetPath, sourceStat.atime, sourceStat.mtime);
+
+  const targetStat = await fs.promises.stat(targetPath);
+  const entry = getManifestEntry(fileName);
+  upsertManifestEntry(encryptedName, {
+    size: targetStat.size,
+    mtimeMs: targetStat.mtimeMs,
+    ownerUid: entry?.ownerUid || null,
+    ownerName: entry?.ownerName || null,
+    encryptionKeyId: key.keyId
+  });
+  if (deferredUploadQueue.has(fileName)) {
+    enqueueDeferredUpload(encryptedName, deferredUploadQueue.get(fileName)?.reason || 'encrypted');
+    dequeueDeferredUpload(fileName);
+  }
+  await fs.promises.unlink(sourcePath);
+  log(`[encryption] ${fileName} -> ${encryptedName} (key ${key.keyId})`);
+  return encryptedName;
+}
+
+// Seals plain segments left on disk (saved before the key arrived, or whose encryption failed).
+async function encryptPendingRecordings(options = {}) {
+  if (!getRecordingEncryptionKey() || !fs.existsSync(RECORDINGS_DIR)) return;
+  const plainNames = fs.readdirSync(RECORDINGS_DIR).filter((name) => /\.webm$/i.test(name));
+  for (const fileName of plainNames) {
+    if (activeUploads.has(fileName) || isRecordingCompleted(fileName)) continue;
+    try {
+      const stat = fs.statSync(path.join(RECORDINGS_DIR, fileName));
+      if (!options?.ignoreStability && Date.now() - stat.mtimeMs < ENCRYPTION_SETTLE_MS) continue;
+    } catch (_) {
+      continue;
+    }
+    activeUploads.add(fileName);
+    try {
+      await encryptRecordingForUpload(fileName);
+    } catch (e) {
+      log(`[encryption] failed to encrypt ${fileName}`, e?.message || e);
+    } finally {
+      activeUploads.delete(fileName);
+    }
+  }
+}
+
 // ---------- RECORDING LOGS (Firestore) ----------
 // Recording logs are disabled by product decision to reduce Firestore costs.
 async function logRecordingEvent(eventData = {}) {
@@ -1181,7 +1315,8 @@ async function retryPendingRecordingUploadsOnLogin(options = {}) {
   if (!currentUid) return;
   try {
     if (!fs.existsSync(RECORDINGS_DIR)) return;
-    const entries = fs.readdirSync(RECORDINGS_DIR).filter((n) => typeof n === 'string' && n.toLowerCase().endsWith('.webm'));
+    await encryptPendingRecordings({ ignoreStability: !!options?.ignoreStability });
+    const entries = fs.readdirSync(RECORDINGS_DIR).filter((n) => typeof n === 'string' && /\.webm(\.enc)?$/i.test(n));
     if (!entries.length) return;
 
     // Stability window: skip files modified very recently.
@@ -1475,6 +1610,7 @@ let popupWindow = null; // reference to the transient popup
 let cachedDisplayName = null; // cached user displayName (filled on register)
 let cachedUserPrimaryTeamId = null; // cached team context for app alerts
 let cachedUserTeamIds = []; // cached team ids from users doc
+let cachedUserOrgId = DEFAULT_ORG_ID; // organization from users doc; stamped on agentStatus/appActivity
 const DEFAULT_LOGIN_ROUTE_HASH = '#/login';
 const APP_BASE_URL = process.env.APP_BASE_URL || 'https://tracker-5.vercel.app';
 const RECORDER_STATES = Object.freeze({
@@ -2432,6 +2568,37 @@ if (!singleInstanceLock) {
 let manualBreakReminderWindow = null;
 let manualBreakReminderPayloadKey = null;
 
+// Mirrors DESKTOP_CREDENTIAL_FIELDS in functions/src/index.ts. Agents' settings sync carries no
+// upload credentials; syncDesktopCredentials copies them into desktopCredentials/{docId}, which
+// only desktop sessions can read.
+const DESKTOP_CREDENTIAL_KEYS = [
+  "dropboxToken",
+  "dropboxRefreshToken",
+  "dropboxAccessToken",
+  "dropboxTokenExpiry",
+  "dropboxAppKey",
+  "dropboxAppSecret",
+  "dropboxFolder",
+  "httpUploadUrl",
+  "httpUploadToken",
+  "googleServiceAccountJson",
+  "googleSpreadsheetId",
+  "googleSpreadsheetTabName",
+  "googleDriveFolderId"
+];
+
+let desktopCredentials = null; // last known upload credentials (disk cache, then Firestore)
+let desktopCredentialsUnsub = null;
+
+function pickDesktopCredentials(values) {
+  const picked = {};
+  if (!values || typeof values !== "object") return picked;
+  for (const key of DESKTOP_CREDENTIAL_KEYS) {
+    if (values[key] !== undefined && values[key] !== null && values[key] !== "") picked[key] = values[key];
+  }
+  return picked;
+}
+
 function persistAdminSettingsCache(settings) {
   try {
     fs.writeFileSync(ADMIN_SETTINGS_CACHE_PATH, JSON.stringify(settings || {}, null, 2), "utf8");
@@ -2448,6 +2615,8 @@ function hydrateAdminSettingsFromDisk() {
     const parsed = JSON.parse(raw);
     if (parsed && typeof parsed === "object") {
       cachedAdminSettings = parsed;
+      const storedCredentials = pickDesktopCredentials(parsed);
+      if (Object.keys(storedCredentials).length) desktopCredentials = storedCredentials;
       refreshMachineDebugFlag(cachedAdminSettings);
       adminSettingsReady = true;
       log("[adminSettings] hydrated cached settings from disk");
@@ -2473,6 +2642,10 @@ let currentShiftDate = null;
 let manualBreakActive = false;
 let manualBreakStartedAtMs = null;
 let manualBreakReminderTimer = null;
+// Per-type limit from the team break policy; agentStatus only names the break type taken.
+let manualBreakLimitMins = null;
+let manualBreakLimitType = null; // break type manualBreakLimitMins was resolved for
+let manualBreakLabel = null;
 let autoResumeInFlight = false;
 const AUTO_RESUME_BASE_DELAY_MS = 5000;
 const AUTO_RESUME_MAX_DELAY_MS = 60000;
@@ -2534,22 +2707,71 @@ function clearManualBreakReminderTimer() {
   }
 }
 
+// 0 means the break type has no length limit of its own.
+function parseBreakLimitMinutes(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const mins = Number(value);
+  return Number.isFinite(mins) && mins > 0 ? mins : null;
+}
+
+// Looks the break type up in the agent's teams' break policies, which only admins can edit.
+async function readBreakTypeLimitMins(breakType) {
+  if (!breakType) return null;
+  const teamIds = [...new Set([cachedUserPrimaryTeamId, ...cachedUserTeamIds].filter(Boolean))];
+  for (const teamId of teamIds) {
+    try {
+      const snap = await db.collection('teams').doc(teamId).get();
+      const policy = snap.exists ? snap.data()?.settings?.breakPolicy : null;
+      if (!policy?.enabled || !Array.isArray(policy.rules)) continue;
+      const rule = policy.rules.find((r) => r?.id === breakType);
+      if (rule) return parseBreakLimitMinutes(rule.maxMinutes);
+    } catch (e) {
+      console.warn('[breakPolicy] failed to read team policy', teamId, e?.message || e);
+    }
+  }
+  return null;
+}
+
+async function refreshManualBreakLimit(breakType) {
+  const type = breakType ? String(breakType) : null;
+  if (type === manualBreakLimitType) return;
+  manualBreakLimitType = type;
+  const mins = await readBreakTypeLimitMins(type);
+  if (manualBreakLimitType === type) manualBreakLimitMins = mins;
+}
+
+function clearManualBreakLimit() {
+  manualBreakLimitType = null;
+  manualBreakLimitMins = null;
+}
+
+function escapeReminderHtml(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// A break type limit (team break policy) wins over the global manual break timeout;
+// types without a limit use the global timeout.
+function resolveManualBreakTimeoutMins() {
+  if (manualBreakLimitMins !== null) return manualBreakLimitMins;
+  return Number(cachedAdminSettings?.manualBreakTimeoutMinutes) || 0;
+}
+
 function scheduleManualBreakReminderIfNeeded() {
   try {
     clearManualBreakReminderTimer();
-    const timeoutMins = Number(cachedAdminSettings?.manualBreakTimeoutMinutes) || 0;
+    const timeoutMins = resolveManualBreakTimeoutMins();
     if (!manualBreakActive || timeoutMins <= 0 || !manualBreakStartedAtMs) return;
 
     const elapsedMs = Date.now() - manualBreakStartedAtMs;
     const remainingMs = (timeoutMins * 60 * 1000) - elapsedMs;
     if (remainingMs <= 0) {
-      showManualBreakReminderPopup({ timeoutMins });
+      showManualBreakReminderPopup({ timeoutMins, breakLabel: manualBreakLabel });
       return;
     }
 
     manualBreakReminderTimer = setTimeout(() => {
       manualBreakReminderTimer = null;
-      if (manualBreakActive) showManualBreakReminderPopup({ timeoutMins });
+      if (manualBreakActive) showManualBreakReminderPopup({ timeoutMins, breakLabel: manualBreakLabel });
     }, remainingMs);
   } catch (_) {
     // ignore
@@ -2869,6 +3091,7 @@ async function clockOutAndSignOutDesktop(reason = "clocked_out_and_signed_out",
   appTracker.stop();
   appTracker.reset();
   stopRecordingRetryCommandsListener();
+  stopDesktopCredentialsWatch();
   // Best-effort: explicitly mark desktop offline in RTDB so the console/UI doesn't
   // show a stuck `online` state if onDisconnect doesn't fire for any reason.
   // Guarded by sessionId match to avoid clobbering a newer desktop session.
@@ -3251,18 +3474,157 @@ function shouldUploadToHttp() {
   return Array.isArray(cfg?.urls) && cfg.urls.length > 0;
 }
 
+const HTTP_RESUMABLE_PROBE_TTL_MS = 10 * 60 * 1000;
+const HTTP_UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024;
+const HTTP_CHUNK_MAX_ATTEMPTS = 5;
+const httpResumableSupport = new Map();
+
+const httpReceiverBase = (endpoint) => String(endpoint || '').replace(/\/upload\/?$/, '').replace(/\/$/, '');
+
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(new Error('request-timeout')), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function md5OfFile(filePath) {
+  const hash = crypto.createHash('md5');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Receivers advertise resumable uploads on /health; older ones only accept a single POST.
+async function receiverSupportsResumableUploads(endpoint) {
+  const cached = httpResumableSupport.get(endpoint);
+  if (cached && (Date.now() - cached.checkedAt) < HTTP_RESUMABLE_PROBE_TTL_MS) return cached.supported;
+  try {
+    const response = await fetchWithTimeout(`${httpReceiverBase(endpoint)}/health`, {}, 10000);
+    const json = response.ok ? await response.json().catch(() => ({})) : {};
+    const supported = json?.resumableUploads === true;
+    httpResumableSupport.set(endpoint, { supported, checkedAt: Date.now() });
+    return supported;
+  } catch (_) {
+    // Unreachable right now; let the upload attempt surface the error without caching a verdict.
+    return false;
+  }
+}
+
+/**
+ * Sends a file through the receiver's /uploads session API in chunks. The receiver derives the
+ * session id from the file's identity, so after a dropped connection or a desktop restart the
+ * create call returns the bytes it already holds and only the remainder is sent.
+ * Resolves to { ok, status, result, errorText } like a single fetch attempt.
+ */
+async function uploadFileInChunks({ endpoint, token, filePath, fileName, safeName, isoDate, isoTime, fileSize, fileHash, shouldRepair }) {
+  const base = httpReceiverBase(endpoint);
+  const authHeaders = token ? { Authorization: `Bearer ${token}` } : {};
+  const REQUEST_TIMEOUT_MS = 2 * 60 * 1000;
+
+  const createResponse = await fetchWithTimeout(`${base}/uploads`, {
+    method: 'POST',
+    headers: { ...authHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ agentName: safeName, fileName, isoDate, isoTime, size: fileSize, md5: fileHash, repair: shouldRepair })
+  }, REQUEST_TIMEOUT_MS);
+  if (!createResponse.ok) {
+    return { ok: false, status: createResponse.status, errorText: await createResponse.text().catch(() => '') };
+  }
+  const session = await createResponse.json();
+  const chunkSize = Math.min(Number(session.chunkSize) || HTTP_UPLOAD_CHUNK_BYTES, HTTP_UPLOAD_CHUNK_BYTES);
+  let offset = Number(session.offset) || 0;
+  if (offset > 0) {
+    log(`[http-upload] Resuming ${fileName} at ${offset}/${fileSize} bytes (session ${session.uploadId})`);
+  }
+
+  const fh = await fs.promises.open(filePath, 'r');
+  try {
+    let failures = 0;
+    while (offset < fileSize) {
+      const length = Math.min(chunkSize, fileSize - offset);
+      const chunk = Buffer.alloc(length);
+      const { bytesRead } = await fh.read(chunk, 0, length, offset);
+      if (bytesRead !== length) throw new Error('file-changed-during-upload');
+
+      let response = null;
+      let errorText = '';
+      try {
+        response = await fetchWithTimeout(`${base}/uploads/${session.uploadId}`, {
+          method: 'PUT',
+          headers: {
+            ...authHeaders,
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': String(length),
+            'x-upload-offset': String(offset),
+            'x-chunk-md5': crypto.createHash('md5').update(chunk).digest('hex')
+          },
+          body: chunk
+        }, REQUEST_TIMEOUT_MS);
+      } catch (err) {
+        const code = err?.code || err?.cause?.code || null;
+        errorText = code ? `${code}: ${err?.message || err}` : (err?.message || String(err));
+      }
+
+      if (response?.ok) {
+        const json = await response.json().catch(() => ({}));
+        offset = Number(json.offset) || offset + length;
+        failures = 0;
+        continue;
+      }
+      if (response?.status === 409) {
+        // The receiver holds a different amount than we assumed (a lost reply or a busy session): resync.
+        const json = await response.json().catch(() => ({}));
+        if (Number.isInteger(json.offset)) {
+          offset = json.offset;
+        } else {
+          await new Promise((r) => setTimeout(r, 2000));
+        }
+      } else if (response) {
+        errorText = `HTTP ${response.status}: ${await response.text().catch(() => '')}`;
+        if (response.status === 401 || response.status === 404) {
+          return { ok: false, status: response.status, errorText };
+        }
+      }
+      failures += 1;
+      if (failures >= HTTP_CHUNK_MAX_ATTEMPTS) {
+        return { ok: false, status: response?.status || null, errorText: errorText || 'chunk-upload-failed' };
+      }
+      const delay = Math.min(30000, Math.pow(2, failures) * 1000);
+      log(`[http-upload] Chunk at ${offset} of ${fileName} failed (${errorText || response?.status}); retry ${failures}/${HTTP_CHUNK_MAX_ATTEMPTS - 1} in ${delay}ms`);
+      await new Promise((r) => setTimeout(r, delay));
+    }
+  } finally {
+    await fh.close().catch(() => { });
+  }
+
+  const finalizeResponse = await fetchWithTimeout(`${base}/uploads/${session.uploadId}/finalize`, {
+    method: 'POST',
+    headers: authHeaders
+  }, REQUEST_TIMEOUT_MS);
+  if (!finalizeResponse.ok) {
+    return { ok: false, status: finalizeResponse.status, errorText: await finalizeResponse.text().catch(() => '') };
+  }
+  return { ok: true, status: finalizeResponse.status, result: await finalizeResponse.json().catch(() => ({})) };
+}
+
 async function uploadToHttpTarget({ filePath, fileName, safeName, isoDate, isoTime }) {
   const config = getHttpUploadConfig();
   if (!Array.isArray(config?.urls) || config.urls.length === 0) return { success: false, reason: 'http-not-configured' };
-  const shouldRepair = cachedAdminSettings?.httpUploadFfmpegRepairEnabled ?? true;
+  if (isPlainRecordingBlocked(filePath)) return { success: false, error: 'recording-not-encrypted' };
+  // ffmpeg cannot read ciphertext, so encrypted segments are never repaired on the receiver.
+  const shouldRepair = !isEncryptedRecordingName(fileName) && (cachedAdminSettings?.httpUploadFfmpegRepairEnabled ?? true);
   const REQUEST_TIMEOUT_MS = 5 * 60 * 1000;
   const MAX_ATTEMPTS_PER_URL = 2;
 
   try {
-    // 1) Read file once
-    const fileBuffer = await fs.promises.readFile(filePath);
-    const fileSize = fileBuffer.length;
-    const fileHash = crypto.createHash('md5').update(fileBuffer).digest('hex');
+    // 1) Size and hash the file without holding it in memory; older receivers get it in one POST.
+    const fileSize = (await fs.promises.stat(filePath)).size;
+    const fileHash = await md5OfFile(filePath);
+    let fileBuffer = null;
 
     log(`[http-upload] Uploading ${fileName}: ${fileSize} bytes (hash: ${fileHash})`);
 
@@ -3295,22 +3657,33 @@ async function uploadToHttpTarget({ filePath, fileName, safeName, isoDate, isoTi
             await new Promise((r) => setTimeout(r, delay));
           }
 
-          const controller = new AbortController();
-          const timeout = setTimeout(() => controller.abort(new Error('request-timeout')), REQUEST_TIMEOUT_MS);
-          let response;
-          try {
-            response = await fetch(endpoint, {
+          let outcome;
+          if (await receiverSupportsResumableUploads(endpoint)) {
+            outcome = await uploadFileInChunks({
+              endpoint,
+              token: config.token,
+              filePath,
+              fileName,
+              safeName,
+              isoDate,
+              isoTime,
+              fileSize,
+              fileHash,
+              shouldRepair
+            });
+          } else {
+            if (!fileBuffer) fileBuffer = await fs.promises.readFile(filePath);
+            const response = await fetchWithTimeout(endpoint, {
               method: 'POST',
               headers,
-              body: fileBuffer,
-              signal: controller.signal
-            });
-          } finally {
-            clearTimeout(timeout);
+              body: fileBuffer
+            }, REQUEST_TIMEOUT_MS);
+            outcome = response.ok
+              ? { ok: true, status: response.status, result: await response.json().catch(() => ({})) }
+              : { ok: false, status: response.status, errorText: await response.text().catch(() => '') };
           }
 
-          if (response.ok) {
-            const result = await response.json().catch(() => ({}));
+          if (outcome.ok) {
             log(`[http-upload] Successfully uploaded ${fileName} via ${endpoint} (${fileSize} bytes)`);
             try {
               const key = `${String(safeName || '')}|${String(isoDate || '')}`;
@@ -3320,15 +3693,16 @@ async function uploadToHttpTarget({ filePath, fileName, safeName, isoDate, isoTi
                 scheduleSegmentMerge(String(safeName || ''), String(isoDate || ''), true, { delayMs: 1200, reason: 'post-upload' });
               }
             } catch (_) { }
-            return { success: true, message: 'upload-complete', size: fileSize, endpoint, ...result };
+            return { success: true, message: 'upload-complete', size: fileSize, endpoint, ...outcome.result };
           }
 
-          const text = await response.text().catch(() => '');
-          lastError = `HTTP ${response.status}${text ? `: ${text}` : ''}`;
-          if (response.status === 401) {
+          lastError = outcome.status
+            ? `HTTP ${outcome.status}${outcome.errorText ? `: ${outcome.errorText}` : ''}`
+            : outcome.errorText;
+          if (outcome.status === 401) {
             return { success: false, status: 401, error: 'unauthorized', endpoint };
           }
-          if (response.status >= 400 && response.status < 500) {
+          if (outcome.status >= 400 && outcome.status < 500) {
             // Client-side request issue for this endpoint; no value retrying further for this endpoint.
             break;
           }
@@ -4053,15 +4427,60 @@ function stopBackgroundRecordingAndFlush(options = {}) {
 
 // ---------- LOCK WINDOW ----------
 // ---------- TRAY ----------
-function createTray() {
+// Mirrors DEFAULT_BREAK_REASONS in utils/breakReasons.ts (used until admin settings load).
+const DEFAULT_BREAK_REASONS = [
+  { code: "lunch", label: "Lunch" },
+  { code: "meeting", label: "Meeting" },
+  { code: "training", label: "Training" },
+  { code: "restroom", label: "Restroom" }
+];
+
+function resolveTrayBreakReasons() {
+  const configured = cachedAdminSettings?.breakReasons;
+  if (!Array.isArray(configured)) return DEFAULT_BREAK_REASONS;
+  return configured.filter((r) => r && r.code && r.label);
+}
+
+function requestStartBreakFromTray(reason) {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  // The renderer owns the worklog write, so the tray only asks it to start the break.
+  mainWindow.webContents.send("desktop-request-start-break", reason ? { reason } : {});
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+function refreshTrayMenu() {
+  if (!tray) return;
   try {
-    tray = new Tray(APP_ICON || undefined);
-    const menu = Menu.buildFromTemplate([
+    const canStartBreak = agentClockedIn && !manualBreakActive;
+    const reasons = resolveTrayBreakReasons();
+    const breakItem = reasons.length
+      ? {
+        label: "Start Break",
+        enabled: canStartBreak,
+        submenu: reasons.map((r) => ({ label: r.label, click: () => requestStartBreakFromTray(r.code) }))
+      }
+      : { label: "Start Break", enabled: canStartBreak, click: () => requestStartBreakFromTray(null) };
+    const template = [
       { label: "Open App", click: () => { if (mainWindow) { mainWindow.show(); mainWindow.focus(); } } },
+      { type: "separator" },
+      manualBreakActive
+        ? { label: "End Break", click: () => { endBreakFromDesktopFlow().catch((e) => log("tray end break failed", e?.message || e)); } }
+        : breakItem,
+      { type: "separator" },
       { label: "Quit", click: () => { isQuiting = true; app.quit(); } }
-    ]);
+    ];
+    tray.setContextMenu(Menu.buildFromTemplate(template));
+  } catch (e) {
+    log("tray menu refresh failed", e.message);
+  }
+}
+
+function createTray() {
+  try {
+    tray = new Tray(APP_ICON || undefined);
     tray.setToolTip("Workforce Desktop");
-    tray.setContextMenu(menu);
+    refreshTrayMenu();
     tray.on("click", () => { if (mainWindow) mainWindow.show(); });
   } catch (e) {
     log("tray init failed", e.message);
@@ -4257,7 +4676,7 @@ function closeManualBreakReminderWindow() {
 
 function showManualBreakReminderPopup(context) {
   if (!context) return;
-  const payloadKey = `${context.timeoutMins || 'na'}`;
+  const payloadKey = `${context.timeoutMins || 'na'}:${context.breakLabel || ''}`;
   if (manualBreakReminderWindow && manualBreakReminderPayloadKey === payloadKey) return;
   manualBreakReminderPayloadKey = payloadKey;
   closeManualBreakReminderWindow();
@@ -4294,6 +4713,7 @@ function showManualBreakReminderPopup(context) {
     manualBreakReminderWindow.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
 
     const durationText = context.timeoutMins === 1 ? '1 minute' : `${context.timeoutMins} minutes`;
+    const breakText = context.breakLabel ? escapeReminderHtml(context.breakLabel) : 'manual break';
     const safeIconUrl = `file://${POPUP_ICON_PATH}`;
     const html = `
       <html>
@@ -4331,7 +4751,7 @@ function showManualBreakReminderPopup(context) {
                 <img src="${safeIconUrl}" alt="Tracker" />
                 <div>
                   <h1>Break Time Limit Exceeded</h1>
-                  <p>You have been on manual break for more than ${durationText}. Return online to keep tracking your time.</p>
+                  <p>You have been on ${breakText} for more than ${durationText}. Return online to keep tracking your time.</p>
                 </div>
               </div>
               <div class="actions">
@@ -4376,6 +4796,9 @@ async function endBreakFromDesktopFlow() {
       status: 'online',
       manualBreak: false,
       breakStartedAt: FieldValue.delete(),
+      breakType: FieldValue.delete(),
+      breakLabel: FieldValue.delete(),
+      breakLimitMinutes: FieldValue.delete(),
       isIdle: false,
       lastUpdate: FieldValue.serverTimestamp()
     }, { merge: true }).catch(() => { });
@@ -4435,55 +4858,92 @@ async function fetchDisplayName(uid) {
       const primaryTeam = d?.teamId || teamIds[0] || null;
       cachedUserPrimaryTeamId = primaryTeam ? String(primaryTeam) : null;
       cachedUserTeamIds = teamIds.map((t) => String(t));
+      cachedUserOrgId = d?.orgId ? String(d.orgId) : DEFAULT_ORG_ID;
       const raw = (d && (d.displayName || d.email)) ? (d.displayName || d.email) : uid;
       const safe = String(raw).replace(/[\/:\\*?"<>|]/g, '-').trim();
       return safe || uid;
     }
     cachedUserPrimaryTeamId = null;
     cachedUserTeamIds = [];
+    cachedUserOrgId = DEFAULT_ORG_ID;
     return uid;
   } catch (e) {
     console.error("[fetchDisplayName] error", e);
     cachedUserPrimaryTeamId = null;
     cachedUserTeamIds = [];
+    cachedUserOrgId = DEFAULT_ORG_ID;
     return uid;
   }
 }
 
 // ---------- ADMIN SETTINGS SYNC ----------
-function applyAdminSettings(next) {
+// Mirrors OVERRIDABLE_SETTINGS in utils/settingsLayers.ts.
+const OVERRIDABLE_SETTING_KEYS = new Set([
+  "idleTimeout",
+  "manualBreakTimeoutMinutes",
+  "autoClockOutEnabled",
+  "allowRecording",
+  "recordingMode",
+  "recordingQuality",
+  "recordingFps",
+  "recordingSegmentMinutes",
+  "recordingRetentionDays",
+  "showRecordingNotification",
+  "autoUpload",
+  "enableAppTracking",
+  "appTrackingIntervalSeconds",
+  "idleAvoidEnabled",
+  "idleAvoidDurationSeconds",
+  "appCategoryRules",
+  "redFlagCategories",
+  "breakReasons"
+]);
+
+function pickSettingOverrides(values) {
+  const picked = {};
+  if (!values || typeof values !== "object") return picked;
+  for (const [key, value] of Object.entries(values)) {
+    if (OVERRIDABLE_SETTING_KEYS.has(key) && value !== undefined && value !== null) picked[key] = value;
+  }
+  return picked;
+}
+
+// Global document, then the agent's team overrides, then the agent's own overrides.
+function resolveLayeredAdminSettings(globalSettings, overrides) {
+  const teamValues = pickSettingOverrides(overrides?.team);
+  const agentValues = pickSettingOverrides(overrides?.agent);
+  const teamKeys = Object.keys(teamValues);
+  const agentKeys = Object.keys(agentValues);
+  if (teamKeys.length || agentKeys.length) {
+    log("[adminSettings] applying overrides", { team: teamKeys, agent: agentKeys });
+  }
+  return { ...(globalSettings || {}), ...teamValues, ...agentValues };
+}
+
+// Admins' desktops sync the full settings document; everyone else's syncs memberSettings, which
+// must never wipe the credentials the desktop already holds.
+function resolveDesktopCredentials(settings) {
+  const fromSettings = pickDesktopCredentials(settings);
+  if (Object.keys(fromSettings).length) desktopCredentials = fromSettings;
+  return desktopCredentials || {};
+}
+
+function applyAdminSettings(next, overrides = null) {
+  const layered = resolveLayeredAdminSettings(next, overrides);
   // Normalize autoClockOutEnabled to a strict boolean to avoid truthy string issues
-  const normalizedAutoClockOutEnabled = next?.autoClockOutEnabled === true;
+  const normalizedAutoClockOutEnabled = layered?.autoClockOutEnabled === true;
 
   cachedAdminSettings = {
-    ...next,
+    ...layered,
+    ...resolveDesktopCredentials(layered),
     autoClockOutEnabled: normalizedAutoClockOutEnabled
   };
   refreshMachineDebugFlag(cachedAdminSettings);
   adminSettingsReady = true;
   log("adminSettings updated:", cachedAdminSettings);
   persistAdminSettingsCache(cachedAdminSettings);
-
-  cachedDropboxRefreshToken = cachedAdminSettings?.dropboxRefreshToken || null;
-  if (cachedDropboxRefreshToken) {
-    log("[dropbox] refresh token cached");
-  }
-
-  if (Object.prototype.hasOwnProperty.call(cachedAdminSettings, "dropboxAccessToken")) {
-    cachedDropboxAccessToken = cachedAdminSettings.dropboxAccessToken || null;
-    if (cachedAdminSettings?.dropboxTokenExpiry) {
-      dropboxTokenExpiry = new Date(cachedAdminSettings.dropboxTokenExpiry).getTime();
-    } else {
-      dropboxTokenExpiry = cachedDropboxAccessToken ? Date.now() + (4 * 60 * 60 * 1000) : null;
-    }
-    if (cachedDropboxAccessToken) {
-      log("[dropbox] access token cached");
-    }
-  } else if (!cachedDropboxAccessToken && cachedAdminSettings?.dropboxToken) {
-    cachedDropboxAccessToken = cachedAdminSettings.dropboxToken;
-    dropboxTokenExpiry = null;
-    log("[dropbox] legacy access token cached");
-  }
+  refreshTrayMenu();
+  cacheDropboxCredentials();
 
   if (cachedAdminSettings.requireLoginOnBoot && !currentUid) {
     log("requireLoginOnBoot enabled, but lock window is disabled in this build");
@@ -4533,6 +4993,56 @@ function applyAdminSettings(next) {
 
 }
 
+function cacheDropboxCredentials() {
+  cachedDropboxRefreshToken = cachedAdminSettings?.dropboxRefreshToken || null;
+  if (cachedDropboxRefreshToken) {
+    log("[dropbox] refresh token cached");
+  }
+
+  if (Object.prototype.hasOwnProperty.call(cachedAdminSettings, "dropboxAccessToken")) {
+    cachedDropboxAccessToken = cachedAdminSettings.dropboxAccessToken || null;
+    if (cachedAdminSettings?.dropboxTokenExpiry) {
+      dropboxTokenExpiry = new Date(cachedAdminSettings.dropboxTokenExpiry).getTime();
+    } else {
+      dropboxTokenExpiry = cachedDropboxAccessToken ? Date.now() + (4 * 60 * 60 * 1000) : null;
+    }
+    if (cachedDropboxAccessToken) {
+      log("[dropbox] access token cached");
+    }
+  } else if (!cachedDropboxAccessToken && cachedAdminSettings?.dropboxToken) {
+    cachedDropboxAccessToken = cachedAdminSettings.dropboxToken;
+    dropboxTokenExpiry = null;
+    log("[dropbox] legacy access token cached");
+  }
+}
+
+function stopDesktopCredentialsWatch() {
+  if (desktopCredentialsUnsub) {
+    try { desktopCredentialsUnsub(); } catch (_) { }
+    desktopCredentialsUnsub = null;
+  }
+}
+
+// Credentials outlive sign-out in the cache so queued segments can still upload.
+function startDesktopCredentialsWatch() {
+  stopDesktopCredentialsWatch();
+  const docId = cachedUserOrgId === DEFAULT_ORG_ID ? "global" : cachedUserOrgId;
+  desktopCredentialsUnsub = db.collection("desktopCredentials").doc(docId).onSnapshot((snap) => {
+    // Not mirrored yet (no settings save since deploy): keep what the cache holds.
+    if (!snap.exists) return;
+    desktopCredentials = pickDesktopCredentials(snap.data());
+    const settings = { ...cachedAdminSettings };
+    DESKTOP_CREDENTIAL_KEYS.forEach((key) => { delete settings[key]; });
+    cachedAdminSettings = { ...settings, ...desktopCredentials };
+    persistAdminSettingsCache(cachedAdminSettings);
+    cacheDropboxCredentials();
+    configureGoogleIntegrations();
+    log("[desktopCredentials] updated", Object.keys(desktopCredentials));
+  }, (error) => {
+    console.warn("[desktopCredentials] listener error", error?.message || error);
+  });
+}
+
 // ---------- DESKTOP COMMANDS ----------
 function startCommandsWatch(uid) {
   if (commandUnsub) { try { commandUnsub(); } catch (e) { } commandUnsub = null; }
@@ -5111,8 +5621,10 @@ function startAgentStatusLoop(uid) {
         // Reset lastIdleState so when manual break ends we re-evaluate cleanly
         lastIdleState = false;
 
-        // Check manual break timeout (admin setting stored as manualBreakTimeoutMinutes)
-        const timeoutMins = Number(cachedAdminSettings?.manualBreakTimeoutMinutes) || 0;
+        // Check manual break timeout (break type limit, else admin manualBreakTimeoutMinutes)
+        await refreshManualBreakLimit(agentData.breakType);
+        manualBreakLabel = agentData.breakLabel || null;
+        const timeoutMins = resolveManualBreakTimeoutMins();
         if (timeoutMins > 0 && breakStartedAt) {
           let startedMs = null;
           try {
@@ -5125,7 +5637,7 @@ function startAgentStatusLoop(uid) {
             const elapsedMins = Math.floor(elapsedMs / 60000);
 
             if (elapsedMins >= timeoutMins) {
-              showManualBreakReminderPopup({ timeoutMins });
+              showManualBreakReminderPopup({ timeoutMins, breakLabel: manualBreakLabel });
             } else {
               closeManualBreakReminderWindow();
             }
@@ -5299,9 +5811,15 @@ function startAgentStatusWatch(uid) {
 
         manualBreakActive = nextManualBreak;
         manualBreakStartedAtMs = nextManualBreak && startedAtMs ? startedAtMs : null;
+        if (!nextManualBreak) clearManualBreakLimit();
+        manualBreakLabel = nextManualBreak ? (data.breakLabel || null) : null;
+        refreshTrayMenu();
         if (manualBreakActive) {
           appTracker.pause();
           scheduleManualBreakReminderIfNeeded();
+          void refreshManualBreakLimit(data.breakType).then(() => {
+            if (manualBreakActive) scheduleManualBreakReminderIfNeeded();
+          });
         } else {
           appTracker.resume();
           clearManualBreakReminderTimer();
@@ -5622,9 +6140,9 @@ ipcMain.handle("report-renderer-error", async (_event, payload = {}) => {
   }
 });
 
-ipcMain.handle("sync-admin-settings", async (_event, settings) => {
+ipcMain.handle("sync-admin-settings", async (_event, settings, overrides) => {
   try {
-    applyAdminSettings(settings || {});
+    applyAdminSettings(settings || {}, overrides || null);
 
     // Now that settings are known, reconcile recording state (auto mode only).
     try {
@@ -5676,6 +6194,9 @@ ipcMain.handle("register-uid", async (_, payload) => {
       log("Cached displayName:", cachedDisplayName);
     } catch (e) { cachedDisplayName = uid; }
 
+    // Org-scoped dashboards only see status documents stamped with the agent's organization.
+    await writeAgentHealth(uid, { orgId: cachedUserOrgId });
+
     // don't assume clocked in until web tells us
     agentClockedIn = false;
 
@@ -5685,6 +6206,7 @@ ipcMain.handle("register-uid", async (_, payload) => {
     startAutoClockConfigWatch(uid);
     startStatusHealthCheck();
     startRecordingRetryCommandsListener();
+    startDesktopCredentialsWatch();
     await flushPendingAgentStatuses();
 
     await reconcileRecordingAfterRegister(uid);
@@ -5805,6 +6327,8 @@ ipcMain.handle("unregister-uid", async () => {
     cachedDisplayName = null;
     cachedUserPrimaryTeamId = null;
     cachedUserTeamIds = [];
+    cachedUserOrgId = DEFAULT_ORG_ID;
+    stopDesktopCredentialsWatch();
     resetAutoResumeRetry();
     currentShiftDate = null;
     lastAutoClockOutTargetKey = null;
@@ -5896,6 +6420,8 @@ async function applyAgentStatus(status) {
     agentClockedIn = false;
     manualBreakActive = false;
     manualBreakStartedAtMs = null;
+    clearManualBreakLimit();
+    manualBreakLabel = null;
     clearManualBreakReminderTimer();
     stopAgentStatusLoop();
 
@@ -6105,6 +6631,7 @@ ipcMain.handle("set-agent-status", async (_, status) => {
     }
 
     const result = await applyAgentStatus(status);
+    refreshTrayMenu();
     if (result?.success === false) {
       enqueuePendingAgentStatus(status);
       schedulePendingStatusFlush();
@@ -6389,7 +6916,7 @@ ipcMain.handle("recorder-diagnostic", async (_event, payload = {}) => {
 
 const handleRecordingSaved = async (fileName, arrayBuffer, meta = {}) => {
   const shouldEvaluateAutoResume = Boolean(meta?.isLastSession && !meta?.suppressAutoResume);
-  const filePath = path.join(RECORDINGS_DIR, fileName);
+  let filePath = path.join(RECORDINGS_DIR, fileName);
 
   try {
     // 1. ALWAYS write the file to disk first. 
@@ -6425,6 +6952,12 @@ const handleRecordingSaved = async (fileName, arrayBuffer, meta = {}) => {
     const savedStat = await fs.promises.stat(filePath);
     log("Saved recording to:", filePath, "Final on-disk size:", savedStat.size);
 
+    // Seal the segment before any upload target sees it (a failure defers it as a plain file).
+    if (getRecordingEncryptionKey()) {
+      fileName = await encryptRecordingForUpload(fileName);
+      filePath = path.join(RECORDINGS_DIR, fileName);
+    }
+
 
     // 2. NOW check for concurrency. 
     // If another task is already uploading this file, we stop here.
@@ -6723,8 +7256,8 @@ ipcMain.handle("recorder-finalize", async (_event, sourceId, meta = {}) => {
     }
 
     // Generate final filename
-    const finalFileName = `recording-${handle.sourceName}-${Date.now()}.webm`;
-    const finalPath = path.join(RECORDINGS_DIR, finalFileName);
+    let finalFileName = `recording-${handle.sourceName}-${Date.now()}.webm`;
+    let finalPath = path.join(RECORDINGS_DIR, finalFileName);
 
     // ADD TO ACTIVE UPLOADS IMMEDIATELY to prevent retry mechanism from uploading unfixed file
     // This must happen BEFORE moving the file to the recordings folder
@@ -6738,6 +7271,20 @@ ipcMain.handle("recorder-finalize", async (_event, sourceId, meta = {}) => {
     // Clean up handle
     activeRecordingHandles.delete(sourceId);
 
+    // Seal the segment before any upload target sees it. On failure the plain file stays local:
+    // the upload functions refuse it and the deferred worker retries the encryption.
+    if (getRecordingEncryptionKey()) {
+      try {
+        const encryptedName = await encryptRecordingForUpload(finalFileName);
+        activeUploads.add(encryptedName);
+        activeUploads.delete(finalFileName);
+        finalFileName = encryptedName;
+        finalPath = path.join(RECORDINGS_DIR, finalFileName);
+      } catch (encryptErr) {
+        log(`[encryption] failed to encrypt ${finalFileName}`, encryptErr?.message || encryptErr);
+      }
+    }
+
     // Read file stats
     const stat = await fs.promises.stat(finalPath);
     const fileSizeBytes = stat.size;
@@ -7084,6 +7631,7 @@ async function getValidDropboxToken() {
 // Upload to Dropbox with explicit path
 
 async function uploadToDropboxWithPath(filePath, dropboxPath) {
+  if (isPlainRecordingBlocked(filePath)) return { success: false, error: 'recording-not-encrypted' };
   try {
     const validToken = await getValidDropboxToken();
 
@@ -7248,6 +7796,7 @@ async function uploadToDropboxWithPath(filePath, dropboxPath) {
 }
 
 async function uploadRecordingToGoogleTargets(context = {}) {
+  if (isPlainRecordingBlocked(context.filePath)) return { success: false, error: 'recording-not-encrypted' };
   try {
     if (!shouldUploadToGoogleSheets()) {
       return { success: false, skipped: true, reason: googleSetupError || "google-disabled" };
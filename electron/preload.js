@@ -30,7 +30,7 @@ contextBridge.exposeInMainWorld("desktopAPI", {
   // register/unregister uid (webapp should call registerUid after login)
   registerUid: (payload) => ipcRenderer.invoke("register-uid", payload),
   unregisterUid: () => ipcRenderer.invoke("unregister-uid"),
-  syncAdminSettings: (settings) => ipcRenderer.invoke("sync-admin-settings", settings),
+  syncAdminSettings: (settings, overrides) => ipcRenderer.invoke("sync-admin-settings", settings, overrides),
 
   // allow web to tell desktop about agent status changes
   // supported statuses: 'working', 'on_break'|'break', 'clocked_out'|'offline'
@@ -73,6 +73,12 @@ contextBridge.exposeInMainWorld("desktopAPI", {
     ipcRenderer.on("desktop-request-end-break", handler);
     return () => ipcRenderer.removeListener("desktop-request-end-break", handler);
   },
+  onDesktopRequestStartBreak: (cb) => {
+    if (typeof cb !== "function") return () => { };
+    const handler = (_event, data) => cb(data);
+    ipcRenderer.on("desktop-request-start-break", handler);
+    return () => ipcRenderer.removeListener("desktop-request-start-break", handler);
+  },
 
   // auto-clocked-out notification
   onAutoClockOut: (cb) => {
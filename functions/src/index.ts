@@ -2,7 +2,13 @@
 import * as functions from "firebase-functions";
 import * as admin from "firebase-admin";
 import { onSchedule } from "firebase-functions/v2/scheduler";
-import { onDocumentWritten } from "firebase-functions/v2/firestore";
+import {
+  onDocumentCreated,
+  onDocumentUpdatedWithAuthContext,
+  onDocumentWritten,
+  onDocumentWrittenWithAuthContext
+} from "firebase-functions/v2/firestore";
+import { beforeUserSignedIn, HttpsError as BlockingError } from "firebase-functions/v2/identity";
 import fetch from "node-fetch";
 import * as crypto from "crypto";
 import type { Response } from "express";
@@ -12,27 +18,61 @@ admin.initializeApp();
 const db = admin.firestore();
 const DEFAULT_TIMEZONE = "Asia/Kolkata";
 const DEFAULT_AUTO_CLOCK_GRACE_MINUTES = 0;
-let cachedTimezone = DEFAULT_TIMEZONE;
-let lastTimezoneFetch = 0;
 
-const getOrganizationTimezone = async (): Promise<string> => {
-  const now = Date.now();
-  const cacheIsFresh = now - lastTimezoneFetch < 5 * 60 * 1000;
-  if (cacheIsFresh) return cachedTimezone;
+// Documents written before organizations existed carry no orgId and belong to the default one,
+// which also keeps the historical adminSettings/global document and bare holiday ids.
+const DEFAULT_ORG_ID = "default";
+const orgOf = (data: { orgId?: unknown } | undefined | null): string => (
+  typeof data?.orgId === "string" && data.orgId ? data.orgId : DEFAULT_ORG_ID
+);
+const adminSettingsDocId = (orgId: string) => (orgId === DEFAULT_ORG_ID ? "global" : orgId);
+const orgScopedDocId = (key: string, orgId: string) => (orgId === DEFAULT_ORG_ID ? key : `${orgId}_${key}`);
+
+type OrgSettings = { organizationTimezone?: string; autoClockGraceMinutes?: number; autoClockOutEnabled?: boolean };
+
+const readOrgSettings = async (orgId: string): Promise<OrgSettings> => {
   try {
-    const snap = await db.collection("adminSettings").doc("global").get();
-    if (snap.exists) {
-      const data = snap.data() as { organizationTimezone?: string };
-      cachedTimezone = data?.organizationTimezone || DEFAULT_TIMEZONE;
-    } else {
-      cachedTimezone = DEFAULT_TIMEZONE;
-    }
+    const snap = await db.collection("adminSettings").doc(adminSettingsDocId(orgId)).get();
+    return snap.exists ? (snap.data() as OrgSettings) : {};
   } catch (error) {
-    console.error("Failed to load organization timezone", error);
-    cachedTimezone = DEFAULT_TIMEZONE;
+    console.error(`Failed to load settings for organization ${orgId}`, error);
+    return {};
+  }
+};
+
+type AuditTarget = { uid?: string | null; name?: string | null };
+type AuditActor = { uid: string; name: string };
+
+const groupByOrg = <T extends { orgId: string }>(items: T[]): Map<string, T[]> => {
+  const groups = new Map<string, T[]>();
+  items.forEach((item) => groups.set(item.orgId, [...(groups.get(item.orgId) || []), item]));
+  return groups;
+};
+
+// Server-side entries in the same auditLogs collection the web app appends to. Without an actor
+// the entry is attributed to the system.
+const writeAuditEntry = async (
+  orgId: string,
+  action: string,
+  target: AuditTarget | null,
+  details: Record<string, unknown> = {},
+  actor: AuditActor | null = null
+) => {
+  try {
+    await db.collection("auditLogs").add({
+      orgId,
+      action,
+      actorUid: actor?.uid || null,
+      actorName: actor?.name || "System",
+      source: "functions",
+      targetUid: target?.uid || null,
+      targetName: target?.name || null,
+      details,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error(`[audit] failed to record ${action}`, error);
   }
-  lastTimezoneFetch = now;
-  return cachedTimezone;
 };
 
 const buildShiftBoundary = (logStartDate: Date, timeStr: string | undefined, useOvernight: boolean, timezone: string) => {
@@ -87,17 +127,19 @@ const parseBearerToken = (headerValue: string | string[] | undefined | null): st
   return scheme.toLowerCase() === 'bearer' ? token.trim() : null;
 };
 
-const ensureAdminUser = async (uid: string) => {
+const ensureAdminUser = async (uid: string): Promise<string> => {
   const userSnap = await db.collection('users').doc(uid).get();
   const data = userSnap.data();
   if (!userSnap.exists || (data?.role !== 'admin' && data?.role !== 'super_admin')) {
     throw new functions.https.HttpsError('permission-denied', 'Admin access required.');
   }
+  return orgOf(data);
 };
 const DROPBOX_SESSIONS_COLLECTION = "dropboxSessions";
 
 interface DropboxSessionDoc {
   uid: string;
+  orgId?: string;
   appKey: string;
   appSecret: string;
   stateSecret: string;
@@ -184,6 +226,51 @@ const deriveDateKey = (logStartDate: Date, timezone: string): string | null => {
   }
 };
 
+// Per-organization single sign-on. ssoConfigs/{orgId} is written by api/sso-config.js, which also
+// registers the Identity Platform provider under the id derived here.
+const SSO_CONFIGS_COLLECTION = "ssoConfigs";
+const SSO_ROLES = ["agent", "manager"];
+
+type SsoType = "oidc" | "saml";
+type SsoConfig = {
+  orgId?: string;
+  type: SsoType;
+  providerId: string;
+  enabled?: boolean;
+  enforced?: boolean;
+  jitProvisioning?: boolean;
+  syncOnSignIn?: boolean;
+  emailDomains?: string[];
+  /** The listed domains whose DNS TXT record api/sso-config has checked. */
+  verifiedDomains?: string[];
+  defaultRole?: string;
+  roleClaim?: string;
+  roleMappings?: { value: string; role: string }[];
+  teamClaim?: string;
+  teamMappings?: { value: string; teamId: string }[];
+};
+
+const ssoProviderIdFor = (type: SsoType, orgId: string) => (
+  `${type}.org-${crypto.createHash("sha256").update(orgId).digest("hex").slice(0, 12)}`
+);
+
+const isSsoProvider = (providerId: unknown): providerId is string => (
+  typeof providerId === "string" && /^(oidc|saml)\./.test(providerId)
+);
+
+const readSsoConfig = async (orgId: string): Promise<SsoConfig | null> => {
+  const snap = await db.collection(SSO_CONFIGS_COLLECTION).doc(orgId).get();
+  return snap.exists ? (snap.data() as SsoConfig) : null;
+};
+
+/** IdP claims arrive as strings, arrays (SAML multi-valued attributes) or comma-separated lists. */
+const claimValues = (profile: Record<string, unknown>, claim: string | undefined): string[] => {
+  if (!claim) return [];
+  const raw = profile[claim];
+  const list = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(",") : raw == null ? [] : [raw];
+  return list.map((value) => String(value).trim()).filter(Boolean);
+};
+
 export const issueDesktopToken = functions
   .region(FUNCTIONS_REGION)
   .https.onCall(async (_data, context) => {
@@ -206,6 +293,21 @@ export const issueDesktopToken = functions
       if (user.desktopDisabled === true) {
         throw new functions.https.HttpsError("permission-denied", "Desktop access disabled for this user.");
       }
+      if (user.disabled === true) {
+        throw new functions.https.HttpsError("permission-denied", "This account has been deactivated.");
+      }
+
+      // The desktop app reuses the dashboard sign-in, so an SSO session must stay one: when the
+      // organization enforces SSO only its provider (or a desktop token being refreshed) qualifies.
+      const signInProvider = (context.auth.token as { firebase?: { sign_in_provider?: string } }).firebase?.sign_in_provider;
+      const ssoProvider = isSsoProvider(signInProvider) ? signInProvider : null;
+      const sso = await readSsoConfig(orgOf(user));
+      if (
+        sso?.enabled && sso.enforced && user.role !== "admin"
+        && signInProvider !== "custom" && ssoProvider !== sso.providerId
+      ) {
+        throw new functions.https.HttpsError("permission-denied", "Sign in with your organization's single sign-on to use the desktop app.");
+      }
 
       if (user.isLoggedIn === true && user.activeDesktopSessionId) {
         const activeDeviceId = user.activeDesktopDeviceId ? String(user.activeDesktopDeviceId) : null;
@@ -233,7 +335,11 @@ export const issueDesktopToken = functions
       }
 
 
-      const token = await admin.auth().createCustomToken(uid, { desktop: true });
+      const token = await admin.auth().createCustomToken(uid, {
+        desktop: true,
+        orgId: orgOf(user),
+        ...(ssoProvider ? { sso: ssoProvider } : {})
+      });
       return { token };
     } catch (err) {
       console.error("issueDesktopToken error", err);
@@ -244,6 +350,120 @@ export const issueDesktopToken = functions
     }
   });
 
+/**
+ * Runs before every sign-in. SSO sign-ins are matched to their organization's config, which maps
+ * IdP claims to roles and teams and creates the profile on first sign-in when JIT provisioning is
+ * on. Other providers are refused for organizations that enforce SSO, except for admins so an
+ * organization cannot lock itself out with a broken IdP. Errors carry codes the login page maps.
+ */
+export const ssoBeforeSignIn = beforeUserSignedIn({ region: FUNCTIONS_REGION }, async (event) => {
+  const providerId = event.additionalUserInfo?.providerId || event.credential?.providerId || "";
+  const uid = event.data.uid;
+  const userRef = db.collection("users").doc(uid);
+
+  if (!isSsoProvider(providerId)) {
+    if (providerId === "custom") return {};
+    const userSnap = await userRef.get();
+    if (!userSnap.exists) return {};
+    const user = userSnap.data() || {};
+    const sso = await readSsoConfig(orgOf(user));
+    if (sso?.enabled && sso.enforced && user.role !== "admin") {
+      throw new BlockingError("permission-denied", "sso-required");
+    }
+    return {};
+  }
+
+  const configSnap = await db.collection(SSO_CONFIGS_COLLECTION).where("providerId", "==", providerId).limit(1).get();
+  const configDoc = configSnap.docs[0];
+  const config = configDoc?.data() as SsoConfig | undefined;
+  // The provider id is derived from the owning organization, so a config cannot claim another's IdP.
+  if (!configDoc || !config?.enabled || ssoProviderIdFor(config.type, configDoc.id) !== providerId) {
+    throw new BlockingError("permission-denied", "sso-not-configured");
+  }
+  const orgId = configDoc.id;
+
+  const email = (event.data.email || "").toLowerCase();
+  const domain = email.split("@")[1] || "";
+  // Only domains the organization proved it owns; an IdP cannot vouch for anyone else's addresses.
+  if (!domain || !(config.verifiedDomains || []).includes(domain)) {
+    throw new BlockingError("permission-denied", "sso-domain-not-allowed");
+  }
+
+  const profile: Record<string, unknown> = {
+    ...(event.credential?.claims || {}),
+    ...(event.additionalUserInfo?.profile || {})
+  };
+  const claimedRoles = claimValues(profile, config.roleClaim);
+  const mappedRoles = Array.from(new Set((config.roleMappings || [])
+    .filter((m) => claimedRoles.includes(m.value) && SSO_ROLES.includes(m.role))
+    .map((m) => m.role)));
+  const claimedTeams = claimValues(profile, config.teamClaim);
+  const candidateTeamIds = Array.from(new Set((config.teamMappings || [])
+    .filter((m) => claimedTeams.includes(m.value))
+    .map((m) => m.teamId)));
+  const teamSnaps = candidateTeamIds.length
+    ? await db.getAll(...candidateTeamIds.map((id) => db.collection("teams").doc(id)))
+    : [];
+  const teamIds = teamSnaps.filter((t) => t.exists && orgOf(t.data()) === orgId).map((t) => t.id);
+
+  const userSnap = await userRef.get();
+  const displayName = event.data.displayName || email.split("@")[0] || uid;
+
+  if (!userSnap.exists) {
+    if (!config.jitProvisioning) {
+      throw new BlockingError("permission-denied", "sso-not-provisioned");
+    }
+    const defaultRole = config.defaultRole && SSO_ROLES.includes(config.defaultRole) ? config.defaultRole : "agent";
+    const roles = mappedRoles.length ? mappedRoles : [defaultRole];
+    await userRef.set({
+      displayName,
+      email,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      role: roles.includes("manager") ? "manager" : "agent",
+      roles,
+      teamId: teamIds[0] || null,
+      teamIds,
+      orgId,
+      provisionedBy: "sso",
+      ssoProviderId: providerId,
+      lastSsoSignInAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await writeAuditEntry(orgId, "user.provisioned", { uid, name: displayName }, { source: "sso", providerId, roles, teamIds });
+    return { sessionClaims: { orgId, sso: providerId } };
+  }
+
+  const user = userSnap.data() || {};
+  if (orgOf(user) !== orgId) {
+    throw new BlockingError("permission-denied", "sso-wrong-organization");
+  }
+  if (user.disabled === true) {
+    throw new BlockingError("permission-denied", "account-disabled");
+  }
+
+  const updates: Record<string, unknown> = {
+    ssoProviderId: providerId,
+    lastSsoSignInAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  // Sync only what the IdP actually asserted, and never take admin away: admins are managed in the dashboard.
+  if (config.syncOnSignIn && user.role !== "admin") {
+    if (mappedRoles.length) {
+      const currentRoles: string[] = Array.isArray(user.roles) ? user.roles : [user.role || "agent"];
+      const roles = [...currentRoles.filter((r) => !SSO_ROLES.includes(r)), ...mappedRoles];
+      updates.roles = roles;
+      updates.role = roles.includes("manager") ? "manager" : "agent";
+      if (roles.slice().sort().join() !== currentRoles.slice().sort().join()) {
+        await writeAuditEntry(orgId, "user.role_changed", { uid, name: user.displayName || displayName }, { source: "sso", roles });
+      }
+    }
+    if (config.teamClaim && (config.teamMappings || []).length) {
+      updates.teamIds = teamIds;
+      updates.teamId = teamIds[0] || null;
+    }
+  }
+  await userRef.set(updates, { merge: true });
+  return { sessionClaims: { orgId, sso: providerId } };
+});
+
 export const createDropboxOauthSession = functions.https.onRequest(async (req, res) => {
   allowCors(res);
   if (req.method === "OPTIONS") {
@@ -263,7 +483,7 @@ export const createDropboxOauthSession = functions.https.onRequest(async (req, r
     }
 
     const decoded = await admin.auth().verifyIdToken(token);
-    await ensureAdminUser(decoded.uid);
+    const orgId = await ensureAdminUser(decoded.uid);
 
     const payload = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
     const { appKey, appSecret } = payload || {};
@@ -276,6 +496,7 @@ export const createDropboxOauthSession = functions.https.onRequest(async (req, r
     const stateSecret = crypto.randomBytes(24).toString("hex");
     await sessionRef.set({
       uid: decoded.uid,
+      orgId,
       appKey,
       appSecret,
       stateSecret,
@@ -387,7 +608,7 @@ export const dropboxOauthCallback = functions.https.onRequest(async (req, res) =
     const expiresInSeconds = json.expires_in || 4 * 60 * 60;
     const expiryIso = new Date(Date.now() + expiresInSeconds * 1000).toISOString();
 
-    await db.collection("adminSettings").doc("global").set({
+    await db.collection("adminSettings").doc(adminSettingsDocId(orgOf(session))).set({
       dropboxRefreshToken: json.refresh_token,
       dropboxAccessToken: json.access_token,
       dropboxTokenExpiry: expiryIso,
@@ -429,6 +650,7 @@ export const dailyMidnightCleanup = onSchedule("5 0 * * *", async (event) => {
 
   const batch = db.batch();
   let count = 0;
+  const closed: Array<{ logId: string; userId: string; orgId: string }> = [];
 
   snapshot.docs.forEach((doc) => {
     const data = doc.data();
@@ -464,12 +686,16 @@ export const dailyMidnightCleanup = onSchedule("5 0 * * *", async (event) => {
       activeSession: admin.firestore.FieldValue.delete()
     });
 
+    closed.push({ logId: doc.id, userId: data.userId, orgId: orgOf(data) });
     count++;
   });
 
   if (count > 0) {
     await batch.commit();
     console.log(`Closed ${count} stale non-overnight sessions.`);
+    for (const [orgId, sessions] of groupByOrg(closed)) {
+      await writeAuditEntry(orgId, "session.midnight_cleanup", null, { count: sessions.length, sessions });
+    }
   }
 });
 
@@ -480,19 +706,6 @@ export const dailyMidnightCleanup = onSchedule("5 0 * * *", async (event) => {
  */
 export const autoClockOutAtShiftEnd = onSchedule("every 5 minutes", async () => {
   const now = new Date();
-  const organizationTimezone = await getOrganizationTimezone();
-  const adminSettingsSnap = await db.collection("adminSettings").doc("global").get();
-  const adminSettings = adminSettingsSnap.exists ? (adminSettingsSnap.data() as { autoClockGraceMinutes?: number; autoClockOutEnabled?: boolean }) : {};
-  const autoClockOutEnabled = adminSettings?.autoClockOutEnabled === true;
-  if (!autoClockOutEnabled) {
-    console.log("[autoClockOut] Skipping: autoClockOutEnabled is false");
-    return;
-  }
-  const autoClockGraceMinutesRaw = typeof adminSettings.autoClockGraceMinutes === "number"
-    ? adminSettings.autoClockGraceMinutes
-    : DEFAULT_AUTO_CLOCK_GRACE_MINUTES;
-  const autoClockGraceMinutes = autoClockGraceMinutesRaw < 0 ? 0 : autoClockGraceMinutesRaw;
-  const autoClockGraceMs = autoClockGraceMinutes * 60 * 1000;
   const snapshot = await db.collection("worklogs")
     .where("status", "in", ["working", "on_break", "break"])
     .get();
@@ -501,8 +714,29 @@ export const autoClockOutAtShiftEnd = onSchedule("every 5 minutes", async () =>
 
   const batch = db.batch();
   let count = 0;
+  const closed: Array<{ logId: string; userId: string; orgId: string; shiftEnd: string }> = [];
   const slotCache = new Map<string, Record<string, any>>();
 
+  // Each organization has its own switch, grace period and timezone.
+  const orgConfigCache = new Map<string, { enabled: boolean; graceMinutes: number; timezone: string }>();
+  const getOrgConfig = async (orgId: string) => {
+    if (!orgConfigCache.has(orgId)) {
+      const settings = await readOrgSettings(orgId);
+      const graceRaw = typeof settings.autoClockGraceMinutes === "number"
+        ? settings.autoClockGraceMinutes
+        : DEFAULT_AUTO_CLOCK_GRACE_MINUTES;
+      orgConfigCache.set(orgId, {
+        enabled: settings.autoClockOutEnabled === true,
+        graceMinutes: graceRaw < 0 ? 0 : graceRaw,
+        timezone: settings.organizationTimezone || DEFAULT_TIMEZONE
+      });
+      if (settings.autoClockOutEnabled !== true) {
+        console.log(`[autoClockOut] Skipping organization ${orgId}: autoClockOutEnabled is false`);
+      }
+    }
+    return orgConfigCache.get(orgId)!;
+  };
+
   const getAutoClockSlot = async (userId: string, dateKey: string | null) => {
     if (!userId || !dateKey) return null;
     if (!slotCache.has(userId)) {
@@ -513,10 +747,28 @@ export const autoClockOutAtShiftEnd = onSchedule("every 5 minutes", async () =>
     return config?.[dateKey] || null;
   };
 
+  const holidayCache = new Map<string, boolean>();
+  const isHolidayDate = async (dateKey: string | null, orgId: string) => {
+    if (!dateKey) return false;
+    const holidayId = orgScopedDocId(dateKey, orgId);
+    if (!holidayCache.has(holidayId)) {
+      const snap = await db.collection("holidays").doc(holidayId).get();
+      holidayCache.set(holidayId, snap.exists);
+    }
+    return holidayCache.get(holidayId) === true;
+  };
+
   for (const docSnap of snapshot.docs) {
     const data = docSnap.data();
     if (!data?.date || !data?.userId) continue;
 
+    const orgId = orgOf(data);
+    const orgConfig = await getOrgConfig(orgId);
+    if (!orgConfig.enabled) continue;
+    const organizationTimezone = orgConfig.timezone;
+    const autoClockGraceMinutes = orgConfig.graceMinutes;
+    const autoClockGraceMs = autoClockGraceMinutes * 60 * 1000;
+
     const logStartDate: Date = data.date.toDate();
     const dateKey = deriveDateKey(logStartDate, organizationTimezone);
     const slot = await getAutoClockSlot(data.userId, dateKey);
@@ -586,12 +838,20 @@ export const autoClockOutAtShiftEnd = onSchedule("every 5 minutes", async () =>
       updates.breaks = updatedBreaks;
     }
 
+    // Holidays never count as late, even if the session started before the date was added to the calendar.
+    const onHoliday = await isHolidayDate(dateKey, orgId);
+    if (onHoliday) {
+      updates.isHoliday = true;
+      updates.lateMinutes = 0;
+    }
+
     console.log("[autoClockOut] Closing session", {
       logId: docSnap.id,
       userId: data.userId,
       shiftEnd: shiftEndDate.toISOString(),
       autoClockGraceMinutes,
-      msSinceLastEvent
+      msSinceLastEvent,
+      onHoliday
     });
 
     batch.update(workLogRef, updates);
@@ -610,27 +870,891 @@ export const autoClockOutAtShiftEnd = onSchedule("every 5 minutes", async () =>
       sessionClearedAt: admin.firestore.FieldValue.serverTimestamp()
     }, { merge: true });
 
+    closed.push({ logId: docSnap.id, userId: data.userId, orgId, shiftEnd: shiftEndDate.toISOString() });
     count++;
   }
 
   if (count > 0) {
     await batch.commit();
     console.log(`Auto clocked out ${count} session(s) at scheduled shift end.`);
+    for (const [orgId, sessions] of groupByOrg(closed)) {
+      await writeAuditEntry(orgId, "session.auto_clock_out", null, { count: sessions.length, sessions });
+    }
   }
 });
 
+// Custom roles reach the security rules as the `perms` custom claim. Keep in sync with
+// utils/permissions.ts; built-in roles imply the same sets as BUILTIN_ROLE_PERMISSIONS there.
+const PERMISSIONS = ["view_recordings", "live_view", "force_logout", "edit_schedules", "export_reports"];
+const BUILTIN_ROLE_PERMISSIONS: Record<string, string[]> = { admin: PERMISSIONS, manager: PERMISSIONS, agent: [] };
+const PERMISSION_FIELDS = ["role", "roles", "customRoleIds", "orgId"];
+
+const computePermissions = async (user: admin.firestore.DocumentData): Promise<string[]> => {
+  const granted = new Set<string>();
+  const roles = new Set<string>([...(Array.isArray(user.roles) ? user.roles : []), user.role]);
+  roles.forEach((role) => (BUILTIN_ROLE_PERMISSIONS[role] || []).forEach((p) => granted.add(p)));
+
+  const roleIds: string[] = Array.isArray(user.customRoleIds)
+    ? user.customRoleIds.filter((id: unknown): id is string => typeof id === "string" && !!id)
+    : [];
+  if (roleIds.length) {
+    const snaps = await db.getAll(...roleIds.map((id) => db.collection("customRoles").doc(id)));
+    snaps
+      .filter((snap) => snap.exists && orgOf(snap.data()) === orgOf(user))
+      .forEach((snap) => (snap.get("permissions") || []).forEach((p: string) => granted.add(p)));
+  }
+  return PERMISSIONS.filter((p) => granted.has(p));
+};
+
+/**
+ * Writes the effective permissions into the user's custom claims, keeping any other claims, and
+ * stamps permissionsVersion on the profile so the dashboard refreshes its ID token.
+ */
+const syncUserPermissionClaims = async (uid: string, user: admin.firestore.DocumentData | undefined) => {
+  let record: admin.auth.UserRecord;
+  try {
+    record = await admin.auth().getUser(uid);
+  } catch (error: any) {
+    if (error?.code === "auth/user-not-found") return;
+    throw error;
+  }
+  const perms = user ? await computePermissions(user) : [];
+  const claims = record.customClaims || {};
+  const current: string[] = Array.isArray(claims.perms) ? claims.perms : [];
+  if (current.join() === perms.join()) return;
+
+  const permsVersion = Date.now();
+  await admin.auth().setCustomUserClaims(uid, { ...claims, perms, permsVersion });
+  if (user) {
+    await db.collection("users").doc(uid).set({ permissionsVersion: permsVersion }, { merge: true });
+  }
+};
+
+export const syncPermissionClaims = onDocumentWritten(
+  { document: "users/{uid}", region: FUNCTIONS_REGION },
+  async (event) => {
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    // Profiles are written constantly (presence, sessions); only role changes matter here.
+    if (before && after && PERMISSION_FIELDS.every((f) => JSON.stringify(before[f] ?? null) === JSON.stringify(after[f] ?? null))) {
+      return;
+    }
+    await syncUserPermissionClaims(event.params.uid, after);
+  }
+);
+
+export const syncCustomRoleClaims = onDocumentWritten(
+  { document: "customRoles/{roleId}", region: FUNCTIONS_REGION },
+  async (event) => {
+    const roleId = event.params.roleId;
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    const holders = await db.collection("users").where("customRoleIds", "array-contains", roleId).get();
+
+    if (!after) {
+      // Removing the id re-runs syncPermissionClaims for each former holder.
+      for (let i = 0; i < holders.docs.length; i += 400) {
+        const batch = db.batch();
+        holders.docs.slice(i, i + 400).forEach((doc) => {
+          batch.update(doc.ref, { customRoleIds: admin.firestore.FieldValue.arrayRemove(roleId) });
+        });
+        await batch.commit();
+      }
+      return;
+    }
+    if (before && JSON.stringify(before.permissions || []) === JSON.stringify(after.permissions || [])) return;
+
+    for (const doc of holders.docs) {
+      try {
+        await syncUserPermissionClaims(doc.id, doc.data());
+      } catch (error) {
+        console.error(`[syncCustomRoleClaims] failed for ${doc.id}`, error);
+      }
+    }
+  }
+);
+
+// Upload credentials agents' desktops need but memberSettings leaves out; mirrored in
+// DESKTOP_CREDENTIAL_KEYS (electron/main.js).
+const DESKTOP_CREDENTIAL_FIELDS = [
+  "dropboxToken",
+  "dropboxRefreshToken",
+  "dropboxAccessToken",
+  "dropboxTokenExpiry",
+  "dropboxAppKey",
+  "dropboxAppSecret",
+  "dropboxFolder",
+  "httpUploadUrl",
+  "httpUploadToken",
+  "googleServiceAccountJson",
+  "googleSpreadsheetId",
+  "googleSpreadsheetTabName",
+  "googleDriveFolderId"
+];
+
+/**
+ * Copies the upload credentials of every adminSettings write (dashboard saves and both Dropbox
+ * OAuth callbacks) into desktopCredentials/{docId}, which only desktop sessions may read.
+ */
+export const syncDesktopCredentials = onDocumentWritten(
+  { document: "adminSettings/{docId}", region: FUNCTIONS_REGION },
+  async (event) => {
+    const ref = db.collection("desktopCredentials").doc(event.params.docId);
+    const after = event.data?.after?.data();
+    if (!after) {
+      await ref.delete();
+      return;
+    }
+    const before = event.data?.before?.data();
+    if (before && DESKTOP_CREDENTIAL_FIELDS.every((f) => JSON.stringify(before[f] ?? null) === JSON.stringify(after[f] ?? null))) {
+      return;
+    }
+    const credentials: Record<string, unknown> = {};
+    DESKTOP_CREDENTIAL_FIELDS.forEach((field) => {
+      if (after[field] !== undefined) credentials[field] = after[field];
+    });
+    await ref.set({ ...credentials, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+);
+
+// --- Audit trail for dashboard writes ---
+
+/**
+ * The signed-in user behind a Firestore write, or null for Admin SDK writes (functions, /api,
+ * scripts), which record their own entries.
+ */
+const dashboardActor = async (event: { authType: string; authId?: string }): Promise<AuditActor | null> => {
+  // "app_user" (a Firebase Auth user) is sent by Firestore but missing from this SDK's AuthType.
+  const authType: string = event.authType;
+  if (authType !== "app_user" || !event.authId) return null;
+  const snap = await db.collection("users").doc(event.authId).get();
+  return { uid: event.authId, name: snap.get("displayName") || snap.get("email") || event.authId };
+};
+
+const sameValue = (a: unknown, b: unknown) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const userRolesOf = (user: admin.firestore.DocumentData) => {
+  const roles = new Set<string>(Array.isArray(user.roles) ? user.roles : []);
+  if (user.role) roles.add(user.role);
+  return Array.from(roles).filter((role) => ["admin", "manager", "agent"].includes(role));
+};
+
+const userTeamIdsOf = (user: admin.firestore.DocumentData): string[] => (
+  Array.isArray(user.teamIds) ? user.teamIds : (user.teamId ? [user.teamId] : [])
+);
+
+export const auditUserAccessChanges = onDocumentUpdatedWithAuthContext(
+  { document: "users/{uid}", region: FUNCTIONS_REGION },
+  async (event) => {
+    const before = event.data?.before.data();
+    const after = event.data?.after.data();
+    if (!before || !after) return;
+    const changes: Array<[string, unknown, unknown]> = [
+      ["user.role_changed", userRolesOf(before), userRolesOf(after)],
+      ["user.teams_changed", userTeamIdsOf(before), userTeamIdsOf(after)],
+      ["user.custom_roles_changed", before.customRoleIds || [], after.customRoleIds || []]
+    ];
+    const changed = changes.filter(([, from, to]) => !sameValue(from, to));
+    if (!changed.length) return;
+    const actor = await dashboardActor(event);
+    if (!actor) return;
+    const target = { uid: event.params.uid, name: after.displayName || after.email || null };
+    for (const [action, from, to] of changed) {
+      await writeAuditEntry(orgOf(after), action, target, { before: from, after: to }, actor);
+    }
+  }
+);
+
+export const auditCustomRoleChanges = onDocumentWrittenWithAuthContext(
+  { document: "customRoles/{roleId}", region: FUNCTIONS_REGION },
+  async (event) => {
+    const roleId = event.params.roleId;
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    if (before && after && ["name", "description", "permissions"].every((f) => sameValue(before[f], after[f]))) return;
+    const actor = await dashboardActor(event);
+    if (!actor) return;
+    if (!before && after) {
+      await writeAuditEntry(orgOf(after), "role.created", null, {
+        roleId,
+        name: after.name,
+        description: after.description || "",
+        permissions: after.permissions || []
+      }, actor);
+    } else if (before && !after) {
+      await writeAuditEntry(orgOf(before), "role.deleted", null, {
+        roleId,
+        name: before.name,
+        permissions: before.permissions || []
+      }, actor);
+    } else if (before && after) {
+      await writeAuditEntry(orgOf(after), "role.updated", null, {
+        roleId,
+        name: after.name,
+        before: before.permissions || [],
+        after: after.permissions || []
+      }, actor);
+    }
+  }
+);
+
+export const auditInvitationChanges = onDocumentWrittenWithAuthContext(
+  { document: "invitations/{invitationId}", region: FUNCTIONS_REGION },
+  async (event) => {
+    const invitationId = event.params.invitationId;
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    if (!after) return;
+    const created = !before;
+    const revoked = Boolean(before && !before.revokedAt && after.revokedAt);
+    if (!created && !revoked) return;
+    const actor = await dashboardActor(event);
+    if (!actor) return;
+    if (created) {
+      const createdAt = after.createdAt?.toMillis?.() ?? Date.now();
+      const expiresAt = after.expiresAt?.toMillis?.() ?? createdAt;
+      await writeAuditEntry(orgOf(after), "invite.created", null, {
+        invitationId,
+        roles: after.roles || [],
+        teamIds: after.teamIds || [],
+        maxUses: after.maxUses ?? null,
+        expiresInHours: Math.round((expiresAt - createdAt) / (60 * 60 * 1000)),
+        email: after.email || null
+      }, actor);
+    } else {
+      await writeAuditEntry(orgOf(after), "invite.revoked", null, {
+        invitationId,
+        uses: after.uses ?? 0,
+        maxUses: after.maxUses ?? null
+      }, actor);
+    }
+  }
+);
+
+export const auditLegalHoldChanges = onDocumentWrittenWithAuthContext(
+  { document: "recordingLegalHolds/{holdId}", region: FUNCTIONS_REGION },
+  async (event) => {
+    const holdId = event.params.holdId;
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    if (!after) return;
+    const placed = !before;
+    const released = Boolean(before && !before.releasedAt && after.releasedAt);
+    if (!placed && !released) return;
+    const actor = await dashboardActor(event);
+    if (!actor) return;
+    const target = after.uid ? { uid: after.uid, name: after.userName || null } : null;
+    const scope = { holdId, startDate: after.startDate || null, endDate: after.endDate || null };
+    if (placed) {
+      await writeAuditEntry(orgOf(after), "recording.legal_hold_placed", target, { ...scope, reason: after.reason || "" }, actor);
+    } else {
+      await writeAuditEntry(orgOf(after), "recording.legal_hold_released", target, scope, actor);
+    }
+  }
+);
+
+// Key rotation and switching encryption off both end in the settings pointing at a new key, or none.
+export const auditRecordingEncryptionChanges = onDocumentWrittenWithAuthContext(
+  { document: "adminSettings/{docId}", region: FUNCTIONS_REGION },
+  async (event) => {
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    const keyId = after?.recordingEncryptionKeyId || "";
+    if (!after || keyId === (before?.recordingEncryptionKeyId || "")) return;
+    const actor = await dashboardActor(event);
+    if (!actor) return;
+    const orgId = event.params.docId === adminSettingsDocId(DEFAULT_ORG_ID) ? DEFAULT_ORG_ID : event.params.docId;
+    if (keyId) {
+      await writeAuditEntry(orgId, "recording.key_rotated", null, { keyId }, actor);
+    } else {
+      await writeAuditEntry(orgId, "recording.encryption_disabled", null, {}, actor);
+    }
+  }
+);
+
+// --- Account hard delete ---
+
+// Documents that belong to one user through a field, and documents keyed by the uid itself.
+const USER_OWNED_QUERIES: Array<[string, string]> = [
+  ["worklogs", "userId"],
+  ["worklogCorrections", "userId"],
+  ["timesheets", "userId"],
+  ["leaveRequests", "userId"],
+  ["leaveBalances", "userId"],
+  ["recordingLogs", "userId"],
+  ["appActivity", "userId"],
+  ["appAlerts", "userId"],
+  ["shiftSwaps", "offeredBy"],
+  ["shiftSwaps", "claimedBy"]
+];
+const USER_KEYED_COLLECTIONS = ["agentStatus", "desktopCommands", "liveSessions", "autoClockConfigs"];
+
+// Same sanitizing as the desktop's fetchDisplayName, which names upload folders.
+const recordingFolderName = (name: unknown) => String(name ?? "").replace(/[\\/:*?"<>|]/g, "-").trim();
+const isUsableFolderName = (name: string) => Boolean(name) && name !== "." && name !== "..";
+
+/** Display-name folder → uids of every profile, in any organization, the desktop files under it. */
+const recordingNameFolderOwners = (users: admin.firestore.QueryDocumentSnapshot[]) => {
+  const owners = new Map<string, string[]>();
+  users.forEach((doc) => {
+    const folder = recordingFolderName(doc.get("displayName") || doc.get("email"));
+    if (isUsableFolderName(folder)) owners.set(folder, [...(owners.get(folder) || []), doc.id]);
+  });
+  return owners;
+};
+
+/**
+ * Folders holding only this agent's recordings: the uid folder, plus the display-name folder the
+ * desktop uploads to, but only while no other profile maps to that name. Agents who share a name
+ * keep their name-keyed recordings until one of them is renamed.
+ */
+const recordingFolderNames = (uid: string, user: admin.firestore.DocumentData, nameOwners: Map<string, string[]>) => {
+  const folders = [recordingFolderName(uid)];
+  const named = recordingFolderName(user.displayName || user.email);
+  if (isUsableFolderName(named) && (nameOwners.get(named) || []).every((owner) => owner === uid)) folders.push(named);
+  return Array.from(new Set(folders)).filter(isUsableFolderName);
+};
+
+const dropboxAccessTokenFor = async (settings: admin.firestore.DocumentData): Promise<string | null> => {
+  if (settings.dropboxRefreshToken && settings.dropboxAppKey && settings.dropboxAppSecret) {
+    const response = await fetch("https://api.dropboxapi.com/oauth2/token", {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "refresh_token",
+        refresh_token: settings.dropboxRefreshToken,
+        client_id: settings.dropboxAppKey,
+        client_secret: settings.dropboxAppSecret
+      })
+    });
+    const json = await response.json();
+    if (response.ok && json.access_token) return json.access_token;
+    console.error("Dropbox token refresh failed", json);
+  }
+  return settings.dropboxAccessToken || settings.dropboxToken || null;
+};
+
+/** Deletes `/recordings/<agent>` folders in the organization's Dropbox; a missing folder counts as done. */
+const purgeDropboxRecordings = async (settings: admin.firestore.DocumentData, folders: string[]) => {
+  const token = await dropboxAccessTokenFor(settings);
+  if (!token) return { skipped: "dropbox-not-connected" };
+  const deleted: string[] = [];
+  for (const folder of folders) {
+    const response = await fetch("https://api.dropboxapi.com/2/files/delete_v2", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ path: `/recordings/${folder}` })
+    });
+    if (response.ok) {
+      deleted.push(folder);
+      continue;
+    }
+    const text = await response.text();
+    if (!text.includes("not_found")) throw new Error(`dropbox-delete-failed: ${response.status} ${text}`);
+  }
+  return { deleted };
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DRIVE_API = "https://www.googleapis.com/drive/v3";
+
+type LegalHold = { uid: string | null; startDate: string | null; endDate: string | null };
+
+/**
+ * The first active legal hold covering the user's recordings: one naming them, or an all-agents
+ * hold that does not end before their profile was created. Same check as api/user-lifecycle; the
+ * creation day is taken one day early so every organization timezone is covered.
+ */
+const findCoveringLegalHold = async (orgId: string, uid: string, user: admin.firestore.DocumentData) => {
+  const snap = await db.collection("recordingLegalHolds")
+    .where("orgId", "==", orgId)
+    .where("releasedAt", "==", null)
+    .get();
+  const createdAt: Date | null = typeof user.createdAt?.toDate === "function" ? user.createdAt.toDate() : null;
+  const firstDay = createdAt ? new Date(createdAt.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10) : null;
+  const hold = snap.docs.find((doc) => {
+    const data = doc.data() as LegalHold;
+    if (data.uid) return data.uid === uid;
+    return !data.endDate || !firstDay || data.endDate >= firstDay;
+  });
+  return hold?.id || null;
+};
+
+// Drive, and Dropbox uploads from the desktop's streaming recorder, keep segments flat as
+// `<agent>-<date>-<time>-recording-...webm`. Returns the segment's date when it is the agent's.
+const flatRecordingDate = (folder: string, name: string) => {
+  if (!/\.webm(\.enc)?$/i.test(name) || !name.startsWith(`${folder}-`)) return null;
+  const date = name.slice(folder.length + 1, folder.length + 11);
+  return ISO_DATE_PATTERN.test(date) ? date : null;
+};
+
+// Service-account JWT grant; the Drive scope (not drive.readonly) is needed to delete files.
+const googleAccessTokenFor = async (settings: admin.firestore.DocumentData) => {
+  const raw = settings.googleServiceAccountJson;
+  const account = typeof raw === "string" ? JSON.parse(raw) : raw;
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value: unknown) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ alg: "RS256", typ: "JWT" })}.${encode({
+    iss: account.client_email,
+    scope: "https://www.googleapis.com/auth/drive",
+    aud: "https://oauth2.googleapis.com/token",
+    iat: now,
+    exp: now + 3600
+  })}`;
+  const signature = crypto.createSign("RSA-SHA256").update(unsigned).sign(account.private_key).toString("base64url");
+  const response = await fetch("https://oauth2.googleapis.com/token", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+      assertion: `${unsigned}.${signature}`
+    })
+  });
+  const json = await response.json();
+  if (!response.ok || !json.access_token) throw new Error(`google-token-failed: ${response.status}`);
+  return json.access_token as string;
+};
+
+/** The agent's segments on Google Drive (inside the configured folder, when there is one). */
+const listDriveRecordings = async (settings: admin.firestore.DocumentData, token: string, folder: string) => {
+  const parent = String(settings.googleDriveFolderId || "").trim();
+  const files: Array<{ id: string; name: string; date: string }> = [];
+  let pageToken = "";
+  do {
+    const params = new URLSearchParams({
+      q: [`name contains '${folder.replace(/'/g, "\\'")}-'`, "trashed = false", parent ? `'${parent}' in parents` : null]
+        .filter(Boolean)
+        .join(" and "),
+      fields: "nextPageToken, files(id, name)",
+      pageSize: "1000",
+      supportsAllDrives: "true",
+      includeItemsFromAllDrives: "true"
+    });
+    if (pageToken) params.set("pageToken", pageToken);
+    const response = await fetch(`${DRIVE_API}/files?${params}`, { headers: { Authorization: `Bearer ${token}` } });
+    const json = await response.json();
+    if (!response.ok) throw new Error(`drive-list-failed: ${response.status}`);
+    (json.files || []).forEach((file: { id: string; name: string }) => {
+      const date = flatRecordingDate(folder, file.name);
+      if (date) files.push({ ...file, date });
+    });
+    pageToken = json.nextPageToken || "";
+  } while (pageToken);
+  return files;
+};
+
+const deleteDriveFile = async (token: string, fileId: string) => {
+  const response = await fetch(`${DRIVE_API}/files/${encodeURIComponent(fileId)}?supportsAllDrives=true`, {
+    method: "DELETE",
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  if (!response.ok && response.status !== 404) throw new Error(`drive-delete-failed: ${response.status}`);
+};
+
+/** Deletes every one of the agent's segments from Google Drive. */
+const purgeDriveRecordings = async (settings: admin.firestore.DocumentData, folders: string[]) => {
+  if (!settings.googleServiceAccountJson) return { skipped: "google-not-configured" };
+  const token = await googleAccessTokenFor(settings);
+  let deleted = 0;
+  for (const folder of folders) {
+    for (const file of await listDriveRecordings(settings, token, folder)) {
+      await deleteDriveFile(token, file.id);
+      deleted += 1;
+    }
+  }
+  return { deleted };
+};
+
+// A route on the HTTP recording receiver (scripts/recording-receiver.js), next to its /upload endpoint.
+const receiverUrl = (settings: admin.firestore.DocumentData, route: string) => {
+  const base = new URL(settings.httpUploadUrl);
+  return new URL(`${base.pathname.replace(/\/upload\/?$/i, "").replace(/\/$/, "")}${route}`, base);
+};
+
+const receiverHeaders = (settings: admin.firestore.DocumentData): Record<string, string> => (
+  settings.httpUploadToken ? { Authorization: `Bearer ${settings.httpUploadToken}` } : {}
+);
+
+/** Asks the HTTP recording receiver to remove the agent's folders. */
+const purgeReceiverRecordings = async (settings: admin.firestore.DocumentData, folders: string[]) => {
+  if (!settings.httpUploadUrl) return { skipped: "receiver-not-configured" };
+  const deleted: string[] = [];
+  for (const folder of folders) {
+    const target = receiverUrl(settings, "/agent");
+    target.searchParams.set("agent", folder);
+    const response = await fetch(target.toString(), { method: "DELETE", headers: receiverHeaders(settings) });
+    if (!response.ok) throw new Error(`receiver-delete-failed: ${response.status}`);
+    deleted.push(folder);
+  }
+  return { deleted };
+};
+
+/**
+ * Runs a hard delete queued by api/user-lifecycle. Only deactivated accounts that no active legal
+ * hold covers are purged. Every document the user owns is deleted, their entries are removed from
+ * team schedules, recordings are deleted from Dropbox, Google Drive and the HTTP receiver, and the
+ * auth account goes last. Audit entries are kept for accountability, with the user's name removed.
+ */
+export const purgeUserData = onDocumentCreated(
+  { document: "userPurgeJobs/{uid}", region: FUNCTIONS_REGION, timeoutSeconds: 540, memory: "512MiB" },
+  async (event) => {
+    const uid = event.params.uid;
+    const jobRef = db.collection("userPurgeJobs").doc(uid);
+    const job = event.data?.data() || {};
+    const userRef = db.collection("users").doc(uid);
+    const userSnap = await userRef.get();
+    const user = userSnap.data();
+
+    if (!user || user.disabled !== true || orgOf(user) !== job.orgId) {
+      await jobRef.set({ status: "failed", error: user ? "user-not-deactivated" : "user-not-found" }, { merge: true });
+      return;
+    }
+    // A hold placed after the purge was requested still stops it before anything is deleted.
+    const holdId = await findCoveringLegalHold(job.orgId, uid, user);
+    if (holdId) {
+      await jobRef.set({ status: "failed", error: "user-under-legal-hold", holdId }, { merge: true });
+      return;
+    }
+    await jobRef.set({ status: "running", startedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+
+    try {
+      const writer = db.bulkWriter();
+      const deleted: Record<string, number> = {};
+      const count = (collection: string) => { deleted[collection] = (deleted[collection] || 0) + 1; };
+
+      for (const [collection, field] of USER_OWNED_QUERIES) {
+        const snap = await db.collection(collection).where(field, "==", uid).get();
+        for (const doc of snap.docs) {
+          if (collection === "worklogs") {
+            const revisions = await doc.ref.collection("revisions").get();
+            revisions.docs.forEach((revision) => writer.delete(revision.ref));
+          }
+          if (collection === "recordingLogs") {
+            writer.delete(db.collection("recordingRetryCommands").doc(doc.id));
+          }
+          writer.delete(doc.ref);
+          count(collection);
+        }
+      }
+      USER_KEYED_COLLECTIONS.forEach((collection) => writer.delete(db.collection(collection).doc(uid)));
+      writer.delete(db.collection("settingsOverrides").doc(`agent-${uid}`));
+
+      const teamIds: string[] = Array.isArray(user.teamIds) ? user.teamIds : (user.teamId ? [user.teamId] : []);
+      for (const teamId of teamIds) {
+        const schedules = await db.collection("schedules")
+          .where(admin.firestore.FieldPath.documentId(), ">=", `${teamId}-`)
+          .where(admin.firestore.FieldPath.documentId(), "<", `${teamId}-\uf8ff`)
+          .get();
+        schedules.docs
+          .filter((doc) => doc.get(new admin.firestore.FieldPath(uid)) !== undefined)
+          .forEach((doc) => {
+            writer.update(doc.ref, new admin.firestore.FieldPath(uid), admin.firestore.FieldValue.delete());
+            count("schedules");
+          });
+      }
+
+      const [asTarget, asActor] = await Promise.all([
+        db.collection("auditLogs").where("targetUid", "==", uid).get(),
+        db.collection("auditLogs").where("actorUid", "==", uid).get()
+      ]);
+      asTarget.docs.forEach((doc) => writer.update(doc.ref, { targetName: null }));
+      asActor.docs.forEach((doc) => writer.update(doc.ref, { actorName: "Deleted user" }));
+      await writer.close();
+
+      const settingsSnap = await db.collection("adminSettings").doc(adminSettingsDocId(job.orgId)).get();
+      const settings = settingsSnap.data() || {};
+      const everyone = await db.collection("users").select("displayName", "email").get();
+      const folders = recordingFolderNames(uid, user, recordingNameFolderOwners(everyone.docs));
+      const storage = {
+        dropbox: await purgeDropboxRecordings(settings, folders),
+        drive: await purgeDriveRecordings(settings, folders),
+        receiver: await purgeReceiverRecordings(settings, folders)
+      };
+
+      await userRef.delete();
+      await admin.auth().deleteUser(uid).catch((error) => {
+        if (error?.code !== "auth/user-not-found") throw error;
+      });
+
+      await jobRef.set({
+        status: "completed",
+        deleted,
+        storage,
+        completedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      await writeAuditEntry(job.orgId, "user.deleted", { uid, name: null }, { purged: deleted, storage, requestedBy: job.requestedBy || null });
+    } catch (error: any) {
+      // Each step is idempotent, so re-queuing the job (delete and recreate it) resumes the purge.
+      console.error(`[purgeUserData] failed for ${uid}`, error);
+      await jobRef.set({ status: "failed", error: String(error?.message || error) }, { merge: true });
+    }
+  }
+);
+
+// --- Recording retention ---
+
+/** An agent whose recordings from before `cutoff` (YYYY-MM-DD) expire, except days under one of `holds`. */
+type RetentionAgent = { uid: string; folders: string[]; days: number; cutoff: string; holds: LegalHold[] };
+
+const isExpiredDay = (agent: RetentionAgent, date: string) => (
+  ISO_DATE_PATTERN.test(date)
+  && date < agent.cutoff
+  && !agent.holds.some((hold) => (!hold.startDate || date >= hold.startDate) && (!hold.endDate || date <= hold.endDate))
+);
+
+const retentionValue = (layer: admin.firestore.DocumentData | null | undefined): number | null => {
+  const value = layer?.recordingRetentionDays;
+  if (value === undefined || value === null) return null;
+  return Number(value) > 0 ? Math.floor(Number(value)) : 0;
+};
+
+/**
+ * Same layering as utils/settingsLayers.ts: agent override, then team override, then the global
+ * document. An agent in several teams keeps recordings for the longest of their teams' periods
+ * (0, keep forever, being the longest), so the result does not depend on team order.
+ */
+const retentionDaysFor = (
+  settings: admin.firestore.DocumentData,
+  overrides: Map<string, admin.firestore.DocumentData>,
+  uid: string,
+  user: admin.firestore.DocumentData
+) => {
+  const agentDays = retentionValue(overrides.get(`agent-${uid}`));
+  if (agentDays !== null) return agentDays;
+
+  const teamIds: string[] = Array.isArray(user.teamIds) && user.teamIds.length ? user.teamIds : (user.teamId ? [user.teamId] : []);
+  const teamDays = teamIds
+    .map((teamId) => retentionValue(overrides.get(`team-${teamId}`)))
+    .filter((days): days is number => days !== null);
+  if (teamDays.length) return teamDays.includes(0) ? 0 : Math.max(...teamDays);
+
+  return retentionValue(settings) ?? 0;
+};
+
+const flatRecordingOwner = (agents: RetentionAgent[], name: string) => {
+  for (const agent of agents) {
+    for (const folder of agent.folders) {
+      const date = flatRecordingDate(folder, name);
+      if (date) return { agent, date };
+    }
+  }
+  return null;
+};
+
+const dropboxRpc = async (token: string, endpoint: string, body: unknown) => {
+  const response = await fetch(`https://api.dropboxapi.com/2/${endpoint}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+  if (response.ok) return JSON.parse(text);
+  if (text.includes("not_found")) return null;
+  throw new Error(`dropbox-${endpoint}-failed: ${response.status} ${text}`);
+};
+
+const listDropboxFolder = async (token: string, folderPath: string) => {
+  const entries: any[] = [];
+  let page = await dropboxRpc(token, "files/list_folder", { path: folderPath, limit: 2000 });
+  while (page) {
+    entries.push(...page.entries);
+    page = page.has_more ? await dropboxRpc(token, "files/list_folder/continue", { cursor: page.cursor }) : null;
+  }
+  return entries;
+};
+
+/** Deletes expired `/recordings/<agent>/<date>` folders and expired flat segments in the Dropbox folder setting. */
+const expireDropboxRecordings = async (settings: admin.firestore.DocumentData, agents: RetentionAgent[]) => {
+  const token = await dropboxAccessTokenFor(settings);
+  if (!token) return { skipped: "dropbox-not-connected" };
+  const paths: string[] = [];
+  for (const agent of agents) {
+    for (const folder of agent.folders) {
+      (await listDropboxFolder(token, `/recordings/${folder}`))
+        .filter((entry) => entry[".tag"] === "folder" && isExpiredDay(agent, entry.name))
+        .forEach((entry) => paths.push(entry.path_lower));
+    }
+  }
+  const flatFolder = String(settings.dropboxFolder || "/Recordings").replace(/\/+$/, "");
+  (await listDropboxFolder(token, flatFolder)).forEach((entry) => {
+    const owner = entry[".tag"] === "file" ? flatRecordingOwner(agents, entry.name) : null;
+    if (owner && isExpiredDay(owner.agent, owner.date)) paths.push(entry.path_lower);
+  });
+  for (const entryPath of paths) {
+    await dropboxRpc(token, "files/delete_v2", { path: entryPath });
+  }
+  return { deleted: paths.length };
+};
+
+/** Deletes expired segments from Google Drive (inside the configured folder, when there is one). */
+const expireDriveRecordings = async (settings: admin.firestore.DocumentData, agents: RetentionAgent[]) => {
+  if (!settings.googleServiceAccountJson) return { skipped: "google-not-configured" };
+  const token = await googleAccessTokenFor(settings);
+  const fileIds = new Set<string>();
+  for (const agent of agents) {
+    for (const folder of agent.folders) {
+      (await listDriveRecordings(settings, token, folder)).forEach((file) => {
+        if (isExpiredDay(agent, file.date)) fileIds.add(file.id);
+      });
+    }
+  }
+  for (const fileId of fileIds) {
+    await deleteDriveFile(token, fileId);
+  }
+  return { deleted: fileIds.size };
+};
+
+/** Lists `/files/<agent>` on the HTTP receiver and deletes each expired date folder. */
+const expireReceiverRecordings = async (settings: admin.firestore.DocumentData, agents: RetentionAgent[]) => {
+  if (!settings.httpUploadUrl) return { skipped: "receiver-not-configured" };
+  const headers = receiverHeaders(settings);
+  let deleted = 0;
+  for (const agent of agents) {
+    for (const folder of agent.folders) {
+      const listing = await fetch(receiverUrl(settings, `/files/${encodeURIComponent(folder)}`).toString(), { headers });
+      if (listing.status === 404) continue;
+      if (!listing.ok) throw new Error(`receiver-list-failed: ${listing.status}`);
+      const json = await listing.json();
+      for (const entry of json.entries || []) {
+        if (entry.type !== "directory" || !isExpiredDay(agent, entry.name)) continue;
+        const target = receiverUrl(settings, "/agent");
+        target.searchParams.set("agent", folder);
+        target.searchParams.set("date", entry.name);
+        const response = await fetch(target.toString(), { method: "DELETE", headers });
+        if (!response.ok) throw new Error(`receiver-delete-failed: ${response.status}`);
+        deleted += 1;
+      }
+    }
+  }
+  return { deleted };
+};
+
+/** Marks the agents' recordingLogs entries from expired days; the entries stay for reporting. */
+const expireRecordingLogs = async (agents: RetentionAgent[], timezone: string) => {
+  const writer = db.bulkWriter();
+  let expired = 0;
+  for (const agent of agents) {
+    const snap = await db.collection("recordingLogs").where("userId", "==", agent.uid).get();
+    snap.docs.forEach((doc) => {
+      const data = doc.data();
+      const loggedAt = data.loggedAt || data.createdAt;
+      if (data.expired === true || typeof loggedAt?.toDate !== "function") return;
+      const date = DateTime.fromJSDate(loggedAt.toDate()).setZone(timezone).toISODate();
+      if (!date || !isExpiredDay(agent, date)) return;
+      writer.update(doc.ref, {
+        expired: true,
+        expiredAt: admin.firestore.FieldValue.serverTimestamp(),
+        downloadUrl: null
+      });
+      expired += 1;
+    });
+  }
+  await writer.close();
+  return { expired };
+};
+
+/**
+ * Daily retention sweep. Each agent's retention comes from `recordingRetentionDays` (agent
+ * override, then team override, then the organization setting; 0 keeps recordings). Older days
+ * are deleted from Dropbox, Google Drive and the HTTP receiver and their recordingLogs entries
+ * are marked expired. Days covered by an active legal hold, for the agent or for everyone, are
+ * kept. One failing target does not stop the others; the audit entry records each outcome.
+ */
+export const enforceRecordingRetention = onSchedule(
+  { schedule: "30 2 * * *", region: FUNCTIONS_REGION, timeoutSeconds: 540, memory: "512MiB" },
+  async () => {
+    const [settingsSnap, usersSnap, overridesSnap, holdsSnap] = await Promise.all([
+      db.collection("adminSettings").get(),
+      db.collection("users").get(),
+      db.collection("settingsOverrides").get(),
+      db.collection("recordingLegalHolds").where("releasedAt", "==", null).get()
+    ]);
+    const overrides = new Map(overridesSnap.docs.map((doc) => [doc.id, doc.get("values") || {}]));
+    const nameOwners = recordingNameFolderOwners(usersSnap.docs);
+
+    for (const settingsDoc of settingsSnap.docs) {
+      const orgId = settingsDoc.id === adminSettingsDocId(DEFAULT_ORG_ID) ? DEFAULT_ORG_ID : settingsDoc.id;
+      const settings = settingsDoc.data();
+      const timezone = settings.organizationTimezone || DEFAULT_TIMEZONE;
+      const today = DateTime.now().setZone(timezone).startOf("day");
+      const holds = holdsSnap.docs
+        .filter((doc) => orgOf(doc.data()) === orgId)
+        .map((doc) => ({
+          uid: doc.get("uid") || null,
+          startDate: doc.get("startDate") || null,
+          endDate: doc.get("endDate") || null
+        }) as LegalHold);
+
+      const agents: RetentionAgent[] = [];
+      usersSnap.docs
+        .filter((doc) => orgOf(doc.data()) === orgId)
+        .forEach((doc) => {
+          const user = doc.data();
+          const days = retentionDaysFor(settings, overrides, doc.id, user);
+          if (!days) return;
+          agents.push({
+            uid: doc.id,
+            folders: recordingFolderNames(doc.id, user, nameOwners),
+            days,
+            cutoff: today.minus({ days }).toISODate() as string,
+            holds: holds.filter((hold) => !hold.uid || hold.uid === doc.id)
+          });
+        });
+      if (!agents.length) continue;
+
+      const attempt = async (step: () => Promise<Record<string, unknown>>) => {
+        try {
+          return await step();
+        } catch (error: any) {
+          console.error(`[enforceRecordingRetention] ${orgId}`, error);
+          return { error: String(error?.message || error) };
+        }
+      };
+      const outcome = {
+        dropbox: await attempt(() => expireDropboxRecordings(settings, agents)),
+        googleDrive: await attempt(() => expireDriveRecordings(settings, agents)),
+        receiver: await attempt(() => expireReceiverRecordings(settings, agents)),
+        recordingLogs: await attempt(() => expireRecordingLogs(agents, timezone))
+      };
+      const changed = Object.values(outcome).some((result) => result.deleted || result.expired || result.error);
+      if (changed) {
+        await writeAuditEntry(orgId, "recording.retention_enforced", null, {
+          ...outcome,
+          agents: agents.length,
+          legalHolds: holds.length
+        });
+      }
+    }
+  }
+);
+
 /**
  * Enforce single active desktop session.
  *
- * When the desktop writes users/{uid}.activeDesktopSessionId on login, this trigger:
- * - Force-closes any currently active worklog at "now" (best-effort, with deltas)
- * - Creates a new worklog starting at the new desktop login time
- * - Sends a targeted desktopCommands.forceLogout to the previous desktop session id
+ * When the desktop writes users/{uid}.activeDesktopSessionId on login, this trigger used to:
+ * - Force-close any currently active worklog at "now" (best-effort, with deltas)
+ * - Create a new worklog starting at the new desktop login time
+ * - Send a targeted desktopCommands.forceLogout to the previous desktop session id
+ *
+ * Enforcement is disabled; the trigger now only audits one desktop session replacing another.
  */
 export const enforceSingleActiveDesktopSession = onDocumentWritten(
   { document: "users/{uid}", region: FUNCTIONS_REGION },
   async (event) => {
     // Disabled: session-switch auto-close is no longer used.
-    return;
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    const previousSessionId = before?.activeDesktopSessionId;
+    const nextSessionId = after?.activeDesktopSessionId;
+    if (!previousSessionId || !nextSessionId || previousSessionId === nextSessionId) return;
+    await writeAuditEntry(orgOf(after), "desktop.session_replaced", {
+      uid: event.params.uid,
+      name: after?.displayName || after?.email || null
+    }, {
+      previousSessionId,
+      nextSessionId,
+      previousMachine: before?.activeDesktopMachineName || null,
+      nextMachine: after?.activeDesktopMachineName || null
+    });
   }
 );
@@ -1,21 +1,22 @@
 import { useEffect } from 'react';
 import { requestDesktopToken } from '../services/desktop';
 import { logout } from '../services/auth';
-import { streamGlobalAdminSettings } from '../services/db';
-import type { AdminSettingsType } from '../types';
+import { streamEffectiveAdminSettings } from '../services/settingsOverrides';
 
 interface DesktopBridgeOptions {
   uid?: string;
+  teamId?: string | null;
+  /** Admins' desktops also receive the upload credentials, which only admins can read. */
+  isAdmin?: boolean;
 }
 
-const useDesktopBridge = ({ uid }: DesktopBridgeOptions) => {
+const useDesktopBridge = ({ uid, teamId, isAdmin = false }: DesktopBridgeOptions) => {
   useEffect(() => {
     if (!uid || typeof window === 'undefined' || !window.desktopAPI) return;
 
     const safeUid = uid;
 
     let canceled = false;
-    let unsubscribeSettings: (() => void) | null = null;
     let heartbeat: ReturnType<typeof setInterval> | null = null;
     let retryTimer: ReturnType<typeof setTimeout> | null = null;
     let isRegistered = false;
@@ -164,19 +165,10 @@ const useDesktopBridge = ({ uid }: DesktopBridgeOptions) => {
       }
     }, 15000);
 
-    unsubscribeSettings = streamGlobalAdminSettings((settings: AdminSettingsType | null) => {
-      const sync = window.desktopAPI?.syncAdminSettings;
-      if (!sync) return;
-      sync(settings).catch((error: unknown) => {
-        console.error('[DesktopBridge] Failed to sync admin settings to desktop:', error);
-      });
-    });
-
     return () => {
       canceled = true;
       safeClearHeartbeat();
       safeClearRetry();
-      unsubscribeSettings?.();
       try {
         if (typeof unsubscribeAuthRequired === 'function') unsubscribeAuthRequired();
       } catch {
@@ -185,6 +177,19 @@ const useDesktopBridge = ({ uid }: DesktopBridgeOptions) => {
       window.desktopAPI?.unregisterUid?.();
     };
   }, [uid]);
+
+  // Kept separate so a team change re-syncs settings without re-registering the desktop.
+  useEffect(() => {
+    if (!uid || typeof window === 'undefined' || !window.desktopAPI) return;
+    // The desktop resolves the layers itself (applyAdminSettings) so it can re-apply them from its disk cache.
+    return streamEffectiveAdminSettings({ uid, teamId, includeCredentials: isAdmin }, (_effective, layers) => {
+      const sync = window.desktopAPI?.syncAdminSettings;
+      if (!sync) return;
+      sync(layers.global, { team: layers.team, agent: layers.agent }).catch((error: unknown) => {
+        console.error('[DesktopBridge] Failed to sync admin settings to desktop:', error);
+      });
+    });
+  }, [uid, teamId, isAdmin]);
 };
 
 export default useDesktopBridge;
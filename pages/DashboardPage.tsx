@@ -26,7 +26,7 @@ const withTimeout = async <T,>(promise: Promise<T>, timeoutMs: number): Promise<
 };
 
 const DashboardPage: React.FC = () => {
-    const { user, userData, loading } = useAuth();
+    const { user, userData, permissions, loading } = useAuth();
     const navigate = useNavigate();
     const [showError, setShowError] = useState(false);
     const [autoClockOutMessage, setAutoClockOutMessage] = useState<string | null>(null);
@@ -60,12 +60,13 @@ const DashboardPage: React.FC = () => {
 
     useEffect(() => {
         if (!loading && userData) {
-            const isAgentOnly = hasRole(userData, 'agent') && !hasRole(userData, 'manager') && !hasRole(userData, 'admin');
+            // Agents holding a custom role use the web dashboard for its team tools.
+            const isAgentOnly = hasRole(userData, 'agent') && !hasRole(userData, 'manager') && !hasRole(userData, 'admin') && permissions.length === 0;
             setAgentWebBlocked(isAgentOnly && !isDesktopEnv);
         } else {
             setAgentWebBlocked(false);
         }
-    }, [loading, userData, isDesktopEnv]);
+    }, [loading, userData, permissions, isDesktopEnv]);
 
     useEffect(() => {
         if (!window.desktopAPI || !window.desktopAPI.onAutoClockOut) return;
@@ -153,7 +154,7 @@ const DashboardPage: React.FC = () => {
                 <div className="w-full max-w-md bg-white rounded-lg shadow-xl p-8 dark:bg-gray-800 dark:border dark:border-gray-700">
                     <h1 className="text-2xl font-bold text-red-600 dark:text-red-500">Profile Error</h1>
                     <p className="mt-2 text-gray-600 dark:text-gray-300">
-                        We couldn't load your user profile. This can happen if your account data is missing. Please sign out and try signing in again.
+                        We couldn't load your user profile. Your account may not belong to an organization yet: ask your admin for an invitation, or sign in with your organization's SSO. Otherwise, sign out and try signing in again.
                     </p>
                     <button
                         onClick={handleSignOutClick}
@@ -202,8 +203,10 @@ const DashboardPage: React.FC = () => {
 
         const isManager = hasRole(userData, 'manager');
         const isAgent = hasRole(userData, 'agent');
+        // Custom roles give agents a team view limited to the panels their permissions cover.
+        const hasTeamView = isManager || permissions.length > 0;
 
-        if (isManager && isAgent) {
+        if (hasTeamView && isAgent) {
             return (
                 <div>
                     <div className="mb-4 flex gap-2">
@@ -211,7 +214,7 @@ const DashboardPage: React.FC = () => {
                             onClick={() => setDualRoleView('manager')}
                             className={`px-3 py-1.5 rounded-md text-sm ${dualRoleView === 'manager' ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200'}`}
                         >
-                            Manager View
+                            {isManager ? 'Manager View' : 'Team View'}
                         </button>
                         <button
                             onClick={() => setDualRoleView('agent')}
@@ -225,7 +228,7 @@ const DashboardPage: React.FC = () => {
             );
         }
 
-        if (isManager) return <ManagerPanel />;
+        if (hasTeamView) return <ManagerPanel />;
         if (isAgent) return <AgentPanel />;
         return <p className="text-red-500">Error: Invalid user role.</p>;
     };
@@ -2,11 +2,30 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useParams } from 'react-router-dom';
 import { signUpWithInvite } from '../services/auth';
-import type { Team } from '../types';
-import { AuthError } from 'firebase/auth';
+import type { Role } from '../types';
+
+interface InviteDetails {
+    organizationName: string;
+    teams: Array<{ id: string; name: string }>;
+    roles: Role[];
+    email: string | null;
+    expiresAt: string;
+}
+
+const INVITE_ERROR_MESSAGES: Record<string, string> = {
+    expired: 'This invitation link has expired. Ask your admin for a new one.',
+    used_up: 'This invitation link has already been used.',
+    revoked: 'This invitation link has been revoked.',
+    'invalid-or-expired': 'This invitation link is invalid or has expired.',
+    'used-up': 'This invitation link has already been used.',
+    'email-mismatch': 'This invitation was issued for a different email address.',
+    'email-already-in-use': 'An account with this email already exists. Log in instead.',
+    'invalid-email': 'Please enter a valid email address.',
+    'weak-password': 'Password must be at least 6 characters.'
+};
 
 const InvitePage: React.FC = () => {
-    const { teamId } = useParams<{ teamId: string }>();
+    const { token } = useParams<{ token: string }>();
     const navigate = useNavigate();
 
     const [displayName, setDisplayName] = useState('');
@@ -14,11 +33,11 @@ const InvitePage: React.FC = () => {
     const [password, setPassword] = useState('');
     const [error, setError] = useState<string | null>(null);
     const [loading, setLoading] = useState(false);
-    const [team, setTeam] = useState<Team | null>(null);
+    const [invite, setInvite] = useState<InviteDetails | null>(null);
     const [isValidating, setIsValidating] = useState(true);
 
     useEffect(() => {
-        if (!teamId) {
+        if (!token) {
             setError('No invitation code provided.');
             setIsValidating(false);
             return;
@@ -26,13 +45,14 @@ const InvitePage: React.FC = () => {
 
         const validateInvite = async () => {
             try {
-                const resp = await fetch(`/api/validate-invite?teamId=${encodeURIComponent(teamId)}`);
+                const resp = await fetch(`/api/validate-invite?token=${encodeURIComponent(token)}`);
                 const payload = await resp.json().catch(() => null);
-                if (!resp.ok || !payload?.valid || !payload?.team?.id) {
-                    setError('This invitation link is invalid or has expired.');
+                if (!resp.ok || !payload?.valid || !payload?.invitation) {
+                    setError(INVITE_ERROR_MESSAGES[payload?.error] || 'This invitation link is invalid or has expired.');
                     return;
                 }
-                setTeam({ id: payload.team.id, name: payload.team.name } as Team);
+                setInvite(payload.invitation as InviteDetails);
+                if (payload.invitation.email) setEmail(payload.invitation.email);
             } catch (err) {
                 setError('Failed to validate invitation link.');
             } finally {
@@ -41,25 +61,27 @@ const InvitePage: React.FC = () => {
         };
 
         validateInvite();
-    }, [teamId]);
+    }, [token]);
 
     const handleSignUp = async (e: React.FormEvent) => {
         e.preventDefault();
-        if (!teamId) return;
+        if (!token) return;
 
         setLoading(true);
         setError(null);
         try {
-            await signUpWithInvite(email, password, displayName, teamId);
+            await signUpWithInvite(email, password, displayName, token);
             navigate('/dashboard');
         } catch (err) {
-            const authError = err as AuthError;
-            setError(authError.message);
+            const message = (err as Error).message;
+            setError(INVITE_ERROR_MESSAGES[message] || 'Could not accept the invitation. Please try again.');
         } finally {
             setLoading(false);
         }
     };
 
+    const teamNames = invite?.teams.map((t) => t.name).join(', ') || '';
+
     if (isValidating) {
         return (
             <div className="flex items-center justify-center min-h-screen text-white">
@@ -72,13 +94,14 @@ const InvitePage: React.FC = () => {
         <div className="flex flex-col items-center justify-center px-6 py-8 mx-auto md:h-screen lg:py-0">
             <div className="w-full bg-white rounded-lg shadow-xl dark:border md:mt-0 sm:max-w-md xl:p-0 dark:bg-gray-800 dark:border-gray-700">
                 <div className="p-6 space-y-4 md:space-y-6 sm:p-8">
-                    {team ? (
+                    {invite ? (
                         <>
                             <h1 className="text-xl font-bold leading-tight tracking-tight text-gray-900 md:text-2xl dark:text-white">
-                                Join Team: <span className="text-blue-500">{team.name}</span>
+                                Join Team: <span className="text-blue-500">{teamNames}</span>
                             </h1>
                             <p className="text-sm font-light text-gray-500 dark:text-gray-400">
-                                Create an account to accept your invitation.
+                                {invite.organizationName && <>You have been invited to {invite.organizationName} as {invite.roles.join(' + ')}. </>}
+                                Create an account to accept your invitation. This link expires {new Date(invite.expiresAt).toLocaleString()}.
                             </p>
                         </>
                     ) : (
@@ -89,7 +112,7 @@ const InvitePage: React.FC = () => {
 
                     {error && <p className="text-sm font-light text-red-500 dark:text-red-400">{error}</p>}
                     
-                    {team && (
+                    {invite && (
                         <form className="space-y-4 md:space-y-6" onSubmit={handleSignUp}>
                              <div>
                                 <label htmlFor="displayName" className="block mb-2 text-sm font-medium text-gray-900 dark:text-white">Your name</label>
@@ -112,6 +135,7 @@ const InvitePage: React.FC = () => {
                                     id="email"
                                     value={email}
                                     onChange={(e) => setEmail(e.target.value)}
+                                    readOnly={!!invite.email}
                                     className="bg-gray-50 border border-gray-300 text-gray-900 sm:text-sm rounded-lg focus:ring-blue-600 focus:border-blue-600 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white"
                                     placeholder="name@company.com"
                                     required
@@ -1,7 +1,7 @@
 
 import React, { useEffect, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { signIn, signInWithGoogle } from '../services/auth';
+import { discoverSso, signIn, signInWithGoogle, signInWithSso } from '../services/auth';
 import { AuthError } from 'firebase/auth';
 
 const GoogleIcon = () => (
@@ -10,6 +10,24 @@ const GoogleIcon = () => (
     </svg>
 );
 
+// Codes thrown by the sign-in blocking function arrive inside the auth error's message.
+const SSO_ERROR_MESSAGES: Record<string, string> = {
+    'sso-required': 'Your organization requires single sign-on. Use "Sign in with SSO".',
+    'sso-not-provisioned': 'Your account has not been set up yet. Ask your administrator for access.',
+    'sso-wrong-organization': 'This account belongs to a different organization.',
+    'sso-domain-not-allowed': 'Your email domain is not allowed for this organization\'s single sign-on.',
+    'sso-not-configured': 'Single sign-on is not available for this organization.',
+    'account-disabled': 'This account has been deactivated.',
+    'auth/account-exists-with-different-credential': 'An account with this email already uses a different sign-in method.',
+    'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.'
+};
+
+const describeSignInError = (err: unknown): string => {
+    const authError = err as AuthError;
+    const code = Object.keys(SSO_ERROR_MESSAGES).find((key) => authError?.code === key || authError?.message?.includes(key));
+    return code ? SSO_ERROR_MESSAGES[code] : authError?.message || 'Sign-in failed.';
+};
+
 const LoginPage: React.FC = () => {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
@@ -43,7 +61,7 @@ const LoginPage: React.FC = () => {
             if (code === 'auth/invalid-credential' || code === 'auth/wrong-password' || code === 'auth/user-not-found') {
                 setError('Wrong email or password.');
             } else {
-                setError(authError.message || 'Sign-in failed.');
+                setError(describeSignInError(authError));
             }
         } finally {
             setLoading(false);
@@ -57,8 +75,29 @@ const LoginPage: React.FC = () => {
             await signInWithGoogle();
             navigate('/dashboard');
         } catch (err) {
-            const authError = err as AuthError;
-            setError(authError.message || 'Sign-in failed.');
+            setError(describeSignInError(err));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSsoSignIn = async () => {
+        if (!email.trim()) {
+            setError('Enter your work email to sign in with SSO.');
+            return;
+        }
+        setLoading(true);
+        setError(null);
+        try {
+            const provider = await discoverSso(email);
+            if (!provider) {
+                setError('Single sign-on is not set up for this email domain.');
+                return;
+            }
+            await signInWithSso(provider, email);
+            navigate('/dashboard');
+        } catch (err) {
+            setError(describeSignInError(err));
         } finally {
             setLoading(false);
         }
@@ -129,6 +168,13 @@ const LoginPage: React.FC = () => {
                             className="w-full flex items-center justify-center text-gray-700 bg-white hover:bg-gray-100 border border-gray-300 focus:ring-4 focus:outline-none focus:ring-gray-200 font-medium rounded-lg text-sm px-5 py-2.5 dark:bg-gray-800 dark:text-white dark:border-gray-600 dark:hover:bg-gray-700 dark:focus:ring-gray-700 disabled:opacity-50">
                             <GoogleIcon /> Sign in with Google
                         </button>
+                        <button
+                            type="button"
+                            onClick={handleSsoSignIn}
+                            disabled={loading}
+                            className="w-full flex items-center justify-center text-gray-700 bg-white hover:bg-gray-100 border border-gray-300 focus:ring-4 focus:outline-none focus:ring-gray-200 font-medium rounded-lg text-sm px-5 py-2.5 dark:bg-gray-800 dark:text-white dark:border-gray-600 dark:hover:bg-gray-700 dark:focus:ring-gray-700 disabled:opacity-50">
+                            Sign in with SSO
+                        </button>
                         <p className="text-sm font-light text-gray-500 dark:text-gray-400">
                             Need an admin account? <Link to="/signup"
                                                              className="font-medium text-blue-600 hover:underline dark:text-blue-500">Create Admin Account</Link>
@@ -0,0 +1,140 @@
+import admin from 'firebase-admin';
+import fs from 'fs';
+import path from 'path';
+
+// Keep in sync with MEMBER_SETTINGS_FIELDS in utils/settingsLayers.ts. Saving settings in the
+// dashboard rewrites memberSettings/{docId}; this seeds it, and desktopCredentials/{docId}, for
+// organizations nobody has saved since.
+const MEMBER_SETTINGS_FIELDS = [
+  'autoClockOutEnabled',
+  'idleTimeout',
+  'autoClockGraceMinutes',
+  'uploadToDropbox',
+  'uploadToGoogleSheets',
+  'uploadToHttp',
+  'httpUploadFfmpegRepairEnabled',
+  'recordingMode',
+  'requireLoginOnBoot',
+  'autoUpload',
+  'showRecordingNotification',
+  'manualBreakTimeoutMinutes',
+  'allowRecording',
+  'recordingQuality',
+  'recordingFps',
+  'recordingSegmentMinutes',
+  'recordingRetentionDays',
+  'recordingEncryptionKeyId',
+  'recordingEncryptionPublicKey',
+  'desktopDebugMachines',
+  'organizationTimezone',
+  'showLiveTeamStatusToAgents',
+  'enableAppTracking',
+  'appTrackingIntervalSeconds',
+  'idleAvoidEnabled',
+  'idleAvoidDurationSeconds',
+  'appCategoryRules',
+  'redFlagCategories',
+  'payrollRules',
+  'leavePolicy',
+  'breakReasons',
+  'settingsVersion'
+];
+
+// Keep in sync with DESKTOP_CREDENTIAL_FIELDS in functions/src/index.ts, whose
+// syncDesktopCredentials trigger rewrites desktopCredentials/{docId} on every settings write.
+const DESKTOP_CREDENTIAL_FIELDS = [
+  'dropboxToken',
+  'dropboxRefreshToken',
+  'dropboxAccessToken',
+  'dropboxTokenExpiry',
+  'dropboxAppKey',
+  'dropboxAppSecret',
+  'dropboxFolder',
+  'httpUploadUrl',
+  'httpUploadToken',
+  'googleServiceAccountJson',
+  'googleSpreadsheetId',
+  'googleSpreadsheetTabName',
+  'googleDriveFolderId'
+];
+
+function parseArgs(argv) {
+  const args = {};
+  for (const item of argv.slice(2)) {
+    const [k, ...rest] = item.split('=');
+    const key = k.replace(/^--/, '');
+    const value = rest.length ? rest.join('=') : true;
+    args[key] = value;
+  }
+  return args;
+}
+
+function loadServiceAccount() {
+  const inlineJson = process.env.FIREBASE_SERVICE_ACCOUNT_JSON || process.env.FIREBASE_ADMIN_SDK_JSON;
+  if (inlineJson) {
+    const parsed = JSON.parse(inlineJson);
+    if (typeof parsed.private_key === 'string') {
+      parsed.private_key = parsed.private_key.replace(/\\n/g, '\n');
+    }
+    return parsed;
+  }
+
+  const explicitPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH
+    || process.env.FIREBASE_ADMIN_SDK_PATH
+    || process.env.FIREBASE_KEY_PATH
+    || path.join(process.cwd(), 'firebase-service-account.json');
+
+  if (!fs.existsSync(explicitPath)) {
+    throw new Error(
+      `Set FIREBASE_SERVICE_ACCOUNT_PATH (or FIREBASE_SERVICE_ACCOUNT_JSON) before running. Checked: ${explicitPath}`
+    );
+  }
+
+  return JSON.parse(fs.readFileSync(explicitPath, 'utf8'));
+}
+
+function pickFields(settings, fields) {
+  const picked = {};
+  for (const key of fields) {
+    if (settings[key] !== undefined) picked[key] = settings[key];
+  }
+  return picked;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const apply = args.apply === true || args.apply === 'true';
+
+  const serviceAccount = loadServiceAccount();
+  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  const db = admin.firestore();
+
+  console.log('[backfill-member-settings] Starting', { apply });
+
+  const snap = await db.collection('adminSettings').get();
+  let written = 0;
+  const targets = [
+    { collection: 'memberSettings', fields: MEMBER_SETTINGS_FIELDS },
+    { collection: 'desktopCredentials', fields: DESKTOP_CREDENTIAL_FIELDS }
+  ];
+  for (const settingsDoc of snap.docs) {
+    for (const target of targets) {
+      const ref = db.collection(target.collection).doc(settingsDoc.id);
+      const existing = await ref.get();
+      if (existing.exists) continue;
+      written += 1;
+      console.log('[backfill-member-settings] Missing', { collection: target.collection, docId: settingsDoc.id });
+      if (apply) await ref.set(pickFields(settingsDoc.data() || {}, target.fields));
+    }
+  }
+
+  console.log('[backfill-member-settings] Done', { scanned: snap.size, written, apply });
+  if (!apply) {
+    console.log('Dry-run only. Re-run with --apply to write changes.');
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,118 @@
+import admin from 'firebase-admin';
+import fs from 'fs';
+import path from 'path';
+
+// Collections that org-scoped dashboards query with `where('orgId', '==', ...)`. Documents written
+// before organizations existed have no orgId and are invisible to those queries until stamped.
+const COLLECTIONS = [
+  'users',
+  'teams',
+  'worklogs',
+  'agentStatus',
+  'recordingLogs',
+  'appActivity',
+  'appAlerts',
+  'auditLogs',
+  'adminSettingsHistory',
+  'holidays',
+  'shiftTemplates'
+];
+
+function parseArgs(argv) {
+  const args = {};
+  for (const item of argv.slice(2)) {
+    const [k, ...rest] = item.split('=');
+    const key = k.replace(/^--/, '');
+    const value = rest.length ? rest.join('=') : true;
+    args[key] = value;
+  }
+  return args;
+}
+
+function loadServiceAccount() {
+  const inlineJson = process.env.FIREBASE_SERVICE_ACCOUNT_JSON || process.env.FIREBASE_ADMIN_SDK_JSON;
+  if (inlineJson) {
+    const parsed = JSON.parse(inlineJson);
+    if (typeof parsed.private_key === 'string') {
+      parsed.private_key = parsed.private_key.replace(/\\n/g, '\n');
+    }
+    return parsed;
+  }
+
+  const explicitPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH
+    || process.env.FIREBASE_ADMIN_SDK_PATH
+    || process.env.FIREBASE_KEY_PATH
+    || path.join(process.cwd(), 'firebase-service-account.json');
+
+  if (!fs.existsSync(explicitPath)) {
+    throw new Error(
+      `Set FIREBASE_SERVICE_ACCOUNT_PATH (or FIREBASE_SERVICE_ACCOUNT_JSON) before running. Checked: ${explicitPath}`
+    );
+  }
+
+  return JSON.parse(fs.readFileSync(explicitPath, 'utf8'));
+}
+
+async function backfillCollection(db, name, { apply, batchSize }) {
+  const query = db.collection(name).orderBy(admin.firestore.FieldPath.documentId());
+  let scanned = 0;
+  let updated = 0;
+  let lastDoc = null;
+
+  while (true) {
+    let page = query;
+    if (lastDoc) page = page.startAfter(lastDoc);
+    const snap = await page.limit(batchSize).get();
+    if (snap.empty) break;
+
+    const batch = db.batch();
+    let batchWrites = 0;
+    for (const docSnap of snap.docs) {
+      scanned += 1;
+      const orgId = docSnap.get('orgId');
+      if (typeof orgId === 'string' && orgId) continue;
+      batchWrites += 1;
+      updated += 1;
+      if (apply) batch.update(docSnap.ref, { orgId: 'default' });
+    }
+
+    if (apply && batchWrites > 0) {
+      await batch.commit();
+    }
+    lastDoc = snap.docs[snap.docs.length - 1];
+  }
+
+  return { scanned, updated };
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const apply = args.apply === true || args.apply === 'true';
+  const batchSize = args.batchSize ? Number(args.batchSize) : 400;
+  const only = typeof args.collection === 'string' ? args.collection : null;
+
+  if (only && !COLLECTIONS.includes(only)) {
+    throw new Error(`Usage: node scripts/backfill-orgId.js [--collection=${COLLECTIONS.join('|')}] [--apply] [--batchSize=N]`);
+  }
+
+  const serviceAccount = loadServiceAccount();
+  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  const db = admin.firestore();
+
+  console.log('[backfill-orgId] Starting', { collection: only || undefined, apply, batchSize });
+
+  for (const name of only ? [only] : COLLECTIONS) {
+    const result = await backfillCollection(db, name, { apply, batchSize });
+    console.log('[backfill-orgId] Collection', { name, ...result });
+  }
+
+  console.log('[backfill-orgId] Done', { apply });
+  if (!apply) {
+    console.log('Dry-run only. Re-run with --apply to write changes.');
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
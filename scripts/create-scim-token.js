@@ -0,0 +1,98 @@
+import admin from 'firebase-admin';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Issues (or revokes) the bearer token an identity provider uses against /scim/v2 for one
+// organization. Only the SHA-256 of the token is stored, so it is printed exactly once.
+
+function parseArgs(argv) {
+  const args = {};
+  for (const item of argv.slice(2)) {
+    const [k, ...rest] = item.split('=');
+    const key = k.replace(/^--/, '');
+    const value = rest.length ? rest.join('=') : true;
+    args[key] = value;
+  }
+  return args;
+}
+
+function loadServiceAccount() {
+  const inlineJson = process.env.FIREBASE_SERVICE_ACCOUNT_JSON || process.env.FIREBASE_ADMIN_SDK_JSON;
+  if (inlineJson) {
+    const parsed = JSON.parse(inlineJson);
+    if (typeof parsed.private_key === 'string') {
+      parsed.private_key = parsed.private_key.replace(/\\n/g, '\n');
+    }
+    return parsed;
+  }
+
+  const explicitPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH
+    || process.env.FIREBASE_ADMIN_SDK_PATH
+    || process.env.FIREBASE_KEY_PATH
+    || path.join(process.cwd(), 'firebase-service-account.json');
+
+  if (!fs.existsSync(explicitPath)) {
+    throw new Error(
+      `Set FIREBASE_SERVICE_ACCOUNT_PATH (or FIREBASE_SERVICE_ACCOUNT_JSON) before running. Checked: ${explicitPath}`
+    );
+  }
+
+  return JSON.parse(fs.readFileSync(explicitPath, 'utf8'));
+}
+
+function initializeAdmin() {
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || process.env.FIREBASE_PROJECT_ID || 'demo-emulator' });
+  } else {
+    admin.initializeApp({ credential: admin.credential.cert(loadServiceAccount()) });
+  }
+  return admin.firestore();
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const apply = args.apply === true || args.apply === 'true';
+  const orgId = typeof args.org === 'string' ? args.org : null;
+  const revoke = typeof args.revoke === 'string' ? args.revoke : null;
+  const label = typeof args.label === 'string' ? args.label : 'directory';
+
+  if (!orgId && !revoke) {
+    throw new Error('Usage: node scripts/create-scim-token.js --org=<orgId> [--label=okta] [--apply]\n       node scripts/create-scim-token.js --revoke=<tokenHash> [--apply]');
+  }
+
+  const db = initializeAdmin();
+
+  if (revoke) {
+    const ref = db.collection('scimTokens').doc(revoke);
+    const snap = await ref.get();
+    if (!snap.exists) throw new Error(`No SCIM token with hash ${revoke}`);
+    console.log('[create-scim-token] Revoking', { tokenHash: revoke, orgId: snap.get('orgId'), label: snap.get('label'), apply });
+    if (apply) await ref.update({ revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+  } else {
+    const org = await db.collection('organizations').doc(orgId).get();
+    if (!org.exists && orgId !== 'default') throw new Error(`Organization ${orgId} does not exist`);
+
+    const token = `scim_${crypto.randomBytes(32).toString('base64url')}`;
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    console.log('[create-scim-token] Token', { orgId, label, tokenHash, apply });
+    if (apply) {
+      await db.collection('scimTokens').doc(tokenHash).set({
+        orgId,
+        label,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        revokedAt: null
+      });
+      console.log(`\nBearer token (shown once, store it in your identity provider):\n${token}\n`);
+    }
+  }
+
+  if (!apply) {
+    console.log('Dry-run only. Re-run with --apply to write changes.');
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -12,6 +12,9 @@ const pump = promisify(pipeline);
 const PORT = Number(process.env.RECORDING_RECEIVER_PORT || 5055);
 const BASE_DIR = process.env.RECORDING_RECEIVER_PATH || 'D:\\Recordings';
 const TOKEN = process.env.RECORDING_RECEIVER_TOKEN || '';
+// Folder of `<keyId>.pem` organization private keys, exported from the dashboard, for playing
+// encrypted recordings. Without it encrypted files are only ever served as stored.
+const KEYS_DIR = process.env.RECORDING_RECEIVER_KEYS_PATH || '';
 
 const sanitizeSegment = (value, fallback = 'unknown') => {
   const clean = String(value || '')
@@ -46,8 +49,8 @@ const sendJson = (res, status, payload) => {
     'Content-Length': Buffer.byteLength(body)
     ,
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-    'Access-Control-Allow-Headers': 'Authorization,Content-Type'
+    'Access-Control-Allow-Methods': 'GET,HEAD,POST,PUT,DELETE,OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization,Content-Type,Range,x-upload-offset,x-chunk-md5'
   });
   res.end(body);
 };
@@ -292,14 +295,14 @@ async function mergeSegments(segmentPaths, outputPath) {
 // Extract timestamp from filename: recording-Screen_1-1737829123456.webm → 1737829123456
 function extractTimestamp(filename) {
   // Match 13-digit timestamp before .webm extension
-  const match = filename.match(/(\d{13})\.webm$/);
+  const match = filename.match(/(\d{13})\.webm(?:\.enc)?$/);
   return match ? parseInt(match[1], 10) : 0;
 }
 
 // Extract screen identifier from filename
 function extractScreenId(filename) {
   const base = filename
-    .replace(/\.webm$/i, '')
+    .replace(/\.webm(?:\.enc)?$/i, '')
     .replace(/-\d{13}$/i, '')
     .replace(/^recording-?/i, '');
 
@@ -401,19 +404,584 @@ function groupSegmentsByScreen(segments) {
 }
 
 
+// ---------- FILE SERVING ----------
+
+// Signed links let a browser <video> element (which cannot send an Authorization header) fetch a
+// file: sig = hex HMAC-SHA256 of "<relative path>:<expires>" keyed with RECORDING_RECEIVER_TOKEN,
+// where <relative path> is the decoded path under /files and <expires> is in Unix seconds.
+const DEFAULT_LINK_TTL_SECONDS = 15 * 60;
+const MAX_LINK_TTL_SECONDS = 6 * 60 * 60;
+
+const MIME_TYPES = {
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+  '.mkv': 'video/x-matroska',
+  '.json': 'application/json'
+};
+
+const signFilePath = (relativePath, expires) => crypto
+  .createHmac('sha256', TOKEN)
+  .update(`${relativePath}:${expires}`)
+  .digest('hex');
+
+const hasValidSignature = (relativePath, url) => {
+  const expires = Number(url.searchParams.get('expires'));
+  const sig = String(url.searchParams.get('sig') || '');
+  if (!TOKEN || !sig || !Number.isFinite(expires) || expires * 1000 < Date.now()) return false;
+  const expected = Buffer.from(signFilePath(relativePath, expires));
+  const given = Buffer.from(sig);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const hasBearerToken = (req) => !TOKEN || (req.headers.authorization || '') === `Bearer ${TOKEN}`;
+
+// Reading and deleting recordings is never open: without RECORDING_RECEIVER_TOKEN these routes refuse
+// every request instead of falling back to the anonymous access uploads still allow.
+const hasConfiguredBearerToken = (req) => Boolean(TOKEN) && hasBearerToken(req);
+
+// Maps "/files/<agent>/<date>/<file>" to a path inside BASE_DIR; null for anything that escapes it.
+const resolveFilesPath = (pathname) => {
+  let parts;
+  try {
+    parts = pathname.replace(/^\/files\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (_) {
+    return null;
+  }
+  // Dot entries (such as the .uploads session folder) are never served.
+  if (parts.some(part => part.startsWith('.') || /[\\/:*?"<>|]/.test(part))) return null;
+  const root = path.resolve(BASE_DIR);
+  const absolute = path.resolve(root, ...parts);
+  if (absolute !== root && !absolute.startsWith(root + path.sep)) return null;
+  return { relativePath: parts.join('/'), absolute };
+};
+
+const parseRangeHeader = (header, size) => {
+  const match = String(header || '').match(/^bytes=(\d*)-(\d*)$/);
+  // Missing, multi-range or malformed headers get the whole file, as RFC 9110 allows.
+  if (!match || (!match[1] && !match[2])) return null;
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start > end || start >= size) return { unsatisfiable: true };
+  return { start, end };
+};
+
+// ---------- ENCRYPTED RECORDINGS ----------
+
+// Format written by the desktop app (see utils/recordingCrypto.ts): "RECENC01", a uint32 BE header
+// length, the JSON header, then AES-256-GCM chunks of header.chunkSize plaintext bytes plus a
+// 16-byte tag, each sealed with IV = noncePrefix || uint32 BE index and the header as AAD.
+const ENCRYPTION_MAGIC = Buffer.from('RECENC01');
+const GCM_TAG_BYTES = 16;
+const privateKeyCache = new Map();
+
+const isEncryptedName = (name) => /\.enc$/i.test(name);
+
+function loadPrivateKey(keyId) {
+  if (!KEYS_DIR || !/^[A-Za-z0-9_-]+$/.test(String(keyId || ''))) return null;
+  if (privateKeyCache.has(keyId)) return privateKeyCache.get(keyId);
+  let key = null;
+  try {
+    key = crypto.createPrivateKey(fs.readFileSync(path.join(KEYS_DIR, `${keyId}.pem`), 'utf8'));
+  } catch (_) { }
+  // Misses are not cached so a key dropped into the folder is picked up without a restart.
+  if (key) privateKeyCache.set(keyId, key);
+  return key;
+}
+
+async function readEncryptedHeader(filePath) {
+  let fh = null;
+  try {
+    fh = await fs.promises.open(filePath, 'r');
+    const prefix = Buffer.alloc(12);
+    await fh.read(prefix, 0, 12, 0);
+    if (!prefix.subarray(0, 8).equals(ENCRYPTION_MAGIC)) return null;
+    const headerLength = prefix.readUInt32BE(8);
+    if (headerLength > 64 * 1024) return null;
+    const headerBytes = Buffer.alloc(headerLength);
+    await fh.read(headerBytes, 0, headerLength, 12);
+    return { header: JSON.parse(headerBytes.toString('utf8')), headerBytes, dataOffset: 12 + headerLength };
+  } catch (_) {
+    return null;
+  } finally {
+    if (fh) {
+      try { await fh.close(); } catch (_) { }
+    }
+  }
+}
+
+// Decrypts only the chunks covering [start, end] of the plaintext and writes that slice to `res`.
+async function writeDecryptedRange(res, filePath, encrypted, privateKey, start, end) {
+  const { header, headerBytes, dataOffset } = encrypted;
+  const chunkSize = header.chunkSize;
+  const fileKey = crypto.privateDecrypt(
+    { key: privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+    Buffer.from(header.wrappedKey, 'base64')
+  );
+  const noncePrefix = Buffer.from(header.noncePrefix, 'base64');
+  const fh = await fs.promises.open(filePath, 'r');
+  try {
+    for (let index = Math.floor(start / chunkSize); index <= Math.floor(end / chunkSize); index++) {
+      if (res.destroyed) return;
+      const plainStart = index * chunkSize;
+      const plainLength = Math.min(chunkSize, header.plainSize - plainStart);
+      const sealed = Buffer.alloc(plainLength + GCM_TAG_BYTES);
+      await fh.read(sealed, 0, sealed.length, dataOffset + index * (chunkSize + GCM_TAG_BYTES));
+      const iv = Buffer.alloc(12);
+      noncePrefix.copy(iv, 0, 0, 8);
+      iv.writeUInt32BE(index, 8);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', fileKey, iv);
+      decipher.setAAD(headerBytes);
+      decipher.setAuthTag(sealed.subarray(plainLength));
+      const plain = Buffer.concat([decipher.update(sealed.subarray(0, plainLength)), decipher.final()]);
+      const slice = plain.subarray(Math.max(0, start - plainStart), Math.min(plainLength, end - plainStart + 1));
+      if (!res.write(slice)) {
+        await new Promise((resolve) => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    }
+    res.end();
+  } finally {
+    await fh.close().catch(() => { });
+  }
+}
+
+async function listDirectory(absolute) {
+  const entries = await fs.promises.readdir(absolute, { withFileTypes: true });
+  const items = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    if (entry.isDirectory()) {
+      items.push({ name: entry.name, type: 'directory' });
+    } else if (entry.isFile()) {
+      const filePath = path.join(absolute, entry.name);
+      const stats = await fs.promises.stat(filePath);
+      const encrypted = isEncryptedName(entry.name) ? await readEncryptedHeader(filePath) : null;
+      items.push({
+        name: entry.name,
+        type: 'file',
+        size: stats.size,
+        modifiedAt: stats.mtime.toISOString(),
+        timestamp: extractTimestamp(entry.name) || null,
+        screenId: /\.webm(\.enc)?$/i.test(entry.name) ? extractScreenId(entry.name) : null,
+        ...(isEncryptedName(entry.name) ? {
+          encrypted: true,
+          keyId: encrypted?.header?.keyId || null,
+          decryptable: Boolean(encrypted && loadPrivateKey(encrypted.header.keyId))
+        } : {})
+      });
+    }
+  }
+  return items.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// GET|HEAD /files/<agent>/<date>/<file>: streams a recording, honouring Range requests. Encrypted
+// files are decrypted on the fly when their key is in RECORDING_RECEIVER_KEYS_PATH (?raw=1 opts out).
+// GET /files, /files/<agent> and /files/<agent>/<date>: JSON directory listings.
+// Bearer token or a signed link (?expires=&sig=) for the exact path is required.
+async function handleFilesRequest(req, res, url) {
+  const resolved = resolveFilesPath(url.pathname);
+  if (!resolved) {
+    sendJson(res, 400, { error: 'invalid-path' });
+    return;
+  }
+  if (!TOKEN) {
+    sendJson(res, 403, { error: 'token-not-configured' });
+    return;
+  }
+  if (!hasConfiguredBearerToken(req) && !hasValidSignature(resolved.relativePath, url)) {
+    sendJson(res, 401, { error: 'unauthorized' });
+    return;
+  }
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(resolved.absolute);
+  } catch (_) {
+    sendJson(res, 404, { error: 'not-found', path: resolved.relativePath });
+    return;
+  }
+
+  if (stats.isDirectory()) {
+    const entries = await listDirectory(resolved.absolute);
+    sendJson(res, 200, { success: true, path: resolved.relativePath, entries });
+    return;
+  }
+
+  const encrypted = isEncryptedName(resolved.absolute) && url.searchParams.get('raw') !== '1'
+    ? await readEncryptedHeader(resolved.absolute)
+    : null;
+  const privateKey = encrypted ? loadPrivateKey(encrypted.header.keyId) : null;
+  const decrypting = Boolean(encrypted && privateKey);
+
+  const size = decrypting ? encrypted.header.plainSize : stats.size;
+  const range = parseRangeHeader(req.headers.range, size);
+  const contentType = decrypting
+    ? 'video/webm'
+    : MIME_TYPES[path.extname(resolved.absolute).toLowerCase()] || 'application/octet-stream';
+  const headers = {
+    'Accept-Ranges': 'bytes',
+    'Content-Type': contentType,
+    'Cache-Control': 'private, max-age=300',
+    'Last-Modified': stats.mtime.toUTCString(),
+    'Access-Control-Expose-Headers': 'Accept-Ranges,Content-Length,Content-Range'
+  };
+
+  if (range?.unsatisfiable) {
+    res.writeHead(416, { ...headers, 'Content-Range': `bytes */${size}` });
+    res.end();
+    return;
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+  res.writeHead(range ? 206 : 200, {
+    ...headers,
+    'Content-Length': size ? end - start + 1 : 0,
+    ...(range ? { 'Content-Range': `bytes ${start}-${end}/${size}` } : {})
+  });
+  if (req.method === 'HEAD' || !size) {
+    res.end();
+    return;
+  }
+
+  try {
+    if (decrypting) {
+      await writeDecryptedRange(res, resolved.absolute, encrypted, privateKey, start, end);
+    } else {
+      await pump(fs.createReadStream(resolved.absolute, { start, end }), res);
+    }
+  } catch (err) {
+    // Players abort requests whenever they seek; only log real read failures.
+    if (err?.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`[recording-receiver] Failed to stream ${resolved.relativePath}:`, err.message);
+    }
+    // The headers are already out, so a short body is the only signal left; drop the connection
+    // instead of leaving the player waiting on bytes that will never come.
+    res.destroy(err);
+  }
+}
+
+// ---------- RESUMABLE UPLOADS ----------
+
+// Protocol (all calls need the bearer token):
+//   POST   /uploads                  JSON { agentName, fileName, isoDate, size, md5, repair } -> { uploadId, offset, chunkSize }
+//   GET    /uploads/<id>             -> { uploadId, offset, size }
+//   PUT    /uploads/<id>             raw bytes, headers x-upload-offset and optional x-chunk-md5 -> { offset }
+//   POST   /uploads/<id>/finalize    verifies size and md5, moves the file into place -> same reply as a plain upload
+//   DELETE /uploads/<id>             abandons the session
+// The id is derived from the agent, date, file name, size and md5, so a client that restarts
+// simply creates the session again and continues from the returned offset.
+const UPLOAD_SESSIONS_DIR = process.env.RECORDING_RECEIVER_UPLOADS_PATH || path.join(BASE_DIR, '.uploads');
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_UPLOAD_CHUNK_SIZE = 64 * 1024 * 1024;
+const UPLOAD_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const busyUploadSessions = new Set();
+
+const uploadSessionPaths = (uploadId) => ({
+  metaPath: path.join(UPLOAD_SESSIONS_DIR, `${uploadId}.json`),
+  partPath: path.join(UPLOAD_SESSIONS_DIR, `${uploadId}.part`)
+});
+
+async function readRequestBody(req, limit) {
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of req) {
+    total += chunk.length;
+    if (total > limit) {
+      const error = new Error('chunk-too-large');
+      error.status = 413;
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function readUploadSession(uploadId) {
+  const { metaPath, partPath } = uploadSessionPaths(uploadId);
+  try {
+    const meta = JSON.parse(await fs.promises.readFile(metaPath, 'utf8'));
+    const stats = await fs.promises.stat(partPath).catch(() => null);
+    return { ...meta, offset: stats ? stats.size : 0 };
+  } catch (_) {
+    return null;
+  }
+}
+
+async function md5OfFile(filePath) {
+  const hash = crypto.createHash('md5');
+  await pump(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+function scheduleDurationFix(targetPath, fileName, shouldRepairWithFfmpeg) {
+  // Encrypted segments are opaque here; they can only be repaired after decryption.
+  if (isEncryptedName(fileName)) return;
+  // Fix WebM duration metadata (runs async, doesn't block response)
+  if (shouldRepairWithFfmpeg) {
+    fixWebmDurationWithFfmpeg(targetPath).catch(err => {
+      console.error(`[recording-receiver] FFmpeg fix failed for ${fileName}:`, err);
+    });
+  } else {
+    console.log(`[recording-receiver] FFmpeg repair disabled for ${fileName}`);
+  }
+}
+
+async function createUploadSession(req, res) {
+  let body;
+  try {
+    body = JSON.parse((await readRequestBody(req, 64 * 1024)).toString('utf8') || '{}');
+  } catch (_) {
+    sendJson(res, 400, { success: false, error: 'invalid-json' });
+    return;
+  }
+  const size = Number(body.size);
+  const md5 = String(body.md5 || '').toLowerCase();
+  if (!body.fileName || !Number.isInteger(size) || size < 0 || !/^[a-f0-9]{32}$/.test(md5)) {
+    sendJson(res, 400, { success: false, error: 'invalid-upload-session' });
+    return;
+  }
+  const isoDate = normalizeIsoDate(body.isoDate) || new Date().toISOString().slice(0, 10);
+  const agentName = sanitizeSegment(body.agentName, 'agent');
+  const fileName = sanitizeSegment(body.fileName, `recording-${Date.now()}.webm`);
+  const uploadId = crypto.createHash('sha256')
+    .update(JSON.stringify([agentName, isoDate, fileName, size, md5]))
+    .digest('hex')
+    .slice(0, 32);
+
+  const existing = await readUploadSession(uploadId);
+  if (existing) {
+    sendJson(res, 200, { success: true, uploadId, offset: existing.offset, size, chunkSize: UPLOAD_CHUNK_SIZE, resumed: true });
+    return;
+  }
+
+  await fs.promises.mkdir(UPLOAD_SESSIONS_DIR, { recursive: true });
+  const { metaPath, partPath } = uploadSessionPaths(uploadId);
+  const meta = {
+    uploadId,
+    agentName,
+    isoDate,
+    fileName,
+    size,
+    md5,
+    repair: body.repair !== false,
+    createdAt: new Date().toISOString()
+  };
+  await fs.promises.writeFile(partPath, Buffer.alloc(0));
+  await fs.promises.writeFile(metaPath, JSON.stringify(meta));
+  console.log(`[recording-receiver] Upload session ${uploadId} created for ${fileName} (${size} bytes)`);
+  sendJson(res, 201, { success: true, uploadId, offset: 0, size, chunkSize: UPLOAD_CHUNK_SIZE, resumed: false });
+}
+
+async function appendUploadChunk(req, res, session) {
+  const offset = Number(req.headers['x-upload-offset']);
+  if (!Number.isInteger(offset) || offset !== session.offset) {
+    // The client resyncs from the returned offset, e.g. after a chunk whose reply was lost.
+    sendJson(res, 409, { success: false, error: 'offset-mismatch', offset: session.offset });
+    return;
+  }
+  const chunk = await readRequestBody(req, MAX_UPLOAD_CHUNK_SIZE);
+  if (offset + chunk.length > session.size) {
+    sendJson(res, 400, { success: false, error: 'chunk-exceeds-size', offset: session.offset });
+    return;
+  }
+  const expectedChunkHash = req.headers['x-chunk-md5'];
+  if (expectedChunkHash && crypto.createHash('md5').update(chunk).digest('hex') !== String(expectedChunkHash).toLowerCase()) {
+    sendJson(res, 400, { success: false, error: 'chunk-hash-mismatch', offset: session.offset });
+    return;
+  }
+  await fs.promises.appendFile(uploadSessionPaths(session.uploadId).partPath, chunk);
+  sendJson(res, 200, { success: true, uploadId: session.uploadId, offset: offset + chunk.length, size: session.size });
+}
+
+async function finalizeUploadSession(res, session) {
+  const { metaPath, partPath } = uploadSessionPaths(session.uploadId);
+  if (session.offset !== session.size) {
+    sendJson(res, 409, { success: false, error: 'upload-incomplete', offset: session.offset, size: session.size });
+    return;
+  }
+  const actualHash = await md5OfFile(partPath);
+  if (actualHash !== session.md5) {
+    console.error(`[recording-receiver] Hash mismatch for ${session.fileName}. Expected ${session.md5}, got ${actualHash}`);
+    // The stored bytes are unusable; drop them so the next attempt starts clean.
+    await fs.promises.rm(partPath, { force: true });
+    await fs.promises.rm(metaPath, { force: true });
+    sendJson(res, 400, { success: false, error: 'hash-mismatch', expectedHash: session.md5, actualHash });
+    return;
+  }
+
+  const { folder, targetPath } = buildTargetPath(session);
+  await fs.promises.mkdir(folder, { recursive: true });
+  try {
+    await fs.promises.rename(partPath, targetPath);
+  } catch (err) {
+    if (err?.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(partPath, targetPath);
+    await fs.promises.unlink(partPath);
+  }
+  await fs.promises.rm(metaPath, { force: true });
+  console.log(`[recording-receiver] Saved ${session.fileName} (${session.size} bytes, resumable) to ${targetPath}`);
+  scheduleDurationFix(targetPath, session.fileName, session.repair);
+
+  sendJson(res, 200, {
+    success: true,
+    path: targetPath,
+    size: session.size,
+    verified: true
+  });
+}
+
+async function handleUploadSessionRequest(req, res, url) {
+  if (!hasBearerToken(req)) {
+    sendJson(res, 401, { error: 'unauthorized' });
+    return;
+  }
+  const [, uploadId, action] = url.pathname.split('/').filter(Boolean);
+  if (!uploadId) {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'method-not-allowed' });
+      return;
+    }
+    await createUploadSession(req, res);
+    return;
+  }
+  if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+    sendJson(res, 400, { success: false, error: 'invalid-upload-id' });
+    return;
+  }
+  if (busyUploadSessions.has(uploadId)) {
+    sendJson(res, 409, { success: false, error: 'upload-busy' });
+    return;
+  }
+  busyUploadSessions.add(uploadId);
+  try {
+    const session = await readUploadSession(uploadId);
+    if (!session) {
+      sendJson(res, 404, { success: false, error: 'upload-not-found' });
+      return;
+    }
+    if (req.method === 'GET' && !action) {
+      sendJson(res, 200, { success: true, uploadId, offset: session.offset, size: session.size });
+    } else if (req.method === 'PUT' && !action) {
+      await appendUploadChunk(req, res, session);
+    } else if (req.method === 'POST' && action === 'finalize') {
+      await finalizeUploadSession(res, session);
+    } else if (req.method === 'DELETE' && !action) {
+      const { metaPath, partPath } = uploadSessionPaths(uploadId);
+      await fs.promises.rm(partPath, { force: true });
+      await fs.promises.rm(metaPath, { force: true });
+      sendJson(res, 200, { success: true, uploadId, removed: true });
+    } else {
+      sendJson(res, 405, { error: 'method-not-allowed' });
+    }
+  } catch (error) {
+    console.error(`[recording-receiver] Upload session ${uploadId} failed:`, error);
+    sendJson(res, error?.status || 500, { success: false, error: error?.message || 'upload-session-failed' });
+  } finally {
+    busyUploadSessions.delete(uploadId);
+  }
+}
+
+async function removeUploadSessionsForAgent(agentName, isoDate = null) {
+  let files;
+  try {
+    files = await fs.promises.readdir(UPLOAD_SESSIONS_DIR);
+  } catch (_) {
+    return;
+  }
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const session = await readUploadSession(file.replace(/\.json$/, ''));
+    if (!session || session.agentName !== agentName) continue;
+    if (isoDate && session.isoDate !== isoDate) continue;
+    const { metaPath, partPath } = uploadSessionPaths(session.uploadId);
+    await fs.promises.rm(partPath, { force: true });
+    await fs.promises.rm(metaPath, { force: true });
+  }
+}
+
+// Sessions a client never finished (e.g. the agent's PC was retired) are dropped after a week.
+async function cleanupStaleUploadSessions() {
+  let files;
+  try {
+    files = await fs.promises.readdir(UPLOAD_SESSIONS_DIR);
+  } catch (_) {
+    return;
+  }
+  const cutoff = Date.now() - UPLOAD_SESSION_TTL_MS;
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const uploadId = file.replace(/\.json$/, '');
+    if (busyUploadSessions.has(uploadId)) continue;
+    const { metaPath, partPath } = uploadSessionPaths(uploadId);
+    try {
+      const stats = await fs.promises.stat(fs.existsSync(partPath) ? partPath : metaPath);
+      if (stats.mtimeMs >= cutoff) continue;
+      await fs.promises.rm(partPath, { force: true });
+      await fs.promises.rm(metaPath, { force: true });
+      console.log(`[recording-receiver] Removed stale upload session ${uploadId}`);
+    } catch (_) { }
+  }
+}
+
+
 const server = http.createServer(async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Authorization,Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,HEAD,POST,PUT,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization,Content-Type,Range,x-upload-offset,x-chunk-md5');
 
   const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
   const pathname = url.pathname;
 
+  if ((req.method === 'GET' || req.method === 'HEAD') && (pathname === '/files' || pathname.startsWith('/files/'))) {
+    await handleFilesRequest(req, res, url);
+    return;
+  }
+
+  if (req.method !== 'OPTIONS' && (pathname === '/uploads' || pathname.startsWith('/uploads/'))) {
+    await handleUploadSessionRequest(req, res, url);
+    return;
+  }
+
   // GET Endpoints
   if (req.method === 'GET') {
     // Health check: GET /
     if (pathname === '/' || pathname === '/health') {
-      sendJson(res, 200, { ok: true, message: 'Recording receiver running.', ffmpeg: FFMPEG_PATH });
+      sendJson(res, 200, { ok: true, message: 'Recording receiver running.', ffmpeg: FFMPEG_PATH, resumableUploads: true });
+      return;
+    }
+
+    // Signed link: GET /sign?path=AGENT/DATE/FILE&ttl=SECONDS -> { url, expiresAt }
+    if (pathname === '/sign') {
+      if (!TOKEN) {
+        sendJson(res, 400, { success: false, error: 'token-not-configured' });
+        return;
+      }
+      if (!hasBearerToken(req)) {
+        sendJson(res, 401, { error: 'unauthorized' });
+        return;
+      }
+      const resolved = resolveFilesPath(`/files/${url.searchParams.get('path') || ''}`);
+      if (!resolved || !resolved.relativePath) {
+        sendJson(res, 400, { success: false, error: 'invalid-path' });
+        return;
+      }
+      const ttl = Math.min(MAX_LINK_TTL_SECONDS, Math.max(1, Number(url.searchParams.get('ttl')) || DEFAULT_LINK_TTL_SECONDS));
+      const expires = Math.floor(Date.now() / 1000) + ttl;
+      const filePath = resolved.relativePath.split('/').map(encodeURIComponent).join('/');
+      const query = new URLSearchParams({ expires: String(expires), sig: signFilePath(resolved.relativePath, expires) });
+      sendJson(res, 200, {
+        success: true,
+        url: `/files/${filePath}?${query.toString()}`,
+        expiresAt: new Date(expires * 1000).toISOString()
+      });
       return;
     }
 
@@ -674,13 +1242,54 @@ const server = http.createServer(async (req, res) => {
   if (req.method === 'OPTIONS') {
     res.writeHead(204, {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-      'Access-Control-Allow-Headers': 'Authorization,Content-Type'
+      'Access-Control-Allow-Methods': 'GET,HEAD,POST,PUT,DELETE,OPTIONS',
+      'Access-Control-Allow-Headers': 'Authorization,Content-Type,Range,x-upload-offset,x-chunk-md5'
     });
     res.end();
     return;
   }
 
+  // Purge an agent's recordings: DELETE /agent?agent=NAME (used by the account hard-delete job),
+  // or one day of them: DELETE /agent?agent=NAME&date=YYYY-MM-DD (used by the retention job)
+  if (req.method === 'DELETE') {
+    if (!TOKEN) {
+      sendJson(res, 403, { error: 'token-not-configured' });
+      return;
+    }
+    if (!hasConfiguredBearerToken(req)) {
+      sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+    if (pathname !== '/agent') {
+      sendJson(res, 404, { error: 'not-found' });
+      return;
+    }
+    const agent = url.searchParams.get('agent');
+    const folder = path.resolve(BASE_DIR, sanitizeSegment(agent, ''));
+    // Dot folders (the .uploads sessions) and the receiver's own folders are never agents.
+    const reserved = [UPLOAD_SESSIONS_DIR, KEYS_DIR].filter(Boolean).map(dir => path.resolve(dir));
+    if (
+      !agent
+      || path.dirname(folder) !== path.resolve(BASE_DIR)
+      || path.basename(folder).startsWith('.')
+      || reserved.includes(folder)
+    ) {
+      sendJson(res, 400, { success: false, error: 'invalid-agent-param' });
+      return;
+    }
+    const date = url.searchParams.get('date');
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      sendJson(res, 400, { success: false, error: 'invalid-date-param' });
+      return;
+    }
+    const target = date ? path.join(folder, date) : folder;
+    const existed = fs.existsSync(target);
+    await fs.promises.rm(target, { recursive: true, force: true });
+    await removeUploadSessionsForAgent(path.basename(folder), date);
+    sendJson(res, 200, { success: true, agent, date: date || null, removed: existed });
+    return;
+  }
+
   if (req.method !== 'POST') {
     sendJson(res, 405, { error: 'method-not-allowed' });
     return;
@@ -745,14 +1354,7 @@ const server = http.createServer(async (req, res) => {
     await fs.promises.writeFile(targetPath, fileBuffer);
     console.log(`[recording-receiver] Saved ${fileName} (${receivedSize} bytes) to ${targetPath}`);
 
-    // Fix WebM duration metadata (runs async, doesn't block response)
-    if (shouldRepairWithFfmpeg) {
-      fixWebmDurationWithFfmpeg(targetPath).catch(err => {
-        console.error(`[recording-receiver] FFmpeg fix failed for ${fileName}:`, err);
-      });
-    } else {
-      console.log(`[recording-receiver] FFmpeg repair disabled for ${fileName}`);
-    }
+    scheduleDurationFix(targetPath, fileName, shouldRepairWithFfmpeg);
 
     sendJson(res, 200, {
       success: true,
@@ -776,8 +1378,16 @@ server.keepAliveTimeout = 0;
 // Enable persistent connections
 server.keepAlive = true;
 
+setInterval(() => {
+  cleanupStaleUploadSessions().catch(() => { });
+}, 60 * 60 * 1000).unref();
+cleanupStaleUploadSessions().catch(() => { });
+
 server.listen(PORT, () => {
   console.log(`[recording-receiver] Listening on port ${PORT}`);
   console.log(`[recording-receiver] Saving to ${BASE_DIR}`);
   console.log(`[recording-receiver] Timeouts disabled (infinite)`);
+  if (!TOKEN) {
+    console.warn('[recording-receiver] RECORDING_RECEIVER_TOKEN is not set: /files, /sign and DELETE /agent are disabled');
+  }
 });
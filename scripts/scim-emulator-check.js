@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import admin from 'firebase-admin';
+import handler from '../api/scim.js';
+import { getFirebaseServices, usingEmulators } from '../api/_lib/firebaseAdmin.js';
+
+// End-to-end check of the SCIM endpoint against the Auth and Firestore emulators:
+//
+//   firebase emulators:start --only auth,firestore
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 \
+//     node scripts/scim-emulator-check.js
+//
+// It seeds a throwaway organization and token, then drives api/scim.js the way an identity
+// provider would. It refuses to run against a real project.
+
+const SCIM_USER = 'urn:ietf:params:scim:schemas:core:2.0:User';
+const SCIM_GROUP = 'urn:ietf:params:scim:schemas:core:2.0:Group';
+const PATCH_OP = 'urn:ietf:params:scim:api:messages:2.0:PatchOp';
+
+async function call(token, method, pathWithQuery, body) {
+  const [path, search = ''] = pathWithQuery.split('?');
+  const req = {
+    method,
+    url: `/scim/v2/${pathWithQuery}`,
+    query: { ...Object.fromEntries(new URLSearchParams(search)), path },
+    headers: { authorization: `Bearer ${token}`, host: 'localhost:3000' },
+    body
+  };
+  const res = {
+    statusCode: 200,
+    payload: '',
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(payload) {
+      this.payload = payload;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+  await handler(req, res);
+  return { status: res.statusCode, body: res.payload ? JSON.parse(res.payload) : null };
+}
+
+function expect(condition, message, detail) {
+  if (!condition) {
+    console.error('[scim-emulator-check] FAILED:', message, detail ?? '');
+    throw new Error(message);
+  }
+  console.log('[scim-emulator-check] ok -', message);
+}
+
+async function main() {
+  if (!usingEmulators()) {
+    throw new Error('Set FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST; this check only runs against the emulators.');
+  }
+  const { firestore: db, auth } = getFirebaseServices();
+
+  const runId = Date.now().toString(36);
+  const orgId = `scim-check-${runId}`;
+  const token = `scim_${crypto.randomBytes(32).toString('base64url')}`;
+  await db.collection('organizations').doc(orgId).set({ name: 'SCIM check', createdBy: 'scim-emulator-check' });
+  await db.collection('scimTokens').doc(crypto.createHash('sha256').update(token).digest('hex')).set({
+    orgId,
+    label: 'emulator-check',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    revokedAt: null
+  });
+
+  const unauthenticated = await call('wrong-token', 'GET', 'Users');
+  expect(unauthenticated.status === 401, 'rejects an unknown bearer token', unauthenticated);
+
+  const config = await call(token, 'GET', 'ServiceProviderConfig');
+  expect(config.status === 200 && config.body.patch.supported, 'serves ServiceProviderConfig', config);
+
+  const email = `agent-${runId}@example.com`;
+  const created = await call(token, 'POST', 'Users', {
+    schemas: [SCIM_USER],
+    userName: email,
+    name: { givenName: 'Scim', familyName: 'Agent' },
+    externalId: `ext-${runId}`,
+    active: true
+  });
+  expect(created.status === 201 && created.body.userName === email, 'creates a user', created);
+  const uid = created.body.id;
+
+  const duplicate = await call(token, 'POST', 'Users', { schemas: [SCIM_USER], userName: email });
+  expect(duplicate.status === 409 && duplicate.body.scimType === 'uniqueness', 'rejects a duplicate userName', duplicate);
+
+  const filtered = await call(token, 'GET', `Users?filter=${encodeURIComponent(`userName eq "${email}"`)}`);
+  expect(filtered.status === 200 && filtered.body.totalResults === 1, 'finds the user by userName filter', filtered);
+
+  const group = await call(token, 'POST', 'Groups', { schemas: [SCIM_GROUP], displayName: `Team ${runId}`, members: [{ value: uid }] });
+  expect(group.status === 201 && group.body.members.length === 1, 'creates a team group with the user as member', group);
+  const userDoc = (await db.collection('users').doc(uid).get()).data();
+  expect(userDoc.teamIds.includes(group.body.id) && userDoc.orgId === orgId, 'stores the team on the user profile', userDoc);
+
+  const promoted = await call(token, 'PATCH', 'Groups/role-manager', {
+    schemas: [PATCH_OP],
+    Operations: [{ op: 'add', path: 'members', value: [{ value: uid }] }]
+  });
+  expect(promoted.status === 200 && promoted.body.members.some((m) => m.value === uid), 'adds the user to the manager role group', promoted);
+  const promotedDoc = (await db.collection('users').doc(uid).get()).data();
+  expect(promotedDoc.role === 'manager' && promotedDoc.roles.includes('manager'), 'grants the manager role', promotedDoc);
+
+  const deactivated = await call(token, 'PATCH', `Users/${uid}`, {
+    schemas: [PATCH_OP],
+    Operations: [{ op: 'replace', value: { active: false } }]
+  });
+  expect(deactivated.status === 200 && deactivated.body.active === false, 'deactivates the user', deactivated);
+  expect((await auth.getUser(uid)).disabled === true, 'disables the auth account');
+  const command = (await db.collection('desktopCommands').doc(uid).get()).data();
+  expect(command?.forceLogout === true, 'sends a desktop force logout', command);
+
+  const removed = await call(token, 'DELETE', `Users/${uid}`);
+  expect(removed.status === 204, 'deprovisions the user', removed);
+  const gone = await call(token, 'GET', `Users/${uid}`);
+  expect(gone.status === 404, 'hides the deprovisioned user', gone);
+
+  const deletedGroup = await call(token, 'DELETE', `Groups/${group.body.id}`);
+  expect(deletedGroup.status === 204, 'deletes the team group', deletedGroup);
+
+  console.log('[scim-emulator-check] All checks passed', { orgId });
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
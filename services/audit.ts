@@ -0,0 +1,70 @@
+import { addDoc, collection, limit, onSnapshot, orderBy, query, serverTimestamp, where, Timestamp } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { getActiveOrgId, whereActiveOrg } from './orgContext';
+import type { AuditAction, AuditLogEntry } from '../types';
+
+// Must match the actions the auditLogs create rule accepts from the browser.
+type BrowserAuditAction = Extract<AuditAction,
+    | 'desktop.force_logout'
+    | 'desktop.recording_restart'
+    | 'desktop.reconnect'
+    | 'recording.logs_cleared'
+    | 'recording.retry_requested'
+>;
+
+interface AuditTarget {
+    uid?: string | null;
+    name?: string | null;
+}
+
+/**
+ * Appends an entry for a desktop command or recording log action taken by the signed-in user.
+ * Other audited changes are recorded by functions triggers, and the rules refuse them here.
+ * Failures are logged, not thrown: the action has already happened and must not look like it failed.
+ */
+export const recordAuditEvent = async (
+    action: BrowserAuditAction,
+    target: AuditTarget | null = null,
+    details: Record<string, unknown> = {}
+) => {
+    const actor = auth.currentUser;
+    if (!actor) return;
+    try {
+        // The security rules require the name the ID token carries, which can lag a profile edit.
+        const { claims } = await actor.getIdTokenResult();
+        const actorName = typeof claims.name === 'string'
+            ? claims.name
+            : (typeof claims.email === 'string' ? claims.email : actor.uid);
+        await addDoc(collection(db, 'auditLogs'), {
+            orgId: getActiveOrgId(),
+            action,
+            actorUid: actor.uid,
+            actorName,
+            source: 'web',
+            targetUid: target?.uid || null,
+            targetName: target?.name || null,
+            details: JSON.parse(JSON.stringify(details)),
+            createdAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error(`[recordAuditEvent] failed to record ${action}`, error);
+    }
+};
+
+export const streamAuditLog = (
+    callback: (entries: AuditLogEntry[]) => void,
+    options: { since?: Date | null; limitCount?: number } = {}
+) => {
+    const constraints = [
+        whereActiveOrg(),
+        ...(options.since ? [where('createdAt', '>=', Timestamp.fromDate(options.since))] : []),
+        orderBy('createdAt', 'desc'),
+        limit(options.limitCount || 500)
+    ];
+    return onSnapshot(query(collection(db, 'auditLogs'), ...constraints), (snapshot) => {
+        callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() } as AuditLogEntry)));
+    }, (error) => {
+        console.error('[streamAuditLog] error:', error);
+        callback([]);
+    });
+};
@@ -7,45 +7,41 @@ import {
   verifyPasswordResetCode,
   confirmPasswordReset,
   GoogleAuthProvider,
+  OAuthProvider,
+  SAMLAuthProvider,
   signInWithPopup,
   updateProfile,
   type UserCredential,
 } from 'firebase/auth';
 import { auth } from './firebase';
-import { createUserDocument, adminExists } from './db';
+import { createOrganization } from './organizations';
+import type { SsoType } from '../types';
 
-// Sign Up - for Admin
-export const signUp = async (email: string, password: string, displayName: string): Promise<UserCredential> => {
-  const isAdminExisting = await adminExists();
-  if (isAdminExisting) {
-    throw new Error("An admin account already exists. Please ask your admin for an invitation to join a team.");
-  }
-  
-  try {
-    const userCredential = await createUserWithEmailAndPassword(auth, email, password);
-    if (userCredential.user) {
-      await updateProfile(userCredential.user, { displayName });
-      await createUserDocument(userCredential.user, { displayName, role: 'admin' });
-    }
-    return userCredential;
-  } catch (error: any) {
-    if (String(error?.message || '').includes('single-admin-enforced')) {
-      throw new Error("An admin account already exists. Please ask your admin for an invitation to join a team.");
-    }
-    throw error;
-  }
-};
-
-// Sign Up with Invite - for Agents/Managers
-export const signUpWithInvite = async (email: string, password: string, displayName: string, teamId: string): Promise<UserCredential> => {
+// Sign Up - creates a new organization with the signing-up user as its admin
+export const signUp = async (email: string, password: string, displayName: string, organizationName: string): Promise<UserCredential> => {
   const userCredential = await createUserWithEmailAndPassword(auth, email, password);
   if (userCredential.user) {
     await updateProfile(userCredential.user, { displayName });
-    await createUserDocument(userCredential.user, { displayName, role: 'agent', teamId });
+    await createOrganization(userCredential.user, organizationName, displayName);
   }
   return userCredential;
 };
 
+// Sign Up with Invite - the account and profile are created server-side so each use of the
+// invitation is counted; the new user is then signed in with the password they chose.
+export const signUpWithInvite = async (email: string, password: string, displayName: string, token: string): Promise<UserCredential> => {
+  const resp = await fetch('/api/accept-invite', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token, email, password, displayName }),
+  });
+  if (!resp.ok) {
+    const payload = await resp.json().catch(() => null);
+    throw new Error(payload?.error || 'invite-failed');
+  }
+  return signInWithEmailAndPassword(auth, email, password);
+};
+
 
 // Sign In
 export const signIn = (email: string, password: string): Promise<UserCredential> => {
@@ -55,14 +51,38 @@ export const signIn = (email: string, password: string): Promise<UserCredential>
 // Google Sign-In
 const googleProvider = new GoogleAuthProvider();
 export const signInWithGoogle = async (): Promise<UserCredential> => {
-    const result = await signInWithPopup(auth, googleProvider);
-    const user = result.user;
-    // Note: This flow needs to be adapted for roles.
-    // For now, it will create a user document but without a role.
-    await createUserDocument(user, { role: 'agent' }); 
-    return result;
+    // Google accounts without a profile are not members of any organization; they join
+    // through an invitation, SSO or SCIM, which create the profile server-side.
+    return signInWithPopup(auth, googleProvider);
+};
+
+export interface SsoProviderInfo {
+  providerId: string;
+  type: SsoType;
+  displayName: string;
+  enforced: boolean;
+}
+
+// SSO discovery - finds the organization's identity provider from the email domain.
+export const discoverSso = async (email: string): Promise<SsoProviderInfo | null> => {
+  const resp = await fetch(`/api/sso-discover?email=${encodeURIComponent(email.trim())}`);
+  if (resp.status === 404) return null;
+  const payload = await resp.json().catch(() => null);
+  if (!resp.ok) throw new Error(payload?.error || 'sso-discovery-failed');
+  return payload as SsoProviderInfo;
 };
 
+// SSO Sign-In - the profile is created or updated by the sign-in blocking function, which
+// also rejects users the organization has not provisioned.
+export const signInWithSso = (provider: SsoProviderInfo, email?: string): Promise<UserCredential> => {
+  const authProvider = provider.type === 'saml'
+    ? new SAMLAuthProvider(provider.providerId)
+    : new OAuthProvider(provider.providerId);
+  if (email && authProvider instanceof OAuthProvider) {
+    authProvider.setCustomParameters({ login_hint: email.trim() });
+  }
+  return signInWithPopup(auth, authProvider);
+};
 
 // Logout
 export const logout = (): Promise<void> => {
@@ -0,0 +1,55 @@
+import { addDoc, collection, deleteDoc, doc, onSnapshot, query, serverTimestamp, updateDoc } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { getActiveOrgId, whereActiveOrg } from './orgContext';
+import { PERMISSIONS } from '../utils/permissions';
+import type { CustomRole, Permission } from '../types';
+
+export interface CustomRoleInput {
+    name: string;
+    description?: string;
+    permissions: Permission[];
+}
+
+const readInput = (input: CustomRoleInput) => {
+    const name = input.name.trim();
+    if (!name) throw new Error('missing-role-name');
+    const permissions = PERMISSIONS.filter((p) => input.permissions.includes(p));
+    if (!permissions.length) throw new Error('missing-role-permission');
+    return { name, description: input.description?.trim() || '', permissions };
+};
+
+export const streamCustomRoles = (callback: (roles: CustomRole[]) => void) => {
+    const q = query(collection(db, 'customRoles'), whereActiveOrg());
+    return onSnapshot(q, (snapshot) => {
+        const roles = snapshot.docs.map((d) => ({ id: d.id, ...d.data() } as CustomRole));
+        callback(roles.sort((a, b) => a.name.localeCompare(b.name)));
+    }, (error) => {
+        console.error('[streamCustomRoles] error:', error);
+        callback([]);
+    });
+};
+
+export const createCustomRole = async (input: CustomRoleInput): Promise<string> => {
+    const actor = auth.currentUser;
+    if (!actor) throw new Error('not-signed-in');
+    const fields = readInput(input);
+    const ref = await addDoc(collection(db, 'customRoles'), {
+        ...fields,
+        orgId: getActiveOrgId(),
+        createdBy: actor.uid,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    return ref.id;
+};
+
+/** Holders' `perms` claims are refreshed by the syncCustomRoleClaims function. */
+export const updateCustomRole = async (role: CustomRole, input: CustomRoleInput) => {
+    const fields = readInput(input);
+    await updateDoc(doc(db, 'customRoles', role.id), { ...fields, updatedAt: serverTimestamp() });
+};
+
+/** The syncCustomRoleClaims function removes the role from every user that held it. */
+export const deleteCustomRole = async (role: CustomRole) => {
+    await deleteDoc(doc(db, 'customRoles', role.id));
+};
@@ -1,16 +1,21 @@
 
-import { doc, setDoc, getDoc, serverTimestamp, collection, query, where, getDocs, addDoc, limit, updateDoc, Timestamp, arrayUnion, increment, onSnapshot, deleteDoc, deleteField, orderBy } from 'firebase/firestore';
+import { doc, setDoc, getDoc, serverTimestamp, collection, query, where, getDocs, addDoc, limit, updateDoc, Timestamp, arrayUnion, increment, onSnapshot, deleteDoc, deleteField, orderBy, runTransaction } from 'firebase/firestore';
+import type { Transaction } from 'firebase/firestore';
 import { DateTime } from 'luxon';
 import { db } from './firebase';
 import type { User as FirebaseUser } from 'firebase/auth';
-import type { UserData, Role, Team, WorkLog, MonthlySchedule, AdminSettingsType, ShiftTime, ShiftEntry, AppActivitySummary, AppAlert } from '../types';
-import { getPrimaryRole, getUserRoles } from '../utils/roles';
+import type { UserData, Role, Team, WorkLog, BreakPolicy, MonthlySchedule, AdminSettingsType, AdminSettingsVersion, ShiftTime, ShiftEntry, AppActivitySummary, AppAlert } from '../types';
+import { diffAdminSettings, ROLLBACK_PRESERVED_FIELDS, stripUndefinedFields } from '../utils/settingsHistory';
+import { toMemberSettings } from '../utils/settingsLayers';
+import { getPrimaryRole, getUserRoles, isDeactivated } from '../utils/roles';
+import { recordAuditEvent } from './audit';
+import { adminSettingsDocId, DEFAULT_ORG_ID, getActiveOrgId, orgScopedDocId, whereActiveOrg } from './orgContext';
 
 const DEFAULT_ORGANIZATION_TIMEZONE = 'Asia/Kolkata';
 
 export const readOrganizationTimezone = async (): Promise<string> => {
     try {
-        const settingsRef = doc(db, 'adminSettings', 'global');
+        const settingsRef = doc(db, 'memberSettings', adminSettingsDocId());
         const snap = await getDoc(settingsRef);
         if (snap.exists()) {
             const data = snap.data() as AdminSettingsType;
@@ -24,7 +29,7 @@ export const readOrganizationTimezone = async (): Promise<string> => {
 
 // --- User Management ---
 
-export const createUserDocument = async (userAuth: FirebaseUser, additionalData: { displayName?: string; role: Role; teamId?: string; teamIds?: string[] }) => {
+export const createUserDocument = async (userAuth: FirebaseUser, additionalData: { displayName?: string; role: Role; teamId?: string; teamIds?: string[]; orgId?: string }) => {
     if (!userAuth) return;
 
     const userDocRef = doc(db, 'users', userAuth.uid);
@@ -33,6 +38,7 @@ export const createUserDocument = async (userAuth: FirebaseUser, additionalData:
     if (!snapshot.exists()) {
         const { email } = userAuth;
         const { displayName, role, teamId } = additionalData;
+        const orgId = additionalData.orgId || DEFAULT_ORG_ID;
         const createdAt = serverTimestamp();
         const roles = getUserRoles({ role, roles: [role] as Role[] });
         const primaryRole = getPrimaryRole({ role, roles }) || role;
@@ -42,8 +48,10 @@ export const createUserDocument = async (userAuth: FirebaseUser, additionalData:
             initialTeamIds = [teamId];
         }
 
-        if (roles.includes('admin')) {
-            await assertSingleAdminConstraint(userAuth.uid);
+        // Organizations created through sign-up get their admin from createOrganization;
+        // the single-admin bootstrap guard only applies to the legacy default organization.
+        if (roles.includes('admin') && orgId === DEFAULT_ORG_ID) {
+            await assertSingleAdminConstraint(userAuth.uid, orgId);
         }
 
         await setDoc(userDocRef, {
@@ -53,13 +61,14 @@ export const createUserDocument = async (userAuth: FirebaseUser, additionalData:
             role: primaryRole,
             roles,
             teamId: teamId || null,
-            teamIds: initialTeamIds
+            teamIds: initialTeamIds,
+            orgId
         });
 
-        // Bootstrap a global admin marker on first admin creation.
-        // Security rules use this to block self-created admin profiles after initial setup.
+        // Bootstrap the organization's settings document on first admin creation.
+        // Security rules use the default organization's marker to block self-created admin profiles after initial setup.
         if (roles.includes('admin')) {
-            const adminSettingsRef = doc(db, 'adminSettings', 'global');
+            const adminSettingsRef = doc(db, 'adminSettings', adminSettingsDocId(orgId));
             await setDoc(adminSettingsRef, {
                 createdAt: serverTimestamp()
             }, { merge: true });
@@ -90,14 +99,14 @@ export const getUserDocument = async (uid: string): Promise<UserData | null> =>
     }
 };
 
-export const adminExists = async (): Promise<boolean> => {
-    const q = query(collection(db, "users"), where("role", "==", "admin"), limit(1));
+export const adminExists = async (orgId: string = getActiveOrgId()): Promise<boolean> => {
+    const q = query(collection(db, "users"), where("orgId", "==", orgId), where("role", "==", "admin"), limit(1));
     const querySnapshot = await getDocs(q);
     return !querySnapshot.empty;
 }
 
-const assertSingleAdminConstraint = async (targetUid: string) => {
-    const q = query(collection(db, "users"), where("role", "==", "admin"), limit(2));
+const assertSingleAdminConstraint = async (targetUid: string, orgId: string) => {
+    const q = query(collection(db, "users"), where("orgId", "==", orgId), where("role", "==", "admin"), limit(2));
     const querySnapshot = await getDocs(q);
     if (querySnapshot.empty) return;
     const hasDifferentAdmin = querySnapshot.docs.some((d) => d.id !== targetUid);
@@ -108,17 +117,24 @@ const assertSingleAdminConstraint = async (targetUid: string) => {
 
 export const createTeam = async (teamName: string, adminId: string): Promise<Team> => {
     const teamCollectionRef = collection(db, 'teams');
+    const orgId = getActiveOrgId();
     const newTeamDoc = await addDoc(teamCollectionRef, {
         name: teamName,
         ownerId: adminId,
+        orgId,
         createdAt: serverTimestamp(),
         settings: {
             showLiveTeamStatus: true
         }
     });
-    return { id: newTeamDoc.id, name: teamName, ownerId: adminId };
+    return { id: newTeamDoc.id, name: teamName, ownerId: adminId, orgId };
 }
 
+/** Stores the team's break policy on `teams/{teamId}.settings.breakPolicy`. */
+export const updateTeamBreakPolicy = async (teamId: string, policy: BreakPolicy) => {
+    await updateDoc(doc(db, 'teams', teamId), { 'settings.breakPolicy': policy });
+};
+
 export const getTeamById = async (teamId: string): Promise<Team | null> => {
     const teamDocRef = doc(db, 'teams', teamId);
     const docSnap = await getDoc(teamDocRef);
@@ -129,7 +145,7 @@ export const getTeamById = async (teamId: string): Promise<Team | null> => {
 }
 
 export const streamTeamsForAdmin = (_adminId: string, callback: (teams: Team[]) => void) => {
-    const q = query(collection(db, "teams"));
+    const q = query(collection(db, "teams"), whereActiveOrg());
     return onSnapshot(q, (querySnapshot) => {
         const teams = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() } as Team));
         callback(teams);
@@ -141,7 +157,7 @@ export const streamTeamsForAdmin = (_adminId: string, callback: (teams: Team[])
 
 export const getAllUsers = async (): Promise<UserData[]> => {
     const usersCollectionRef = collection(db, 'users');
-    const q = query(usersCollectionRef);
+    const q = query(usersCollectionRef, whereActiveOrg());
     const querySnapshot = await getDocs(q);
     return querySnapshot.docs.map(doc => {
         const data = doc.data();
@@ -155,7 +171,7 @@ export const getAllUsers = async (): Promise<UserData[]> => {
 
 export const streamAllUsers = (callback: (users: UserData[]) => void) => {
     const usersCollectionRef = collection(db, 'users');
-    const q = query(usersCollectionRef);
+    const q = query(usersCollectionRef, whereActiveOrg());
     return onSnapshot(q, (querySnapshot) => {
         const users = querySnapshot.docs.map(doc => {
             const data = doc.data();
@@ -198,6 +214,7 @@ export const getUsersByTeam = async (teamId: string): Promise<UserData[]> => {
     }
 }
 
+/** Live team roster; deactivated users are left out. Reports use getUsersByTeam, which keeps them. */
 export const streamUsersByTeam = (teamId: string, callback: (users: UserData[]) => void) => {
     const usersCollectionRef = collection(db, 'users');
     const qLegacy = query(usersCollectionRef, where("teamId", "==", teamId));
@@ -210,7 +227,7 @@ export const streamUsersByTeam = (teamId: string, callback: (users: UserData[])
         const merged = new Map<string, UserData>();
         legacyUsers.forEach(u => merged.set(u.uid, u));
         newUsers.forEach(u => merged.set(u.uid, u));
-        callback(Array.from(merged.values()));
+        callback(Array.from(merged.values()).filter((u) => !isDeactivated(u)));
     };
 
     const unsubLegacy = onSnapshot(qLegacy, (snap) => {
@@ -251,15 +268,10 @@ export const updateUser = async (uid: string, data: Partial<UserData>) => {
         payload.roles = nextRoles;
         payload.role = nextPrimaryRole;
     }
-    const userDocRef = doc(db, 'users', uid);
-    await updateDoc(userDocRef, payload);
+    // Role, team and custom role changes are audited by the auditUserAccessChanges function.
+    await updateDoc(doc(db, 'users', uid), payload);
 }
 
-export const deleteUserDocument = async (uid: string) => {
-    const userDocRef = doc(db, 'users', uid);
-    await deleteDoc(userDocRef);
-};
-
 // --- Time Tracking Core Logic (Rule N1) ---
 
 const getDocMillis = (d: any) => {
@@ -404,6 +416,16 @@ export const forceCloseLog = async (logId: string, endTime: Date) => {
  * 3. If active log exists AND ID != Today's ID -> It's a zombie/forgotten session. Close it.
  * 4. Create or Resume Today's Log.
  */
+const isOrganizationHoliday = async (date: string): Promise<boolean> => {
+    try {
+        const snap = await getDoc(doc(db, 'holidays', orgScopedDocId(date)));
+        return snap.exists();
+    } catch (error) {
+        console.error('Failed to check holiday calendar', error);
+        return false;
+    }
+};
+
 export const performClockIn = async (uid: string, teamId: string, userDisplayName: string) => {
     const timezone = await readOrganizationTimezone();
     const nowZoned = DateTime.now().setZone(timezone, { keepLocalTime: false });
@@ -443,6 +465,7 @@ export const performClockIn = async (uid: string, teamId: string, userDisplayNam
     let scheduledEnd: string | undefined;
     let isOvernightShift = false;
     let lateMinutes = 0;
+    const isHoliday = await isOrganizationHoliday(todayString);
 
     try {
         const monthlySchedule = await getScheduleForMonth(teamId, nowZoned.year, nowZoned.month);
@@ -457,7 +480,7 @@ export const performClockIn = async (uid: string, teamId: string, userDisplayNam
                 isOvernightShift = true;
             }
 
-            if (scheduledStart) {
+            if (scheduledStart && !isHoliday) {
                 lateMinutes = calculateLateMinutesForDateTime(scheduledStart, nowZoned, isOvernightShift);
             }
         }
@@ -472,17 +495,23 @@ export const performClockIn = async (uid: string, teamId: string, userDisplayNam
         userId: uid,
         userDisplayName,
         teamId,
+        orgId: getActiveOrgId(),
         date: todayStartTs,
         status: 'working',
         lastEventTimestamp: serverTimestamp(),
         scheduledStart: scheduledStart || null,
         scheduledEnd: scheduledEnd || null,
         isOvernightShift: isOvernightShift,
-        lateMinutes: lateMinutes
+        lateMinutes: lateMinutes,
+        isHoliday
     };
 
     // Only set start times if creating new
     const docSnap = await getDoc(newLogRef);
+    if (docSnap.exists() && docSnap.data()?.timesheetStatus === 'approved') {
+        // Approved timesheets are final; security rules reject agent writes to these logs.
+        throw new Error('timesheet-locked');
+    }
     if (!docSnap.exists()) {
         logData.startTime = serverTimestamp();
         logData.clockInTime = serverTimestamp();
@@ -728,6 +757,7 @@ export const streamTodayWorkLogs = (callback: (logs: WorkLog[]) => void, teamId?
     // Query A: Started Today (Active OR Closed)
     const qToday = query(
         logsRef,
+        whereActiveOrg(),
         where("date", ">=", startOfTodayTimestamp)
     );
 
@@ -735,6 +765,7 @@ export const streamTodayWorkLogs = (callback: (logs: WorkLog[]) => void, teamId?
     // Note: This might return docs already in qToday, we must dedupe.
     const qActive = query(
         logsRef,
+        whereActiveOrg(),
         where("status", "in", ["working", "on_break", "break"])
     );
 
@@ -805,6 +836,7 @@ export const streamWorkLogsForDate = (dateString: string, callback: (logs: WorkL
 
     const q = query(
         logsRef,
+        whereActiveOrg(),
         where("date", ">=", startTs),
         where("date", "<=", endTs)
     );
@@ -846,6 +878,24 @@ export const getWorkLogsForDateRange = async (teamId: string, startDate: Date, e
     });
 };
 
+export const getWorkLogsForUserInRange = async (uid: string, startDate: Date, endDate: Date): Promise<WorkLog[]> => {
+    const logsCollectionRef = collection(db, 'worklogs');
+    const q = query(
+        logsCollectionRef,
+        where("userId", "==", uid),
+        where("date", ">=", Timestamp.fromDate(startDate)),
+        where("date", "<=", Timestamp.fromDate(endDate))
+    );
+
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => {
+        const data = doc.data();
+        const rawStatus = data.status;
+        const normalizedStatus = rawStatus === 'break' ? 'on_break' : rawStatus;
+        return { id: doc.id, ...data, status: normalizedStatus || 'clocked_out' } as WorkLog;
+    });
+};
+
 // --- Helpers for Stale/Zombie Handling ---
 
 export const isSessionStale = (log: WorkLog): boolean => {
@@ -880,6 +930,25 @@ export const getScheduleForMonth = async (teamId: string, year: number, month: n
     return {};
 }
 
+/** Merges every monthly schedule doc touching the YYYY-MM-DD range (inclusive). */
+export const getScheduleForRange = async (teamId: string, startDate: string, endDate: string): Promise<MonthlySchedule> => {
+    const merged: MonthlySchedule = {};
+    let cursor = DateTime.fromISO(startDate).startOf('month');
+    const end = DateTime.fromISO(endDate);
+    while (cursor <= end) {
+        try {
+            const monthly = await getScheduleForMonth(teamId, cursor.year, cursor.month);
+            Object.entries(monthly).forEach(([uid, days]) => {
+                merged[uid] = { ...(merged[uid] || {}), ...days };
+            });
+        } catch (err) {
+            console.error('[getScheduleForRange] failed to load schedule', err);
+        }
+        cursor = cursor.plus({ months: 1 });
+    }
+    return merged;
+};
+
 export const streamScheduleForMonth = (teamId: string, year: number, month: number, callback: (schedule: MonthlySchedule) => void) => {
     const monthStr = `${year}-${String(month).padStart(2, '0')}`;
     const scheduleDocRef = doc(db, 'schedules', `${teamId}-${monthStr}`);
@@ -937,7 +1006,7 @@ const calculateLateMinutesForDateTime = (
     return Math.max(0, dateTime.diff(scheduledSameDay, 'minutes').minutes);
 };
 
-const computeLateMinutes = (
+export const computeLateMinutes = (
     shiftStart: string,
     clockIn: Timestamp | null | undefined,
     timezone: string,
@@ -1009,7 +1078,7 @@ const recalculateLateMinutesForSlot = async (userId: string, date: string, entry
         const overnight = computeIsOvernightShift(entry);
         updates.scheduledStart = entry.startTime;
         updates.scheduledEnd = entry.endTime ?? null;
-        updates.lateMinutes = computeLateMinutes(
+        updates.lateMinutes = logData.isHoliday ? 0 : computeLateMinutes(
             entry.startTime,
             logData.clockInTime as Timestamp | undefined,
             timezone,
@@ -1025,7 +1094,11 @@ const recalculateLateMinutesForSlot = async (userId: string, date: string, entry
     await updateDoc(logRef, updates);
 };
 
-const reconcileLateMinutesForScheduleChanges = async (previous: MonthlySchedule | undefined, next: MonthlySchedule, timezone: string) => {
+/**
+ * Re-derives late minutes and auto clock-out slots for every slot that differs between two schedules.
+ * Schedules may be partial (only the agents that changed).
+ */
+export const reconcileLateMinutesForScheduleChanges = async (previous: MonthlySchedule | undefined, next: MonthlySchedule, timezone: string) => {
     const changes = collectChangedScheduleSlots(previous, next);
     for (const change of changes) {
         await recalculateLateMinutesForSlot(change.userId, change.date, change.entry, timezone);
@@ -1049,8 +1122,8 @@ export const updateScheduleForMonth = async (
     await reconcileLateMinutesForScheduleChanges(previousData, scheduleData, timezone);
 }
 
-export const streamGlobalAdminSettings = (callback: (settings: AdminSettingsType | null) => void) => {
-    const settingsRef = doc(db, 'adminSettings', 'global');
+const streamSettingsDocument = (collectionName: string, callback: (settings: AdminSettingsType | null) => void) => {
+    const settingsRef = doc(db, collectionName, adminSettingsDocId());
     return onSnapshot(settingsRef, (docSnap) => {
         if (docSnap.exists()) {
             const data = docSnap.data() as AdminSettingsType;
@@ -1061,31 +1134,116 @@ export const streamGlobalAdminSettings = (callback: (settings: AdminSettingsType
         } else {
             callback(null);
         }
-    }, (error) => console.error("Error streaming global settings:", error));
+    }, (error) => console.error(`Error streaming ${collectionName}:`, error));
+};
+
+/**
+ * Streams the active organization's full settings document (`adminSettings/global` for the default
+ * organization), credentials included. Only the organization's admins can read it.
+ */
+export const streamGlobalAdminSettings = (callback: (settings: AdminSettingsType | null) => void) => (
+    streamSettingsDocument('adminSettings', callback)
+);
+
+/** Streams the member-readable copy of the organization's settings (see MEMBER_SETTINGS_FIELDS). */
+export const streamMemberSettings = (callback: (settings: AdminSettingsType | null) => void) => (
+    streamSettingsDocument('memberSettings', callback)
+);
+
+type SettingsActor = { uid: string; displayName?: string | null };
+
+// Writes the organization's next settings document, its member-readable copy and its history entry in the caller's transaction.
+// Returns the new version number, or null when nothing changed.
+const writeAdminSettingsVersion = (
+    tx: Transaction,
+    before: AdminSettingsType | null,
+    after: AdminSettingsType,
+    actor: SettingsActor,
+    rollbackOf: number | null = null
+): number | null => {
+    const changes = diffAdminSettings(before, after);
+    if (!changes.length) return null;
+    const version = (before?.settingsVersion || 0) + 1;
+    const next = stripUndefinedFields({ ...after, settingsVersion: version });
+    tx.set(doc(db, 'adminSettings', adminSettingsDocId()), next);
+    tx.set(doc(db, 'memberSettings', adminSettingsDocId()), toMemberSettings(next));
+    tx.set(doc(collection(db, 'adminSettingsHistory')), {
+        orgId: getActiveOrgId(),
+        version,
+        settings: next,
+        changes,
+        authorUid: actor.uid,
+        authorName: actor.displayName || actor.uid,
+        createdAt: serverTimestamp(),
+        rollbackOf
+    });
+    return version;
 };
 
-export const updateGlobalAdminSettings = async (settings: Partial<AdminSettingsType>) => {
-    const settingsRef = doc(db, 'adminSettings', 'global');
+/** Merges `settings` into the organization's settings document and records a version with the field-level diff. */
+export const updateGlobalAdminSettings = async (settings: Partial<AdminSettingsType>, actor: SettingsActor) => {
+    const settingsRef = doc(db, 'adminSettings', adminSettingsDocId());
     const payload: Partial<AdminSettingsType> = { ...settings };
     if (Object.prototype.hasOwnProperty.call(payload, 'organizationTimezone')) {
         if (!payload.organizationTimezone) {
             payload.organizationTimezone = DEFAULT_ORGANIZATION_TIMEZONE;
         }
     }
-    await setDoc(settingsRef, payload, { merge: true });
+    delete payload.settingsVersion;
+    return runTransaction(db, async (tx) => {
+        const snap = await tx.get(settingsRef);
+        const before = snap.exists() ? (snap.data() as AdminSettingsType) : null;
+        return writeAdminSettingsVersion(tx, before, { ...(before || {}), ...payload } as AdminSettingsType, actor);
+    });
+};
+
+export const streamAdminSettingsHistory = (callback: (versions: AdminSettingsVersion[]) => void, max = 50) => {
+    const q = query(collection(db, 'adminSettingsHistory'), whereActiveOrg(), orderBy('version', 'desc'), limit(max));
+    return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() } as AdminSettingsVersion)));
+    }, (error) => {
+        console.error('[streamAdminSettingsHistory] error:', error);
+        callback([]);
+    });
+};
+
+/**
+ * Restores the organization's settings document to a recorded version as a new version. Desktops
+ * pick the change up through the settings stream and `sync-admin-settings` like any other save.
+ */
+export const rollbackAdminSettings = async (versionId: string, actor: SettingsActor) => {
+    const settingsRef = doc(db, 'adminSettings', adminSettingsDocId());
+    const versionRef = doc(db, 'adminSettingsHistory', versionId);
+    return runTransaction(db, async (tx) => {
+        const [versionSnap, currentSnap] = await Promise.all([tx.get(versionRef), tx.get(settingsRef)]);
+        if (!versionSnap.exists()) throw new Error('version-not-found');
+        const target = versionSnap.data() as AdminSettingsVersion;
+        if ((target.orgId || DEFAULT_ORG_ID) !== getActiveOrgId()) throw new Error('version-not-found');
+        const current = currentSnap.exists() ? (currentSnap.data() as AdminSettingsType) : null;
+        const restored: AdminSettingsType = { ...target.settings };
+        ROLLBACK_PRESERVED_FIELDS.forEach((field) => {
+            const value = current?.[field];
+            if (value === undefined) delete restored[field];
+            else Object.assign(restored, { [field]: value });
+        });
+        const version = writeAdminSettingsVersion(tx, current, restored, actor, target.version);
+        if (version === null) throw new Error('already-current');
+        return version;
+    });
 };
 
 export const updateAgentStatus = async (uid: string, status: 'online' | 'break' | 'offline', additionalData: Record<string, any> = {}) => {
     const docRef = doc(db, 'agentStatus', uid);
     await setDoc(docRef, {
         status,
+        orgId: getActiveOrgId(),
         lastUpdate: serverTimestamp(),
         ...additionalData
     }, { merge: true });
 };
 
 export const streamAllAgentStatuses = (callback: (statuses: Record<string, any>) => void) => {
-    const q = query(collection(db, "agentStatus"));
+    const q = query(collection(db, "agentStatus"), whereActiveOrg());
     return onSnapshot(q, (snapshot) => {
         const statuses: Record<string, any> = {};
         snapshot.docs.forEach(doc => statuses[doc.id] = doc.data());
@@ -1111,6 +1269,7 @@ export const restartDesktopRecording = async (uid: string) => {
     const restartRecordingRequestId = createRestartRecordingRequestId();
     const docRef = doc(db, 'desktopCommands', uid);
     await setDoc(docRef, { restartRecording: true, restartRecordingRequestId, timestamp: serverTimestamp() }, { merge: true });
+    await recordAuditEvent('desktop.recording_restart', { uid }, { requestId: restartRecordingRequestId });
     return restartRecordingRequestId;
 };
 
@@ -1119,6 +1278,7 @@ export const requestDesktopReconnect = async (uid: string) => {
     const reconnectRequestId = createReconnectRequestId();
     const docRef = doc(db, 'desktopCommands', uid);
     await setDoc(docRef, { reconnectRequestId, timestamp: serverTimestamp() }, { merge: true });
+    await recordAuditEvent('desktop.reconnect', { uid }, { requestId: reconnectRequestId });
     return reconnectRequestId;
 };
 
@@ -1179,6 +1339,7 @@ export const forceLogoutAgent = async (uid: string) => {
         console.error('[forceLogoutAgent] Failed to dispatch force logout command to desktop', error);
         throw error;
     }
+    await recordAuditEvent('desktop.force_logout', { uid }, { requestId: forceLogoutRequestId, targetDesktopSessionId });
 };
 
 // --- App Activity Tracking ---
@@ -1189,6 +1350,7 @@ export const writeAppActivitySummary = async (userId: string, date: string, summ
     await setDoc(docRef, {
         ...summary,
         userId,
+        orgId: getActiveOrgId(),
         date,
         updatedAt: serverTimestamp()
     }, { merge: true });
@@ -1211,12 +1373,12 @@ export const streamAppActivitySummary = (userId: string, date: string, callback:
 
 export const streamAppActivitySummaries = (date: string, callback: (summaries: AppActivitySummary[]) => void, teamId?: string) => {
     const activitiesRef = collection(db, 'appActivity');
-    const q = query(activitiesRef, where('date', '==', date));
+    const q = query(activitiesRef, whereActiveOrg(), where('date', '==', date));
     return onSnapshot(q, async (snapshot) => {
         let summaries = snapshot.docs.map(d => ({ ...d.data() } as AppActivitySummary));
         if (teamId) {
             // Filter by team: look up users to check teamId
-            const usersSnap = await getDocs(collection(db, 'users'));
+            const usersSnap = await getDocs(query(collection(db, 'users'), whereActiveOrg()));
             const teamUserIds = new Set<string>();
             usersSnap.docs.forEach(u => {
                 const data = u.data();
@@ -1263,6 +1425,9 @@ export type RecordingLogEntry = {
     createdAt: any;
     uploadedAt: any;
     loggedAt: any;
+    /** Set by the retention job once the recording was deleted from the upload targets. */
+    expired?: boolean;
+    expiredAt?: any;
 };
 
 export const streamRecordingLogs = (
@@ -1272,7 +1437,7 @@ export const streamRecordingLogs = (
     const logsRef = collection(db, 'recordingLogs');
 
     // Build query - order by loggedAt descending
-    let q = query(logsRef, orderBy('loggedAt', 'desc'), limit(options.limitCount || 200));
+    let q = query(logsRef, whereActiveOrg(), orderBy('loggedAt', 'desc'), limit(options.limitCount || 200));
 
     return onSnapshot(q, (snapshot) => {
         let logs = snapshot.docs.map(doc => ({
@@ -1300,7 +1465,7 @@ export const streamRecordingLogs = (
 
 export const getRecordingLogStats = async (teamId?: string): Promise<{ success: number; failed: number; pending: number }> => {
     const logsRef = collection(db, 'recordingLogs');
-    const snapshot = await getDocs(logsRef);
+    const snapshot = await getDocs(query(logsRef, whereActiveOrg()));
 
     let logs = snapshot.docs.map(doc => doc.data());
     if (teamId) {
@@ -1320,7 +1485,7 @@ export const getRecordingLogStats = async (teamId?: string): Promise<{ success:
  */
 export const clearRecordingLogs = async (options: { status?: string; teamId?: string } = {}): Promise<number> => {
     const logsRef = collection(db, 'recordingLogs');
-    const snapshot = await getDocs(logsRef);
+    const snapshot = await getDocs(query(logsRef, whereActiveOrg()));
 
     let docsToDelete = snapshot.docs;
 
@@ -1349,6 +1514,11 @@ export const clearRecordingLogs = async (options: { status?: string; teamId?: st
         deletedCount += batch.length;
     }
 
+    await recordAuditEvent('recording.logs_cleared', null, {
+        status: options.status || 'all',
+        teamId: options.teamId || null,
+        deletedCount
+    });
     return deletedCount;
 };
 
@@ -1384,6 +1554,7 @@ export const requestRecordingRetry = async (
             result: null,
             error: null
         });
+        await recordAuditEvent('recording.retry_requested', { uid: userId }, { logId, fileName, machineName });
 
         return { success: true };
     } catch (error) {
@@ -1430,7 +1601,7 @@ export const streamRecentAppAlerts = (
     // This avoids silent failures when index definitions lag behind deployments.
     const q = teamId
         ? query(alertsRef, where('teamId', '==', teamId), limit(200))
-        : query(alertsRef, limit(200));
+        : query(alertsRef, whereActiveOrg(), limit(200));
 
     const toMillis = (value: any): number => {
         if (typeof value === 'number') return value;
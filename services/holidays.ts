@@ -0,0 +1,143 @@
+import { doc, setDoc, deleteDoc, collection, query, where, orderBy, onSnapshot, getDocs, serverTimestamp, Timestamp, writeBatch } from 'firebase/firestore';
+import { DateTime } from 'luxon';
+import { db } from './firebase';
+import { computeLateMinutes, readOrganizationTimezone } from './db';
+import { getActiveOrgId, orgScopedDocId, whereActiveOrg } from './orgContext';
+import type { Holiday, HolidaySource, WorkLog } from '../types';
+
+type Actor = { uid: string; displayName?: string | null };
+
+export interface HolidayInput {
+    date: string; // YYYY-MM-DD
+    name: string;
+}
+
+const HOLIDAY_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toHoliday = (id: string, data: any): Holiday => ({
+    id,
+    date: data?.date || id,
+    name: data?.name || 'Holiday',
+    source: data?.source === 'ics' ? 'ics' : 'manual',
+    createdAt: data?.createdAt ?? null,
+    createdBy: data?.createdBy ?? null
+});
+
+const assertHolidayDate = (date: string) => {
+    if (!HOLIDAY_DATE_PATTERN.test(date) || !DateTime.fromISO(date).isValid) {
+        throw new Error('invalid-holiday-date');
+    }
+};
+
+export const streamHolidays = (callback: (holidays: Holiday[]) => void) => {
+    const q = query(collection(db, 'holidays'), whereActiveOrg(), orderBy('date', 'asc'));
+    return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map((d) => toHoliday(d.id, d.data())));
+    }, (error) => {
+        console.error('[streamHolidays] error:', error);
+        callback([]);
+    });
+};
+
+/**
+ * Holidays between two YYYY-MM-DD dates (inclusive).
+ */
+export const getHolidaysInRange = async (startDate: string, endDate: string): Promise<Holiday[]> => {
+    const q = query(
+        collection(db, 'holidays'),
+        whereActiveOrg(),
+        where('date', '>=', startDate),
+        where('date', '<=', endDate),
+        orderBy('date', 'asc')
+    );
+    const snapshot = await getDocs(q);
+    return snapshot.docs.map((d) => toHoliday(d.id, d.data()));
+};
+
+/**
+ * Re-evaluates late minutes on worklogs that already exist for the given dates.
+ * Logs on an approved timesheet are left untouched.
+ */
+const applyHolidayToWorkLogs = async (dates: string[], isHoliday: boolean) => {
+    const timezone = await readOrganizationTimezone();
+    const today = DateTime.now().setZone(timezone).toISODate() as string;
+    for (const date of dates) {
+        if (date > today) continue; // no worklogs exist yet
+        const dayStart = DateTime.fromISO(date, { zone: timezone }).startOf('day');
+        const q = query(collection(db, 'worklogs'), whereActiveOrg(), where('date', '==', Timestamp.fromDate(dayStart.toJSDate())));
+        const snapshot = await getDocs(q);
+        const batch = writeBatch(db);
+        let pending = 0;
+        snapshot.docs.forEach((logDoc) => {
+            const log = logDoc.data() as WorkLog;
+            if (log.timesheetStatus === 'approved' || Boolean(log.isHoliday) === isHoliday) return;
+            const lateMinutes = isHoliday || !log.scheduledStart
+                ? 0
+                : computeLateMinutes(log.scheduledStart, log.clockInTime, timezone, Boolean(log.isOvernightShift));
+            batch.update(logDoc.ref, { isHoliday, lateMinutes });
+            pending += 1;
+        });
+        if (pending > 0) {
+            await batch.commit();
+        }
+    }
+};
+
+export const addHoliday = async (input: HolidayInput, actor: Actor, source: HolidaySource = 'manual') => {
+    const date = input.date.trim();
+    const name = input.name.trim();
+    assertHolidayDate(date);
+    if (!name) {
+        throw new Error('holiday-name-required');
+    }
+    await setDoc(doc(db, 'holidays', orgScopedDocId(date)), {
+        orgId: getActiveOrgId(),
+        date,
+        name,
+        source,
+        createdAt: serverTimestamp(),
+        createdBy: actor.uid
+    });
+    await applyHolidayToWorkLogs([date], true);
+};
+
+/**
+ * Imports parsed calendar entries. Dates that already exist are overwritten with the imported name.
+ * Returns the number of holidays written.
+ */
+export const importHolidays = async (entries: HolidayInput[], actor: Actor): Promise<number> => {
+    const unique = new Map<string, string>();
+    entries.forEach((entry) => {
+        if (HOLIDAY_DATE_PATTERN.test(entry.date) && entry.name.trim() && !unique.has(entry.date)) {
+            unique.set(entry.date, entry.name.trim());
+        }
+    });
+    if (unique.size === 0) {
+        throw new Error('holiday-import-empty');
+    }
+
+    // Firestore batches are capped at 500 writes.
+    const dates = Array.from(unique.keys());
+    for (let i = 0; i < dates.length; i += 400) {
+        const batch = writeBatch(db);
+        dates.slice(i, i + 400).forEach((date) => {
+            batch.set(doc(db, 'holidays', orgScopedDocId(date)), {
+                orgId: getActiveOrgId(),
+                date,
+                name: unique.get(date),
+                source: 'ics',
+                createdAt: serverTimestamp(),
+                createdBy: actor.uid
+            });
+        });
+        await batch.commit();
+    }
+    await applyHolidayToWorkLogs(dates, true);
+    return dates.length;
+};
+
+export const removeHoliday = async (date: string) => {
+    assertHolidayDate(date);
+    await deleteDoc(doc(db, 'holidays', orgScopedDocId(date)));
+    await applyHolidayToWorkLogs([date], false);
+};
@@ -0,0 +1,66 @@
+import { collection, doc, limit, onSnapshot, orderBy, query, serverTimestamp, setDoc, Timestamp, updateDoc } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { getActiveOrgId, whereActiveOrg } from './orgContext';
+import { buildInviteLink, generateInviteToken, hashInviteToken, INVITABLE_ROLES } from '../utils/invitations';
+import type { Invitation, Role } from '../types';
+
+export interface InvitationInput {
+    roles: Role[];
+    teamIds: string[];
+    expiresInHours: number;
+    maxUses: number;
+    email?: string;
+}
+
+/**
+ * Creates an invitation and returns its link. The token is not stored anywhere, so the link
+ * can only be copied now; a lost link is revoked and replaced rather than recovered.
+ */
+export const createInvitation = async (input: InvitationInput): Promise<{ invitation: Invitation; link: string }> => {
+    const actor = auth.currentUser;
+    if (!actor) throw new Error('not-signed-in');
+    const roles = input.roles.filter((r) => INVITABLE_ROLES.includes(r));
+    if (!roles.length) throw new Error('missing-invite-role');
+    if (!input.teamIds.length) throw new Error('missing-invite-team');
+    if (!Number.isInteger(input.maxUses) || input.maxUses < 1 || input.maxUses > 500) throw new Error('invalid-max-uses');
+
+    const token = generateInviteToken();
+    const id = await hashInviteToken(token);
+    const email = input.email?.trim().toLowerCase() || null;
+    const payload = {
+        orgId: getActiveOrgId(),
+        roles,
+        teamIds: input.teamIds,
+        email,
+        maxUses: input.maxUses,
+        uses: 0,
+        acceptedBy: [] as string[],
+        expiresAt: Timestamp.fromMillis(Date.now() + input.expiresInHours * 60 * 60 * 1000),
+        createdBy: actor.uid,
+        createdByName: actor.displayName || actor.email || actor.uid,
+        createdAt: serverTimestamp(),
+        revokedAt: null,
+        revokedBy: null
+    };
+    await setDoc(doc(db, 'invitations', id), payload);
+    return { invitation: { id, ...payload }, link: buildInviteLink(token) };
+};
+
+export const revokeInvitation = async (invitation: Invitation) => {
+    const actor = auth.currentUser;
+    if (!actor) throw new Error('not-signed-in');
+    await updateDoc(doc(db, 'invitations', invitation.id), {
+        revokedAt: serverTimestamp(),
+        revokedBy: actor.uid
+    });
+};
+
+export const streamInvitations = (callback: (invitations: Invitation[]) => void) => {
+    const q = query(collection(db, 'invitations'), whereActiveOrg(), orderBy('createdAt', 'desc'), limit(200));
+    return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() } as Invitation)));
+    }, (error) => {
+        console.error('[streamInvitations] error:', error);
+        callback([]);
+    });
+};
@@ -0,0 +1,349 @@
+import { doc, getDoc, getDocs, collection, query, where, onSnapshot, serverTimestamp, runTransaction, addDoc, updateDoc } from 'firebase/firestore';
+import { DateTime } from 'luxon';
+import { db } from './firebase';
+import { getScheduleForMonth, readOrganizationTimezone, updateScheduleForMonth } from './db';
+import { getHolidaysInRange } from './holidays';
+import { adminSettingsDocId } from './orgContext';
+import { normalizeDate } from '../utils/worklogTotals';
+import {
+    LEAVE_TYPES,
+    computeAccruedDays,
+    createLeaveBalanceId,
+    emptyLeaveUsage,
+    enumerateDates,
+    resolveLeavePolicy
+} from '../utils/leave';
+import type { AdminSettingsType, LeaveBalance, LeavePolicy, LeaveRequest, LeaveRequestStatus, LeaveType, MonthlySchedule } from '../types';
+
+type Actor = { uid: string; displayName?: string | null };
+
+export interface LeaveRequestInput {
+    type: LeaveType;
+    startDate: string;
+    endDate: string;
+    reason: string;
+}
+
+const MAX_LEAVE_RANGE_DAYS = 60;
+
+const toMillis = (value: any): number => normalizeDate(value)?.getTime() || 0;
+
+const toLeaveRequest = (id: string, data: any): LeaveRequest => ({
+    id,
+    ...data,
+    days: typeof data?.days === 'number' ? data.days : 0,
+    leaveDates: Array.isArray(data?.leaveDates) ? data.leaveDates : []
+} as LeaveRequest);
+
+const toLeaveBalance = (id: string, data: any): LeaveBalance => ({
+    id,
+    userId: data?.userId,
+    teamId: data?.teamId ?? null,
+    year: data?.year,
+    used: { ...emptyLeaveUsage(), ...(data?.used || {}) },
+    updatedAt: data?.updatedAt ?? null
+});
+
+export const readLeavePolicy = async (): Promise<LeavePolicy> => {
+    try {
+        const snap = await getDoc(doc(db, 'memberSettings', adminSettingsDocId()));
+        return resolveLeavePolicy(snap.exists() ? (snap.data() as AdminSettingsType).leavePolicy : null);
+    } catch (error) {
+        console.error('Failed to load leave policy', error);
+        return resolveLeavePolicy(null);
+    }
+};
+
+const groupDatesByYear = (dates: string[]) => dates.reduce((acc, date) => {
+    const year = Number(date.slice(0, 4));
+    acc.set(year, (acc.get(year) || 0) + 1);
+    return acc;
+}, new Map<number, number>());
+
+const groupDatesByMonth = (dates: string[]) => dates.reduce((acc, date) => {
+    const key = date.slice(0, 7);
+    acc.set(key, [...(acc.get(key) || []), date]);
+    return acc;
+}, new Map<string, string[]>());
+
+const assertBalanceAvailable = (
+    policy: LeavePolicy,
+    type: LeaveType,
+    year: number,
+    requestedDays: number,
+    balance: LeaveBalance | null,
+    timezone: string
+) => {
+    if (type === 'unpaid') return;
+    const accrued = computeAccruedDays(policy, type, year, DateTime.now().setZone(timezone));
+    const used = balance?.used?.[type] || 0;
+    if (used + requestedDays > accrued) {
+        throw new Error('leave-insufficient-balance');
+    }
+};
+
+const validateRange = (input: LeaveRequestInput) => {
+    if (!LEAVE_TYPES.includes(input.type)) {
+        throw new Error('leave-invalid-type');
+    }
+    const start = DateTime.fromISO(input.startDate);
+    const end = DateTime.fromISO(input.endDate);
+    if (!start.isValid || !end.isValid) {
+        throw new Error('leave-invalid-dates');
+    }
+    if (end < start) {
+        throw new Error('leave-end-before-start');
+    }
+    if (end.diff(start, 'days').days + 1 > MAX_LEAVE_RANGE_DAYS) {
+        throw new Error('leave-range-too-long');
+    }
+};
+
+/**
+ * Dates in the request that actually consume leave: holidays and days rostered OFF are skipped,
+ * so they are neither charged against the balance nor overwritten on the roster.
+ */
+const resolveLeaveDates = async (userId: string, teamId: string, startDate: string, endDate: string) => {
+    const holidays = new Set((await getHolidaysInRange(startDate, endDate)).map((h) => h.date));
+    const dates = enumerateDates(startDate, endDate);
+    const schedules = new Map<string, MonthlySchedule>();
+    for (const monthKey of groupDatesByMonth(dates).keys()) {
+        const [year, month] = monthKey.split('-').map(Number);
+        schedules.set(monthKey, await getScheduleForMonth(teamId, year, month));
+    }
+    return dates.filter((date) => {
+        if (holidays.has(date)) return false;
+        return schedules.get(date.slice(0, 7))?.[userId]?.[date] !== 'OFF';
+    });
+};
+
+/**
+ * Writes approved leave into the team roster as 'L' so schedules and roster stats pick it up.
+ * Goes through `updateScheduleForMonth` so late-minute and auto clock-out slots are reconciled too.
+ */
+const writeLeaveToSchedule = async (request: LeaveRequest, dates: string[], timezone: string) => {
+    for (const [monthKey, monthDates] of groupDatesByMonth(dates)) {
+        const [year, month] = monthKey.split('-').map(Number);
+        const current = await getScheduleForMonth(request.teamId, year, month);
+        const next: MonthlySchedule = JSON.parse(JSON.stringify(current));
+        next[request.userId] = next[request.userId] || {};
+        monthDates.forEach((date) => {
+            next[request.userId][date] = 'L';
+        });
+        await updateScheduleForMonth(request.teamId, year, month, next, { timezone });
+    }
+};
+
+export const submitLeaveRequest = async (
+    input: LeaveRequestInput,
+    requester: Actor & { teamId?: string | null }
+): Promise<string> => {
+    validateRange(input);
+    if (!input.reason || !input.reason.trim()) {
+        throw new Error('leave-reason-required');
+    }
+    if (!requester.teamId) {
+        throw new Error('leave-no-team');
+    }
+
+    const existing = await getDocs(query(collection(db, 'leaveRequests'), where('userId', '==', requester.uid)));
+    const overlaps = existing.docs
+        .map((d) => toLeaveRequest(d.id, d.data()))
+        .some((r) => (r.status === 'pending' || r.status === 'approved')
+            && r.startDate <= input.endDate && input.startDate <= r.endDate);
+    if (overlaps) {
+        throw new Error('leave-overlap');
+    }
+
+    // Holidays are known up front; rostered OFF days are excluded again when the request is approved.
+    const holidays = new Set((await getHolidaysInRange(input.startDate, input.endDate)).map((h) => h.date));
+    const dates = enumerateDates(input.startDate, input.endDate).filter((date) => !holidays.has(date));
+    if (!dates.length) {
+        throw new Error('leave-no-working-days');
+    }
+
+    if (input.type !== 'unpaid') {
+        const [policy, timezone] = await Promise.all([readLeavePolicy(), readOrganizationTimezone()]);
+        for (const [year, count] of groupDatesByYear(dates)) {
+            const snap = await getDoc(doc(db, 'leaveBalances', createLeaveBalanceId(requester.uid, year)));
+            const balance = snap.exists() ? toLeaveBalance(snap.id, snap.data()) : null;
+            assertBalanceAvailable(policy, input.type, year, count, balance, timezone);
+        }
+    }
+
+    const ref = await addDoc(collection(db, 'leaveRequests'), {
+        userId: requester.uid,
+        userDisplayName: requester.displayName || 'Agent',
+        teamId: requester.teamId,
+        type: input.type,
+        startDate: input.startDate,
+        endDate: input.endDate,
+        days: dates.length,
+        leaveDates: [],
+        reason: input.reason.trim(),
+        status: 'pending',
+        createdAt: serverTimestamp(),
+        reviewedAt: null,
+        reviewedBy: null,
+        reviewerDisplayName: null,
+        reviewComment: null
+    });
+    return ref.id;
+};
+
+export const approveLeaveRequest = async (requestId: string, reviewer: Actor, comment?: string) => {
+    const requestRef = doc(db, 'leaveRequests', requestId);
+    const initialSnap = await getDoc(requestRef);
+    if (!initialSnap.exists()) {
+        throw new Error('leave-not-found');
+    }
+    const initial = toLeaveRequest(initialSnap.id, initialSnap.data());
+    if (initial.status !== 'pending') {
+        throw new Error('leave-not-pending');
+    }
+    if (initial.userId === reviewer.uid) {
+        throw new Error('leave-self-review');
+    }
+
+    const [policy, timezone] = await Promise.all([readLeavePolicy(), readOrganizationTimezone()]);
+    const leaveDates = await resolveLeaveDates(initial.userId, initial.teamId, initial.startDate, initial.endDate);
+    if (!leaveDates.length) {
+        throw new Error('leave-no-working-days');
+    }
+    const daysByYear = groupDatesByYear(leaveDates);
+
+    const approved = await runTransaction(db, async (tx) => {
+        const snap = await tx.get(requestRef);
+        if (!snap.exists()) {
+            throw new Error('leave-not-found');
+        }
+        const request = toLeaveRequest(snap.id, snap.data());
+        if (request.status !== 'pending') {
+            throw new Error('leave-not-pending');
+        }
+
+        const balances: Array<{ year: number; count: number; balance: LeaveBalance | null }> = [];
+        for (const [year, count] of daysByYear) {
+            const balanceSnap = await tx.get(doc(db, 'leaveBalances', createLeaveBalanceId(request.userId, year)));
+            const balance = balanceSnap.exists() ? toLeaveBalance(balanceSnap.id, balanceSnap.data()) : null;
+            assertBalanceAvailable(policy, request.type, year, count, balance, timezone);
+            balances.push({ year, count, balance });
+        }
+
+        balances.forEach(({ year, count, balance }) => {
+            const used = { ...emptyLeaveUsage(), ...(balance?.used || {}) };
+            used[request.type] += count;
+            tx.set(doc(db, 'leaveBalances', createLeaveBalanceId(request.userId, year)), {
+                userId: request.userId,
+                teamId: balance?.teamId || request.teamId,
+                year,
+                used,
+                updatedAt: serverTimestamp()
+            });
+        });
+        tx.update(requestRef, {
+            status: 'approved',
+            days: leaveDates.length,
+            leaveDates,
+            reviewedAt: serverTimestamp(),
+            reviewedBy: reviewer.uid,
+            reviewerDisplayName: reviewer.displayName || null,
+            reviewComment: (comment || '').trim() || null
+        });
+        return request;
+    });
+
+    await writeLeaveToSchedule(approved, leaveDates, timezone);
+};
+
+export const rejectLeaveRequest = async (requestId: string, reviewer: Actor, comment: string) => {
+    if (!comment || !comment.trim()) {
+        throw new Error('leave-reject-comment-required');
+    }
+    const requestRef = doc(db, 'leaveRequests', requestId);
+    await runTransaction(db, async (tx) => {
+        const snap = await tx.get(requestRef);
+        if (!snap.exists()) {
+            throw new Error('leave-not-found');
+        }
+        const request = toLeaveRequest(snap.id, snap.data());
+        if (request.status !== 'pending') {
+            throw new Error('leave-not-pending');
+        }
+        if (request.userId === reviewer.uid) {
+            throw new Error('leave-self-review');
+        }
+        tx.update(requestRef, {
+            status: 'rejected',
+            reviewedAt: serverTimestamp(),
+            reviewedBy: reviewer.uid,
+            reviewerDisplayName: reviewer.displayName || null,
+            reviewComment: comment.trim()
+        });
+    });
+};
+
+export const cancelLeaveRequest = async (requestId: string, requester: Actor) => {
+    const requestRef = doc(db, 'leaveRequests', requestId);
+    const snap = await getDoc(requestRef);
+    if (!snap.exists()) {
+        throw new Error('leave-not-found');
+    }
+    const request = toLeaveRequest(snap.id, snap.data());
+    if (request.userId !== requester.uid) {
+        throw new Error('leave-not-owner');
+    }
+    if (request.status !== 'pending') {
+        throw new Error('leave-not-pending');
+    }
+    await updateDoc(requestRef, { status: 'cancelled' });
+};
+
+export const streamLeaveRequestsForUser = (uid: string, callback: (requests: LeaveRequest[]) => void) => {
+    const q = query(collection(db, 'leaveRequests'), where('userId', '==', uid));
+    return onSnapshot(q, (snapshot) => {
+        const requests = snapshot.docs
+            .map((d) => toLeaveRequest(d.id, d.data()))
+            .sort((a, b) => b.startDate.localeCompare(a.startDate) || toMillis(b.createdAt) - toMillis(a.createdAt));
+        callback(requests);
+    }, (error) => {
+        console.error('[streamLeaveRequestsForUser] error:', error);
+        callback([]);
+    });
+};
+
+export const streamLeaveRequestsForTeam = (
+    teamId: string,
+    callback: (requests: LeaveRequest[]) => void,
+    status: LeaveRequestStatus = 'pending'
+) => {
+    const q = query(collection(db, 'leaveRequests'), where('teamId', '==', teamId), where('status', '==', status));
+    return onSnapshot(q, (snapshot) => {
+        const requests = snapshot.docs
+            .map((d) => toLeaveRequest(d.id, d.data()))
+            .sort((a, b) => a.startDate.localeCompare(b.startDate) || toMillis(a.createdAt) - toMillis(b.createdAt));
+        callback(requests);
+    }, (error) => {
+        console.error('[streamLeaveRequestsForTeam] error:', error);
+        callback([]);
+    });
+};
+
+export const streamLeaveBalance = (uid: string, year: number, callback: (balance: LeaveBalance | null) => void) => {
+    return onSnapshot(doc(db, 'leaveBalances', createLeaveBalanceId(uid, year)), (snap) => {
+        callback(snap.exists() ? toLeaveBalance(snap.id, snap.data()) : null);
+    }, (error) => {
+        console.error('[streamLeaveBalance] error:', error);
+        callback(null);
+    });
+};
+
+export const streamLeaveBalancesForTeam = (teamId: string, year: number, callback: (balances: LeaveBalance[]) => void) => {
+    const q = query(collection(db, 'leaveBalances'), where('teamId', '==', teamId), where('year', '==', year));
+    return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map((d) => toLeaveBalance(d.id, d.data())));
+    }, (error) => {
+        console.error('[streamLeaveBalancesForTeam] error:', error);
+        callback([]);
+    });
+};
@@ -0,0 +1,26 @@
+import { where } from 'firebase/firestore';
+
+/** Organization that every pre-multi-tenant document belongs to (see scripts/backfill-orgId.js). */
+export const DEFAULT_ORG_ID = 'default';
+
+let activeOrgId = DEFAULT_ORG_ID;
+
+/** Set by AuthContext from the signed-in user's profile; services scope their queries with it. */
+export const setActiveOrgId = (orgId?: string | null) => {
+    activeOrgId = orgId || DEFAULT_ORG_ID;
+};
+
+export const getActiveOrgId = () => activeOrgId;
+
+/** The default organization keeps its historical `adminSettings/global` document. */
+export const adminSettingsDocId = (orgId: string = activeOrgId) => (
+    orgId === DEFAULT_ORG_ID ? 'global' : orgId
+);
+
+/** Id for documents keyed per organization (e.g. holidays by date); the default organization keeps bare keys. */
+export const orgScopedDocId = (key: string, orgId: string = activeOrgId) => (
+    orgId === DEFAULT_ORG_ID ? key : `${orgId}_${key}`
+);
+
+/** Query constraint limiting a collection-wide read to the active organization. */
+export const whereActiveOrg = () => where('orgId', '==', activeOrgId);
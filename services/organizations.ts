@@ -0,0 +1,35 @@
+import { collection, doc, onSnapshot, serverTimestamp, setDoc } from 'firebase/firestore';
+import type { User as FirebaseUser } from 'firebase/auth';
+import { db } from './firebase';
+import { createUserDocument } from './db';
+import { setActiveOrgId } from './orgContext';
+import type { Organization } from '../types';
+
+/**
+ * Creates a new organization owned by a freshly signed-up user and makes them its first admin.
+ * The organization document must exist before the profile: rules only accept a self-created
+ * admin profile for an organization the caller created.
+ */
+export const createOrganization = async (owner: FirebaseUser, name: string, displayName: string): Promise<Organization> => {
+    const trimmed = name.trim();
+    if (!trimmed) throw new Error('missing-organization-name');
+
+    const orgRef = doc(collection(db, 'organizations'));
+    await setDoc(orgRef, {
+        name: trimmed,
+        createdBy: owner.uid,
+        createdAt: serverTimestamp()
+    });
+    setActiveOrgId(orgRef.id);
+    await createUserDocument(owner, { displayName, role: 'admin', orgId: orgRef.id });
+    return { id: orgRef.id, name: trimmed, createdBy: owner.uid };
+};
+
+export const streamOrganization = (orgId: string, callback: (org: Organization | null) => void) => {
+    return onSnapshot(doc(db, 'organizations', orgId), (snap) => {
+        callback(snap.exists() ? ({ id: snap.id, ...snap.data() } as Organization) : null);
+    }, (error) => {
+        console.error('[streamOrganization] error:', error);
+        callback(null);
+    });
+};
@@ -0,0 +1,132 @@
+import { collection, doc, onSnapshot, query, serverTimestamp, setDoc, updateDoc } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { updateGlobalAdminSettings } from './db';
+import { getActiveOrgId, whereActiveOrg } from './orgContext';
+import {
+    decryptRecording,
+    exportPrivateKeyPem,
+    generateRecordingKeyPair,
+    parseEncryptedRecording,
+    unwrapPrivateKey,
+    wrapPrivateKey
+} from '../utils/recordingCrypto';
+import type { RecordingKey } from '../types';
+
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// Unlocked private keys live only in this tab's memory and are gone on reload.
+const unlockedKeys = new Map<string, CryptoKey>();
+
+const currentActor = () => {
+    const actor = auth.currentUser;
+    if (!actor) throw new Error('not-signed-in');
+    return actor;
+};
+
+export const streamRecordingKeys = (callback: (keys: RecordingKey[]) => void) => {
+    const q = query(collection(db, 'recordingKeys'), whereActiveOrg());
+    return onSnapshot(q, (snapshot) => {
+        const keys = snapshot.docs.map((d) => ({ id: d.id, ...d.data() } as RecordingKey));
+        callback(keys.sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0)));
+    }, (error) => {
+        console.error('[streamRecordingKeys] error:', error);
+        callback([]);
+    });
+};
+
+/**
+ * Generates a new organization key pair, stores the private half sealed with `passphrase`, and
+ * points the settings at the new public key so desktops encrypt with it from their next segment.
+ * Previously active keys are retired but kept, so their segments stay readable.
+ */
+export const rotateRecordingKey = async (passphrase: string, previousKeys: RecordingKey[]): Promise<string> => {
+    const actor = currentActor();
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) throw new Error('passphrase-too-short');
+    const { publicKeyPem, privateKeyPkcs8 } = await generateRecordingKeyPair();
+    const wrapped = await wrapPrivateKey(privateKeyPkcs8, passphrase);
+    const ref = doc(collection(db, 'recordingKeys'));
+    await setDoc(ref, {
+        orgId: getActiveOrgId(),
+        publicKey: publicKeyPem,
+        ...wrapped,
+        status: 'active',
+        createdBy: actor.uid,
+        createdAt: serverTimestamp()
+    });
+    await updateGlobalAdminSettings(
+        { recordingEncryptionKeyId: ref.id, recordingEncryptionPublicKey: publicKeyPem },
+        { uid: actor.uid, displayName: actor.displayName }
+    );
+    await Promise.all(previousKeys
+        .filter((key) => key.status === 'active')
+        .map((key) => updateDoc(doc(db, 'recordingKeys', key.id), { status: 'retired', retiredAt: serverTimestamp() })));
+    unlockedKeys.set(ref.id, await unwrapPrivateKey(wrapped, passphrase));
+    return ref.id;
+};
+
+/** New segments are uploaded unencrypted again; existing keys stay so encrypted segments remain readable. */
+export const disableRecordingEncryption = async (activeKeys: RecordingKey[]) => {
+    const actor = currentActor();
+    await updateGlobalAdminSettings(
+        { recordingEncryptionKeyId: '', recordingEncryptionPublicKey: '' },
+        { uid: actor.uid, displayName: actor.displayName }
+    );
+    await Promise.all(activeKeys
+        .filter((key) => key.status === 'active')
+        .map((key) => updateDoc(doc(db, 'recordingKeys', key.id), { status: 'retired', retiredAt: serverTimestamp() })));
+};
+
+/** Unlocks every key the passphrase opens; returns how many were unlocked. */
+export const unlockRecordingKeys = async (keys: RecordingKey[], passphrase: string) => {
+    let unlocked = 0;
+    for (const key of keys) {
+        if (unlockedKeys.has(key.id)) {
+            unlocked += 1;
+            continue;
+        }
+        try {
+            unlockedKeys.set(key.id, await unwrapPrivateKey(key, passphrase));
+            unlocked += 1;
+        } catch (error) {
+            if ((error as Error).message !== 'wrong-passphrase') throw error;
+        }
+    }
+    return unlocked;
+};
+
+export const exportRecordingPrivateKey = (key: RecordingKey, passphrase: string) => exportPrivateKeyPem(key, passphrase);
+
+// Follows ranges until the whole file is read: api/recording-media answers in bounded chunks.
+const fetchAllBytes = async (url: string) => {
+    const parts: Uint8Array[] = [];
+    let offset = 0;
+    let total: number | null = null;
+    while (total === null || offset < total) {
+        const resp = await fetch(url, { headers: { Range: `bytes=${offset}-` } });
+        if (!resp.ok) throw new Error('recording-download-failed');
+        const bytes = new Uint8Array(await resp.arrayBuffer());
+        if (resp.status === 200) return bytes;
+        const match = resp.headers.get('Content-Range')?.match(/\/(\d+)$/);
+        total = match ? Number(match[1]) : offset + bytes.length;
+        parts.push(bytes);
+        offset += bytes.length;
+        if (!bytes.length) break;
+    }
+    const result = new Uint8Array(offset);
+    let position = 0;
+    parts.forEach((part) => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+};
+
+/** Downloads and decrypts one segment; throws 'recording-locked' until its key is unlocked. */
+export const fetchDecryptedSegment = async (url: string): Promise<Blob> => {
+    const bytes = await fetchAllBytes(url);
+    const { header } = parseEncryptedRecording(bytes);
+    const privateKey = unlockedKeys.get(header.keyId);
+    if (!privateKey) throw new Error('recording-locked');
+    const plain = await decryptRecording(bytes, privateKey);
+    return new Blob([plain], { type: 'video/webm' });
+};
@@ -0,0 +1,16 @@
+import { auth } from './firebase';
+import type { RecordingPlaybackDay } from '../types';
+
+/** Lists an agent's segments for one day from every configured upload target via `api/recording-playback`. */
+export const fetchRecordingDay = async (uid: string, date: string): Promise<RecordingPlaybackDay> => {
+    const currentUser = auth.currentUser;
+    if (!currentUser) throw new Error('not-signed-in');
+    const idToken = await currentUser.getIdToken();
+    const params = new URLSearchParams({ uid, date });
+    const resp = await fetch(`/api/recording-playback?${params.toString()}`, {
+        headers: { Authorization: `Bearer ${idToken}` }
+    });
+    const payload = await resp.json().catch(() => null);
+    if (!resp.ok) throw new Error(payload?.error || 'recording-playback-failed');
+    return payload as RecordingPlaybackDay;
+};
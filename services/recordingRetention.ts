@@ -0,0 +1,64 @@
+import { addDoc, collection, doc, onSnapshot, query, serverTimestamp, updateDoc } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { getActiveOrgId, whereActiveOrg } from './orgContext';
+import type { RecordingLegalHold } from '../types';
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export interface LegalHoldInput {
+    uid: string | null;
+    userName: string | null;
+    startDate: string | null;
+    endDate: string | null;
+    reason: string;
+}
+
+const currentActor = () => {
+    const actor = auth.currentUser;
+    if (!actor) throw new Error('not-signed-in');
+    return actor;
+};
+
+export const streamLegalHolds = (callback: (holds: RecordingLegalHold[]) => void) => {
+    const q = query(collection(db, 'recordingLegalHolds'), whereActiveOrg());
+    return onSnapshot(q, (snapshot) => {
+        const holds = snapshot.docs.map((d) => ({ id: d.id, ...d.data() } as RecordingLegalHold));
+        callback(holds.sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0)));
+    }, (error) => {
+        console.error('[streamLegalHolds] error:', error);
+        callback([]);
+    });
+};
+
+/** Exempts one agent, a date range, or one agent within a date range from the retention job. */
+export const placeLegalHold = async (input: LegalHoldInput) => {
+    const actor = currentActor();
+    const reason = input.reason.trim();
+    if (!reason) throw new Error('missing-reason');
+    if (!input.uid && !input.startDate && !input.endDate) throw new Error('missing-scope');
+    if ([input.startDate, input.endDate].some((date) => date && !ISO_DATE_PATTERN.test(date))) throw new Error('invalid-date');
+    if (input.startDate && input.endDate && input.startDate > input.endDate) throw new Error('invalid-range');
+
+    const ref = await addDoc(collection(db, 'recordingLegalHolds'), {
+        orgId: getActiveOrgId(),
+        uid: input.uid,
+        userName: input.userName,
+        startDate: input.startDate,
+        endDate: input.endDate,
+        reason,
+        createdBy: actor.uid,
+        createdByName: actor.displayName || actor.email || null,
+        createdAt: serverTimestamp(),
+        releasedAt: null
+    });
+    return ref.id;
+};
+
+/** Released holds stay on record; recordings they protected expire on the next retention run. */
+export const releaseLegalHold = async (hold: RecordingLegalHold) => {
+    const actor = currentActor();
+    await updateDoc(doc(db, 'recordingLegalHolds', hold.id), {
+        releasedAt: serverTimestamp(),
+        releasedBy: actor.uid
+    });
+};
@@ -0,0 +1,82 @@
+import { doc, setDoc, deleteDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { streamGlobalAdminSettings, streamMemberSettings } from './db';
+import { createSettingsOverridesId, resolveEffectiveSettings, sanitizeOverrides } from '../utils/settingsLayers';
+import type { EffectiveSettings } from '../utils/settingsLayers';
+import type { AdminSettingsType, SettingsOverrideValues, SettingsScope } from '../types';
+
+type Actor = { uid: string; displayName?: string | null };
+
+export interface SettingsLayers {
+    global: AdminSettingsType | null;
+    team: SettingsOverrideValues | null;
+    agent: SettingsOverrideValues | null;
+}
+
+/** Streams one override document's values; a missing document means "inherit everything". */
+export const streamSettingsOverrides = (
+    scope: SettingsScope,
+    targetId: string,
+    callback: (values: SettingsOverrideValues | null) => void
+) => {
+    const ref = doc(db, 'settingsOverrides', createSettingsOverridesId(scope, targetId));
+    return onSnapshot(ref, (snap) => {
+        callback(snap.exists() ? sanitizeOverrides(snap.data()?.values) : null);
+    }, (error) => {
+        console.error('[streamSettingsOverrides] error:', error);
+        callback(null);
+    });
+};
+
+/** Replaces the override document; saving with no values removes it so the target inherits again. */
+export const saveSettingsOverrides = async (
+    scope: SettingsScope,
+    targetId: string,
+    values: SettingsOverrideValues,
+    actor: Actor
+) => {
+    if (!targetId) throw new Error('missing-target');
+    const ref = doc(db, 'settingsOverrides', createSettingsOverridesId(scope, targetId));
+    const clean = sanitizeOverrides(values);
+    if (Object.keys(clean).length === 0) {
+        await deleteDoc(ref);
+        return;
+    }
+    await setDoc(ref, {
+        scope,
+        targetId,
+        values: clean,
+        updatedBy: actor.uid,
+        updatedAt: serverTimestamp()
+    });
+};
+
+/**
+ * Streams the global document plus the team and agent layers and calls back with the raw
+ * layers and the resolved result. Callbacks wait until every layer has reported once.
+ * The global layer is the member-readable copy unless `includeCredentials` is set for an admin.
+ */
+export const streamEffectiveAdminSettings = (
+    target: { uid?: string | null; teamId?: string | null; includeCredentials?: boolean },
+    callback: (effective: EffectiveSettings, layers: SettingsLayers) => void
+) => {
+    const layers: SettingsLayers = { global: null, team: null, agent: null };
+    const pending = new Set<keyof SettingsLayers>(['global']);
+    if (target.teamId) pending.add('team');
+    if (target.uid) pending.add('agent');
+
+    const emit = (key: keyof SettingsLayers, value: any) => {
+        layers[key] = value;
+        pending.delete(key);
+        if (pending.size) return;
+        callback(resolveEffectiveSettings(layers.global, layers.team, layers.agent), { ...layers });
+    };
+
+    const unsubscribers = [
+        (target.includeCredentials ? streamGlobalAdminSettings : streamMemberSettings)((settings) => emit('global', settings)),
+        target.teamId ? streamSettingsOverrides('team', target.teamId, (values) => emit('team', values)) : null,
+        target.uid ? streamSettingsOverrides('agent', target.uid, (values) => emit('agent', values)) : null
+    ];
+
+    return () => unsubscribers.forEach((unsub) => unsub?.());
+};
@@ -0,0 +1,307 @@
+import { doc, getDocs, collection, query, where, onSnapshot, serverTimestamp, Timestamp, arrayUnion, runTransaction, addDoc, FieldPath } from 'firebase/firestore';
+import type { DocumentReference } from 'firebase/firestore';
+import { DateTime } from 'luxon';
+import { db } from './firebase';
+import { getScheduleForMonth, readOrganizationTimezone, reconcileLateMinutesForScheduleChanges } from './db';
+import type { MonthlySchedule, ShiftEntry, ShiftSwap, ShiftSwapKind, ShiftSwapStatus, ShiftTime } from '../types';
+
+type Actor = { uid: string; displayName?: string | null };
+
+type TeamActor = Actor & { teamId?: string | null };
+
+const isShift = (entry: ShiftEntry | undefined | null): entry is ShiftTime => Boolean(entry && typeof entry === 'object');
+
+// A teammate can take a shift on a day they are OFF or not rostered; leave days are never available.
+const isFree = (entry: ShiftEntry | undefined | null) => !entry || entry === 'OFF';
+
+const sameShift = (a: ShiftEntry | undefined | null, b: ShiftTime | null | undefined) => (
+    isShift(a) && Boolean(b) && a.startTime === b!.startTime && a.endTime === b!.endTime
+);
+
+const scheduleDocId = (teamId: string, date: string) => `${teamId}-${date.slice(0, 7)}`;
+
+const loadScheduleForDate = (teamId: string, date: string) => {
+    const [year, month] = date.split('-').map(Number);
+    return getScheduleForMonth(teamId, year, month);
+};
+
+const historyEntry = (status: ShiftSwapStatus, actor: Actor, comment?: string | null) => ({
+    status,
+    at: Timestamp.now(),
+    byUid: actor.uid,
+    byDisplayName: actor.displayName || null,
+    comment: comment || null
+});
+
+const toShiftSwap = (id: string, data: any): ShiftSwap => ({
+    id,
+    ...data,
+    history: Array.isArray(data?.history) ? data.history : []
+} as ShiftSwap);
+
+const assertClaimable = (swap: ShiftSwap, claimant: TeamActor) => {
+    if (swap.status !== 'open') {
+        throw new Error('swap-not-open');
+    }
+    if (swap.offeredBy === claimant.uid) {
+        throw new Error('swap-own-offer');
+    }
+    if (claimant.teamId !== swap.teamId) {
+        throw new Error('swap-wrong-team');
+    }
+};
+
+export const offerShift = async (offerer: TeamActor, date: string, kind: ShiftSwapKind, note?: string): Promise<string> => {
+    if (!offerer.teamId) {
+        throw new Error('swap-no-team');
+    }
+    const timezone = await readOrganizationTimezone();
+    const today = DateTime.now().setZone(timezone).toISODate() as string;
+    if (!DateTime.fromISO(date).isValid || date <= today) {
+        throw new Error('swap-date-not-upcoming');
+    }
+    const schedule = await loadScheduleForDate(offerer.teamId, date);
+    const shift = schedule[offerer.uid]?.[date];
+    if (!isShift(shift)) {
+        throw new Error('swap-no-shift');
+    }
+    const existing = await getDocs(query(collection(db, 'shiftSwaps'), where('offeredBy', '==', offerer.uid), where('date', '==', date)));
+    if (existing.docs.some((d) => ['open', 'claimed'].includes(d.data().status))) {
+        throw new Error('swap-already-offered');
+    }
+
+    const ref = await addDoc(collection(db, 'shiftSwaps'), {
+        teamId: offerer.teamId,
+        kind,
+        offeredBy: offerer.uid,
+        offeredByName: offerer.displayName || 'Agent',
+        date,
+        shift: { startTime: shift.startTime, endTime: shift.endTime },
+        note: (note || '').trim() || null,
+        status: 'open',
+        claimedBy: null,
+        claimedByName: null,
+        returnDate: null,
+        returnShift: null,
+        reviewedBy: null,
+        reviewerDisplayName: null,
+        reviewComment: null,
+        history: [historyEntry('open', offerer)],
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    return ref.id;
+};
+
+/**
+ * Claims an open offer. Swaps need `returnDate`: a day the claimant works and the offerer is free.
+ */
+export const claimShiftSwap = async (swapId: string, claimant: TeamActor, returnDate?: string) => {
+    const swapRef = doc(db, 'shiftSwaps', swapId);
+    await runTransaction(db, async (tx) => {
+        const snap = await tx.get(swapRef);
+        if (!snap.exists()) {
+            throw new Error('swap-not-found');
+        }
+        const swap = toShiftSwap(snap.id, snap.data());
+        assertClaimable(swap, claimant);
+
+        const offerSchedule = await loadScheduleForDate(swap.teamId, swap.date);
+        if (!isFree(offerSchedule[claimant.uid]?.[swap.date])) {
+            throw new Error('swap-claimant-unavailable');
+        }
+
+        let returnShift: ShiftTime | null = null;
+        if (swap.kind === 'swap') {
+            if (!returnDate || returnDate === swap.date) {
+                throw new Error('swap-return-date-required');
+            }
+            const returnSchedule = await loadScheduleForDate(swap.teamId, returnDate);
+            const claimantEntry = returnSchedule[claimant.uid]?.[returnDate];
+            if (!isShift(claimantEntry)) {
+                throw new Error('swap-return-no-shift');
+            }
+            if (!isFree(returnSchedule[swap.offeredBy]?.[returnDate])) {
+                throw new Error('swap-offerer-unavailable');
+            }
+            returnShift = { startTime: claimantEntry.startTime, endTime: claimantEntry.endTime };
+        }
+
+        tx.update(swapRef, {
+            status: 'claimed',
+            claimedBy: claimant.uid,
+            claimedByName: claimant.displayName || 'Agent',
+            returnDate: swap.kind === 'swap' ? returnDate : null,
+            returnShift,
+            history: arrayUnion(historyEntry('claimed', claimant)),
+            updatedAt: serverTimestamp()
+        });
+    });
+};
+
+/** Claimant withdraws; the offer goes back on the board. */
+export const releaseShiftSwapClaim = async (swapId: string, claimant: Actor) => {
+    const swapRef = doc(db, 'shiftSwaps', swapId);
+    await runTransaction(db, async (tx) => {
+        const snap = await tx.get(swapRef);
+        if (!snap.exists()) {
+            throw new Error('swap-not-found');
+        }
+        const swap = toShiftSwap(snap.id, snap.data());
+        if (swap.status !== 'claimed' || swap.claimedBy !== claimant.uid) {
+            throw new Error('swap-not-claimant');
+        }
+        tx.update(swapRef, {
+            status: 'open',
+            claimedBy: null,
+            claimedByName: null,
+            returnDate: null,
+            returnShift: null,
+            history: arrayUnion(historyEntry('open', claimant, 'Claim withdrawn')),
+            updatedAt: serverTimestamp()
+        });
+    });
+};
+
+export const cancelShiftSwap = async (swapId: string, offerer: Actor) => {
+    const swapRef = doc(db, 'shiftSwaps', swapId);
+    await runTransaction(db, async (tx) => {
+        const snap = await tx.get(swapRef);
+        if (!snap.exists()) {
+            throw new Error('swap-not-found');
+        }
+        const swap = toShiftSwap(snap.id, snap.data());
+        if (swap.offeredBy !== offerer.uid) {
+            throw new Error('swap-not-owner');
+        }
+        if (swap.status !== 'open' && swap.status !== 'claimed') {
+            throw new Error('swap-not-pending');
+        }
+        tx.update(swapRef, {
+            status: 'cancelled',
+            history: arrayUnion(historyEntry('cancelled', offerer)),
+            updatedAt: serverTimestamp()
+        });
+    });
+};
+
+/**
+ * Applies a claimed swap to the roster. The schedule cells and the swap record are written in one
+ * transaction, and every cell is re-checked first so a roster edit made after the claim blocks approval.
+ */
+export const approveShiftSwap = async (swapId: string, reviewer: Actor, comment?: string) => {
+    const swapRef = doc(db, 'shiftSwaps', swapId);
+    const timezone = await readOrganizationTimezone();
+
+    const { previous, next } = await runTransaction(db, async (tx) => {
+        const snap = await tx.get(swapRef);
+        if (!snap.exists()) {
+            throw new Error('swap-not-found');
+        }
+        const swap = toShiftSwap(snap.id, snap.data());
+        if (swap.status !== 'claimed' || !swap.claimedBy) {
+            throw new Error('swap-not-claimed');
+        }
+        if (swap.offeredBy === reviewer.uid || swap.claimedBy === reviewer.uid) {
+            throw new Error('swap-self-review');
+        }
+
+        const dates = swap.kind === 'swap' && swap.returnDate ? [swap.date, swap.returnDate] : [swap.date];
+        const refs = new Map<string, DocumentReference>();
+        dates.forEach((date) => refs.set(scheduleDocId(swap.teamId, date), doc(db, 'schedules', scheduleDocId(swap.teamId, date))));
+        const schedules = new Map<string, MonthlySchedule>();
+        for (const [id, ref] of refs) {
+            const scheduleSnap = await tx.get(ref);
+            schedules.set(id, scheduleSnap.exists() ? (scheduleSnap.data() as MonthlySchedule) : {});
+        }
+        const entryAt = (uid: string, date: string) => schedules.get(scheduleDocId(swap.teamId, date))?.[uid]?.[date];
+
+        if (!sameShift(entryAt(swap.offeredBy, swap.date), swap.shift) || !isFree(entryAt(swap.claimedBy, swap.date))) {
+            throw new Error('swap-stale');
+        }
+        if (swap.kind === 'swap' && swap.returnDate
+            && (!sameShift(entryAt(swap.claimedBy, swap.returnDate), swap.returnShift) || !isFree(entryAt(swap.offeredBy, swap.returnDate)))) {
+            throw new Error('swap-stale');
+        }
+
+        const changes: Array<{ uid: string; date: string; value: ShiftEntry }> = [
+            { uid: swap.offeredBy, date: swap.date, value: 'OFF' },
+            { uid: swap.claimedBy, date: swap.date, value: swap.shift }
+        ];
+        if (swap.kind === 'swap' && swap.returnDate && swap.returnShift) {
+            changes.push(
+                { uid: swap.claimedBy, date: swap.returnDate, value: 'OFF' },
+                { uid: swap.offeredBy, date: swap.returnDate, value: swap.returnShift }
+            );
+        }
+
+        const previousSlots: MonthlySchedule = {};
+        const nextSlots: MonthlySchedule = {};
+        for (const [id, ref] of refs) {
+            const docChanges = changes.filter((c) => scheduleDocId(swap.teamId, c.date) === id);
+            const [firstField, firstValue, ...rest] = docChanges.flatMap((c) => [new FieldPath(c.uid, c.date), c.value]);
+            tx.update(ref, firstField as FieldPath, firstValue, ...rest);
+            docChanges.forEach((c) => {
+                const before = entryAt(c.uid, c.date);
+                previousSlots[c.uid] = { ...(previousSlots[c.uid] || {}) };
+                if (before) previousSlots[c.uid][c.date] = before;
+                nextSlots[c.uid] = { ...(nextSlots[c.uid] || {}), [c.date]: c.value };
+            });
+        }
+
+        const trimmedComment = (comment || '').trim();
+        tx.update(swapRef, {
+            status: 'approved',
+            reviewedBy: reviewer.uid,
+            reviewerDisplayName: reviewer.displayName || null,
+            reviewComment: trimmedComment || null,
+            history: arrayUnion(historyEntry('approved', reviewer, trimmedComment)),
+            updatedAt: serverTimestamp()
+        });
+        return { previous: previousSlots, next: nextSlots };
+    });
+
+    await reconcileLateMinutesForScheduleChanges(previous, next, timezone);
+};
+
+export const rejectShiftSwap = async (swapId: string, reviewer: Actor, comment: string) => {
+    if (!comment || !comment.trim()) {
+        throw new Error('swap-reject-comment-required');
+    }
+    const swapRef = doc(db, 'shiftSwaps', swapId);
+    await runTransaction(db, async (tx) => {
+        const snap = await tx.get(swapRef);
+        if (!snap.exists()) {
+            throw new Error('swap-not-found');
+        }
+        const swap = toShiftSwap(snap.id, snap.data());
+        if (swap.status !== 'claimed') {
+            throw new Error('swap-not-claimed');
+        }
+        tx.update(swapRef, {
+            status: 'rejected',
+            reviewedBy: reviewer.uid,
+            reviewerDisplayName: reviewer.displayName || null,
+            reviewComment: comment.trim(),
+            history: arrayUnion(historyEntry('rejected', reviewer, comment.trim())),
+            updatedAt: serverTimestamp()
+        });
+    });
+};
+
+export const streamShiftSwapsForTeam = (
+    teamId: string,
+    callback: (swaps: ShiftSwap[]) => void,
+    statuses: ShiftSwapStatus[] = ['open', 'claimed']
+) => {
+    const q = query(collection(db, 'shiftSwaps'), where('teamId', '==', teamId), where('status', 'in', statuses));
+    return onSnapshot(q, (snapshot) => {
+        const swaps = snapshot.docs
+            .map((d) => toShiftSwap(d.id, d.data()))
+            .sort((a, b) => a.date.localeCompare(b.date));
+        callback(swaps);
+    }, (error) => {
+        console.error('[streamShiftSwapsForTeam] error:', error);
+        callback([]);
+    });
+};
@@ -0,0 +1,67 @@
+import { collection, query, orderBy, onSnapshot, addDoc, deleteDoc, doc, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { getActiveOrgId, whereActiveOrg } from './orgContext';
+import type { ShiftTemplate } from '../types';
+
+type Actor = { uid: string; displayName?: string | null };
+
+export interface ShiftTemplateInput {
+    name: string;
+    startTime: string;
+    endTime: string;
+    isOvernight: boolean;
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toShiftTemplate = (id: string, data: any): ShiftTemplate => ({
+    id,
+    name: data?.name || 'Shift',
+    startTime: data?.startTime || '09:00',
+    endTime: data?.endTime || '17:00',
+    isOvernight: data?.isOvernight === true,
+    createdAt: data?.createdAt ?? null,
+    createdBy: data?.createdBy ?? null
+});
+
+export const streamShiftTemplates = (callback: (templates: ShiftTemplate[]) => void) => {
+    const q = query(collection(db, 'shiftTemplates'), whereActiveOrg(), orderBy('startTime', 'asc'));
+    return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map((d) => toShiftTemplate(d.id, d.data())));
+    }, (error) => {
+        console.error('[streamShiftTemplates] error:', error);
+        callback([]);
+    });
+};
+
+/**
+ * The overnight flag must agree with the times: a shift whose end is not after its start
+ * wraps past midnight, and only such shifts may be flagged overnight.
+ */
+export const createShiftTemplate = async (input: ShiftTemplateInput, actor: Actor): Promise<string> => {
+    const name = input.name.trim();
+    if (!name) {
+        throw new Error('template-name-required');
+    }
+    if (!TIME_PATTERN.test(input.startTime) || !TIME_PATTERN.test(input.endTime) || input.startTime === input.endTime) {
+        throw new Error('template-invalid-times');
+    }
+    const wraps = input.endTime < input.startTime;
+    if (wraps !== input.isOvernight) {
+        throw new Error('template-overnight-mismatch');
+    }
+    const ref = await addDoc(collection(db, 'shiftTemplates'), {
+        orgId: getActiveOrgId(),
+        name,
+        startTime: input.startTime,
+        endTime: input.endTime,
+        isOvernight: input.isOvernight,
+        createdAt: serverTimestamp(),
+        createdBy: actor.uid
+    });
+    return ref.id;
+};
+
+export const deleteShiftTemplate = async (templateId: string) => {
+    await deleteDoc(doc(db, 'shiftTemplates', templateId));
+};
@@ -0,0 +1,68 @@
+import { doc, onSnapshot } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { getActiveOrgId } from './orgContext';
+import type { Role, SsoConfig, SsoType } from '../types';
+
+export interface SsoConfigInput {
+    type: SsoType;
+    displayName: string;
+    enabled: boolean;
+    enforced: boolean;
+    jitProvisioning: boolean;
+    syncOnSignIn: boolean;
+    emailDomains: string[];
+    defaultRole: Role;
+    roleClaim: string;
+    roleMappings: { value: string; role: Role }[];
+    teamClaim: string;
+    teamMappings: { value: string; teamId: string }[];
+    /** Blank secrets and certificates keep the ones already registered. */
+    oidc?: { issuer: string; clientId: string; clientSecret?: string };
+    saml?: { idpEntityId: string; ssoUrl: string; certificate?: string; rpEntityId?: string };
+}
+
+/** The redirect URI to register with the identity provider. */
+export const ssoCallbackUrl = () => {
+    const domain = (import.meta.env.VITE_FIREBASE_AUTH_DOMAIN ?? '').trim();
+    return domain ? `https://${domain}/__/auth/handler` : '';
+};
+
+export const streamSsoConfig = (callback: (config: SsoConfig | null) => void) => {
+    return onSnapshot(doc(db, 'ssoConfigs', getActiveOrgId()), (snap) => {
+        callback(snap.exists() ? (snap.data() as SsoConfig) : null);
+    }, (error) => {
+        console.error('[streamSsoConfig] error:', error);
+        callback(null);
+    });
+};
+
+const postSsoConfig = async (body: unknown, fallbackError: string) => {
+    const currentUser = auth.currentUser;
+    if (!currentUser) throw new Error('not-signed-in');
+    const idToken = await currentUser.getIdToken();
+    const resp = await fetch('/api/sso-config', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${idToken}`
+        },
+        body: JSON.stringify(body)
+    });
+    const payload = await resp.json().catch(() => null);
+    if (!resp.ok) throw new Error(payload?.error || fallbackError);
+    return payload;
+};
+
+/** Saves through `api/sso-config`, which registers the provider with Identity Platform. */
+export const saveSsoConfig = async (input: SsoConfigInput): Promise<SsoConfig> => {
+    const payload = await postSsoConfig(input, 'sso-save-failed');
+    return payload.config as SsoConfig;
+};
+
+/** The TXT record to publish on a listed domain before SSO discovery routes it to the organization. */
+export const domainVerificationRecord = (token: string) => `tracker-sso-verification=${token}`;
+
+/** Asks `api/sso-config` to look up the domain's TXT record and mark it verified. */
+export const verifySsoDomain = async (domain: string): Promise<void> => {
+    await postSsoConfig({ action: 'verify-domain', domain }, 'sso-verify-failed');
+};
@@ -0,0 +1,254 @@
+import { doc, getDoc, collection, query, where, onSnapshot, serverTimestamp, Timestamp, arrayUnion, writeBatch } from 'firebase/firestore';
+import { DateTime } from 'luxon';
+import { db } from './firebase';
+import { getWorkLogsForUserInRange, readOrganizationTimezone } from './db';
+import { computeWorkLogTotals } from '../utils/worklogTotals';
+import type { Timesheet, TimesheetPeriod, TimesheetStatus, WorkLog } from '../types';
+
+type Actor = { uid: string; displayName?: string | null };
+
+/**
+ * Resolves the inclusive date range for a timesheet period.
+ * Weeks are ISO weeks (Monday → Sunday) in the organization timezone.
+ */
+export const resolveTimesheetPeriod = (period: TimesheetPeriod, anchorDate: string, timezone: string) => {
+    const anchor = DateTime.fromISO(anchorDate, { zone: timezone });
+    if (!anchor.isValid) {
+        throw new Error('invalid-period-date');
+    }
+    const start = period === 'week' ? anchor.startOf('week') : anchor.startOf('day');
+    const end = period === 'week' ? anchor.endOf('week') : anchor.endOf('day');
+    return {
+        periodStart: start.toISODate() as string,
+        periodEnd: end.toISODate() as string,
+        start,
+        end
+    };
+};
+
+/**
+ * Timesheet ID format: uid-teamId-period-YYYY-MM-DD (period start).
+ * Agents in several teams submit one timesheet per team for the same period.
+ */
+export const createTimesheetId = (uid: string, teamId: string, period: TimesheetPeriod, periodStart: string) => (
+    `${uid}-${teamId}-${period}-${periodStart}`
+);
+
+const toTimesheet = (id: string, data: any): Timesheet => ({
+    id,
+    ...data,
+    worklogIds: Array.isArray(data?.worklogIds) ? data.worklogIds : [],
+    totalWorkSeconds: typeof data?.totalWorkSeconds === 'number' ? data.totalWorkSeconds : 0,
+    totalBreakSeconds: typeof data?.totalBreakSeconds === 'number' ? data.totalBreakSeconds : 0
+} as Timesheet);
+
+const summarizeLogs = (logs: WorkLog[]) => logs.reduce((acc, log) => {
+    const { workSeconds, breakSeconds } = computeWorkLogTotals(log);
+    acc.totalWorkSeconds += workSeconds;
+    acc.totalBreakSeconds += breakSeconds;
+    return acc;
+}, { totalWorkSeconds: 0, totalBreakSeconds: 0 });
+
+const readWorkLogs = async (ids: string[]): Promise<WorkLog[]> => {
+    const snaps = await Promise.all(ids.map((id) => getDoc(doc(db, 'worklogs', id))));
+    return snaps.filter((snap) => snap.exists()).map((snap) => ({ id: snap.id, ...snap.data() } as WorkLog));
+};
+
+const historyEntry = (status: TimesheetStatus, actor: Actor, comment?: string | null) => ({
+    status,
+    at: Timestamp.now(),
+    byUid: actor.uid,
+    byDisplayName: actor.displayName || null,
+    comment: comment || null
+});
+
+/**
+ * Loads the worklogs covered by a timesheet period and computes a draft preview.
+ * Nothing is written; the returned object reflects any already-saved status.
+ */
+export const previewTimesheet = async (
+    user: Actor,
+    teamId: string,
+    period: TimesheetPeriod,
+    anchorDate: string
+): Promise<{ timesheet: Timesheet; logs: WorkLog[] }> => {
+    const timezone = await readOrganizationTimezone();
+    const { periodStart, periodEnd, start, end } = resolveTimesheetPeriod(period, anchorDate, timezone);
+    const id = createTimesheetId(user.uid, teamId, period, periodStart);
+
+    const logs = (await getWorkLogsForUserInRange(user.uid, start.toJSDate(), end.toJSDate()))
+        .filter((log) => !log.teamId || log.teamId === teamId);
+    const totals = summarizeLogs(logs);
+
+    const existingSnap = await getDoc(doc(db, 'timesheets', id));
+    const existing = existingSnap.exists() ? toTimesheet(id, existingSnap.data()) : null;
+
+    const timesheet: Timesheet = {
+        ...(existing || {}),
+        id,
+        userId: user.uid,
+        userDisplayName: existing?.userDisplayName || user.displayName || 'Agent',
+        teamId,
+        period,
+        periodStart,
+        periodEnd,
+        status: existing?.status || 'draft',
+        worklogIds: logs.map((log) => log.id),
+        ...totals
+    };
+
+    return { timesheet, logs };
+};
+
+/**
+ * Agent submission: snapshots the period totals and flags each covered worklog.
+ * Logs without a team are filed under the timesheet's team so its reviewers can update them.
+ * Fails while any covered session is still open or once the period is approved.
+ */
+export const submitTimesheet = async (
+    user: Actor,
+    teamId: string,
+    period: TimesheetPeriod,
+    anchorDate: string
+): Promise<Timesheet> => {
+    const { timesheet, logs } = await previewTimesheet(user, teamId, period, anchorDate);
+
+    if (timesheet.status === 'approved') {
+        throw new Error('timesheet-already-approved');
+    }
+    if (timesheet.status === 'submitted') {
+        throw new Error('timesheet-already-submitted');
+    }
+    if (!logs.length) {
+        throw new Error('timesheet-empty');
+    }
+    if (logs.some((log) => log.status !== 'clocked_out')) {
+        throw new Error('timesheet-has-active-session');
+    }
+
+    const sheetRef = doc(db, 'timesheets', timesheet.id);
+    const batch = writeBatch(db);
+    batch.set(sheetRef, {
+        userId: timesheet.userId,
+        userDisplayName: timesheet.userDisplayName,
+        teamId,
+        period,
+        periodStart: timesheet.periodStart,
+        periodEnd: timesheet.periodEnd,
+        status: 'submitted',
+        worklogIds: timesheet.worklogIds,
+        totalWorkSeconds: timesheet.totalWorkSeconds,
+        totalBreakSeconds: timesheet.totalBreakSeconds,
+        submittedAt: serverTimestamp(),
+        reviewedAt: null,
+        reviewedBy: null,
+        reviewerDisplayName: null,
+        reviewComment: null,
+        history: arrayUnion(historyEntry('submitted', user)),
+        ...(timesheet.createdAt ? {} : { createdAt: serverTimestamp() }),
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    logs.forEach((log) => {
+        batch.update(doc(db, 'worklogs', log.id), {
+            ...(log.teamId ? {} : { teamId }),
+            timesheetId: timesheet.id,
+            timesheetStatus: 'submitted'
+        });
+    });
+
+    await batch.commit();
+    return { ...timesheet, status: 'submitted' };
+};
+
+const reviewTimesheet = async (
+    timesheetId: string,
+    reviewer: Actor,
+    decision: 'approved' | 'rejected',
+    comment?: string
+) => {
+    const sheetRef = doc(db, 'timesheets', timesheetId);
+    const snap = await getDoc(sheetRef);
+    if (!snap.exists()) {
+        throw new Error('timesheet-not-found');
+    }
+    const sheet = toTimesheet(snap.id, snap.data());
+    if (sheet.status !== 'submitted') {
+        throw new Error('timesheet-not-submitted');
+    }
+    if (sheet.userId === reviewer.uid) {
+        throw new Error('timesheet-self-review');
+    }
+
+    // Only the sheet's own team logs are reviewed: managers cannot update deleted, teamless or
+    // other teams' logs, and one such log would otherwise fail the whole batch.
+    const logs = (await readWorkLogs(sheet.worklogIds)).filter((log) => log.teamId === sheet.teamId);
+
+    // Submitted totals come from the agent's browser; approved ones are re-derived from the worklogs.
+    const totals = decision === 'approved' ? summarizeLogs(logs) : {};
+
+    const trimmedComment = (comment || '').trim();
+    const batch = writeBatch(db);
+    batch.update(sheetRef, {
+        status: decision,
+        ...totals,
+        reviewedAt: serverTimestamp(),
+        reviewedBy: reviewer.uid,
+        reviewerDisplayName: reviewer.displayName || null,
+        reviewComment: trimmedComment || null,
+        history: arrayUnion(historyEntry(decision, reviewer, trimmedComment)),
+        updatedAt: serverTimestamp()
+    });
+
+    logs.forEach((log) => {
+        batch.update(doc(db, 'worklogs', log.id), {
+            timesheetId,
+            timesheetStatus: decision
+        });
+    });
+
+    await batch.commit();
+};
+
+export const approveTimesheet = (timesheetId: string, reviewer: Actor, comment?: string) => (
+    reviewTimesheet(timesheetId, reviewer, 'approved', comment)
+);
+
+export const rejectTimesheet = async (timesheetId: string, reviewer: Actor, comment: string) => {
+    if (!comment || !comment.trim()) {
+        throw new Error('timesheet-reject-comment-required');
+    }
+    await reviewTimesheet(timesheetId, reviewer, 'rejected', comment);
+};
+
+export const streamTimesheetsForUser = (uid: string, callback: (sheets: Timesheet[]) => void) => {
+    const q = query(collection(db, 'timesheets'), where('userId', '==', uid));
+    return onSnapshot(q, (snapshot) => {
+        const sheets = snapshot.docs
+            .map((d) => toTimesheet(d.id, d.data()))
+            .sort((a, b) => b.periodStart.localeCompare(a.periodStart));
+        callback(sheets);
+    }, (error) => {
+        console.error('[streamTimesheetsForUser] error:', error);
+        callback([]);
+    });
+};
+
+export const streamTimesheetsForTeam = (
+    teamId: string,
+    callback: (sheets: Timesheet[]) => void,
+    status?: TimesheetStatus
+) => {
+    const constraints = [where('teamId', '==', teamId)];
+    if (status) constraints.push(where('status', '==', status));
+    const q = query(collection(db, 'timesheets'), ...constraints);
+    return onSnapshot(q, (snapshot) => {
+        const sheets = snapshot.docs
+            .map((d) => toTimesheet(d.id, d.data()))
+            .sort((a, b) => a.periodStart.localeCompare(b.periodStart) || a.userDisplayName.localeCompare(b.userDisplayName));
+        callback(sheets);
+    }, (error) => {
+        console.error('[streamTimesheetsForTeam] error:', error);
+        callback([]);
+    });
+};
@@ -0,0 +1,51 @@
+import { auth } from './firebase';
+import { resetPassword } from './auth';
+import type { UserImportRow } from '../utils/userImport';
+
+export type UserImportStatus = 'ready' | 'created' | 'error';
+
+export interface UserImportResult {
+    email: string;
+    status: UserImportStatus;
+    error?: string;
+    uid?: string;
+    setupEmailSent?: boolean;
+}
+
+/**
+ * Sends valid rows to `api/import-users`. A dry run only validates; a real run creates the
+ * accounts and then sends each new user a password-setup email through the reset flow.
+ */
+export const importUsers = async (rows: UserImportRow[], dryRun: boolean): Promise<UserImportResult[]> => {
+    const currentUser = auth.currentUser;
+    if (!currentUser) throw new Error('not-signed-in');
+    const idToken = await currentUser.getIdToken();
+    const resp = await fetch('/api/import-users', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${idToken}`
+        },
+        body: JSON.stringify({
+            dryRun,
+            rows: rows.map(({ email, displayName, roles, teamIds }) => ({ email, displayName, roles, teamIds }))
+        })
+    });
+    const payload = await resp.json().catch(() => null);
+    if (!resp.ok) throw new Error(payload?.error || 'user-import-failed');
+
+    const results = (payload?.results || []) as UserImportResult[];
+    if (dryRun) return results;
+
+    for (const result of results) {
+        if (result.status !== 'created') continue;
+        try {
+            await resetPassword(result.email);
+            result.setupEmailSent = true;
+        } catch (error) {
+            console.error(`[importUsers] setup email failed for ${result.email}`, error);
+            result.setupEmailSent = false;
+        }
+    }
+    return results;
+};
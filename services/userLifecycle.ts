@@ -0,0 +1,40 @@
+import { collection, onSnapshot, query } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { whereActiveOrg } from './orgContext';
+import type { UserPurgeJob } from '../types';
+
+type LifecycleAction = 'deactivate' | 'reactivate' | 'purge';
+
+/** Account lifecycle changes go through `api/user-lifecycle`, which needs the Admin SDK to disable sign-in. */
+const runLifecycleAction = async (action: LifecycleAction, uid: string, extra: Record<string, unknown> = {}) => {
+    const currentUser = auth.currentUser;
+    if (!currentUser) throw new Error('not-signed-in');
+    const idToken = await currentUser.getIdToken();
+    const resp = await fetch('/api/user-lifecycle', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${idToken}`
+        },
+        body: JSON.stringify({ action, uid, ...extra })
+    });
+    const payload = await resp.json().catch(() => null);
+    if (!resp.ok) throw new Error(payload?.error || 'user-lifecycle-failed');
+};
+
+/** Disables sign-in and signs the desktop app out; worklogs, recordings and reports are kept. */
+export const deactivateUser = (uid: string, reason?: string) => runLifecycleAction('deactivate', uid, { reason: reason || null });
+
+export const reactivateUser = (uid: string) => runLifecycleAction('reactivate', uid);
+
+/** Queues a permanent delete of a deactivated user's data and recordings. */
+export const requestUserPurge = (uid: string) => runLifecycleAction('purge', uid);
+
+export const streamUserPurgeJobs = (callback: (jobs: UserPurgeJob[]) => void) => {
+    return onSnapshot(query(collection(db, 'userPurgeJobs'), whereActiveOrg()), (snapshot) => {
+        callback(snapshot.docs.map((d) => ({ ...d.data(), uid: d.id } as UserPurgeJob)));
+    }, (error) => {
+        console.error('[streamUserPurgeJobs] error:', error);
+        callback([]);
+    });
+};
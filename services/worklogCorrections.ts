@@ -0,0 +1,438 @@
+import { doc, getDoc, collection, query, where, orderBy, onSnapshot, serverTimestamp, Timestamp, runTransaction, addDoc, updateDoc, deleteField } from 'firebase/firestore';
+import { db } from './firebase';
+import { computeLateMinutes, isSessionStale, readOrganizationTimezone } from './db';
+import { getActiveOrgId } from './orgContext';
+import { computeWorkLogTotals, normalizeDate } from '../utils/worklogTotals';
+import type {
+    WorkLog,
+    WorklogCorrectionBreak,
+    WorklogCorrectionFields,
+    WorklogCorrectionRequest,
+    WorklogRevision,
+    WorklogRevisionSource
+} from '../types';
+
+type Actor = { uid: string; displayName?: string | null };
+
+// Fields captured in revision before/after snapshots. `activities` is derived and left out to keep diffs readable.
+const REVISION_TRACKED_FIELDS = ['clockInTime', 'clockOutTime', 'breaks', 'status', 'totalWorkSeconds', 'totalBreakSeconds', 'lateMinutes'];
+
+const toMillis = (value: any): number | null => {
+    const date = normalizeDate(value);
+    return date ? date.getTime() : null;
+};
+
+const toTimestamp = (value: any): Timestamp | null => {
+    const date = normalizeDate(value);
+    return date ? Timestamp.fromDate(date) : null;
+};
+
+// Timestamps compare by millis; everything else by JSON shape.
+const comparable = (value: any): any => {
+    if (value === undefined || value === null) return null;
+    if (Array.isArray(value)) return value.map(comparable);
+    if (value instanceof Timestamp || value instanceof Date || typeof value?.toDate === 'function') return toMillis(value);
+    if (typeof value === 'object') {
+        return Object.keys(value).sort().reduce((acc, key) => {
+            acc[key] = comparable(value[key]);
+            return acc;
+        }, {} as Record<string, any>);
+    }
+    return value;
+};
+
+const isSameValue = (a: any, b: any) => JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+
+const diffTrackedFields = (log: Record<string, any>, updates: Record<string, any>) => {
+    const before: Record<string, any> = {};
+    const after: Record<string, any> = {};
+    REVISION_TRACKED_FIELDS.forEach((field) => {
+        if (!(field in updates)) return;
+        const previous = log[field] ?? null;
+        const next = updates[field] ?? null;
+        if (isSameValue(previous, next)) return;
+        before[field] = previous;
+        after[field] = next;
+    });
+    return { before, after };
+};
+
+const normalizeBreakList = (breaks: WorklogCorrectionBreak[] | undefined): WorklogCorrectionBreak[] => (
+    (breaks || [])
+        .map((entry) => ({
+            startTime: toTimestamp(entry?.startTime),
+            endTime: toTimestamp(entry?.endTime),
+            cause: entry?.cause || 'manual'
+        }))
+        .filter((entry) => entry.startTime)
+        .sort((a, b) => (toMillis(a.startTime) || 0) - (toMillis(b.startTime) || 0))
+);
+
+// Overlap is only enforced for proposed breaks; recorded breaks may legitimately overlap (idle inside screen lock).
+const validateCorrection = (clockIn: Timestamp | null, clockOut: Timestamp | null, breaks: WorklogCorrectionBreak[], checkOverlap: boolean) => {
+    const startMs = toMillis(clockIn);
+    const endMs = toMillis(clockOut);
+    if (!startMs || !endMs || endMs <= startMs) {
+        throw new Error('correction-invalid-range');
+    }
+    let previousEnd = startMs;
+    breaks.forEach((entry) => {
+        const breakStart = toMillis(entry.startTime);
+        const breakEnd = toMillis(entry.endTime);
+        if (!breakStart || !breakEnd || breakEnd <= breakStart) {
+            throw new Error('correction-invalid-break');
+        }
+        if (breakStart < startMs || breakEnd > endMs) {
+            throw new Error('correction-break-out-of-range');
+        }
+        if (checkOverlap && breakStart < previousEnd) {
+            throw new Error('correction-break-overlap');
+        }
+        previousEnd = breakEnd;
+    });
+};
+
+// Rebuilds the working/on_break timeline so ActivitySheet reflects the corrected boundaries.
+const rebuildActivities = (clockIn: Timestamp, clockOut: Timestamp, breaks: WorklogCorrectionBreak[]) => {
+    const activities: Array<Record<string, any>> = [];
+    let cursor = clockIn;
+    breaks.forEach((entry) => {
+        if ((toMillis(entry.startTime) || 0) > (toMillis(cursor) || 0)) {
+            activities.push({ type: 'working', startTime: cursor, endTime: entry.startTime });
+        }
+        activities.push({ type: 'on_break', startTime: entry.startTime, endTime: entry.endTime, cause: entry.cause || 'manual' });
+        cursor = entry.endTime;
+    });
+    if ((toMillis(clockOut) || 0) > (toMillis(cursor) || 0)) {
+        activities.push({ type: 'working', startTime: cursor, endTime: clockOut });
+    }
+    return activities;
+};
+
+// Without proposed breaks the recorded timeline is kept; only its outer edges follow the new clock times.
+const clampActivities = (activities: any[] | undefined, clockIn: Timestamp, clockOut: Timestamp) => {
+    if (!Array.isArray(activities) || !activities.length) return undefined;
+    const startMs = toMillis(clockIn) || 0;
+    const endMs = toMillis(clockOut) || 0;
+    const kept = activities
+        .filter((entry) => entry && entry.startTime)
+        .filter((entry) => (toMillis(entry.startTime) || 0) < endMs && (toMillis(entry.endTime) ?? endMs) > startMs)
+        .map((entry) => ({ ...entry }));
+    if (!kept.length) return [{ type: 'working', startTime: clockIn, endTime: clockOut }];
+    kept[0].startTime = clockIn;
+    const last = kept[kept.length - 1];
+    last.endTime = clockOut;
+    kept.forEach((entry) => {
+        if ((toMillis(entry.startTime) || 0) < startMs) entry.startTime = clockIn;
+        if (!entry.endTime || (toMillis(entry.endTime) || 0) > endMs) entry.endTime = clockOut;
+    });
+    return kept;
+};
+
+/** Sessions the agent may propose corrections for: closed ones, and stale ones left open. */
+export const isCorrectableLog = (log: WorkLog) => log.status === 'clocked_out' || isSessionStale(log);
+
+/**
+ * Builds the worklog update for a correction: proposed fields win, the rest are carried over,
+ * and totals/activities/lateness are recomputed from the resulting boundaries. A stale open
+ * session is closed at the proposed clock-out, along with any break still running.
+ */
+const buildCorrectionUpdates = (log: WorkLog, proposed: WorklogCorrectionFields, timezone: string) => {
+    const clockIn = toTimestamp(proposed.clockInTime ?? log.clockInTime);
+    const clockOut = toTimestamp(proposed.clockOutTime ?? log.clockOutTime);
+    const closesSession = log.status !== 'clocked_out';
+    const recordedBreaks = closesSession
+        ? (log.breaks || []).map((entry) => (entry && entry.startTime && !entry.endTime ? { ...entry, endTime: clockOut } : entry))
+        : (log.breaks || []);
+    const breaksProposed = proposed.breaks !== undefined;
+    const breaks = breaksProposed ? normalizeBreakList(proposed.breaks) : recordedBreaks;
+    validateCorrection(clockIn, clockOut, breaksProposed ? breaks : normalizeBreakList(recordedBreaks), breaksProposed);
+
+    const corrected = { ...log, status: 'clocked_out', clockInTime: clockIn, clockOutTime: clockOut, breaks } as WorkLog;
+    const { workSeconds, breakSeconds } = computeWorkLogTotals(corrected);
+
+    const updates: Record<string, any> = {
+        clockInTime: clockIn,
+        clockOutTime: clockOut,
+        totalWorkSeconds: Math.round(workSeconds),
+        totalBreakSeconds: Math.round(breakSeconds)
+    };
+    if (closesSession) {
+        updates.status = 'clocked_out';
+        if (!breaksProposed) updates.breaks = breaks;
+    }
+    if (breaksProposed) {
+        updates.breaks = breaks;
+        updates.activities = rebuildActivities(clockIn as Timestamp, clockOut as Timestamp, breaks);
+    } else {
+        const activities = clampActivities((log as any).activities, clockIn as Timestamp, clockOut as Timestamp);
+        if (activities) updates.activities = activities;
+    }
+    if (log.scheduledStart) {
+        updates.lateMinutes = Math.round(computeLateMinutes(log.scheduledStart, clockIn, timezone, log.isOvernightShift === true));
+    }
+    return updates;
+};
+
+const toCorrection = (id: string, data: any): WorklogCorrectionRequest => ({
+    id,
+    ...data,
+    proposed: data?.proposed || {},
+    original: data?.original || {}
+} as WorklogCorrectionRequest);
+
+/**
+ * Applies `updates` to a worklog and writes an immutable revision with the before/after of
+ * every tracked field that actually changed, in a single transaction.
+ */
+export const updateWorkLogWithRevision = async (
+    logId: string,
+    updates: Record<string, any>,
+    actor: Actor,
+    meta: { source: WorklogRevisionSource; reason?: string | null; correctionId?: string | null }
+): Promise<string> => {
+    const logRef = doc(db, 'worklogs', logId);
+    const revisionRef = doc(collection(db, 'worklogs', logId, 'revisions'));
+    await runTransaction(db, async (tx) => {
+        const snap = await tx.get(logRef);
+        if (!snap.exists()) {
+            throw new Error('worklog-not-found');
+        }
+        const { before, after } = diffTrackedFields(snap.data(), updates);
+        tx.update(logRef, updates);
+        tx.set(revisionRef, {
+            worklogId: logId,
+            source: meta.source,
+            correctionId: meta.correctionId || null,
+            changedBy: actor.uid,
+            changedByDisplayName: actor.displayName || null,
+            changedAt: serverTimestamp(),
+            reason: meta.reason || null,
+            before,
+            after
+        });
+    });
+    return revisionRef.id;
+};
+
+/**
+ * Agent proposal for a closed worklog, or for a stale one left open, which must propose its
+ * clock-out. The current values are snapshotted so a reviewer can see the diff and so approval
+ * can detect edits made after the request was filed.
+ */
+export const submitWorklogCorrection = async (
+    log: WorkLog,
+    proposed: WorklogCorrectionFields,
+    reason: string,
+    requester: Actor
+): Promise<string> => {
+    if (!reason || !reason.trim()) {
+        throw new Error('correction-reason-required');
+    }
+    if (!isCorrectableLog(log)) {
+        throw new Error('correction-requires-closed-session');
+    }
+    if (log.status !== 'clocked_out' && !proposed.clockOutTime) {
+        throw new Error('correction-requires-clock-out');
+    }
+    if (log.timesheetStatus === 'approved') {
+        throw new Error('timesheet-locked');
+    }
+
+    const timezone = await readOrganizationTimezone();
+    // Validate up front so agents get feedback before a manager ever sees the request.
+    buildCorrectionUpdates(log, proposed, timezone);
+
+    const cleanProposed: WorklogCorrectionFields = {};
+    const original: WorklogCorrectionFields = {};
+    if (proposed.clockInTime !== undefined) {
+        cleanProposed.clockInTime = toTimestamp(proposed.clockInTime);
+        original.clockInTime = toTimestamp(log.clockInTime);
+    }
+    if (proposed.clockOutTime !== undefined) {
+        cleanProposed.clockOutTime = toTimestamp(proposed.clockOutTime);
+        original.clockOutTime = toTimestamp(log.clockOutTime);
+    }
+    if (proposed.breaks !== undefined) {
+        cleanProposed.breaks = normalizeBreakList(proposed.breaks);
+        original.breaks = normalizeBreakList(log.breaks);
+    }
+    if (!Object.keys(cleanProposed).length || isSameValue(cleanProposed, original)) {
+        throw new Error('correction-no-changes');
+    }
+
+    const ref = await addDoc(collection(db, 'worklogCorrections'), {
+        worklogId: log.id,
+        userId: requester.uid,
+        userDisplayName: requester.displayName || log.userDisplayName || 'Agent',
+        teamId: log.teamId || null,
+        orgId: getActiveOrgId(),
+        reason: reason.trim(),
+        proposed: cleanProposed,
+        original,
+        status: 'pending',
+        createdAt: serverTimestamp(),
+        reviewedAt: null,
+        reviewedBy: null,
+        reviewerDisplayName: null,
+        reviewComment: null,
+        revisionId: null
+    });
+    return ref.id;
+};
+
+export const approveWorklogCorrection = async (correctionId: string, reviewer: Actor, comment?: string) => {
+    const correctionRef = doc(db, 'worklogCorrections', correctionId);
+    const timezone = await readOrganizationTimezone();
+
+    await runTransaction(db, async (tx) => {
+        const correctionSnap = await tx.get(correctionRef);
+        if (!correctionSnap.exists()) {
+            throw new Error('correction-not-found');
+        }
+        const correction = toCorrection(correctionSnap.id, correctionSnap.data());
+        if (correction.status !== 'pending') {
+            throw new Error('correction-not-pending');
+        }
+        if (correction.userId === reviewer.uid) {
+            throw new Error('correction-self-review');
+        }
+
+        const logRef = doc(db, 'worklogs', correction.worklogId);
+        const logSnap = await tx.get(logRef);
+        if (!logSnap.exists()) {
+            throw new Error('worklog-not-found');
+        }
+        const log = { id: logSnap.id, ...logSnap.data() } as WorkLog;
+        if (log.timesheetStatus === 'approved') {
+            throw new Error('timesheet-locked');
+        }
+        // Clock-in closes forgotten sessions, so one still open here is the agent's latest.
+        const statusRef = doc(db, 'agentStatus', log.userId);
+        const statusSnap = log.status !== 'clocked_out' ? await tx.get(statusRef) : null;
+        const drifted = (Object.keys(correction.original) as Array<keyof WorklogCorrectionFields>).some((field) => {
+            const current = field === 'breaks' ? normalizeBreakList(log.breaks) : toTimestamp(log[field]);
+            return !isSameValue(current, correction.original[field]);
+        });
+        if (drifted) {
+            throw new Error('correction-stale');
+        }
+
+        const updates = buildCorrectionUpdates(log, correction.proposed, timezone);
+        const { before, after } = diffTrackedFields(log, updates);
+        const revisionRef = doc(collection(db, 'worklogs', log.id, 'revisions'));
+        const trimmedComment = (comment || '').trim();
+
+        tx.update(logRef, updates);
+        if (statusSnap?.exists() && statusSnap.data()?.status !== 'offline') {
+            tx.set(statusRef, {
+                status: 'offline',
+                manualBreak: false,
+                breakStartedAt: deleteField(),
+                lastUpdate: serverTimestamp()
+            }, { merge: true });
+        }
+        tx.set(revisionRef, {
+            worklogId: log.id,
+            source: 'correction',
+            correctionId,
+            changedBy: reviewer.uid,
+            changedByDisplayName: reviewer.displayName || null,
+            changedAt: serverTimestamp(),
+            reason: correction.reason,
+            before,
+            after
+        });
+        tx.update(correctionRef, {
+            status: 'approved',
+            reviewedAt: serverTimestamp(),
+            reviewedBy: reviewer.uid,
+            reviewerDisplayName: reviewer.displayName || null,
+            reviewComment: trimmedComment || null,
+            revisionId: revisionRef.id
+        });
+    });
+};
+
+export const rejectWorklogCorrection = async (correctionId: string, reviewer: Actor, comment: string) => {
+    if (!comment || !comment.trim()) {
+        throw new Error('correction-reject-comment-required');
+    }
+    const correctionRef = doc(db, 'worklogCorrections', correctionId);
+    await runTransaction(db, async (tx) => {
+        const snap = await tx.get(correctionRef);
+        if (!snap.exists()) {
+            throw new Error('correction-not-found');
+        }
+        const correction = toCorrection(snap.id, snap.data());
+        if (correction.status !== 'pending') {
+            throw new Error('correction-not-pending');
+        }
+        if (correction.userId === reviewer.uid) {
+            throw new Error('correction-self-review');
+        }
+        tx.update(correctionRef, {
+            status: 'rejected',
+            reviewedAt: serverTimestamp(),
+            reviewedBy: reviewer.uid,
+            reviewerDisplayName: reviewer.displayName || null,
+            reviewComment: comment.trim()
+        });
+    });
+};
+
+export const cancelWorklogCorrection = async (correctionId: string, requester: Actor) => {
+    const correctionRef = doc(db, 'worklogCorrections', correctionId);
+    const snap = await getDoc(correctionRef);
+    if (!snap.exists()) {
+        throw new Error('correction-not-found');
+    }
+    const correction = toCorrection(snap.id, snap.data());
+    if (correction.userId !== requester.uid) {
+        throw new Error('correction-not-owner');
+    }
+    if (correction.status !== 'pending') {
+        throw new Error('correction-not-pending');
+    }
+    await updateDoc(correctionRef, { status: 'cancelled' });
+};
+
+export const streamCorrectionsForUser = (uid: string, callback: (corrections: WorklogCorrectionRequest[]) => void) => {
+    const q = query(collection(db, 'worklogCorrections'), where('userId', '==', uid));
+    return onSnapshot(q, (snapshot) => {
+        const corrections = snapshot.docs
+            .map((d) => toCorrection(d.id, d.data()))
+            .sort((a, b) => (toMillis(b.createdAt) || 0) - (toMillis(a.createdAt) || 0));
+        callback(corrections);
+    }, (error) => {
+        console.error('[streamCorrectionsForUser] error:', error);
+        callback([]);
+    });
+};
+
+export const streamCorrectionsForTeam = (
+    teamId: string,
+    callback: (corrections: WorklogCorrectionRequest[]) => void,
+    status: WorklogCorrectionRequest['status'] = 'pending'
+) => {
+    const q = query(collection(db, 'worklogCorrections'), where('teamId', '==', teamId), where('status', '==', status));
+    return onSnapshot(q, (snapshot) => {
+        const corrections = snapshot.docs
+            .map((d) => toCorrection(d.id, d.data()))
+            .sort((a, b) => (toMillis(a.createdAt) || 0) - (toMillis(b.createdAt) || 0));
+        callback(corrections);
+    }, (error) => {
+        console.error('[streamCorrectionsForTeam] error:', error);
+        callback([]);
+    });
+};
+
+export const streamWorklogRevisions = (logId: string, callback: (revisions: WorklogRevision[]) => void) => {
+    const q = query(collection(db, 'worklogs', logId, 'revisions'), orderBy('changedAt', 'desc'));
+    return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() } as WorklogRevision)));
+    }, (error) => {
+        console.error('[streamWorklogRevisions] error:', error);
+        callback([]);
+    });
+};
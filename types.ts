@@ -4,6 +4,8 @@ export interface BreakEntry {
     startTime: any;
     endTime: any;
     cause?: 'manual' | 'idle' | 'away';
+    breakType?: string | null; // BreakPolicyRule id for manual breaks taken under a team break policy
+    reason?: string | null; // BreakReason code picked by the agent
 }
 
 export type ActivityType = 'working' | 'on_break';
@@ -13,6 +15,7 @@ export interface ActivityEntry {
     startTime: any;
     endTime: any | null;
     cause?: 'manual' | 'idle';
+    reason?: string | null;
 }
 
 // --- App & Website Tracking ---
@@ -33,6 +36,7 @@ export interface AppActivityEntry {
 
 export interface AppActivitySummary {
     userId: string;
+    orgId?: string;
     date: string;
     totalTrackedSeconds: number;
     byCategory: Record<AppCategory, number>;
@@ -60,9 +64,84 @@ export interface AppAlert {
     detectionReason?: string;
 }
 
+// --- Recording Playback ---
+
+export type RecordingTarget = 'dropbox' | 'googleDrive' | 'http';
+
+/**
+ * One uploaded segment as listed by `api/recording-playback`. `endMs` comes from the file name,
+ * which desktop stamps when the segment is finalized; `url` is short-lived and null when the
+ * target cannot serve the file.
+ */
+export interface RecordingSegment {
+    target: RecordingTarget;
+    id: string;
+    name: string;
+    screenId: string;
+    endMs: number;
+    size: number | null;
+    url: string | null;
+    /** The file is in the encrypted format (`.webm.enc`) and must be decrypted in the browser. */
+    encrypted?: boolean;
+}
+
+export interface RecordingSourceStatus {
+    count: number;
+    skipped?: string;
+    error?: string;
+}
+
+export interface RecordingPlaybackDay {
+    uid: string;
+    date: string;
+    segments: RecordingSegment[];
+    sources: Partial<Record<RecordingTarget, RecordingSourceStatus>>;
+}
+
+export type RecordingKeyStatus = 'active' | 'retired';
+
+/**
+ * `recordingKeys/{keyId}` — an organization key pair for recording encryption. The private key
+ * never leaves the browser unsealed: it is stored encrypted with a passphrase only reviewers know.
+ * Retired keys stay so older segments remain readable.
+ */
+export interface RecordingKey {
+    id: string;
+    orgId?: string;
+    publicKey: string;
+    encryptedPrivateKey: string;
+    salt: string;
+    iv: string;
+    iterations: number;
+    status: RecordingKeyStatus;
+    createdBy: string;
+    createdAt: any;
+    retiredAt?: any;
+}
+
+/**
+ * `recordingLegalHolds/{id}` — exempts recordings from retention purges. Without `uid` the hold
+ * covers every agent; without dates it covers every day. Holds are released, never deleted.
+ */
+export interface RecordingLegalHold {
+    id: string;
+    orgId?: string;
+    uid: string | null;
+    userName: string | null;
+    startDate: string | null; // YYYY-MM-DD, inclusive
+    endDate: string | null; // YYYY-MM-DD, inclusive
+    reason: string;
+    createdBy: string;
+    createdByName: string | null;
+    createdAt: any;
+    releasedAt: any | null;
+    releasedBy?: string | null;
+}
+
 export interface WorkLog {
     id: string;
     userId: string;
+    orgId?: string;
     userDisplayName: string;
 
     clockInTime: any;
@@ -87,22 +166,152 @@ export interface WorkLog {
     scheduledStart?: string | null;
     scheduledEnd?: string | null;
     isOvernightShift?: boolean;
+    isHoliday?: boolean;
+
+    timesheetId?: string | null;
+    timesheetStatus?: TimesheetStatus | null;
+}
+
+// --- Timesheet Approval ---
+
+export type TimesheetStatus = 'draft' | 'submitted' | 'approved' | 'rejected';
+
+export type TimesheetPeriod = 'day' | 'week';
+
+export interface TimesheetHistoryEntry {
+    status: TimesheetStatus;
+    at: any;
+    byUid: string;
+    byDisplayName?: string | null;
+    comment?: string | null;
+}
+
+export interface Timesheet {
+    id: string;
+    userId: string;
+    userDisplayName: string;
+    teamId: string;
+    period: TimesheetPeriod;
+    periodStart: string; // YYYY-MM-DD (organization timezone)
+    periodEnd: string;   // YYYY-MM-DD inclusive
+    status: TimesheetStatus;
+    worklogIds: string[];
+    totalWorkSeconds: number;
+    totalBreakSeconds: number;
+    submittedAt?: any;
+    reviewedAt?: any;
+    reviewedBy?: string | null;
+    reviewerDisplayName?: string | null;
+    reviewComment?: string | null;
+    history?: TimesheetHistoryEntry[];
+    createdAt?: any;
+    updatedAt?: any;
+}
+
+// --- Worklog Corrections & Revisions ---
+
+export type WorklogCorrectionStatus = 'pending' | 'approved' | 'rejected' | 'cancelled';
+
+export interface WorklogCorrectionBreak {
+    startTime: any;
+    endTime: any;
+    cause?: 'manual' | 'idle' | 'away';
+}
+
+/** Fields an agent can propose; omitted fields stay as they are on the worklog. */
+export interface WorklogCorrectionFields {
+    clockInTime?: any;
+    clockOutTime?: any;
+    breaks?: WorklogCorrectionBreak[];
+}
+
+export interface WorklogCorrectionRequest {
+    id: string;
+    worklogId: string;
+    userId: string;
+    userDisplayName: string;
+    teamId: string;
+    orgId?: string;
+    reason: string;
+    proposed: WorklogCorrectionFields;
+    original: WorklogCorrectionFields;
+    status: WorklogCorrectionStatus;
+    createdAt?: any;
+    reviewedAt?: any;
+    reviewedBy?: string | null;
+    reviewerDisplayName?: string | null;
+    reviewComment?: string | null;
+    revisionId?: string | null;
+}
+
+export type WorklogRevisionSource = 'correction' | 'manager_edit';
+
+/** Immutable record of a change applied to a worklog (stored under worklogs/{id}/revisions). */
+export interface WorklogRevision {
+    id: string;
+    worklogId: string;
+    source: WorklogRevisionSource;
+    correctionId?: string | null;
+    changedBy: string;
+    changedByDisplayName?: string | null;
+    changedAt: any;
+    reason?: string | null;
+    before: Record<string, any>;
+    after: Record<string, any>;
+}
+
+// --- Break Policy ---
+
+export interface BreakPolicyRule {
+    id: string;
+    label: string;
+    maxPerShift: number; // 0 = unlimited
+    maxMinutes: number; // 0 = no length limit
+    windowStartMinutes: number | null; // earliest start, minutes after shift start
+    windowEndMinutes: number | null; // latest start, minutes after shift start
+    paid: boolean;
+}
+
+export interface BreakPolicy {
+    enabled: boolean;
+    maxBreaksPerShift: number; // across all types; 0 = unlimited
+    rules: BreakPolicyRule[];
 }
 
 export interface TeamSettings {
     showLiveTeamStatus?: boolean;
+    breakPolicy?: BreakPolicy;
 }
 
 export interface Team {
     id: string;
     name: string;
     ownerId: string;
+    orgId?: string;
     settings?: TeamSettings;
     createdAt?: any;
 }
 
 export type Role = "admin" | "manager" | "agent";
 
+/** Team-scoped capabilities; built-in roles imply a fixed set and custom roles add to it. */
+export type Permission = 'view_recordings' | 'live_view' | 'force_logout' | 'edit_schedules' | 'export_reports';
+
+/**
+ * `customRoles/{id}` — an organization's named bundle of permissions, assigned through
+ * `UserData.customRoleIds`. A Cloud Function mirrors the effective set into the `perms` claim.
+ */
+export interface CustomRole {
+    id: string;
+    orgId: string;
+    name: string;
+    description?: string;
+    permissions: Permission[];
+    createdBy: string;
+    createdAt?: any;
+    updatedAt?: any;
+}
+
 export type User = FirebaseAuthUser;
 
 export interface UserData {
@@ -113,13 +322,104 @@ export interface UserData {
     displayName: string;
     teamId?: string;
     teamIds?: string[];
+    orgId?: string;
+    customRoleIds?: string[];
+    /** Set by the claims sync when the `perms` claim changes; a mismatch triggers a token refresh. */
+    permissionsVersion?: number;
+    /** Deactivated accounts cannot sign in and are left off rosters; their history stays in reports. */
+    disabled?: boolean;
+    disabledAt?: any;
+    disabledReason?: string | null;
+    createdAt?: any;
+}
+
+export type UserPurgeStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+/** `userPurgeJobs/{uid}` — a hard delete queued by `api/user-lifecycle` and run by the `purgeUserData` function. */
+export interface UserPurgeJob {
+    uid: string;
+    orgId: string;
+    status: UserPurgeStatus;
+    requestedBy: string;
+    requestedAt?: any;
+    completedAt?: any;
+    deleted?: Record<string, number>;
+    error?: string | null;
+}
+
+/** `organizations/{orgId}` — tenant root; users, teams and activity documents carry its id as `orgId`. */
+export interface Organization {
+    id: string;
+    name: string;
+    createdBy: string;
     createdAt?: any;
 }
 
+/**
+ * `invitations/{tokenHash}` — keyed by the SHA-256 of the link token, which is never stored.
+ * Redeemed server-side by `api/accept-invite`, which counts `uses` against `maxUses`.
+ */
+export interface Invitation {
+    id: string;
+    orgId: string;
+    roles: Role[];
+    teamIds: string[];
+    email?: string | null;
+    maxUses: number;
+    uses: number;
+    acceptedBy?: string[];
+    expiresAt: any;
+    createdBy: string;
+    createdByName?: string;
+    createdAt?: any;
+    lastAcceptedAt?: any;
+    revokedAt?: any;
+    revokedBy?: string | null;
+}
+
+export type SsoType = 'oidc' | 'saml';
+
+/**
+ * `ssoConfigs/{orgId}` — written only by `api/sso-config`, which keeps client secrets and
+ * certificates in Identity Platform. The sign-in blocking function maps the IdP's `roleClaim` and
+ * `teamClaim` values through the mappings; unmatched users get `defaultRole` and no team.
+ */
+export interface SsoConfig {
+    orgId: string;
+    type: SsoType;
+    providerId: string;
+    displayName: string;
+    enabled: boolean;
+    enforced: boolean;
+    jitProvisioning: boolean;
+    syncOnSignIn: boolean;
+    emailDomains: string[];
+    /** TXT record token per listed domain; see `api/_lib/sso.js`. */
+    domainVerifications?: Record<string, string>;
+    /** Listed domains whose TXT record was found; only these are routed by SSO discovery. */
+    verifiedDomains?: string[];
+    defaultRole: Role;
+    roleClaim: string;
+    roleMappings: { value: string; role: Role }[];
+    teamClaim: string;
+    teamMappings: { value: string; teamId: string }[];
+    provider: {
+        issuer?: string;
+        clientId?: string;
+        idpEntityId?: string;
+        ssoUrl?: string;
+        rpEntityId?: string;
+    };
+    updatedAt?: any;
+    updatedBy?: string;
+}
+
 export interface AuthContextType {
     currentUser: User | null;
     user: User | null;
     userData: UserData | null;
+    /** Built-in role permissions plus the custom-role permissions carried in the ID token. */
+    permissions: Permission[];
     loading: boolean;
     logout: () => Promise<void>;
 }
@@ -144,6 +444,129 @@ export interface MonthlySchedule {
     };
 }
 
+export type ShiftSwapKind = 'giveaway' | 'swap';
+
+export type ShiftSwapStatus = 'open' | 'claimed' | 'approved' | 'rejected' | 'cancelled';
+
+export interface ShiftSwapHistoryEntry {
+    status: ShiftSwapStatus;
+    at: any;
+    byUid: string;
+    byDisplayName?: string | null;
+    comment?: string | null;
+}
+
+/**
+ * A shift offered by one agent. For a giveaway the claimant takes the shift; for a swap the
+ * claimant also hands back one of their own shifts (`returnDate`) that the offerer works instead.
+ */
+export interface ShiftSwap {
+    id: string;
+    teamId: string;
+    kind: ShiftSwapKind;
+    offeredBy: string;
+    offeredByName: string;
+    date: string; // YYYY-MM-DD
+    shift: ShiftTime;
+    note?: string | null;
+    status: ShiftSwapStatus;
+    claimedBy?: string | null;
+    claimedByName?: string | null;
+    returnDate?: string | null;
+    returnShift?: ShiftTime | null;
+    reviewedBy?: string | null;
+    reviewerDisplayName?: string | null;
+    reviewComment?: string | null;
+    history?: ShiftSwapHistoryEntry[];
+    createdAt?: any;
+    updatedAt?: any;
+}
+
+/** Reusable named shift, stored in `shiftTemplates`. Overnight shifts end on the next calendar day. */
+export interface ShiftTemplate {
+    id: string;
+    orgId?: string;
+    name: string;
+    startTime: string; // HH:mm
+    endTime: string;   // HH:mm
+    isOvernight: boolean;
+    createdAt?: any;
+    createdBy?: string | null;
+}
+
+// --- Holiday Calendar ---
+
+export type HolidaySource = 'manual' | 'ics';
+
+/** Organization-wide holiday, stored in `holidays/{YYYY-MM-DD}` (organization timezone). */
+export interface Holiday {
+    id: string;
+    date: string;
+    name: string;
+    source: HolidaySource;
+    createdAt?: any;
+    createdBy?: string | null;
+}
+
+// --- Leave Management ---
+
+export type LeaveType = 'sick' | 'casual' | 'annual' | 'unpaid';
+
+export type LeaveRequestStatus = 'pending' | 'approved' | 'rejected' | 'cancelled';
+
+export interface LeaveRequest {
+    id: string;
+    userId: string;
+    userDisplayName: string;
+    teamId: string;
+    type: LeaveType;
+    startDate: string; // YYYY-MM-DD inclusive (organization timezone)
+    endDate: string;   // YYYY-MM-DD inclusive
+    days: number;
+    leaveDates?: string[]; // Dates written to the roster as 'L' on approval
+    reason: string;
+    status: LeaveRequestStatus;
+    createdAt?: any;
+    reviewedAt?: any;
+    reviewedBy?: string | null;
+    reviewerDisplayName?: string | null;
+    reviewComment?: string | null;
+}
+
+/** Days granted per calendar year; accrues monthly. Unpaid leave is unlimited. */
+export type LeavePolicy = Record<Exclude<LeaveType, 'unpaid'>, number>;
+
+/** Per-agent usage for one calendar year, stored in `leaveBalances/{uid}-{year}`. */
+export interface LeaveBalance {
+    id: string;
+    userId: string;
+    teamId: string | null;
+    year: number;
+    used: Record<LeaveType, number>;
+    updatedAt?: any;
+}
+
+export type PayrollRoundingMode = 'nearest' | 'up' | 'down';
+
+export interface PayrollRules {
+    dailyOvertimeThresholdHours: number; // 0 disables daily overtime
+    weeklyOvertimeThresholdHours: number; // 0 disables weekly overtime
+    overtimeMultiplier: number;
+    nightDifferentialEnabled: boolean;
+    nightStart: string; // HH:mm, organization timezone
+    nightEnd: string;   // HH:mm, may wrap past midnight
+    nightMultiplier: number;
+    holidayMultiplier: number;
+    roundingMinutes: number; // 0 disables punch rounding
+    roundingMode: PayrollRoundingMode;
+}
+
+/** Admin-defined reason an agent gives for a manual break (lunch, meeting, ...). */
+export interface BreakReason {
+    code: string;
+    label: string;
+}
+
 export interface AdminSettingsType {
     autoClockOutEnabled: boolean;
     idleTimeout: number;
@@ -173,6 +596,11 @@ export interface AdminSettingsType {
     recordingQuality?: "480p" | "720p" | "1080p";
     recordingFps?: 30 | 60 | 120;
     recordingSegmentMinutes?: number;
+    /** Days recordings are kept on the upload targets before the retention job deletes them; 0 keeps them. */
+    recordingRetentionDays?: number;
+    /** Active `recordingKeys` id and its SPKI PEM; while set, desktops encrypt every segment before upload. */
+    recordingEncryptionKeyId?: string;
+    recordingEncryptionPublicKey?: string;
     desktopDebugMachines?: string[];
     organizationTimezone?: string;
     showLiveTeamStatusToAgents?: boolean;
@@ -182,6 +610,112 @@ export interface AdminSettingsType {
     idleAvoidDurationSeconds?: number;
     appCategoryRules?: AppCategoryRule[];
     redFlagCategories?: AppCategory[];
+    payrollRules?: PayrollRules;
+    leavePolicy?: LeavePolicy;
+    breakReasons?: BreakReason[];
+    settingsVersion?: number;
+}
+
+export interface SettingsChange {
+    field: string;
+    before: unknown;
+    after: unknown;
+}
+
+/** `adminSettingsHistory/{id}` — full snapshot of an organization's settings document after each admin save. */
+export interface AdminSettingsVersion {
+    id: string;
+    orgId?: string;
+    version: number;
+    settings: AdminSettingsType;
+    changes: SettingsChange[];
+    authorUid: string;
+    authorName: string;
+    createdAt: any;
+    rollbackOf?: number | null;
+}
+
+export type AuditAction =
+    | 'user.role_changed'
+    | 'user.teams_changed'
+    | 'user.deleted'
+    | 'user.imported'
+    | 'user.provisioned'
+    | 'user.deactivated'
+    | 'user.reactivated'
+    | 'user.purge_requested'
+    | 'desktop.force_logout'
+    | 'desktop.recording_restart'
+    | 'desktop.reconnect'
+    | 'recording.retry_requested'
+    | 'recording.logs_cleared'
+    | 'session.auto_clock_out'
+    | 'session.midnight_cleanup'
+    | 'desktop.session_replaced'
+    | 'invite.created'
+    | 'invite.revoked'
+    | 'invite.accepted'
+    | 'sso.updated'
+    | 'sso.domain_verified'
+    | 'role.created'
+    | 'role.updated'
+    | 'role.deleted'
+    | 'user.custom_roles_changed'
+    | 'recording.key_rotated'
+    | 'recording.encryption_disabled'
+    | 'recording.legal_hold_placed'
+    | 'recording.legal_hold_released'
+    | 'recording.retention_enforced';
+
+/** `auditLogs/{id}` — append-only; `actorUid` is null for Cloud Function and scheduler entries. */
+export interface AuditLogEntry {
+    id: string;
+    orgId?: string;
+    action: AuditAction;
+    actorUid: string | null;
+    actorName: string;
+    source: 'web' | 'functions';
+    targetUid?: string | null;
+    targetName?: string | null;
+    details?: Record<string, unknown>;
+    createdAt: any;
+}
+
+export type SettingsScope = 'team' | 'agent';
+
+export type SettingsSource = 'global' | SettingsScope;
+
+/** Settings a team or individual agent may override; anything else always comes from the global document. */
+export type OverridableSettingKey =
+    | 'idleTimeout'
+    | 'manualBreakTimeoutMinutes'
+    | 'autoClockOutEnabled'
+    | 'allowRecording'
+    | 'recordingMode'
+    | 'recordingQuality'
+    | 'recordingFps'
+    | 'recordingSegmentMinutes'
+    | 'recordingRetentionDays'
+    | 'showRecordingNotification'
+    | 'autoUpload'
+    | 'enableAppTracking'
+    | 'appTrackingIntervalSeconds'
+    | 'idleAvoidEnabled'
+    | 'idleAvoidDurationSeconds'
+    | 'appCategoryRules'
+    | 'redFlagCategories'
+    | 'breakReasons';
+
+export type SettingsOverrideValues = Partial<Pick<AdminSettingsType, OverridableSettingKey>>;
+
+/** `settingsOverrides/{scope}-{targetId}` — one document per team or agent. */
+export interface SettingsOverrides {
+    id: string;
+    scope: SettingsScope;
+    targetId: string;
+    values: SettingsOverrideValues;
+    updatedBy?: string;
+    updatedAt?: any;
 }
 
 declare global {
@@ -206,7 +740,8 @@ declare global {
             onCommandForceBreak: (callback: (data: any) => void) => void;
             onSettingsUpdated: (callback: (data: any) => void) => void;
             onDesktopRequestEndBreak?: (callback: (data?: any) => void) => (() => void) | void;
-            syncAdminSettings?: (settings: AdminSettingsType | null) => Promise<any>;
+            onDesktopRequestStartBreak?: (callback: (data?: { reason?: string }) => void) => (() => void) | void;
+            syncAdminSettings?: (settings: AdminSettingsType | null, overrides?: { team?: SettingsOverrideValues | null; agent?: SettingsOverrideValues | null }) => Promise<any>;
             onAutoClockOut: (callback: (data: any) => void) => (() => void) | void;
             onSignedOut?: (callback: (data?: { reason?: string }) => void) => (() => void) | void;
             reportError?: (payload: any) => Promise<any>;
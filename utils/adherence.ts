@@ -0,0 +1,298 @@
+import { DateTime } from 'luxon';
+import type { BreakPolicy, MonthlySchedule, WorkLog } from '../types';
+import { deriveBreakCause, normalizeDate } from './worklogTotals';
+import { activeBreakPolicy, findBreakViolations, ruleForBreak } from './breakPolicy';
+import type { BreakViolation } from './breakPolicy';
+
+export type AdherenceState = 'working' | 'break' | 'idle' | 'absent';
+
+export const ADHERENCE_STATES: AdherenceState[] = ['working', 'break', 'idle', 'absent'];
+
+export interface AdherenceOptions {
+  timezone: string;
+  periodStart: string; // YYYY-MM-DD, inclusive
+  periodEnd: string; // YYYY-MM-DD, inclusive
+  intervalMinutes?: number;
+  /** Manual breaks longer than this count as late returns; 0 disables the metric. */
+  breakAllowanceMinutes?: number;
+  /** When active, per-type limits replace `breakAllowanceMinutes` and violations are reported. */
+  breakPolicy?: BreakPolicy | null;
+  holidayDates?: string[];
+  now?: Date;
+}
+
+export interface AdherenceInterval {
+  start: number;
+  end: number;
+  seconds: Record<AdherenceState, number>;
+  /** The state that covered most of the interval. */
+  state: AdherenceState;
+  adherencePercent: number;
+}
+
+export interface AdherenceDay {
+  userId: string;
+  userDisplayName: string;
+  date: string;
+  scheduledStart: string;
+  scheduledEnd: string;
+  scheduledSeconds: number;
+  inAdherenceSeconds: number;
+  workedSeconds: number;
+  breakSeconds: number;
+  idleSeconds: number;
+  absentSeconds: number;
+  lateStartMinutes: number;
+  earlyLeaveMinutes: number;
+  lateReturnMinutes: number;
+  adherencePercent: number;
+  conformancePercent: number;
+  breakViolations: BreakViolation[];
+  intervals: AdherenceInterval[];
+}
+
+export interface AdherenceAgentSummary {
+  userId: string;
+  userDisplayName: string;
+  shifts: number;
+  scheduledSeconds: number;
+  inAdherenceSeconds: number;
+  workedSeconds: number;
+  breakSeconds: number;
+  idleSeconds: number;
+  absentSeconds: number;
+  lateStartMinutes: number;
+  earlyLeaveMinutes: number;
+  lateReturnMinutes: number;
+  adherencePercent: number;
+  conformancePercent: number;
+  breakViolations: number;
+  days: AdherenceDay[];
+}
+
+type Segment = { start: number; end: number; state: Exclude<AdherenceState, 'absent'> };
+
+type LogTimeline = {
+  log: WorkLog;
+  workDate: string;
+  clockIn: number;
+  clockOut: number | null;
+  segments: Segment[];
+  manualBreaks: Array<{ start: number; end: number; breakType: string | null }>;
+};
+
+const DEFAULT_INTERVAL_MINUTES = 30;
+
+const percent = (part: number, whole: number) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+const emptySeconds = (): Record<AdherenceState, number> => ({ working: 0, break: 0, idle: 0, absent: 0 });
+
+const overlap = (aStart: number, aEnd: number, bStart: number, bEnd: number) => Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart));
+
+// Splits a log into working / break / idle segments. Open sessions run until `now`.
+const buildTimeline = (log: WorkLog, timezone: string, now: number): LogTimeline | null => {
+  const clockIn = normalizeDate(log.clockInTime);
+  if (!clockIn) return null;
+  const closed = normalizeDate(log.clockOutTime);
+  const start = clockIn.getTime();
+  const end = closed ? closed.getTime() : now;
+  const logDate = normalizeDate(log.date) || clockIn;
+  const workDate = DateTime.fromJSDate(logDate).setZone(timezone).toISODate() as string;
+  if (end <= start) return { log, workDate, clockIn: start, clockOut: closed ? end : null, segments: [], manualBreaks: [] };
+
+  const breaks: Array<{ start: number; end: number; state: 'break' | 'idle'; breakType: string | null }> = [];
+  (Array.isArray(log.breaks) ? log.breaks : []).forEach((entry) => {
+    const breakStart = normalizeDate(entry?.startTime);
+    if (!breakStart) return;
+    const breakEnd = normalizeDate(entry?.endTime);
+    const s = Math.max(breakStart.getTime(), start);
+    const e = Math.min(breakEnd ? breakEnd.getTime() : end, end);
+    if (e > s) breaks.push({ start: s, end: e, state: deriveBreakCause(entry) === 'idle' ? 'idle' : 'break', breakType: entry.breakType || null });
+  });
+  breaks.sort((a, b) => a.start - b.start);
+
+  const segments: Segment[] = [];
+  let cursor = start;
+  breaks.forEach((entry) => {
+    if (entry.end <= cursor) return;
+    if (entry.start > cursor) segments.push({ start: cursor, end: entry.start, state: 'working' });
+    segments.push({ start: Math.max(entry.start, cursor), end: entry.end, state: entry.state });
+    cursor = entry.end;
+  });
+  if (end > cursor) segments.push({ start: cursor, end, state: 'working' });
+
+  return {
+    log,
+    workDate,
+    clockIn: start,
+    clockOut: closed ? end : null,
+    segments,
+    manualBreaks: breaks.filter((b) => b.state === 'break').map(({ start: s, end: e, breakType }) => ({ start: s, end: e, breakType }))
+  };
+};
+
+const shiftWindow = (date: string, startTime: string, endTime: string, timezone: string) => {
+  const start = DateTime.fromISO(`${date}T${startTime}`, { zone: timezone });
+  let end = DateTime.fromISO(`${date}T${endTime}`, { zone: timezone });
+  if (!start.isValid || !end.isValid) return null;
+  if (end <= start) end = end.plus({ days: 1 });
+  return { start: start.toMillis(), end: end.toMillis() };
+};
+
+/**
+ * Compares each scheduled shift with what the agent actually did.
+ *
+ * Adherence is the share of scheduled time spent working; conformance is all time worked on the
+ * shift's work date (including outside the window) over scheduled time. Each shift is split into
+ * `intervalMinutes` buckets for drill-down. Leave, OFF days, holidays and shifts that have not
+ * started yet are skipped, and a shift in progress is only measured up to `now`.
+ */
+export const computeAdherence = (
+  logs: WorkLog[],
+  schedule: MonthlySchedule,
+  options: AdherenceOptions,
+  knownNames: Map<string, string> = new Map()
+): AdherenceAgentSummary[] => {
+  const { timezone, periodStart, periodEnd } = options;
+  const intervalMs = Math.max(5, options.intervalMinutes || DEFAULT_INTERVAL_MINUTES) * 60 * 1000;
+  const allowanceMs = Math.max(0, options.breakAllowanceMinutes || 0) * 60 * 1000;
+  const breakPolicy = activeBreakPolicy(options.breakPolicy);
+  const holidays = new Set(options.holidayDates || []);
+  const now = (options.now || new Date()).getTime();
+  const userNames = new Map(knownNames);
+
+  const timelinesByUser = new Map<string, LogTimeline[]>();
+  logs.forEach((log) => {
+    if (log.userDisplayName && !userNames.has(log.userId)) userNames.set(log.userId, log.userDisplayName);
+    const timeline = buildTimeline(log, timezone, now);
+    if (!timeline) return;
+    const list = timelinesByUser.get(log.userId) || [];
+    list.push(timeline);
+    timelinesByUser.set(log.userId, list);
+  });
+
+  const summaries: AdherenceAgentSummary[] = [];
+  Object.entries(schedule || {}).forEach(([userId, entries]) => {
+    const timelines = timelinesByUser.get(userId) || [];
+    const segments = timelines.flatMap((t) => t.segments);
+    const userDisplayName = userNames.get(userId) || userId;
+    const days: AdherenceDay[] = [];
+
+    Object.entries(entries || {}).sort(([a], [b]) => a.localeCompare(b)).forEach(([date, entry]) => {
+      if (date < periodStart || date > periodEnd || typeof entry !== 'object' || holidays.has(date)) return;
+      const shift = shiftWindow(date, entry.startTime, entry.endTime, timezone);
+      if (!shift || shift.start >= now) return;
+      const windowEnd = Math.min(shift.end, now);
+
+      const intervals: AdherenceInterval[] = [];
+      for (let start = shift.start; start < windowEnd; start += intervalMs) {
+        const end = Math.min(start + intervalMs, windowEnd);
+        const seconds = emptySeconds();
+        segments.forEach((segment) => {
+          seconds[segment.state] += overlap(segment.start, segment.end, start, end) / 1000;
+        });
+        const length = (end - start) / 1000;
+        seconds.absent = Math.max(0, length - seconds.working - seconds.break - seconds.idle);
+        const state = ADHERENCE_STATES.reduce((best, s) => (seconds[s] > seconds[best] ? s : best), 'absent' as AdherenceState);
+        intervals.push({ start, end, seconds, state, adherencePercent: percent(seconds.working, length) });
+      }
+
+      const totals = intervals.reduce((acc, interval) => {
+        ADHERENCE_STATES.forEach((s) => { acc[s] += interval.seconds[s]; });
+        return acc;
+      }, emptySeconds());
+      const scheduledSeconds = (windowEnd - shift.start) / 1000;
+
+      const dayLogs = timelines.filter((t) => t.workDate === date);
+      const workedSeconds = dayLogs.reduce((sum, t) => sum + t.segments
+        .filter((s) => s.state === 'working')
+        .reduce((acc, s) => acc + (s.end - s.start) / 1000, 0), 0);
+
+      const firstClockIn = dayLogs.length ? Math.min(...dayLogs.map((t) => t.clockIn)) : null;
+      const lateStartMinutes = firstClockIn !== null && firstClockIn > shift.start
+        ? Math.min(firstClockIn, shift.end) - shift.start
+        : 0;
+
+      // Early leave only applies once every session for the day is closed.
+      const allClosed = dayLogs.length > 0 && dayLogs.every((t) => t.clockOut !== null);
+      const lastClockOut = allClosed ? Math.max(...dayLogs.map((t) => t.clockOut as number)) : null;
+      const earlyLeaveMinutes = lastClockOut !== null && lastClockOut > shift.start && lastClockOut < shift.end
+        ? shift.end - lastClockOut
+        : 0;
+
+      const lateReturnMs = timelines.flatMap((t) => t.manualBreaks).reduce((sum, b) => {
+        if (overlap(b.start, b.end, shift.start, shift.end) === 0) return sum;
+        const limitMs = breakPolicy ? ruleForBreak(breakPolicy, b.breakType).maxMinutes * 60 * 1000 : allowanceMs;
+        return limitMs > 0 ? sum + Math.max(0, b.end - b.start - limitMs) : sum;
+      }, 0);
+      const breakViolations = breakPolicy
+        ? dayLogs.flatMap((t) => findBreakViolations(t.log, breakPolicy, timezone, now))
+        : [];
+
+      days.push({
+        userId,
+        userDisplayName,
+        date,
+        scheduledStart: entry.startTime,
+        scheduledEnd: entry.endTime,
+        scheduledSeconds,
+        inAdherenceSeconds: totals.working,
+        workedSeconds,
+        breakSeconds: totals.break,
+        idleSeconds: totals.idle,
+        absentSeconds: totals.absent,
+        lateStartMinutes: Math.round(lateStartMinutes / 60000),
+        earlyLeaveMinutes: Math.round(earlyLeaveMinutes / 60000),
+        lateReturnMinutes: Math.round(lateReturnMs / 60000),
+        adherencePercent: percent(totals.working, scheduledSeconds),
+        conformancePercent: percent(workedSeconds, scheduledSeconds),
+        breakViolations,
+        intervals
+      });
+    });
+
+    if (!days.length) return;
+    const sum = (key: keyof AdherenceDay) => days.reduce((acc, day) => acc + (day[key] as number), 0);
+    const scheduledSeconds = sum('scheduledSeconds');
+    const inAdherenceSeconds = sum('inAdherenceSeconds');
+    const workedSeconds = sum('workedSeconds');
+    summaries.push({
+      userId,
+      userDisplayName,
+      shifts: days.length,
+      scheduledSeconds,
+      inAdherenceSeconds,
+      workedSeconds,
+      breakSeconds: sum('breakSeconds'),
+      idleSeconds: sum('idleSeconds'),
+      absentSeconds: sum('absentSeconds'),
+      lateStartMinutes: sum('lateStartMinutes'),
+      earlyLeaveMinutes: sum('earlyLeaveMinutes'),
+      lateReturnMinutes: sum('lateReturnMinutes'),
+      adherencePercent: percent(inAdherenceSeconds, scheduledSeconds),
+      conformancePercent: percent(workedSeconds, scheduledSeconds),
+      breakViolations: days.reduce((acc, day) => acc + day.breakViolations.length, 0),
+      days
+    });
+  });
+
+  return summaries.sort((a, b) => a.userDisplayName.localeCompare(b.userDisplayName));
+};
+
+/** Team-wide percentages weighted by scheduled time. */
+export const summarizeTeamAdherence = (summaries: AdherenceAgentSummary[]) => {
+  const scheduledSeconds = summaries.reduce((acc, s) => acc + s.scheduledSeconds, 0);
+  const inAdherenceSeconds = summaries.reduce((acc, s) => acc + s.inAdherenceSeconds, 0);
+  const workedSeconds = summaries.reduce((acc, s) => acc + s.workedSeconds, 0);
+  return {
+    agents: summaries.length,
+    shifts: summaries.reduce((acc, s) => acc + s.shifts, 0),
+    scheduledSeconds,
+    adherencePercent: percent(inAdherenceSeconds, scheduledSeconds),
+    conformancePercent: percent(workedSeconds, scheduledSeconds),
+    lateStartMinutes: summaries.reduce((acc, s) => acc + s.lateStartMinutes, 0),
+    earlyLeaveMinutes: summaries.reduce((acc, s) => acc + s.earlyLeaveMinutes, 0),
+    lateReturnMinutes: summaries.reduce((acc, s) => acc + s.lateReturnMinutes, 0),
+    breakViolations: summaries.reduce((acc, s) => acc + s.breakViolations, 0)
+  };
+};
@@ -0,0 +1,68 @@
+import type { AuditAction, AuditLogEntry } from '../types';
+import { normalizeDate } from './worklogTotals';
+
+export const AUDIT_ACTION_LABELS: Record<AuditAction, string> = {
+  'user.role_changed': 'Role changed',
+  'user.teams_changed': 'Teams changed',
+  'user.deleted': 'User deleted',
+  'user.imported': 'Users imported',
+  'user.provisioned': 'User provisioned',
+  'user.deactivated': 'User deactivated',
+  'user.reactivated': 'User reactivated',
+  'user.purge_requested': 'Permanent deletion requested',
+  'desktop.force_logout': 'Force logout',
+  'desktop.recording_restart': 'Recording restart',
+  'desktop.reconnect': 'Desktop reconnect',
+  'recording.retry_requested': 'Upload retry requested',
+  'recording.logs_cleared': 'Recording logs cleared',
+  'session.auto_clock_out': 'Auto clock-out',
+  'session.midnight_cleanup': 'Midnight session cleanup',
+  'desktop.session_replaced': 'Desktop session replaced',
+  'invite.created': 'Invitation created',
+  'invite.revoked': 'Invitation revoked',
+  'invite.accepted': 'Invitation accepted',
+  'sso.updated': 'SSO settings changed',
+  'sso.domain_verified': 'SSO domain verified',
+  'role.created': 'Custom role created',
+  'role.updated': 'Custom role updated',
+  'role.deleted': 'Custom role deleted',
+  'user.custom_roles_changed': 'Custom roles changed',
+  'recording.key_rotated': 'Recording encryption key rotated',
+  'recording.encryption_disabled': 'Recording encryption disabled',
+  'recording.legal_hold_placed': 'Legal hold placed',
+  'recording.legal_hold_released': 'Legal hold released',
+  'recording.retention_enforced': 'Expired recordings purged',
+};
+
+export const formatAuditDetails = (details?: Record<string, unknown>): string => {
+  if (!details) return '';
+  return Object.entries(details)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : String(value)}`)
+    .join('; ');
+};
+
+/** Case-insensitive match against the actor, target, action label and details. */
+export const auditEntryMatches = (entry: AuditLogEntry, search: string): boolean => {
+  const needle = search.trim().toLowerCase();
+  if (!needle) return true;
+  return [
+    entry.actorName,
+    entry.targetName,
+    entry.targetUid,
+    AUDIT_ACTION_LABELS[entry.action] || entry.action,
+    formatAuditDetails(entry.details),
+  ].some((value) => String(value || '').toLowerCase().includes(needle));
+};
+
+export const AUDIT_CSV_HEADERS = ['Time (UTC)', 'Action', 'Actor', 'Source', 'Target', 'Target ID', 'Details'];
+
+export const auditEntryToCsvRow = (entry: AuditLogEntry): string[] => [
+  normalizeDate(entry.createdAt)?.toISOString() || '',
+  AUDIT_ACTION_LABELS[entry.action] || entry.action,
+  entry.actorName,
+  entry.source,
+  entry.targetName || '',
+  entry.targetUid || '',
+  formatAuditDetails(entry.details),
+];
@@ -0,0 +1,138 @@
+import { DateTime } from 'luxon';
+import type { BreakEntry, BreakPolicy, BreakPolicyRule, WorkLog } from '../types';
+import { deriveBreakCause, normalizeDate } from './worklogTotals';
+
+export type BreakViolationKind = 'over-length' | 'over-count' | 'over-total' | 'outside-window';
+
+export interface BreakViolation {
+  kind: BreakViolationKind;
+  breakType: string;
+  label: string;
+  startTime: number;
+  minutes: number; // break length
+  message: string;
+}
+
+export const BREAK_VIOLATION_LABELS: Record<BreakViolationKind, string> = {
+  'over-length': 'Too long',
+  'over-count': 'Too many of this type',
+  'over-total': 'Too many breaks',
+  'outside-window': 'Outside allowed window',
+};
+
+export const createBreakPolicyRule = (label = 'Break'): BreakPolicyRule => ({
+  id: `break-${Math.random().toString(36).slice(2, 8)}`,
+  label,
+  maxPerShift: 0,
+  maxMinutes: 15,
+  windowStartMinutes: null,
+  windowEndMinutes: null,
+  paid: true,
+});
+
+export const DEFAULT_BREAK_POLICY: BreakPolicy = {
+  enabled: false,
+  maxBreaksPerShift: 0,
+  rules: [],
+};
+
+/** Returns the policy only when it is switched on and has at least one break type. */
+export const activeBreakPolicy = (policy?: BreakPolicy | null): BreakPolicy | null => (
+  policy && policy.enabled && Array.isArray(policy.rules) && policy.rules.length ? policy : null
+);
+
+/** Breaks recorded before the policy existed (no `breakType`) count as the first type. */
+export const ruleForBreak = (policy: BreakPolicy, breakType?: string | null): BreakPolicyRule => (
+  policy.rules.find((r) => r.id === breakType) || policy.rules[0]
+);
+
+/**
+ * Anchor for break windows: the scheduled start on the log's work date, or clock-in when the
+ * shift was unscheduled.
+ */
+export const resolveShiftStartMs = (log: Pick<WorkLog, 'date' | 'clockInTime' | 'scheduledStart'>, timezone: string): number | null => {
+  const clockIn = normalizeDate(log.clockInTime);
+  const logDate = normalizeDate(log.date) || clockIn;
+  if (log.scheduledStart && logDate) {
+    const day = DateTime.fromJSDate(logDate).setZone(timezone).toISODate();
+    const start = DateTime.fromISO(`${day}T${log.scheduledStart}`, { zone: timezone });
+    if (start.isValid) return start.toMillis();
+  }
+  return clockIn ? clockIn.getTime() : null;
+};
+
+const manualBreaks = (breaks: BreakEntry[] = []) => breaks.filter((b) => b && deriveBreakCause(b) === 'manual');
+
+/**
+ * Checks whether a new break of `breakType` may start now. Returns an error code, or null when
+ * allowed: break-type-unknown, break-limit-reached, break-type-limit-reached,
+ * break-window-not-open, break-window-closed.
+ */
+export const checkBreakStart = (
+  policy: BreakPolicy,
+  breakType: string,
+  breaks: BreakEntry[],
+  shiftStartMs: number | null,
+  nowMs: number = Date.now()
+): string | null => {
+  const rule = policy.rules.find((r) => r.id === breakType);
+  if (!rule) return 'break-type-unknown';
+  const taken = manualBreaks(breaks);
+  if (policy.maxBreaksPerShift > 0 && taken.length >= policy.maxBreaksPerShift) return 'break-limit-reached';
+  if (rule.maxPerShift > 0 && taken.filter((b) => ruleForBreak(policy, b.breakType).id === rule.id).length >= rule.maxPerShift) {
+    return 'break-type-limit-reached';
+  }
+  if (shiftStartMs !== null) {
+    const offsetMinutes = (nowMs - shiftStartMs) / 60000;
+    if (rule.windowStartMinutes !== null && offsetMinutes < rule.windowStartMinutes) return 'break-window-not-open';
+    if (rule.windowEndMinutes !== null && offsetMinutes > rule.windowEndMinutes) return 'break-window-closed';
+  }
+  return null;
+};
+
+/** Manual breaks on a worklog that break the team policy. Open breaks are measured up to `nowMs`. */
+export const findBreakViolations = (log: WorkLog, policy: BreakPolicy, timezone: string, nowMs: number = Date.now()): BreakViolation[] => {
+  const shiftStartMs = resolveShiftStartMs(log, timezone);
+  const fallbackEnd = normalizeDate(log.clockOutTime)?.getTime() ?? nowMs;
+  const violations: BreakViolation[] = [];
+  const perType = new Map<string, number>();
+
+  manualBreaks(log.breaks)
+    .map((entry) => ({ entry, start: normalizeDate(entry.startTime)?.getTime() ?? null }))
+    .filter((b): b is { entry: BreakEntry; start: number } => b.start !== null)
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ entry, start }, index) => {
+      const rule = ruleForBreak(policy, entry.breakType);
+      const end = normalizeDate(entry.endTime)?.getTime() ?? fallbackEnd;
+      const minutes = Math.max(0, Math.round((end - start) / 60000));
+      const count = (perType.get(rule.id) || 0) + 1;
+      perType.set(rule.id, count);
+      const add = (kind: BreakViolationKind, message: string) => violations.push({
+        kind, breakType: rule.id, label: rule.label, startTime: start, minutes, message,
+      });
+
+      if (rule.maxMinutes > 0 && minutes > rule.maxMinutes) {
+        add('over-length', `${rule.label} lasted ${minutes} min (max ${rule.maxMinutes})`);
+      }
+      if (rule.maxPerShift > 0 && count > rule.maxPerShift) {
+        add('over-count', `${rule.label} #${count} (max ${rule.maxPerShift} per shift)`);
+      }
+      if (policy.maxBreaksPerShift > 0 && index + 1 > policy.maxBreaksPerShift) {
+        add('over-total', `Break #${index + 1} (max ${policy.maxBreaksPerShift} per shift)`);
+      }
+      if (shiftStartMs !== null) {
+        const offset = Math.round((start - shiftStartMs) / 60000);
+        if ((rule.windowStartMinutes !== null && offset < rule.windowStartMinutes)
+          || (rule.windowEndMinutes !== null && offset > rule.windowEndMinutes)) {
+          add('outside-window', `${rule.label} started ${offset} min into the shift (allowed ${rule.windowStartMinutes ?? 0}–${rule.windowEndMinutes ?? '∞'})`);
+        }
+      }
+    });
+
+  return violations;
+};
+
+/** Manual breaks of a paid type stay on the clock for payroll; idle time never does. */
+export const isPaidBreak = (policy: BreakPolicy | null, entry: BreakEntry): boolean => (
+  Boolean(policy && deriveBreakCause(entry) === 'manual' && ruleForBreak(policy, entry.breakType).paid)
+);
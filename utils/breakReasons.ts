@@ -0,0 +1,26 @@
+import type { BreakReason } from '../types';
+
+export const DEFAULT_BREAK_REASONS: BreakReason[] = [
+  { code: 'lunch', label: 'Lunch' },
+  { code: 'meeting', label: 'Meeting' },
+  { code: 'training', label: 'Training' },
+  { code: 'restroom', label: 'Restroom' },
+];
+
+export const UNSPECIFIED_BREAK_REASON_LABEL = 'Unspecified';
+
+/** Admin settings without a `breakReasons` list fall back to the defaults; an empty list turns reasons off. */
+export const resolveBreakReasons = (reasons?: BreakReason[] | null): BreakReason[] => (
+  Array.isArray(reasons) ? reasons.filter((r) => r && r.code && r.label) : DEFAULT_BREAK_REASONS
+);
+
+/** Lowercase slug used as the stored code, e.g. "Team Huddle" → "team-huddle". */
+export const toBreakReasonCode = (label: string): string => (
+  label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+);
+
+/** Label for a stored code; codes removed from settings still show as the raw code. */
+export const breakReasonLabel = (reasons: BreakReason[], code?: string | null): string => {
+  if (!code) return UNSPECIFIED_BREAK_REASON_LABEL;
+  return reasons.find((r) => r.code === code)?.label || code;
+};
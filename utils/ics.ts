@@ -0,0 +1,113 @@
+import { DateTime } from 'luxon';
+
+export interface IcsHoliday {
+  date: string; // YYYY-MM-DD
+  name: string;
+}
+
+// Guards against runaway expansion of open-ended or very long events.
+const MAX_EVENT_DAYS = 31;
+const MAX_YEARLY_OCCURRENCES = 10;
+
+// RFC 5545 §3.1: long lines are folded with CRLF followed by a space or tab.
+const unfoldLines = (text: string): string[] => text
+  .replace(/\r\n/g, '\n')
+  .replace(/\r/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n');
+
+const unescapeText = (value: string) => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+interface IcsProperty {
+  name: string;
+  params: Record<string, string>;
+  value: string;
+}
+
+const parseProperty = (line: string): IcsProperty | null => {
+  const colon = line.indexOf(':');
+  if (colon <= 0) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params: Record<string, string> = {};
+  rawParams.forEach((param) => {
+    const [key, val] = param.split('=');
+    if (key && val !== undefined) params[key.toUpperCase()] = val.replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1).trim() };
+};
+
+/** Reads a DTSTART/DTEND value as a calendar date. Date-times are converted to the target zone first. */
+const parseIcsDate = (prop: IcsProperty, timezone: string): DateTime | null => {
+  const { value, params } = prop;
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    const date = DateTime.fromFormat(value.slice(0, 8), 'yyyyMMdd', { zone: timezone });
+    return date.isValid ? date : null;
+  }
+  const match = value.match(/^(\d{8}T\d{4,6})(Z)?$/);
+  if (!match) return null;
+  const format = match[1].length === 15 ? "yyyyMMdd'T'HHmmss" : "yyyyMMdd'T'HHmm";
+  const sourceZone = match[2] ? 'utc' : (params.TZID || timezone);
+  let parsed = DateTime.fromFormat(match[1], format, { zone: sourceZone });
+  if (!parsed.isValid) parsed = DateTime.fromFormat(match[1], format, { zone: timezone });
+  return parsed.isValid ? parsed.setZone(timezone).startOf('day') : null;
+};
+
+const parseYearlyCount = (rrule: string | undefined): number => {
+  if (!rrule) return 1;
+  const parts = Object.fromEntries(rrule.split(';').map((part) => part.split('=') as [string, string]));
+  if ((parts.FREQ || '').toUpperCase() !== 'YEARLY') return 1;
+  const count = parseInt(parts.COUNT, 10);
+  return Math.min(Number.isFinite(count) && count > 0 ? count : MAX_YEARLY_OCCURRENCES, MAX_YEARLY_OCCURRENCES);
+};
+
+/**
+ * Extracts all-day holidays from an iCalendar (.ics) file.
+ * Multi-day events are expanded one entry per day (DTEND is exclusive) and simple
+ * `RRULE:FREQ=YEARLY` events are expanded up to `MAX_YEARLY_OCCURRENCES` years.
+ * Results are sorted by date; the first event wins when two share a date.
+ */
+export const parseIcsHolidays = (text: string, timezone: string): IcsHoliday[] => {
+  const byDate = new Map<string, string>();
+  let current: Record<string, IcsProperty> | null = null;
+
+  unfoldLines(text).forEach((line) => {
+    const trimmed = line.trim();
+    if (/^BEGIN:VEVENT$/i.test(trimmed)) {
+      current = {};
+      return;
+    }
+    if (/^END:VEVENT$/i.test(trimmed)) {
+      const event: Record<string, IcsProperty> | null = current;
+      current = null;
+      if (!event || !event.DTSTART) return;
+      if ((event.STATUS?.value || '').toUpperCase() === 'CANCELLED') return;
+
+      const start = parseIcsDate(event.DTSTART, timezone);
+      if (!start) return;
+      const endProp = event.DTEND ? parseIcsDate(event.DTEND, timezone) : null;
+      const days = endProp && endProp > start
+        ? Math.min(Math.round(endProp.diff(start, 'days').days), MAX_EVENT_DAYS)
+        : 1;
+      const name = unescapeText(event.SUMMARY?.value || '') || 'Holiday';
+      const years = parseYearlyCount(event.RRULE?.value);
+
+      for (let y = 0; y < years; y += 1) {
+        for (let d = 0; d < days; d += 1) {
+          const date = start.plus({ years: y, days: d }).toISODate();
+          if (date && !byDate.has(date)) byDate.set(date, name);
+        }
+      }
+      return;
+    }
+    if (!current) return;
+    const prop = parseProperty(trimmed);
+    if (prop && !(prop.name in current)) current[prop.name] = prop;
+  });
+
+  return Array.from(byDate.entries())
+    .map(([date, name]) => ({ date, name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
@@ -0,0 +1,45 @@
+import type { Invitation, Role } from '../types';
+import { normalizeDate } from './worklogTotals';
+
+export type InvitationStatus = 'active' | 'expired' | 'used_up' | 'revoked';
+
+export const INVITATION_STATUS_LABELS: Record<InvitationStatus, string> = {
+  active: 'Active',
+  expired: 'Expired',
+  used_up: 'Used up',
+  revoked: 'Revoked',
+};
+
+/** Roles an invitation may grant; admins are only ever created by organization sign-up. */
+export const INVITABLE_ROLES: Role[] = ['agent', 'manager'];
+
+export const INVITE_EXPIRY_OPTIONS: Array<{ hours: number; label: string }> = [
+  { hours: 24, label: '24 hours' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '7 days' },
+  { hours: 720, label: '30 days' },
+];
+
+/** Mirrors the checks `api/accept-invite` applies, in the same order. */
+export const invitationStatus = (invitation: Invitation, now: Date = new Date()): InvitationStatus => {
+  if (invitation.revokedAt) return 'revoked';
+  const expiresAt = normalizeDate(invitation.expiresAt);
+  if (!expiresAt || expiresAt.getTime() <= now.getTime()) return 'expired';
+  if ((invitation.uses || 0) >= (invitation.maxUses || 1)) return 'used_up';
+  return 'active';
+};
+
+/** 32 random bytes, base64url-encoded; only its SHA-256 is stored. */
+export const generateInviteToken = (): string => {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+export const hashInviteToken = async (token: string): Promise<string> => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const buildInviteLink = (token: string): string => (
+  `${window.location.origin}${window.location.pathname}#/invite/${token}`
+);
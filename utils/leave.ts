@@ -0,0 +1,72 @@
+import { DateTime } from 'luxon';
+import type { LeaveBalance, LeavePolicy, LeaveType } from '../types';
+
+export const LEAVE_TYPES: LeaveType[] = ['annual', 'casual', 'sick', 'unpaid'];
+
+export const LEAVE_TYPE_LABELS: Record<LeaveType, string> = {
+  annual: 'Annual',
+  casual: 'Casual',
+  sick: 'Sick',
+  unpaid: 'Unpaid',
+};
+
+export const DEFAULT_LEAVE_POLICY: LeavePolicy = {
+  annual: 18,
+  casual: 6,
+  sick: 8,
+};
+
+export const resolveLeavePolicy = (policy?: Partial<LeavePolicy> | null): LeavePolicy => ({
+  ...DEFAULT_LEAVE_POLICY,
+  ...(policy || {}),
+});
+
+export const emptyLeaveUsage = (): Record<LeaveType, number> => ({ annual: 0, casual: 0, sick: 0, unpaid: 0 });
+
+export const createLeaveBalanceId = (uid: string, year: number) => `${uid}-${year}`;
+
+/**
+ * Days accrued for a leave type by `asOf`. Allowances accrue in equal monthly steps at the
+ * start of each month, so by March an 18-day allowance has accrued 4.5 days. Past years are
+ * fully accrued; future years have accrued nothing yet.
+ */
+export const computeAccruedDays = (policy: LeavePolicy, type: LeaveType, year: number, asOf: DateTime): number => {
+  if (type === 'unpaid') return Infinity;
+  const annual = Math.max(0, policy[type] || 0);
+  if (asOf.year > year) return annual;
+  if (asOf.year < year) return 0;
+  return Math.round((annual * asOf.month / 12) * 100) / 100;
+};
+
+export interface LeaveBalanceSummary {
+  type: LeaveType;
+  accrued: number;
+  used: number;
+  available: number;
+}
+
+export const summarizeLeaveBalance = (
+  policy: LeavePolicy,
+  balance: LeaveBalance | null,
+  year: number,
+  asOf: DateTime
+): LeaveBalanceSummary[] => LEAVE_TYPES.map((type) => {
+  const accrued = computeAccruedDays(policy, type, year, asOf);
+  const used = balance?.used?.[type] || 0;
+  return { type, accrued, used, available: accrued - used };
+});
+
+/** Calendar dates (YYYY-MM-DD) from start to end inclusive. */
+export const enumerateDates = (startDate: string, endDate: string): string[] => {
+  const dates: string[] = [];
+  let cursor = DateTime.fromISO(startDate);
+  const end = DateTime.fromISO(endDate);
+  if (!cursor.isValid || !end.isValid) return dates;
+  while (cursor <= end) {
+    dates.push(cursor.toISODate() as string);
+    cursor = cursor.plus({ days: 1 });
+  }
+  return dates;
+};
+
+export const formatLeaveDays = (days: number) => (Number.isFinite(days) ? String(Math.round(days * 100) / 100) : '∞');
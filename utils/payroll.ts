@@ -0,0 +1,331 @@
+import { DateTime } from 'luxon';
+import type { BreakPolicy, MonthlySchedule, PayrollRules, ShiftEntry, WorkLog } from '../types';
+import { normalizeDate } from './worklogTotals';
+import { activeBreakPolicy, isPaidBreak } from './breakPolicy';
+
+export const DEFAULT_PAYROLL_RULES: PayrollRules = {
+  dailyOvertimeThresholdHours: 8,
+  weeklyOvertimeThresholdHours: 40,
+  overtimeMultiplier: 1.5,
+  nightDifferentialEnabled: false,
+  nightStart: '22:00',
+  nightEnd: '06:00',
+  nightMultiplier: 1.1,
+  holidayMultiplier: 2,
+  roundingMinutes: 0,
+  roundingMode: 'nearest',
+};
+
+export const resolvePayrollRules = (rules?: Partial<PayrollRules> | null): PayrollRules => ({
+  ...DEFAULT_PAYROLL_RULES,
+  ...(rules || {}),
+});
+
+export interface PayrollAgentSummary {
+  userId: string;
+  userDisplayName: string;
+  periodStart: string;
+  periodEnd: string;
+  sessions: number;
+  openSessions: number;
+  daysWorked: number;
+  scheduledSeconds: number;
+  leaveDays: number;
+  totalWorkSeconds: number;
+  regularSeconds: number;
+  dailyOvertimeSeconds: number;
+  weeklyOvertimeSeconds: number;
+  nightSeconds: number;
+  holidaySeconds: number;
+  breakSeconds: number;
+  paidBreakSeconds: number;
+  payableSeconds: number;
+}
+
+type Piece = {
+  start: number;
+  end: number;
+  workDate: string;
+  night: boolean;
+  holiday: boolean;
+};
+
+const parseClock = (value: string): number | null => {
+  const [h, m] = (value || '').split(':').map(Number);
+  if (Number.isNaN(h) || Number.isNaN(m)) return null;
+  return h * 60 + m;
+};
+
+/** Rounds a punch to the configured minute step on the local clock (so :30 offsets stay aligned). */
+export const roundPunch = (date: Date, rules: PayrollRules, timezone: string): Date => {
+  const step = rules.roundingMinutes;
+  if (!step || step <= 0) return date;
+  const local = DateTime.fromJSDate(date).setZone(timezone);
+  const dayStart = local.startOf('day');
+  const minutes = local.diff(dayStart, 'minutes').minutes;
+  const ratio = minutes / step;
+  const rounded = rules.roundingMode === 'up'
+    ? Math.ceil(ratio)
+    : rules.roundingMode === 'down'
+      ? Math.floor(ratio)
+      : Math.round(ratio);
+  return dayStart.plus({ minutes: rounded * step }).toJSDate();
+};
+
+// Work intervals for a closed log: rounded clock-in → clock-out with unpaid breaks carved out.
+const workIntervals = (log: WorkLog, rules: PayrollRules, timezone: string, breakPolicy: BreakPolicy | null) => {
+  const clockIn = normalizeDate(log.clockInTime);
+  const clockOut = normalizeDate(log.clockOutTime);
+  if (!clockIn || !clockOut) return { intervals: [] as Array<[number, number]>, breakSeconds: 0, paidBreakSeconds: 0 };
+  const start = roundPunch(clockIn, rules, timezone).getTime();
+  const end = roundPunch(clockOut, rules, timezone).getTime();
+  if (end <= start) return { intervals: [] as Array<[number, number]>, breakSeconds: 0, paidBreakSeconds: 0 };
+
+  const breaks: Array<[number, number]> = [];
+  let paidBreakSeconds = 0;
+  (Array.isArray(log.breaks) ? log.breaks : []).forEach((entry) => {
+    const breakStart = normalizeDate(entry?.startTime);
+    const breakEnd = normalizeDate(entry?.endTime) || clockOut;
+    if (!breakStart) return;
+    const s = Math.max(breakStart.getTime(), start);
+    const e = Math.min(breakEnd.getTime(), end);
+    if (e <= s) return;
+    if (isPaidBreak(breakPolicy, entry)) paidBreakSeconds += (e - s) / 1000;
+    else breaks.push([s, e]);
+  });
+  breaks.sort((a, b) => a[0] - b[0]);
+
+  const intervals: Array<[number, number]> = [];
+  let cursor = start;
+  let breakSeconds = 0;
+  breaks.forEach(([s, e]) => {
+    if (e <= cursor) return;
+    if (s > cursor) intervals.push([cursor, s]);
+    breakSeconds += (e - Math.max(s, cursor)) / 1000;
+    cursor = e;
+  });
+  if (end > cursor) intervals.push([cursor, end]);
+  return { intervals, breakSeconds, paidBreakSeconds };
+};
+
+// Splits an interval at local midnights and night-window edges so each piece has uniform flags.
+const splitInterval = (
+  [start, end]: [number, number],
+  workDate: string,
+  rules: PayrollRules,
+  timezone: string,
+  holidays: Set<string>
+): Piece[] => {
+  const nightStart = parseClock(rules.nightStart);
+  const nightEnd = parseClock(rules.nightEnd);
+  const nightEnabled = rules.nightDifferentialEnabled && nightStart !== null && nightEnd !== null && nightStart !== nightEnd;
+
+  const cuts = new Set<number>([start, end]);
+  let day = DateTime.fromMillis(start).setZone(timezone).startOf('day');
+  const last = DateTime.fromMillis(end).setZone(timezone).startOf('day');
+  while (day <= last) {
+    [0, nightEnabled ? nightStart : null, nightEnabled ? nightEnd : null].forEach((minutes) => {
+      if (minutes === null) return;
+      const ms = day.plus({ minutes }).toMillis();
+      if (ms > start && ms < end) cuts.add(ms);
+    });
+    day = day.plus({ days: 1 });
+  }
+
+  const sorted = Array.from(cuts).sort((a, b) => a - b);
+  const pieces: Piece[] = [];
+  for (let i = 0; i < sorted.length - 1; i += 1) {
+    const pieceStart = sorted[i];
+    const pieceEnd = sorted[i + 1];
+    const local = DateTime.fromMillis(pieceStart).setZone(timezone);
+    const minuteOfDay = local.hour * 60 + local.minute;
+    const night = nightEnabled && (nightStart! < nightEnd!
+      ? minuteOfDay >= nightStart! && minuteOfDay < nightEnd!
+      : minuteOfDay >= nightStart! || minuteOfDay < nightEnd!);
+    pieces.push({
+      start: pieceStart,
+      end: pieceEnd,
+      workDate,
+      night,
+      holiday: holidays.has(local.toISODate() as string),
+    });
+  }
+  return pieces;
+};
+
+const shiftSeconds = (entry: ShiftEntry | undefined): number => {
+  if (!entry || typeof entry !== 'object') return 0;
+  const start = parseClock(entry.startTime);
+  const end = parseClock(entry.endTime);
+  if (start === null || end === null) return 0;
+  const minutes = end > start ? end - start : end + 24 * 60 - start;
+  return minutes * 60;
+};
+
+/**
+ * Computes per-agent pay-period totals.
+ *
+ * Overtime is allocated chronologically: time past the daily threshold (per shift date) is daily
+ * overtime, and remaining straight time past the weekly threshold (ISO week of the shift date) is
+ * weekly overtime. Weekly totals only see the logs passed in, so export ranges should line up with
+ * pay weeks. Multipliers compound, e.g. overtime worked at night on a holiday pays OT × night × holiday.
+ * `holidayDates` (YYYY-MM-DD, organization timezone) usually comes from the holiday calendar.
+ * Sessions that are still open are counted in `openSessions` and excluded from hours.
+ * With a team break policy, manual breaks of a paid type count as work time.
+ */
+export const computePayroll = (
+  logs: WorkLog[],
+  schedule: MonthlySchedule,
+  rulesInput: Partial<PayrollRules> | null | undefined,
+  timezone: string,
+  periodStart: string,
+  periodEnd: string,
+  holidayDates: string[] = [],
+  breakPolicyInput: BreakPolicy | null = null
+): PayrollAgentSummary[] => {
+  const rules = resolvePayrollRules(rulesInput);
+  const breakPolicy = activeBreakPolicy(breakPolicyInput);
+  const holidays = new Set(holidayDates);
+  const dailyLimit = rules.dailyOvertimeThresholdHours > 0 ? rules.dailyOvertimeThresholdHours * 3600 : Infinity;
+  const weeklyLimit = rules.weeklyOvertimeThresholdHours > 0 ? rules.weeklyOvertimeThresholdHours * 3600 : Infinity;
+
+  const summaries = new Map<string, PayrollAgentSummary>();
+  const piecesByUser = new Map<string, Piece[]>();
+  const datesByUser = new Map<string, Set<string>>();
+
+  const ensureSummary = (userId: string, displayName: string) => {
+    if (!summaries.has(userId)) {
+      summaries.set(userId, {
+        userId,
+        userDisplayName: displayName,
+        periodStart,
+        periodEnd,
+        sessions: 0,
+        openSessions: 0,
+        daysWorked: 0,
+        scheduledSeconds: 0,
+        leaveDays: 0,
+        totalWorkSeconds: 0,
+        regularSeconds: 0,
+        dailyOvertimeSeconds: 0,
+        weeklyOvertimeSeconds: 0,
+        nightSeconds: 0,
+        holidaySeconds: 0,
+        breakSeconds: 0,
+        paidBreakSeconds: 0,
+        payableSeconds: 0,
+      });
+    }
+    return summaries.get(userId)!;
+  };
+
+  logs.forEach((log) => {
+    const summary = ensureSummary(log.userId, log.userDisplayName || log.userId);
+    if (log.status !== 'clocked_out') {
+      summary.openSessions += 1;
+      return;
+    }
+    const logDate = normalizeDate(log.date) || normalizeDate(log.clockInTime);
+    if (!logDate) return;
+    const workDate = DateTime.fromJSDate(logDate).setZone(timezone).toISODate() as string;
+    const { intervals, breakSeconds, paidBreakSeconds } = workIntervals(log, rules, timezone, breakPolicy);
+    summary.sessions += 1;
+    summary.breakSeconds += breakSeconds;
+    summary.paidBreakSeconds += paidBreakSeconds;
+    if (!datesByUser.has(log.userId)) datesByUser.set(log.userId, new Set());
+    datesByUser.get(log.userId)!.add(workDate);
+    const pieces = piecesByUser.get(log.userId) || [];
+    intervals.forEach((interval) => pieces.push(...splitInterval(interval, workDate, rules, timezone, holidays)));
+    piecesByUser.set(log.userId, pieces);
+  });
+
+  piecesByUser.forEach((pieces, userId) => {
+    const summary = summaries.get(userId)!;
+    const dayTotals = new Map<string, number>();
+    const weekStraight = new Map<string, number>();
+
+    pieces.sort((a, b) => a.start - b.start).forEach((piece) => {
+      const seconds = (piece.end - piece.start) / 1000;
+      const weekKey = DateTime.fromISO(piece.workDate, { zone: timezone }).startOf('week').toISODate() as string;
+      const dayUsed = dayTotals.get(piece.workDate) || 0;
+      const weekUsed = weekStraight.get(weekKey) || 0;
+
+      const withinDay = Math.max(0, Math.min(seconds, dailyLimit - dayUsed));
+      const dailyOt = seconds - withinDay;
+      const regular = Math.max(0, Math.min(withinDay, weeklyLimit - weekUsed));
+      const weeklyOt = withinDay - regular;
+
+      dayTotals.set(piece.workDate, dayUsed + seconds);
+      weekStraight.set(weekKey, weekUsed + withinDay);
+
+      const premium = (piece.night ? rules.nightMultiplier : 1) * (piece.holiday ? rules.holidayMultiplier : 1);
+      summary.totalWorkSeconds += seconds;
+      summary.regularSeconds += regular;
+      summary.dailyOvertimeSeconds += dailyOt;
+      summary.weeklyOvertimeSeconds += weeklyOt;
+      if (piece.night) summary.nightSeconds += seconds;
+      if (piece.holiday) summary.holidaySeconds += seconds;
+      summary.payableSeconds += (regular + (dailyOt + weeklyOt) * rules.overtimeMultiplier) * premium;
+    });
+  });
+
+  datesByUser.forEach((dates, userId) => {
+    summaries.get(userId)!.daysWorked = dates.size;
+  });
+
+  Object.entries(schedule || {}).forEach(([userId, days]) => {
+    const summary = summaries.get(userId);
+    if (!summary || !days) return;
+    Object.entries(days).forEach(([date, entry]) => {
+      if (date < periodStart || date > periodEnd) return;
+      if (entry === 'L') summary.leaveDays += 1;
+      else summary.scheduledSeconds += shiftSeconds(entry);
+    });
+  });
+
+  return Array.from(summaries.values()).sort((a, b) => a.userDisplayName.localeCompare(b.userDisplayName));
+};
+
+const toHours = (seconds: number) => (seconds / 3600).toFixed(2);
+
+export const PAYROLL_EXPORT_HEADERS = [
+  'Agent',
+  'Period Start',
+  'Period End',
+  'Days Worked',
+  'Sessions',
+  'Open Sessions',
+  'Scheduled Hours',
+  'Leave Days',
+  'Total Work Hours',
+  'Regular Hours',
+  'Daily OT Hours',
+  'Weekly OT Hours',
+  'Night Hours',
+  'Holiday Hours',
+  'Break Hours',
+  'Paid Break Hours',
+  'Payable Hours',
+];
+
+export const toPayrollExportRows = (summaries: PayrollAgentSummary[]): Array<Array<string | number>> => (
+  summaries.map((s) => [
+    s.userDisplayName,
+    s.periodStart,
+    s.periodEnd,
+    s.daysWorked,
+    s.sessions,
+    s.openSessions,
+    Number(toHours(s.scheduledSeconds)),
+    s.leaveDays,
+    Number(toHours(s.totalWorkSeconds)),
+    Number(toHours(s.regularSeconds)),
+    Number(toHours(s.dailyOvertimeSeconds)),
+    Number(toHours(s.weeklyOvertimeSeconds)),
+    Number(toHours(s.nightSeconds)),
+    Number(toHours(s.holidaySeconds)),
+    Number(toHours(s.breakSeconds)),
+    Number(toHours(s.paidBreakSeconds)),
+    Number(toHours(s.payableSeconds)),
+  ])
+);
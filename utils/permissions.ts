@@ -0,0 +1,44 @@
+import type { CustomRole, Permission, UserData } from '../types';
+import { getUserRoles } from './roles';
+
+/** Keep in sync with PERMISSIONS in functions/src/index.ts and the `perms` checks in firestore.rules. */
+export const PERMISSIONS: Permission[] = ['view_recordings', 'live_view', 'force_logout', 'edit_schedules', 'export_reports'];
+
+export const PERMISSION_LABELS: Record<Permission, { label: string; description: string }> = {
+  view_recordings: { label: 'View recordings', description: 'See, merge and repair screen recordings of teammates.' },
+  live_view: { label: 'Live view', description: "Request a teammate's live screen." },
+  force_logout: { label: 'Force logout', description: "Force logout, reconnect and restart the recorder on teammates' desktops." },
+  edit_schedules: { label: 'Edit schedules', description: 'Edit the team roster and shift templates.' },
+  export_reports: { label: 'Export reports', description: 'View team reports and export payroll.' },
+};
+
+/** Admins act organization-wide; managers hold every team permission for their own teams. */
+export const BUILTIN_ROLE_PERMISSIONS: Record<string, Permission[]> = {
+  admin: PERMISSIONS,
+  manager: PERMISSIONS,
+  agent: [],
+};
+
+const isPermission = (value: unknown): value is Permission => PERMISSIONS.includes(value as Permission);
+
+/**
+ * Effective permissions: those implied by built-in roles plus `claimed` (the `perms` ID token
+ * claim) or, when the role documents are at hand, the permissions of the user's custom roles.
+ */
+export const getUserPermissions = (
+  user: Partial<UserData> | null | undefined,
+  claimed: unknown = [],
+  customRoles: CustomRole[] = [],
+): Permission[] => {
+  if (!user) return [];
+  const granted = new Set<Permission>();
+  getUserRoles(user).forEach((role) => BUILTIN_ROLE_PERMISSIONS[role]?.forEach((p) => granted.add(p)));
+  (Array.isArray(claimed) ? claimed : []).filter(isPermission).forEach((p) => granted.add(p));
+  const assigned = new Set(user.customRoleIds || []);
+  customRoles.filter((r) => assigned.has(r.id)).forEach((r) => r.permissions.filter(isPermission).forEach((p) => granted.add(p)));
+  return PERMISSIONS.filter((p) => granted.has(p));
+};
+
+export const hasAnyPermission = (permissions: Permission[], required: Permission[]) => (
+  required.some((p) => permissions.includes(p))
+);
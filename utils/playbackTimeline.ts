@@ -0,0 +1,91 @@
+import type { AppActivityEntry, AppActivitySummary, RecordingSegment, WorkLog } from '../types';
+import { deriveBreakCause, normalizeDate } from './worklogTotals';
+
+export interface TimedSegment extends RecordingSegment {
+  startMs: number;
+}
+
+export type ActivitySpanKind = 'working' | 'break' | 'idle';
+
+export interface ActivitySpan {
+  kind: ActivitySpanKind;
+  startMs: number;
+  endMs: number;
+  label: string;
+}
+
+export interface AppSpan extends AppActivityEntry {
+  startMs: number;
+  endMs: number;
+}
+
+export const segmentKey = (segment: RecordingSegment) => `${segment.screenId}-${segment.endMs}`;
+
+/**
+ * Places one screen's segments on the wall clock. File names only carry the finalize time, so a
+ * segment starts `duration` earlier: the length the player measured once loaded, otherwise the
+ * configured segment length. A segment never starts before the previous one ended.
+ */
+export const layoutSegments = (
+  segments: RecordingSegment[],
+  defaultDurationMs: number,
+  measuredMs: Record<string, number> = {},
+): TimedSegment[] => {
+  let previousEnd = -Infinity;
+  return [...segments]
+    .sort((a, b) => a.endMs - b.endMs)
+    .map((segment) => {
+      const duration = measuredMs[segmentKey(segment)] ?? defaultDurationMs;
+      const startMs = Math.max(previousEnd, segment.endMs - duration);
+      previousEnd = segment.endMs;
+      return { ...segment, startMs };
+    });
+};
+
+/** The playable segment covering `ms`, or the next one after it when `ms` falls in a gap. */
+export const findSegmentAt = (timed: TimedSegment[], ms: number): TimedSegment | null => {
+  const playable = timed.filter((s) => s.url);
+  return playable.find((s) => ms >= s.startMs && ms < s.endMs)
+    || playable.find((s) => s.startMs >= ms)
+    || null;
+};
+
+const toMs = (value: unknown): number | null => normalizeDate(value)?.getTime() ?? null;
+
+/** Working, break and idle spans from the day's worklogs; open entries run until `nowMs`. */
+export const buildActivitySpans = (worklogs: WorkLog[], nowMs: number = Date.now()): ActivitySpan[] => {
+  const spans: ActivitySpan[] = [];
+  worklogs.forEach((log) => {
+    (log.activities || []).forEach((entry) => {
+      const startMs = toMs(entry.startTime);
+      if (startMs === null) return;
+      const endMs = toMs(entry.endTime) ?? nowMs;
+      if (entry.type === 'working') {
+        spans.push({ kind: 'working', startMs, endMs, label: 'Working' });
+      } else {
+        const kind: ActivitySpanKind = deriveBreakCause(entry) === 'idle' ? 'idle' : 'break';
+        spans.push({ kind, startMs, endMs, label: kind === 'idle' ? 'Idle' : (entry.reason ? `Break: ${entry.reason}` : 'Break') });
+      }
+    });
+  });
+  return spans.sort((a, b) => a.startMs - b.startMs);
+};
+
+export const buildAppSpans = (summaries: AppActivitySummary[]): AppSpan[] => (
+  summaries
+    .flatMap((summary) => summary.entries || [])
+    .map((entry) => {
+      const startMs = toMs(entry.startTime);
+      if (startMs === null) return null;
+      const endMs = toMs(entry.endTime) ?? startMs + (entry.durationSeconds || 0) * 1000;
+      return { ...entry, startMs, endMs };
+    })
+    .filter((entry): entry is AppSpan => entry !== null)
+    .sort((a, b) => a.startMs - b.startMs)
+);
+
+export const matchesAppSearch = (entry: AppActivityEntry, search: string) => {
+  const needle = search.trim().toLowerCase();
+  if (!needle) return true;
+  return [entry.app, entry.title, entry.url].some((value) => (value || '').toLowerCase().includes(needle));
+};
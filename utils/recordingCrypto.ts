@@ -0,0 +1,142 @@
+/**
+ * Encrypted recording format, written by the desktop app (electron/main.js) and read here and by
+ * the HTTP receiver's playback path:
+ *
+ *   "RECENC01" | uint32 BE header length | header JSON | chunk 0 | chunk 1 | ...
+ *
+ * The header carries the organization key id, the per-segment AES-256-GCM key wrapped with the
+ * key's RSA-OAEP (SHA-256) public key, an 8-byte nonce prefix, the chunk size and the plaintext
+ * size. Each chunk is `chunkSize` plaintext bytes (the last may be shorter) sealed with
+ * IV = nonce prefix || uint32 BE chunk index and the header bytes as additional data, followed by
+ * its 16-byte tag, so a reader can decrypt any byte range without the rest of the file.
+ */
+
+export const RECORDING_ENCRYPTION_MAGIC = 'RECENC01';
+export const ENCRYPTED_RECORDING_SUFFIX = '.enc';
+
+const GCM_TAG_BYTES = 16;
+const PASSPHRASE_ITERATIONS = 310000;
+const RSA_KEY_ALGORITHM: RsaHashedKeyGenParams = {
+  name: 'RSA-OAEP',
+  modulusLength: 3072,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: 'SHA-256',
+};
+
+export interface EncryptedRecordingHeader {
+  v: number;
+  alg: string;
+  keyId: string;
+  wrappedKey: string;
+  noncePrefix: string;
+  chunkSize: number;
+  plainSize: number;
+}
+
+/** Private key material as stored in `recordingKeys/{keyId}`: PKCS#8 sealed with a passphrase-derived key. */
+export interface WrappedPrivateKey {
+  encryptedPrivateKey: string;
+  salt: string;
+  iv: string;
+  iterations: number;
+}
+
+export const isEncryptedRecordingName = (name: string) => name.toLowerCase().endsWith(ENCRYPTED_RECORDING_SUFFIX);
+
+export const toBase64 = (bytes: ArrayBuffer | Uint8Array) => {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < view.length; i += 0x8000) {
+    binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+export const fromBase64 = (value: string) => Uint8Array.from(atob(value), (c) => c.charCodeAt(0));
+
+const toPem = (label: string, der: ArrayBuffer) => {
+  const body = toBase64(der).match(/.{1,64}/g)?.join('\n') || '';
+  return `-----BEGIN ${label}-----\n${body}\n-----END ${label}-----\n`;
+};
+
+export const generateRecordingKeyPair = async () => {
+  const pair = await crypto.subtle.generateKey(RSA_KEY_ALGORITHM, true, ['encrypt', 'decrypt']);
+  const [spki, pkcs8] = await Promise.all([
+    crypto.subtle.exportKey('spki', pair.publicKey),
+    crypto.subtle.exportKey('pkcs8', pair.privateKey),
+  ]);
+  return { publicKeyPem: toPem('PUBLIC KEY', spki), privateKeyPkcs8: pkcs8 };
+};
+
+const passphraseKey = async (passphrase: string, salt: Uint8Array, iterations: number) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+};
+
+export const wrapPrivateKey = async (privateKeyPkcs8: ArrayBuffer, passphrase: string): Promise<WrappedPrivateKey> => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await passphraseKey(passphrase, salt, PASSPHRASE_ITERATIONS);
+  const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, privateKeyPkcs8);
+  return { encryptedPrivateKey: toBase64(sealed), salt: toBase64(salt), iv: toBase64(iv), iterations: PASSPHRASE_ITERATIONS };
+};
+
+/** Recovers the PKCS#8 private key; throws 'wrong-passphrase' when the passphrase does not open it. */
+export const unwrapPrivateKeyBytes = async (wrapped: WrappedPrivateKey, passphrase: string) => {
+  const key = await passphraseKey(passphrase, fromBase64(wrapped.salt), wrapped.iterations);
+  try {
+    return await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(wrapped.iv) }, key, fromBase64(wrapped.encryptedPrivateKey));
+  } catch (_) {
+    throw new Error('wrong-passphrase');
+  }
+};
+
+export const unwrapPrivateKey = async (wrapped: WrappedPrivateKey, passphrase: string) => (
+  crypto.subtle.importKey('pkcs8', await unwrapPrivateKeyBytes(wrapped, passphrase), { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['decrypt'])
+);
+
+/** PEM export of a private key for the HTTP receiver's RECORDING_RECEIVER_KEYS_PATH. */
+export const exportPrivateKeyPem = async (wrapped: WrappedPrivateKey, passphrase: string) => (
+  toPem('PRIVATE KEY', await unwrapPrivateKeyBytes(wrapped, passphrase))
+);
+
+export const parseEncryptedRecording = (bytes: Uint8Array) => {
+  const magic = new TextDecoder().decode(bytes.subarray(0, RECORDING_ENCRYPTION_MAGIC.length));
+  if (magic !== RECORDING_ENCRYPTION_MAGIC) throw new Error('not-an-encrypted-recording');
+  const headerLength = new DataView(bytes.buffer, bytes.byteOffset + 8, 4).getUint32(0);
+  const headerBytes = bytes.subarray(12, 12 + headerLength);
+  const header = JSON.parse(new TextDecoder().decode(headerBytes)) as EncryptedRecordingHeader;
+  if (header.v !== 1) throw new Error('unsupported-recording-format');
+  return { header, headerBytes, dataOffset: 12 + headerLength };
+};
+
+/** Decrypts a whole encrypted segment with the organization private key named in its header. */
+export const decryptRecording = async (bytes: Uint8Array, privateKey: CryptoKey) => {
+  const { header, headerBytes, dataOffset } = parseEncryptedRecording(bytes);
+  const rawKey = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, fromBase64(header.wrappedKey));
+  const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+  const noncePrefix = fromBase64(header.noncePrefix);
+  const plain = new Uint8Array(header.plainSize);
+  const chunkCount = Math.ceil(header.plainSize / header.chunkSize);
+  for (let index = 0; index < chunkCount; index += 1) {
+    const plainStart = index * header.chunkSize;
+    const plainLength = Math.min(header.chunkSize, header.plainSize - plainStart);
+    const cipherStart = dataOffset + index * (header.chunkSize + GCM_TAG_BYTES);
+    const iv = new Uint8Array(12);
+    iv.set(noncePrefix, 0);
+    new DataView(iv.buffer).setUint32(8, index);
+    const chunk = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: headerBytes },
+      key,
+      bytes.subarray(cipherStart, cipherStart + plainLength + GCM_TAG_BYTES),
+    );
+    plain.set(new Uint8Array(chunk), plainStart);
+  }
+  return plain;
+};
@@ -17,6 +17,8 @@ export const hasRole = (user: Partial<UserData> | null | undefined, role: Role):
   return getUserRoles(user).includes(role);
 };
 
+export const isDeactivated = (user?: Partial<UserData> | null): boolean => user?.disabled === true;
+
 export const getPrimaryRole = (user?: Partial<UserData> | null): Role | null => {
   const roles = getUserRoles(user);
   if (roles.includes('admin')) return 'admin';
@@ -0,0 +1,146 @@
+import { DateTime } from 'luxon';
+import type { MonthlySchedule, ShiftEntry, ShiftTemplate, ShiftTime } from '../types';
+
+export interface RotationOptions {
+  year: number;
+  month: number; // 1-12
+  agentIds: string[];
+  templates: ShiftTemplate[]; // worked in this order, advancing once per cycle
+  onDays: number;
+  offDays: number;
+  anchorDate: string; // YYYY-MM-DD; day 0 of the first cycle
+  staggerDays: number; // each subsequent agent starts this many days later in the cycle
+}
+
+export type RosterConflictKind = 'leave' | 'overwrite' | 'holiday' | 'short-rest';
+
+export interface RosterConflict {
+  userId: string;
+  date: string;
+  kind: RosterConflictKind;
+  message: string;
+}
+
+export interface RosterConflictOptions {
+  holidays: Set<string>;
+  minRestHours: number;
+  overwrite: boolean;
+}
+
+export interface RosterPreview {
+  merged: MonthlySchedule;
+  conflicts: RosterConflict[];
+  changedCells: number;
+}
+
+const isShift = (entry: ShiftEntry | undefined): entry is ShiftTime => Boolean(entry && typeof entry === 'object');
+
+const toMinutes = (time: string) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+const entryKey = (entry: ShiftEntry | undefined) => (isShift(entry) ? `${entry.startTime}-${entry.endTime}` : entry || '');
+
+const mod = (n: number, m: number) => ((n % m) + m) % m;
+
+export const monthDates = (year: number, month: number): string[] => {
+  const first = DateTime.fromObject({ year, month, day: 1 });
+  return Array.from({ length: first.daysInMonth || 0 }, (_, i) => first.plus({ days: i }).toISODate() as string);
+};
+
+/**
+ * Fills a month from an on/off cycle. With 5 on / 2 off and two templates, agents work
+ * template A for a week, then template B the next, and so on. The cycle is anchored to
+ * `anchorDate` rather than the 1st so consecutive months continue the same rotation.
+ */
+export const generateRotation = (options: RotationOptions): MonthlySchedule => {
+  const cycle = options.onDays + options.offDays;
+  if (options.onDays < 1 || options.offDays < 0 || !options.templates.length) return {};
+  const anchor = DateTime.fromISO(options.anchorDate);
+  if (!anchor.isValid) return {};
+
+  const schedule: MonthlySchedule = {};
+  const dates = monthDates(options.year, options.month);
+  options.agentIds.forEach((uid, agentIndex) => {
+    schedule[uid] = {};
+    dates.forEach((date) => {
+      const offset = Math.round(DateTime.fromISO(date).diff(anchor, 'days').days) - agentIndex * options.staggerDays;
+      const position = mod(offset, cycle);
+      if (position >= options.onDays) {
+        schedule[uid][date] = 'OFF';
+        return;
+      }
+      const template = options.templates[mod(Math.floor(offset / cycle), options.templates.length)];
+      schedule[uid][date] = { startTime: template.startTime, endTime: template.endTime };
+    });
+  });
+  return schedule;
+};
+
+/**
+ * Merges a generated roster into the existing one and reports what needs attention.
+ * Leave ('L') is never replaced. Existing cells are only replaced when `overwrite` is set.
+ * Holiday and short-rest conflicts are warnings; those cells are still applied.
+ */
+export const previewRoster = (
+  existing: MonthlySchedule,
+  proposed: MonthlySchedule,
+  options: RosterConflictOptions
+): RosterPreview => {
+  const merged: MonthlySchedule = JSON.parse(JSON.stringify(existing || {}));
+  const conflicts: RosterConflict[] = [];
+  let changedCells = 0;
+
+  Object.entries(proposed).forEach(([uid, days]) => {
+    merged[uid] = merged[uid] || {};
+    const applied = new Set<string>();
+
+    Object.keys(days).sort().forEach((date) => {
+      const next = days[date];
+      const current = merged[uid][date];
+      if (current === 'L') {
+        conflicts.push({ userId: uid, date, kind: 'leave', message: 'On approved leave; left unchanged.' });
+        return;
+      }
+      if (current && entryKey(current) !== entryKey(next)) {
+        if (!options.overwrite) {
+          conflicts.push({ userId: uid, date, kind: 'overwrite', message: `Already set to ${entryKey(current)}; kept.` });
+          return;
+        }
+        conflicts.push({ userId: uid, date, kind: 'overwrite', message: `Replaces ${entryKey(current)}.` });
+      }
+      if (isShift(next) && options.holidays.has(date)) {
+        conflicts.push({ userId: uid, date, kind: 'holiday', message: 'Shift scheduled on a holiday.' });
+      }
+      if (entryKey(current) !== entryKey(next)) {
+        merged[uid][date] = next;
+        changedCells += 1;
+      }
+      applied.add(date);
+    });
+
+    // Rest is measured from the end of one shift to the start of the next calendar day's shift.
+    const minRest = options.minRestHours * 60;
+    if (minRest <= 0) return;
+    const sortedDates = Object.keys(merged[uid]).sort();
+    sortedDates.forEach((date, index) => {
+      if (index === 0) return;
+      const prevDate = sortedDates[index - 1];
+      if (!applied.has(date) && !applied.has(prevDate)) return;
+      const gapDays = Math.round(DateTime.fromISO(date).diff(DateTime.fromISO(prevDate), 'days').days);
+      const prev = merged[uid][prevDate];
+      const next = merged[uid][date];
+      if (gapDays !== 1 || !isShift(prev) || !isShift(next)) return;
+      let prevEnd = toMinutes(prev.endTime);
+      if (prevEnd <= toMinutes(prev.startTime)) prevEnd += 1440;
+      const rest = 1440 + toMinutes(next.startTime) - prevEnd;
+      if (rest < minRest) {
+        const hours = Math.max(0, Math.round((rest / 60) * 10) / 10);
+        conflicts.push({ userId: uid, date, kind: 'short-rest', message: `Only ${hours}h rest after the previous shift.` });
+      }
+    });
+  });
+
+  return { merged, conflicts, changedCells };
+};
@@ -0,0 +1,68 @@
+import type { AdminSettingsType, SettingsChange } from '../types';
+
+/** Bookkeeping fields that never show up as changes. */
+const IGNORED_FIELDS = new Set(['settingsVersion']);
+
+/** Credentials shown as "changed" in history instead of their values. */
+export const SECRET_SETTING_FIELDS = new Set([
+  'dropboxToken',
+  'dropboxAccessToken',
+  'dropboxRefreshToken',
+  'dropboxAppSecret',
+  'httpUploadToken',
+  'googleServiceAccountJson',
+]);
+
+/**
+ * Written by the Dropbox OAuth callback and token refresh, not by admins; a rollback keeps the
+ * current values so it cannot restore an expired or revoked token. The recording encryption key
+ * is kept for the same reason: it only changes through a rotation.
+ */
+export const ROLLBACK_PRESERVED_FIELDS: Array<keyof AdminSettingsType> = [
+  'dropboxAccessToken',
+  'dropboxRefreshToken',
+  'dropboxTokenExpiry',
+  'recordingEncryptionKeyId',
+  'recordingEncryptionPublicKey',
+];
+
+const stableStringify = (value: unknown): string => {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  const entries = Object.keys(value as Record<string, unknown>)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${stableStringify((value as Record<string, unknown>)[key])}`);
+  return `{${entries.join(',')}}`;
+};
+
+/** Field-level diff of two settings documents. Missing and null values compare equal. */
+export const diffAdminSettings = (
+  before: Partial<AdminSettingsType> | null,
+  after: Partial<AdminSettingsType> | null,
+): SettingsChange[] => {
+  const prev = (before || {}) as Record<string, unknown>;
+  const next = (after || {}) as Record<string, unknown>;
+  const fields = Array.from(new Set([...Object.keys(prev), ...Object.keys(next)]))
+    .filter((field) => !IGNORED_FIELDS.has(field))
+    .sort();
+  return fields
+    .filter((field) => stableStringify(prev[field]) !== stableStringify(next[field]))
+    .map((field) => ({ field, before: prev[field] ?? null, after: next[field] ?? null }));
+};
+
+/** Firestore rejects `undefined`, so snapshots drop those keys. */
+export const stripUndefinedFields = <T extends object>(value: T): T => (
+  Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined)) as T
+);
+
+export const formatChangeValue = (field: string, value: unknown): string => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (SECRET_SETTING_FIELDS.has(field)) return '••••••';
+  if (typeof value === 'boolean') return value ? 'On' : 'Off';
+  if (typeof value === 'object') {
+    const text = JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  }
+  return String(value);
+};
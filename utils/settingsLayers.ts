@@ -0,0 +1,129 @@
+import type { AdminSettingsType, OverridableSettingKey, SettingsOverrideValues, SettingsSource } from '../types';
+
+export type SettingKind = 'number' | 'boolean' | 'select' | 'list';
+
+export interface OverridableSetting {
+  key: OverridableSettingKey;
+  label: string;
+  kind: SettingKind;
+  options?: string[];
+  numeric?: boolean; // select values stored as numbers
+}
+
+export const OVERRIDABLE_SETTINGS: OverridableSetting[] = [
+  { key: 'idleTimeout', label: 'Idle timeout (seconds)', kind: 'number' },
+  { key: 'manualBreakTimeoutMinutes', label: 'Manual break reminder (minutes)', kind: 'number' },
+  { key: 'autoClockOutEnabled', label: 'Auto clock-out', kind: 'boolean' },
+  { key: 'allowRecording', label: 'Allow recording', kind: 'boolean' },
+  { key: 'recordingMode', label: 'Recording mode', kind: 'select', options: ['auto', 'manual', 'off'] },
+  { key: 'recordingQuality', label: 'Recording quality', kind: 'select', options: ['480p', '720p', '1080p'] },
+  { key: 'recordingFps', label: 'Recording FPS', kind: 'select', options: ['30', '60', '120'], numeric: true },
+  { key: 'recordingSegmentMinutes', label: 'Recording segment (minutes)', kind: 'number' },
+  { key: 'recordingRetentionDays', label: 'Recording retention (days, 0 = keep)', kind: 'number' },
+  { key: 'showRecordingNotification', label: 'Recording notification', kind: 'boolean' },
+  { key: 'autoUpload', label: 'Auto upload', kind: 'boolean' },
+  { key: 'enableAppTracking', label: 'App tracking', kind: 'boolean' },
+  { key: 'appTrackingIntervalSeconds', label: 'App tracking interval (seconds)', kind: 'number' },
+  { key: 'idleAvoidEnabled', label: 'Idle avoidance detection', kind: 'boolean' },
+  { key: 'idleAvoidDurationSeconds', label: 'Idle avoidance window (seconds)', kind: 'number' },
+  { key: 'appCategoryRules', label: 'App category rules', kind: 'list' },
+  { key: 'redFlagCategories', label: 'Red-flag categories', kind: 'list' },
+  { key: 'breakReasons', label: 'Break reasons', kind: 'list' },
+];
+
+const OVERRIDABLE_KEYS = new Set<string>(OVERRIDABLE_SETTINGS.map((s) => s.key));
+
+/** Drops unknown keys and unset values so an override document only holds real overrides. */
+export const sanitizeOverrides = (values?: Record<string, unknown> | null): SettingsOverrideValues => {
+  const clean: Record<string, unknown> = {};
+  Object.entries(values || {}).forEach(([key, value]) => {
+    if (OVERRIDABLE_KEYS.has(key) && value !== undefined && value !== null) clean[key] = value;
+  });
+  return clean as SettingsOverrideValues;
+};
+
+export interface EffectiveSettings {
+  settings: AdminSettingsType;
+  sources: Record<OverridableSettingKey, SettingsSource>;
+}
+
+/**
+ * Layers team then agent overrides on top of the global document. Keys outside
+ * OVERRIDABLE_SETTINGS are ignored in overrides. `electron/main.js` mirrors this resolution.
+ */
+export const resolveEffectiveSettings = (
+  global: AdminSettingsType | null,
+  team?: SettingsOverrideValues | null,
+  agent?: SettingsOverrideValues | null,
+): EffectiveSettings => {
+  const teamValues = sanitizeOverrides(team);
+  const agentValues = sanitizeOverrides(agent);
+  const sources = {} as Record<OverridableSettingKey, SettingsSource>;
+  OVERRIDABLE_SETTINGS.forEach(({ key }) => {
+    if (key in agentValues) sources[key] = 'agent';
+    else if (key in teamValues) sources[key] = 'team';
+    else sources[key] = 'global';
+  });
+  return {
+    settings: { ...(global || ({} as AdminSettingsType)), ...teamValues, ...agentValues },
+    sources,
+  };
+};
+
+/** Short human-readable form of a setting value for the overrides table. */
+export const formatSettingValue = (value: unknown): string => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'On' : 'Off';
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  return String(value);
+};
+
+export const createSettingsOverridesId = (scope: 'team' | 'agent', targetId: string) => `${scope}-${targetId}`;
+
+/**
+ * Settings every member of the organization may read, mirrored into `memberSettings/{docId}` on
+ * each save. Storage credentials and upload targets stay in the admin-only `adminSettings` document;
+ * desktops read them from `desktopCredentials/{docId}` (syncDesktopCredentials in functions).
+ */
+export const MEMBER_SETTINGS_FIELDS: Array<keyof AdminSettingsType> = [
+  'autoClockOutEnabled',
+  'idleTimeout',
+  'autoClockGraceMinutes',
+  'uploadToDropbox',
+  'uploadToGoogleSheets',
+  'uploadToHttp',
+  'httpUploadFfmpegRepairEnabled',
+  'recordingMode',
+  'requireLoginOnBoot',
+  'autoUpload',
+  'showRecordingNotification',
+  'manualBreakTimeoutMinutes',
+  'allowRecording',
+  'recordingQuality',
+  'recordingFps',
+  'recordingSegmentMinutes',
+  'recordingRetentionDays',
+  'recordingEncryptionKeyId',
+  'recordingEncryptionPublicKey',
+  'desktopDebugMachines',
+  'organizationTimezone',
+  'showLiveTeamStatusToAgents',
+  'enableAppTracking',
+  'appTrackingIntervalSeconds',
+  'idleAvoidEnabled',
+  'idleAvoidDurationSeconds',
+  'appCategoryRules',
+  'redFlagCategories',
+  'payrollRules',
+  'leavePolicy',
+  'breakReasons',
+  'settingsVersion',
+];
+
+export const toMemberSettings = (settings: AdminSettingsType): Partial<AdminSettingsType> => {
+  const member: Record<string, unknown> = {};
+  MEMBER_SETTINGS_FIELDS.forEach((key) => {
+    if (settings[key] !== undefined) member[key] = settings[key];
+  });
+  return member as Partial<AdminSettingsType>;
+};
@@ -0,0 +1,127 @@
+import type { Role, Team } from '../types';
+
+/** Columns of the import template; header matching is case-insensitive and ignores spaces. */
+export const USER_IMPORT_HEADERS = ['email', 'display name', 'role', 'teams'];
+
+export const USER_IMPORT_TEMPLATE = `${USER_IMPORT_HEADERS.join(',')}\njane@example.com,Jane Doe,agent,Support\nsam@example.com,Sam Lee,agent;manager,Support;Sales\n`;
+
+/** Admins are only created through organization sign-up, as with invitations. */
+export const IMPORTABLE_ROLES: Role[] = ['agent', 'manager'];
+
+export const MAX_IMPORT_ROWS = 500;
+
+export interface UserImportRow {
+  line: number;
+  email: string;
+  displayName: string;
+  roles: Role[];
+  teamIds: string[];
+  errors: string[];
+}
+
+const HEADER_ALIASES: Record<string, keyof Pick<UserImportRow, 'email' | 'displayName' | 'roles' | 'teamIds'>> = {
+  email: 'email',
+  displayname: 'displayName',
+  name: 'displayName',
+  role: 'roles',
+  roles: 'roles',
+  team: 'teamIds',
+  teams: 'teamIds',
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** RFC 4180 parsing: quoted fields may contain commas, newlines and doubled quotes. */
+export const parseCsv = (text: string): string[][] => {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+};
+
+const splitList = (value: string) => value.split(/[;|]/).map((part) => part.trim()).filter(Boolean);
+
+/**
+ * Turns an uploaded CSV into import rows, resolving team names (or ids) against the admin's teams.
+ * Rows keep their validation errors instead of being dropped so the preview can show them.
+ */
+export const parseUserImportCsv = (text: string, teams: Team[]): UserImportRow[] => {
+  const [header, ...body] = parseCsv(text);
+  if (!header) throw new Error('user-import-empty');
+  const columns = header.map((cell) => HEADER_ALIASES[cell.trim().toLowerCase().replace(/[\s_-]+/g, '')]);
+  if (!columns.includes('email')) throw new Error('user-import-missing-email-column');
+  if (body.length > MAX_IMPORT_ROWS) throw new Error('user-import-too-many-rows');
+
+  const teamsByKey = new Map<string, string>();
+  teams.forEach((team) => {
+    teamsByKey.set(team.id, team.id);
+    teamsByKey.set(team.name.trim().toLowerCase(), team.id);
+  });
+  const seen = new Set<string>();
+
+  return body.map((cells, index) => {
+    const raw: Record<string, string> = {};
+    columns.forEach((key, col) => {
+      if (key) raw[key] = (cells[col] || '').trim();
+    });
+
+    const errors: string[] = [];
+    const email = (raw.email || '').toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) errors.push('Invalid email');
+    else if (seen.has(email)) errors.push('Duplicate email in file');
+    seen.add(email);
+
+    const roleNames = splitList((raw.roles || 'agent').toLowerCase());
+    const roles = roleNames.filter((r): r is Role => IMPORTABLE_ROLES.includes(r as Role));
+    roleNames.filter((r) => !roles.includes(r as Role)).forEach((r) => errors.push(`Role "${r}" cannot be imported`));
+
+    const teamIds: string[] = [];
+    splitList(raw.teamIds || '').forEach((name) => {
+      const id = teamsByKey.get(name) || teamsByKey.get(name.toLowerCase());
+      if (id) teamIds.push(id);
+      else errors.push(`Unknown team "${name}"`);
+    });
+
+    return {
+      line: index + 2,
+      email,
+      displayName: raw.displayName || email.split('@')[0] || '',
+      roles,
+      teamIds: Array.from(new Set(teamIds)),
+      errors,
+    };
+  });
+};
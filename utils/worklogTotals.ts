@@ -0,0 +1,85 @@
+import type { WorkLog } from '../types';
+
+export const normalizeDate = (value: any): Date | null => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (typeof value.toMillis === 'function') return new Date(value.toMillis());
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+export const deriveBreakCause = (entry: any): 'manual' | 'idle' => {
+  const raw = (entry?.cause || entry?.reason || entry?.type || entry?.source || '').toString().toLowerCase();
+  if (raw.includes('idle')) return 'idle';
+  if (entry?.auto === true || entry?.isIdle === true) return 'idle';
+  return 'manual';
+};
+
+export const computeBreakBuckets = (log: WorkLog) => {
+  const breaks = Array.isArray((log as any)?.breaks) ? (log as any).breaks : [];
+  let manualSeconds = 0;
+  let idleSeconds = 0;
+  let accounted = false;
+  const fallbackEnd = normalizeDate(log.clockOutTime) || normalizeDate(log.lastEventTimestamp) || new Date();
+
+  breaks.forEach((entry: any) => {
+    const start = normalizeDate(entry?.startTime);
+    const end = normalizeDate(entry?.endTime) || fallbackEnd;
+    if (!start || !end || end <= start) return;
+    accounted = true;
+    const duration = (end.getTime() - start.getTime()) / 1000;
+    if (deriveBreakCause(entry) === 'idle') idleSeconds += duration;
+    else manualSeconds += duration;
+  });
+
+  // Fallback for older logs that may not have a `breaks[]` array.
+  if (!accounted) {
+    manualSeconds = typeof log.totalBreakSeconds === 'number' ? log.totalBreakSeconds : 0;
+    idleSeconds = 0;
+  }
+
+  return { manualSeconds, idleSeconds };
+};
+
+/**
+ * Work/break totals for a single worklog, derived from clock-in/out and the breaks array
+ * (same approach as the Reports CSV) so client clock drift in the running counters is ignored.
+ */
+export const computeWorkLogTotals = (log: WorkLog) => {
+  const { manualSeconds, idleSeconds } = computeBreakBuckets(log);
+  const breakSeconds = manualSeconds + idleSeconds;
+
+  let workSeconds = typeof log.totalWorkSeconds === 'number' ? log.totalWorkSeconds : 0;
+  const clockInDate = normalizeDate(log.clockInTime);
+  const clockOutDate = normalizeDate(log.clockOutTime);
+  if (clockInDate && clockOutDate && clockOutDate > clockInDate) {
+    const totalSessionSeconds = (clockOutDate.getTime() - clockInDate.getTime()) / 1000;
+    workSeconds = Math.max(0, totalSessionSeconds - breakSeconds);
+  }
+
+  return { workSeconds, breakSeconds, manualSeconds, idleSeconds };
+};
+
+/** HH:MM:SS, as shown on the reports and dashboards. */
+export const formatDuration = (totalSeconds: number): string => {
+  const safe = Math.max(0, totalSeconds);
+  return [Math.floor(safe / 3600), Math.floor((safe % 3600) / 60), Math.floor(safe % 60)]
+    .map((v) => v.toString().padStart(2, '0'))
+    .join(':');
+};
+
+/** Manual break seconds keyed by reason code; breaks without a reason are keyed ''. */
+export const computeBreakSecondsByReason = (log: WorkLog): Record<string, number> => {
+  const totals: Record<string, number> = {};
+  const fallbackEnd = normalizeDate(log.clockOutTime) || normalizeDate(log.lastEventTimestamp) || new Date();
+  (Array.isArray(log.breaks) ? log.breaks : []).forEach((entry) => {
+    if (deriveBreakCause(entry) !== 'manual') return;
+    const start = normalizeDate(entry?.startTime);
+    const end = normalizeDate(entry?.endTime) || fallbackEnd;
+    if (!start || !end || end <= start) return;
+    const key = entry.reason || '';
+    totals[key] = (totals[key] || 0) + (end.getTime() - start.getTime()) / 1000;
+  });
+  return totals;
+};